@@ -6,7 +6,7 @@ const { Debug } = globalThis;
 import './src/utils/sync-logger.js';
 const { SyncLogger } = globalThis;
 import { setupMessageHandlers } from './src/handlers/message-handlers.js';
-import { setupNavigationHandlers, setupPeriodicSync, setupSecurityHandlers, getAssignmentCache } from './src/handlers/background-handlers.js';
+import { setupNavigationHandlers, setupPeriodicSync, setupSecurityHandlers, getAssignmentCache, getCourseCache, getPlannerNoteCache } from './src/handlers/background-handlers.js';
 
 // Initialize all handlers
 setupMessageHandlers();
@@ -21,5 +21,7 @@ setupSecurityHandlers();
   const assignmentCache = getAssignmentCache();
   await assignmentCache.loadPersistentCache();
   assignmentCache.cleanupExpired();
+  await getCourseCache().loadPersistentCache();
+  await getPlannerNoteCache().loadPersistentCache();
 })();
 
@@ -1,13 +1,22 @@
 // Canvas-Notion Sync Popup Script - Enhanced for Canvas API
+/* global CanvasValidator, parseNotionId */
 document.addEventListener('DOMContentLoaded', function() {
   // Get DOM elements
   const canvasTokenInput = document.getElementById('canvasToken');
+  const canvasUrlInput = document.getElementById('canvasUrl');
   const notionTokenInput = document.getElementById('notionToken');
   const notionDatabaseInput = document.getElementById('notionDatabase');
+  const notionCourseDatabaseInput = document.getElementById('notionCourseDatabase');
   const saveBtn = document.getElementById('saveBtn');
   const testBtn = document.getElementById('testBtn');
   const testCanvasBtn = document.getElementById('testCanvasBtn');
   const manualSyncBtn = document.getElementById('manualSyncBtn');
+  const previewSyncBtn = document.getElementById('previewSyncBtn');
+  const planSection = document.getElementById('planSection');
+  const planSummary = document.getElementById('planSummary');
+  const planContainer = document.getElementById('planContainer');
+  const applyPlanBtn = document.getElementById('applyPlanBtn');
+  const cancelPlanBtn = document.getElementById('cancelPlanBtn');
   const clearDataBtn = document.getElementById('clearDataBtn');
   const statusMessage = document.getElementById('status-message');
   const lastSyncElement = document.getElementById('lastSync');
@@ -15,6 +24,47 @@ document.addEventListener('DOMContentLoaded', function() {
   const expandBtn = document.getElementById('expandBtn');
   const settingsSection = document.getElementById('settingsSection');
   const debugModeCheckbox = document.getElementById('debugMode');
+  const calendarEventsCheckbox = document.getElementById('calendarEventsEnabled');
+  const calendarDaysBackInput = document.getElementById('calendarDaysBack');
+  const calendarDaysAheadInput = document.getElementById('calendarDaysAhead');
+  const plannerModeSelect = document.getElementById('plannerMode');
+  const plannerWindow = document.getElementById('plannerWindow');
+  const plannerDaysBackInput = document.getElementById('plannerDaysBack');
+  const plannerDaysAheadInput = document.getElementById('plannerDaysAhead');
+  const propertyMappingContainer = document.getElementById('propertyMapping');
+  const browseDatabasesBtn = document.getElementById('browseDatabasesBtn');
+  const databasePickerPanel = document.getElementById('databasePickerPanel');
+  const databaseQueryInput = document.getElementById('databaseQuery');
+  const searchDatabasesBtn = document.getElementById('searchDatabasesBtn');
+  const databaseResults = document.getElementById('databaseResults');
+  const dataSourceGroup = document.getElementById('dataSourceGroup');
+  const notionDataSourceSelect = document.getElementById('notionDataSource');
+  const createDatabaseToggleBtn = document.getElementById('createDatabaseToggleBtn');
+  const createDatabasePanel = document.getElementById('createDatabasePanel');
+  const parentPageQueryInput = document.getElementById('parentPageQuery');
+  const searchPagesBtn = document.getElementById('searchPagesBtn');
+  const parentPageSelect = document.getElementById('parentPageSelect');
+  const createDatabaseBtn = document.getElementById('createDatabaseBtn');
+  const savePropertyMappingBtn = document.getElementById('savePropertyMappingBtn');
+  const courseRoutesContainer = document.getElementById('courseRoutes');
+  const addCourseRouteBtn = document.getElementById('addCourseRouteBtn');
+  const saveCourseRoutesBtn = document.getElementById('saveCourseRoutesBtn');
+  const plannerCompletionCheckbox = document.getElementById('plannerCompletionEnabled');
+  const plannerActionsContainer = document.getElementById('plannerActions');
+  const addPlannerActionBtn = document.getElementById('addPlannerActionBtn');
+  const savePlannerCompletionBtn = document.getElementById('savePlannerCompletionBtn');
+  const plannerNotesCheckbox = document.getElementById('plannerNotesEnabled');
+  const deletionPolicySelect = document.getElementById('deletionPolicy');
+  const archiveDataSourceGroup = document.getElementById('archiveDataSourceGroup');
+  const archiveDataSourceInput = document.getElementById('archiveDataSourceId');
+  const confirmThresholdInput = document.getElementById('confirmThreshold');
+  const deletionLimitInput = document.getElementById('deletionLimit');
+  const saveDeletionBtn = document.getElementById('saveDeletionBtn');
+  const removalsSection = document.getElementById('removalsSection');
+  const removalsSummary = document.getElementById('removalsSummary');
+  const confirmRemovalsBtn = document.getElementById('confirmRemovalsBtn');
+  const dismissRemovalsBtn = document.getElementById('dismissRemovalsBtn');
+  const checkPropertyMappingBtn = document.getElementById('checkPropertyMappingBtn');
   const storageText = document.getElementById('storageText');
   const storageBar = document.getElementById('storageBar');
   const storageWarning = document.getElementById('storageWarning');
@@ -24,8 +74,11 @@ document.addEventListener('DOMContentLoaded', function() {
   const logContainer = document.getElementById('logContainer');
   const viewAllLogsBtn = document.getElementById('viewAllLogsBtn');
   const clearLogsBtn = document.getElementById('clearLogsBtn');
+  const undoSyncBtn = document.getElementById('undoSyncBtn');
   const errorsSection = document.getElementById('errorsSection');
   const errorContainer = document.getElementById('errorContainer');
+  const gradesSection = document.getElementById('gradesSection');
+  const gradesContainer = document.getElementById('gradesContainer');
 
   // Load existing configuration
   loadConfiguration();
@@ -34,14 +87,60 @@ document.addEventListener('DOMContentLoaded', function() {
   saveBtn.addEventListener('click', handleSaveConfiguration);
   testBtn.addEventListener('click', handleTestConnection);
   if (testCanvasBtn) testCanvasBtn.addEventListener('click', handleTestCanvasAPI);
-  manualSyncBtn.addEventListener('click', handleManualSync);
+  manualSyncBtn.addEventListener('click', () => handleManualSync());
+  if (previewSyncBtn) previewSyncBtn.addEventListener('click', handlePreviewSync);
+  if (applyPlanBtn) applyPlanBtn.addEventListener('click', handleApplyPlan);
+  if (cancelPlanBtn) cancelPlanBtn.addEventListener('click', () => planSection.classList.add('hidden'));
   if (expandBtn) expandBtn.addEventListener('click', toggleSettings);
   if (clearDataBtn) clearDataBtn.addEventListener('click', handleClearAllData);
   if (debugModeCheckbox) debugModeCheckbox.addEventListener('change', handleDebugModeToggle);
+  [calendarEventsCheckbox, calendarDaysBackInput, calendarDaysAheadInput,
+    plannerModeSelect, plannerDaysBackInput, plannerDaysAheadInput, plannerNotesCheckbox].forEach(input => {
+    if (input) input.addEventListener('change', handleSyncSettingsChange);
+  });
+  if (deletionPolicySelect) {
+    deletionPolicySelect.addEventListener('change', () => {
+      archiveDataSourceGroup.style.display = deletionPolicySelect.value === 'move' ? 'block' : 'none';
+    });
+  }
+  if (saveDeletionBtn) saveDeletionBtn.addEventListener('click', handleSaveDeletion);
+  if (confirmRemovalsBtn) confirmRemovalsBtn.addEventListener('click', handleConfirmRemovals);
+  if (dismissRemovalsBtn) dismissRemovalsBtn.addEventListener('click', handleDismissRemovals);
   if (cleanupCacheBtn) cleanupCacheBtn.addEventListener('click', handleCleanupCache);
+  if (createDatabaseToggleBtn) {
+    createDatabaseToggleBtn.addEventListener('click', () => createDatabasePanel.classList.toggle('hidden'));
+  }
+  if (searchPagesBtn) searchPagesBtn.addEventListener('click', handleSearchPages);
+  if (browseDatabasesBtn) {
+    browseDatabasesBtn.addEventListener('click', () => {
+      databasePickerPanel.classList.toggle('hidden');
+      if (!databasePickerPanel.classList.contains('hidden')) handleSearchDatabases();
+    });
+  }
+  if (searchDatabasesBtn) searchDatabasesBtn.addEventListener('click', handleSearchDatabases);
+  if (databaseQueryInput) databaseQueryInput.addEventListener('keydown', event => {
+    if (event.key === 'Enter') handleSearchDatabases();
+  });
+  // Pasted links and dashed IDs become the bare ID as soon as the field is left
+  notionDatabaseInput.addEventListener('change', () => {
+    normalizeNotionIdInput(notionDatabaseInput);
+    loadDataSources();
+  });
+  notionCourseDatabaseInput.addEventListener('change', () => normalizeNotionIdInput(notionCourseDatabaseInput));
+  if (parentPageSelect) parentPageSelect.addEventListener('change', () => {
+    createDatabaseBtn.disabled = !parentPageSelect.value;
+  });
+  if (createDatabaseBtn) createDatabaseBtn.addEventListener('click', handleCreateDatabase);
+  if (savePropertyMappingBtn) savePropertyMappingBtn.addEventListener('click', handleSavePropertyMapping);
+  if (checkPropertyMappingBtn) checkPropertyMappingBtn.addEventListener('click', handleCheckPropertyMapping);
+  if (addCourseRouteBtn) addCourseRouteBtn.addEventListener('click', () => addCourseRouteRow());
+  if (saveCourseRoutesBtn) saveCourseRoutesBtn.addEventListener('click', handleSaveCourseRoutes);
+  if (addPlannerActionBtn) addPlannerActionBtn.addEventListener('click', () => addPlannerActionRow());
+  if (savePlannerCompletionBtn) savePlannerCompletionBtn.addEventListener('click', handleSavePlannerCompletion);
   if (logsExpandBtn) logsExpandBtn.addEventListener('click', toggleLogs);
   if (viewAllLogsBtn) viewAllLogsBtn.addEventListener('click', () => loadSyncLogs(100));
   if (clearLogsBtn) clearLogsBtn.addEventListener('click', clearSyncLogs);
+  if (undoSyncBtn) undoSyncBtn.addEventListener('click', handleUndoLastSync);
   syncStatusElement.addEventListener('click', () => {
     if (syncStatusElement.classList.contains('has-errors')) toggleErrors();
   });
@@ -55,6 +154,10 @@ document.addEventListener('DOMContentLoaded', function() {
       if (credentials.canvasToken) {
         canvasTokenInput.value = credentials.canvasToken;
       }
+
+      if (credentials.canvasBaseUrl) {
+        canvasUrlInput.value = credentials.canvasBaseUrl;
+      }
       
       if (credentials.notionToken) {
         notionTokenInput.value = credentials.notionToken;
@@ -64,6 +167,14 @@ document.addEventListener('DOMContentLoaded', function() {
         notionDatabaseInput.value = credentials.notionDatabaseId;
       }
 
+      if (credentials.notionCourseDatabaseId) {
+        notionCourseDatabaseInput.value = credentials.notionCourseDatabaseId;
+      }
+
+      if (credentials.notionToken && credentials.notionDatabaseId) {
+        await loadDataSources(credentials.notionDataSourceId);
+      }
+
       // Update last sync time
       if (credentials.lastSync) {
         const lastSyncDate = new Date(credentials.lastSync);
@@ -79,6 +190,11 @@ document.addEventListener('DOMContentLoaded', function() {
         debugModeCheckbox.checked = debugResult.debugMode === true;
       }
 
+      await loadSyncSettings();
+      await loadPropertyMapping();
+      await loadCourseRoutes();
+      await loadPlannerCompletion();
+
       await loadStorageQuota();
 
     } catch (error) {
@@ -86,10 +202,40 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  /**
+   * Validate the Canvas URL field and ask for access to its host.
+   * Must run before any other await in a click handler: chrome.permissions.request
+   * needs the user gesture. Already-granted hosts (e.g. *.instructure.com) resolve without a prompt.
+   * @returns {Object} { ok, canvasBaseUrl } - canvasBaseUrl is null when the field is empty
+   */
+  async function prepareCanvasUrl() {
+    const canvasUrl = canvasUrlInput.value.trim();
+    if (!canvasUrl) {
+      return { ok: true, canvasBaseUrl: null };
+    }
+
+    const { valid, validated, warnings } = CanvasValidator.validateBaseURL(canvasUrl);
+    if (!valid) {
+      showStatus(warnings[0], 'error');
+      canvasUrlInput.focus();
+      return { ok: false };
+    }
+    canvasUrlInput.value = validated;
+
+    const granted = await chrome.permissions.request({ origins: [`${validated}/*`] });
+    if (!granted) {
+      showStatus(`Access to ${new URL(validated).host} is required to sync from this Canvas URL`, 'error');
+      return { ok: false };
+    }
+
+    return { ok: true, canvasBaseUrl: validated };
+  }
+
   async function handleSaveConfiguration() {
     const canvasToken = canvasTokenInput.value.trim();
     const notionToken = notionTokenInput.value.trim();
-    const notionDatabaseId = notionDatabaseInput.value.trim();
+    const notionDatabaseInputValue = notionDatabaseInput.value.trim();
+    const notionCourseDatabaseInputValue = notionCourseDatabaseInput.value.trim();
 
     // Validate required fields
     if (!notionToken) {
@@ -98,7 +244,7 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
 
-    if (!notionDatabaseId) {
+    if (!notionDatabaseInputValue) {
       showStatus('Notion database ID is required', 'error');
       notionDatabaseInput.focus();
       return;
@@ -110,43 +256,55 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
 
-    // Validate database ID format (32 characters, alphanumeric)
-    if (!/^[a-f0-9]{32}$/i.test(notionDatabaseId.replace(/-/g, ''))) {
-      showStatus('Invalid database ID format. Should be 32 hexadecimal characters', 'error');
+    // Database link, dashed or bare ID -> 32 hexadecimal characters
+    const notionDatabaseId = parseNotionId(notionDatabaseInputValue);
+    if (!notionDatabaseId) {
+      showStatus('No database ID found. Paste the Notion database link or its 32-character ID', 'error');
+      notionDatabaseInput.focus();
+      return;
+    }
+
+    const notionCourseDatabaseId = notionCourseDatabaseInputValue ? parseNotionId(notionCourseDatabaseInputValue) : null;
+    if (notionCourseDatabaseInputValue && !notionCourseDatabaseId) {
+      showStatus('No course database ID found. Paste the Notion database link or its 32-character ID', 'error');
+      notionCourseDatabaseInput.focus();
+      return;
+    }
+
+    const { ok, canvasBaseUrl } = await prepareCanvasUrl();
+    if (!ok) {
       return;
     }
 
     try {
       setButtonLoading(saveBtn, 'Saving...');
 
+      // A custom Canvas URL must answer /api/v1/users/self before it is saved
+      if (canvasBaseUrl && canvasToken) {
+        const check = await chrome.runtime.sendMessage({
+          action: 'TEST_CANVAS_CONNECTION',
+          token: canvasToken,
+          canvasBaseUrl
+        });
+        if (!check.success) {
+          showStatus('Canvas URL could not be verified: ' + check.error, 'error');
+          return;
+        }
+      }
+
       const result = await chrome.runtime.sendMessage({
         action: 'STORE_CREDENTIALS',
         canvasToken: canvasToken || null,
         notionToken: notionToken,
-        notionDatabaseId: notionDatabaseId.replace(/-/g, '')
+        notionDatabaseId,
+        canvasBaseUrl,
+        notionCourseDatabaseId,
+        notionDataSourceId: selectedDataSourceId()
       });
 
       if (result.success) {
-        // Send Canvas token to content script
-        if (canvasToken) {
-          try {
-            const tabs = await chrome.tabs.query({
-              url: "*://*.instructure.com/*"
-            });
-            
-            for (const tab of tabs) {
-              chrome.tabs.sendMessage(tab.id, {
-                type: 'SET_CANVAS_TOKEN',
-                token: canvasToken
-              }).catch(() => {
-                // Content script might not be loaded, ignore
-              });
-            }
-          } catch (error) {
-            // Failed to query Canvas tabs - extension may not be injected yet
-          }
-        }
-        
+        notionDatabaseInput.value = notionDatabaseId;
+        notionCourseDatabaseInput.value = notionCourseDatabaseId || '';
         showStatus('Configuration saved successfully!', 'success');
         updateSyncStatus();
       } else {
@@ -162,7 +320,8 @@ document.addEventListener('DOMContentLoaded', function() {
 
   async function handleTestConnection() {
     const notionToken = notionTokenInput.value.trim();
-    const notionDatabaseId = notionDatabaseInput.value.trim();
+    const notionDatabaseId = parseNotionId(notionDatabaseInput.value);
+    const dataSourceId = selectedDataSourceId();
 
     if (!notionToken || !notionDatabaseId) {
       showStatus('Please enter Notion token and database ID first', 'error');
@@ -175,10 +334,14 @@ document.addEventListener('DOMContentLoaded', function() {
       const result = await chrome.runtime.sendMessage({
         action: 'TEST_NOTION_CONNECTION',
         token: notionToken,
-        databaseId: notionDatabaseId.replace(/-/g, '')
+        databaseId: notionDatabaseId,
+        dataSourceId
       });
 
-      if (result.success) {
+      if (result.success && result.schema && !result.schema.ok) {
+        showStatus('⚠️ ' + result.message, 'error');
+        await offerSchemaRepair(result.schema, { token: notionToken, databaseId: notionDatabaseId, dataSourceId });
+      } else if (result.success) {
         showStatus('✅ Notion connection successful! ' + result.message, 'success');
       } else {
         showStatus('❌ Notion connection failed: ' + result.error, 'error');
@@ -191,54 +354,237 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
-  async function handleTestCanvasAPI() {
-    const canvasToken = canvasTokenInput.value.trim();
+  async function handleSearchPages() {
+    searchPagesBtn.disabled = true;
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: 'SEARCH_NOTION_PAGES',
+        token: notionTokenInput.value.trim() || null,
+        query: parentPageQueryInput.value.trim()
+      });
 
-    if (!canvasToken) {
-      showStatus('Canvas API token is required for the extension to work', 'error');
+      if (!result.success) {
+        showStatus(result.error, 'error');
+        return;
+      }
+
+      const placeholder = result.pages.length > 0
+        ? 'Choose a page'
+        : 'No pages found. Share a page with your integration first.';
+      parentPageSelect.replaceChildren(
+        new Option(placeholder, ''),
+        ...result.pages.map(page => new Option(page.title, page.id))
+      );
+      parentPageSelect.disabled = result.pages.length === 0;
+      createDatabaseBtn.disabled = true;
+    } catch (error) {
+      showStatus('Search failed: ' + error.message, 'error');
+    } finally {
+      searchPagesBtn.disabled = false;
+    }
+  }
+
+  function normalizeNotionIdInput(input) {
+    const id = parseNotionId(input.value);
+    if (id) input.value = id;
+  }
+
+  // Only set when the database has several data sources and the choice is shown
+  function selectedDataSourceId() {
+    return dataSourceGroup.classList.contains('hidden') ? null : notionDataSourceSelect.value || null;
+  }
+
+  // Offer a data source choice for databases with more than one, instead of syncing the first
+  function showDataSources(dataSources, selectedId = null) {
+    if (dataSources.length < 2) {
+      notionDataSourceSelect.replaceChildren();
+      dataSourceGroup.classList.add('hidden');
+      return;
+    }
+
+    const wanted = (selectedId || '').replace(/-/g, '');
+    notionDataSourceSelect.replaceChildren(...dataSources.map(dataSource =>
+      new Option(dataSource.name, dataSource.id, false, dataSource.id.replace(/-/g, '') === wanted)
+    ));
+    dataSourceGroup.classList.remove('hidden');
+  }
+
+  async function loadDataSources(selectedId = selectedDataSourceId()) {
+    const token = notionTokenInput.value.trim();
+    const databaseId = parseNotionId(notionDatabaseInput.value);
+    if (!token || !databaseId) {
+      showDataSources([]);
       return;
     }
 
     try {
-      setButtonLoading(testCanvasBtn, 'Testing...');
+      const result = await chrome.runtime.sendMessage({ action: 'LIST_DATA_SOURCES', token, databaseId });
+      showDataSources(result.success ? result.dataSources : [], selectedId);
+    } catch (error) {
+      // Non-critical: without the list the sync uses the first data source
+      showDataSources([]);
+    }
+  }
 
-      // Send token to content script and test
-      const tabs = await chrome.tabs.query({
-        url: "*://*.instructure.com/*",
-        active: true
+  function renderDatabaseResult(database) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'database-result';
+    button.title = database.id;
+
+    if (database.icon?.emoji) {
+      const emoji = document.createElement('span');
+      emoji.textContent = database.icon.emoji;
+      button.appendChild(emoji);
+    } else if (database.icon?.url) {
+      const image = document.createElement('img');
+      image.src = database.icon.url;
+      image.alt = '';
+      button.appendChild(image);
+    }
+
+    const title = document.createElement('span');
+    title.textContent = database.dataSources.length > 1
+      ? `${database.title} (${database.dataSources.length} data sources)`
+      : database.title;
+    button.appendChild(title);
+
+    button.addEventListener('click', () => {
+      notionDatabaseInput.value = database.id;
+      showDataSources(database.dataSources);
+      databasePickerPanel.classList.add('hidden');
+      updateSyncStatus();
+    });
+    return button;
+  }
+
+  async function handleSearchDatabases() {
+    searchDatabasesBtn.disabled = true;
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: 'SEARCH_NOTION_DATABASES',
+        token: notionTokenInput.value.trim() || null,
+        query: databaseQueryInput.value.trim()
       });
 
-      if (tabs.length === 0) {
-        showStatus('Please open a Canvas page first', 'error');
+      if (!result.success) {
+        showStatus(result.error, 'error');
         return;
       }
 
-      const activeTab = tabs[0];
-      
-      // Send token to content script
-      await chrome.tabs.sendMessage(activeTab.id, {
-        type: 'SET_CANVAS_TOKEN',
-        token: canvasToken
-      });
+      if (result.databases.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'help-text';
+        empty.textContent = 'No databases found. Share a database with your integration first.';
+        databaseResults.replaceChildren(empty);
+      } else {
+        databaseResults.replaceChildren(...result.databases.map(renderDatabaseResult));
+      }
+    } catch (error) {
+      showStatus('Search failed: ' + error.message, 'error');
+    } finally {
+      searchDatabasesBtn.disabled = false;
+    }
+  }
+
+  async function handleCreateDatabase() {
+    try {
+      setButtonLoading(createDatabaseBtn, 'Creating...');
 
-      // Test extraction
-      const response = await chrome.tabs.sendMessage(activeTab.id, {
-        type: 'EXTRACT_ASSIGNMENTS'
+      const result = await chrome.runtime.sendMessage({
+        action: 'CREATE_NOTION_DATABASE',
+        token: notionTokenInput.value.trim() || null,
+        parentPageId: parentPageSelect.value
       });
 
-      if (response.success) {
-        const assignmentCount = response.assignments.length;
-        showStatus(`✅ Canvas API working! Found ${assignmentCount} assignments`, 'success');
+      if (result.success) {
+        notionDatabaseInput.value = result.databaseId;
+        showDataSources([]);
+        createDatabasePanel.classList.add('hidden');
+        updateSyncStatus();
+        showStatus('Database created and saved', 'success');
       } else {
-        showStatus('❌ Canvas API test failed: ' + response.error, 'error');
+        showStatus('Could not create database: ' + result.error, 'error');
       }
-
     } catch (error) {
-      if (error.message.includes('Could not establish connection')) {
-        showStatus('Canvas page not ready. Please refresh Canvas and try again.', 'error');
+      showStatus('Could not create database: ' + error.message, 'error');
+    } finally {
+      createDatabaseBtn.disabled = false;
+      createDatabaseBtn.textContent = 'Create Database';
+    }
+  }
+
+  /**
+   * Offer to add missing properties to the database. Wrong types are only reported.
+   * @returns {Object|null} The report after the repair, or null if nothing was added
+   */
+  async function offerSchemaRepair(report, { token = null, databaseId = null, dataSourceId = null } = {}) {
+    if (report.missing.length === 0) return null;
+
+    const names = report.missing.map(property => `"${property.name}"`).join(', ');
+    if (!confirm(`Your Notion database is missing ${names}. Add ${report.missing.length === 1 ? 'it' : 'them'} now?`)) {
+      return null;
+    }
+
+    const result = await chrome.runtime.sendMessage({ action: 'INSPECT_NOTION_SCHEMA', token, databaseId, dataSourceId, repair: true });
+    if (!result.success) {
+      showStatus('Could not add properties: ' + result.error, 'error');
+      return null;
+    }
+    if (result.ok) {
+      showStatus(`Added ${result.added.join(', ')} to your database`, 'success');
+    } else {
+      showStatus(`Added ${result.added.join(', ') || 'nothing'}. Still to fix: ${result.summary}`, 'error');
+    }
+    return result;
+  }
+
+  // @returns {boolean} Whether the sync should go ahead
+  async function checkSchemaBeforeSync() {
+    const report = await chrome.runtime.sendMessage({ action: 'INSPECT_NOTION_SCHEMA' });
+    // If the check itself fails, let the sync run and report its own errors
+    if (!report?.success || report.ok) return true;
+
+    let latest = report;
+    if (report.wrongType.length === 0) {
+      latest = (await offerSchemaRepair(report)) || report;
+      if (latest.ok) return true;
+    }
+
+    showStatus(`Fix your Notion database before syncing. ${latest.summary}`, 'error');
+    return false;
+  }
+
+  async function handleTestCanvasAPI() {
+    const canvasToken = canvasTokenInput.value.trim();
+
+    if (!canvasToken) {
+      showStatus('Canvas API token is required for the extension to work', 'error');
+      return;
+    }
+
+    const { ok, canvasBaseUrl } = await prepareCanvasUrl();
+    if (!ok) {
+      return;
+    }
+
+    try {
+      setButtonLoading(testCanvasBtn, 'Testing...');
+
+      // The service worker calls Canvas directly; no Canvas tab is needed
+      const result = await chrome.runtime.sendMessage({
+        action: 'TEST_CANVAS_CONNECTION',
+        token: canvasToken,
+        canvasBaseUrl
+      });
+
+      if (result.success) {
+        showStatus('✅ Canvas API working! ' + result.message, 'success');
       } else {
-        showStatus('❌ Canvas API test failed: ' + error.message, 'error');
+        showStatus('❌ Canvas API test failed: ' + result.error, 'error');
       }
+    } catch (error) {
+      showStatus('❌ Canvas API test failed: ' + error.message, 'error');
     } finally {
       testCanvasBtn.disabled = false;
       testCanvasBtn.textContent = 'Test Canvas API';
@@ -270,7 +616,8 @@ document.addEventListener('DOMContentLoaded', function() {
     syncStatusElement.classList.remove('has-errors');
   }
 
-  async function handleManualSync() {
+  // @param {Array<string>} [selectedIds] - Canvas IDs kept from a reviewed sync preview
+  async function handleManualSync(selectedIds = null) {
     try {
       manualSyncBtn.disabled = true;
       updateSyncProgress('starting', 0, 'Starting sync...');
@@ -283,10 +630,17 @@ document.addEventListener('DOMContentLoaded', function() {
         return;
       }
 
+      // Catch missing or retyped properties before every page write fails on them
+      if (!(await checkSchemaBeforeSync())) {
+        resetSyncButton();
+        return;
+      }
+
       // Start background sync — progress updates come via storage listener
       const syncResult = await chrome.runtime.sendMessage({
         action: 'START_BACKGROUND_SYNC',
-        canvasToken: canvasToken
+        canvasToken: canvasToken,
+        selectedIds
       });
 
       if (syncResult.success) {
@@ -300,11 +654,16 @@ document.addEventListener('DOMContentLoaded', function() {
         if (errorCount > 0) {
           message += `, ${errorCount} errors`;
         }
+        const held = syncResult.results?.deletionsHeld;
+        if (held) {
+          message += `; ${held.count} removals waiting for confirmation`;
+        }
 
         showStatus(message, totalAssignments > 0 ? 'success' : 'error');
         lastSyncElement.textContent = formatDate(new Date());
         await loadStorageQuota();
         loadErrorStats();
+        loadCourseGrades();
       } else {
         showStatus('Sync failed: ' + syncResult.error, 'error');
       }
@@ -315,6 +674,383 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  // Shows what a sync would change; nothing is written until the preview is applied
+  async function handlePreviewSync() {
+    const canvasToken = canvasTokenInput.value.trim();
+    if (!canvasToken) {
+      showStatus('Canvas API token is required. Please add your Canvas API token first.', 'error');
+      return;
+    }
+
+    try {
+      setButtonLoading(previewSyncBtn, 'Checking for changes...');
+
+      if (!(await checkSchemaBeforeSync())) {
+        return;
+      }
+
+      const response = await chrome.runtime.sendMessage({ action: 'PLAN_SYNC', canvasToken });
+      if (response.success) {
+        renderPlan(response.plan);
+      } else {
+        showStatus('Preview failed: ' + response.error, 'error');
+      }
+    } catch (error) {
+      showStatus('Preview failed: ' + error.message, 'error');
+    } finally {
+      previewSyncBtn.disabled = false;
+      previewSyncBtn.textContent = 'Preview Changes';
+    }
+  }
+
+  function formatPlanValue(value) {
+    if (value === null || value === undefined || value === '') return 'empty';
+    const text = String(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+
+  function renderPlan(plan) {
+    const count = action => plan.items.filter(item => item.action === action).length;
+    planSummary.textContent = `${count('create')} to create, ${count('update')} to update, ` +
+      `${count('archive')} to archive, ${plan.unchanged} unchanged`;
+
+    if (plan.items.length === 0) {
+      planContainer.innerHTML = '<div class="log-empty">Notion is already up to date</div>';
+    } else {
+      const actionLabels = { create: 'Create', update: 'Update', archive: 'Archive' };
+      planContainer.innerHTML = plan.items.map(item => {
+        const changes = item.allFields
+          ? ['Not synced from this browser yet: every field is written']
+          : item.changes.map(change => `${change.label}: ${formatPlanValue(change.before)} → ${formatPlanValue(change.after)}`);
+        return `<label class="plan-entry">` +
+          `<input type="checkbox" value="${escapeHtml(item.canvasId)}" checked>` +
+          `<div>` +
+          `<span class="plan-entry-action ${item.action}">${actionLabels[item.action]}</span> ` + // eslint-disable-line security/detect-object-injection -- action is create, update or archive
+          `${escapeHtml(item.title || item.canvasId)}` +
+          changes.map(change => `<div class="plan-entry-change">${escapeHtml(change)}</div>`).join('') +
+          `</div>` +
+          `</label>`;
+      }).join('');
+    }
+
+    applyPlanBtn.disabled = plan.items.length === 0;
+    planSection.classList.remove('hidden');
+  }
+
+  async function handleApplyPlan() {
+    const selectedIds = Array.from(planContainer.querySelectorAll('input[type="checkbox"]:checked'), input => input.value);
+    if (selectedIds.length === 0) {
+      showStatus('Select at least one change to apply', 'error');
+      return;
+    }
+
+    planSection.classList.add('hidden');
+    await handleManualSync(selectedIds);
+  }
+
+  async function loadSyncSettings() {
+    const result = await chrome.runtime.sendMessage({ action: 'GET_SETTINGS' });
+    if (!result?.success || !calendarEventsCheckbox) return;
+
+    const { enabled, daysBack, daysAhead } = result.settings.calendarEvents;
+    calendarEventsCheckbox.checked = enabled;
+    calendarDaysBackInput.value = daysBack;
+    calendarDaysAheadInput.value = daysAhead;
+    calendarDaysBackInput.disabled = !enabled;
+    calendarDaysAheadInput.disabled = !enabled;
+
+    const { planner } = result.settings;
+    plannerModeSelect.value = planner.mode;
+    plannerDaysBackInput.value = planner.daysBack;
+    plannerDaysAheadInput.value = planner.daysAhead;
+    plannerWindow.style.display = planner.mode === 'planner' ? 'flex' : 'none';
+
+    plannerNotesCheckbox.checked = result.settings.plannerNotes.enabled;
+    const { deletion } = result.settings;
+    deletionPolicySelect.value = deletion.policy;
+    archiveDataSourceInput.value = deletion.archiveDataSourceId || '';
+    archiveDataSourceGroup.style.display = deletion.policy === 'move' ? 'block' : 'none';
+    confirmThresholdInput.value = deletion.confirmThreshold;
+    deletionLimitInput.value = Math.round(deletion.maxFraction * 100);
+  }
+
+  async function handleSaveDeletion() {
+    const result = await chrome.runtime.sendMessage({
+      action: 'UPDATE_SETTINGS',
+      settings: {
+        deletion: {
+          policy: deletionPolicySelect.value,
+          archiveDataSourceId: archiveDataSourceInput.value.trim() || null,
+          confirmThreshold: Number(confirmThresholdInput.value),
+          maxFraction: Number(deletionLimitInput.value) / 100
+        }
+      }
+    });
+
+    if (!result.success) {
+      showStatus(result.error, 'error');
+    } else if (deletionPolicySelect.value === 'status') {
+      // A status-type Status only takes the options set up in Notion; the report says when it lacks ours
+      const report = await chrome.runtime.sendMessage({ action: 'INSPECT_NOTION_SCHEMA' });
+      const warnings = report?.success ? report.warnings : [];
+      if (warnings.length > 0) {
+        showStatus(`Removal settings saved. ${warnings.join(' ')}`, 'error');
+      } else {
+        showStatus('Removal settings saved', 'success');
+      }
+    } else {
+      showStatus('Removal settings saved', 'success');
+    }
+    await loadSyncSettings();
+  }
+
+  async function handleSyncSettingsChange() {
+    const result = await chrome.runtime.sendMessage({
+      action: 'UPDATE_SETTINGS',
+      settings: {
+        calendarEvents: {
+          enabled: calendarEventsCheckbox.checked,
+          daysBack: Number(calendarDaysBackInput.value),
+          daysAhead: Number(calendarDaysAheadInput.value)
+        },
+        planner: {
+          mode: plannerModeSelect.value,
+          daysBack: Number(plannerDaysBackInput.value),
+          daysAhead: Number(plannerDaysAheadInput.value)
+        },
+        plannerNotes: { enabled: plannerNotesCheckbox.checked }
+      }
+    });
+
+    if (!result.success) {
+      showStatus(result.error, 'error');
+    }
+    // Show the stored values (reverts an invalid entry)
+    await loadSyncSettings();
+  }
+
+  // One row per Canvas field: property name, plus a type picker where the field allows more than one
+  // and who owns the field once the page exists
+  async function loadPropertyMapping() {
+    const result = await chrome.runtime.sendMessage({ action: 'GET_SETTINGS' });
+    if (!result?.success || !propertyMappingContainer || !result.propertyFields) return;
+
+    const { propertyMapping: mapping, fieldOwnership } = result.settings;
+    propertyMappingContainer.replaceChildren(...Object.entries(result.propertyFields).map(([field, definition]) => {
+      const row = document.createElement('div');
+      row.className = 'mapping-row';
+      row.dataset.field = field;
+      const current = mapping[field]; // eslint-disable-line security/detect-object-injection -- field from the extension's own field list
+
+      const label = document.createElement('span');
+      label.textContent = definition.required ? definition.label : `${definition.label} (optional)`;
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.value = current.name;
+      nameInput.setAttribute('aria-label', `${definition.label} property`);
+
+      const typeSelect = document.createElement('select');
+      typeSelect.className = 'type-select';
+      typeSelect.disabled = definition.types.length === 1;
+      for (const type of definition.types) {
+        typeSelect.add(new Option(type.replace('_', ' '), type, false, type === current.type));
+      }
+
+      row.append(label, nameInput, typeSelect);
+
+      if (Object.prototype.hasOwnProperty.call(fieldOwnership, field)) {
+        const owner = fieldOwnership[field]; // eslint-disable-line security/detect-object-injection -- own-property check above
+        const ownerSelect = document.createElement('select');
+        ownerSelect.className = 'owner-select';
+        ownerSelect.add(new Option('Canvas updates', 'canvas', false, owner === 'canvas'));
+        ownerSelect.add(new Option('Notion keeps edits', 'merge', false, owner === 'merge'));
+        ownerSelect.add(new Option('Notion only', 'notion', false, owner === 'notion'));
+        ownerSelect.title = 'Canvas updates: Canvas always overwrites the property. Notion keeps edits: your edits in Notion are kept, and a change on both sides is reported as a conflict. Notion only: set when the page is created, then never overwritten.';
+        ownerSelect.setAttribute('aria-label', `Who updates ${definition.label}`);
+        row.append(ownerSelect);
+      }
+      return row;
+    }));
+  }
+
+  function readPropertyMappingInputs() {
+    const mapping = {};
+    propertyMappingContainer.querySelectorAll('.mapping-row').forEach(row => {
+      mapping[row.dataset.field] = {
+        name: row.querySelector('input').value.trim(),
+        type: row.querySelector('.type-select').value
+      };
+    });
+    return mapping;
+  }
+
+  function readFieldOwnershipInputs() {
+    return Object.fromEntries(Array.from(propertyMappingContainer.querySelectorAll('.mapping-row'))
+      .filter(row => row.querySelector('.owner-select'))
+      .map(row => [row.dataset.field, row.querySelector('.owner-select').value]));
+  }
+
+  async function handleSavePropertyMapping() {
+    const result = await chrome.runtime.sendMessage({
+      action: 'UPDATE_SETTINGS',
+      settings: { propertyMapping: readPropertyMappingInputs(), fieldOwnership: readFieldOwnershipInputs() }
+    });
+
+    if (result.success) {
+      showStatus('Notion properties saved', 'success');
+      await loadPropertyMapping();
+    } else {
+      showStatus(result.error, 'error');
+    }
+  }
+
+  async function handleCheckPropertyMapping() {
+    checkPropertyMappingBtn.disabled = true;
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: 'CHECK_PROPERTY_MAPPING',
+        propertyMapping: readPropertyMappingInputs()
+      });
+
+      if (!result.success) {
+        showStatus(result.error, 'error');
+      } else if (result.errors.length > 0) {
+        showStatus(result.errors.join('. '), 'error');
+      } else if (result.warnings.length > 0) {
+        showStatus(result.warnings.join('. '), 'info');
+      } else {
+        showStatus('All properties match the database', 'success');
+      }
+    } catch (error) {
+      showStatus('Check failed: ' + error.message, 'error');
+    } finally {
+      checkPropertyMappingBtn.disabled = false;
+    }
+  }
+
+  async function loadCourseRoutes() {
+    const result = await chrome.runtime.sendMessage({ action: 'GET_SETTINGS' });
+    if (!result?.success || !courseRoutesContainer) return;
+
+    courseRoutesContainer.replaceChildren();
+    (result.settings.courseRoutes || []).forEach(addCourseRouteRow);
+  }
+
+  // One row per rule: what to match, the course ID or code pattern, and the data source it goes to
+  function addCourseRouteRow(route = { match: 'courseCode', value: '', dataSourceId: '' }) {
+    const row = document.createElement('div');
+    row.className = 'mapping-row course-route';
+
+    const matchSelect = document.createElement('select');
+    matchSelect.add(new Option('Course code', 'courseCode', false, route.match === 'courseCode'));
+    matchSelect.add(new Option('Course ID', 'courseId', false, route.match === 'courseId'));
+    matchSelect.setAttribute('aria-label', 'Match on');
+
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.value = route.value;
+    valueInput.placeholder = 'CS*';
+    valueInput.setAttribute('aria-label', 'Course code pattern or course ID');
+
+    const dataSourceInput = document.createElement('input');
+    dataSourceInput.type = 'text';
+    dataSourceInput.value = route.dataSourceId;
+    dataSourceInput.placeholder = 'Data source ID';
+    dataSourceInput.setAttribute('aria-label', 'Data source ID');
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn-expand';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove rule';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(matchSelect, valueInput, dataSourceInput, removeBtn);
+    courseRoutesContainer.appendChild(row);
+  }
+
+  function readCourseRouteInputs() {
+    return Array.from(courseRoutesContainer.querySelectorAll('.course-route')).map(row => {
+      const [valueInput, dataSourceInput] = row.querySelectorAll('input');
+      return {
+        match: row.querySelector('select').value,
+        value: valueInput.value.trim(),
+        // Dashed IDs are accepted; anything else is left for the settings check to reject
+        dataSourceId: parseNotionId(dataSourceInput.value) || dataSourceInput.value.trim()
+      };
+    });
+  }
+
+  async function handleSaveCourseRoutes() {
+    const result = await chrome.runtime.sendMessage({
+      action: 'UPDATE_SETTINGS',
+      settings: { courseRoutes: readCourseRouteInputs() }
+    });
+
+    if (result.success) {
+      showStatus('Course routing saved', 'success');
+      await loadCourseRoutes();
+    } else {
+      showStatus(result.error, 'error');
+    }
+  }
+
+  async function loadPlannerCompletion() {
+    const result = await chrome.runtime.sendMessage({ action: 'GET_SETTINGS' });
+    if (!result?.success || !plannerActionsContainer) return;
+
+    const { enabled, actions } = result.settings.plannerCompletion;
+    plannerCompletionCheckbox.checked = enabled;
+    plannerActionsContainer.replaceChildren();
+    Object.entries(actions).forEach(([status, action]) => addPlannerActionRow(status, action));
+  }
+
+  // One row per Notion status: the status name and what it does to the Canvas To-Do item
+  function addPlannerActionRow(status = '', action = 'complete') {
+    const row = document.createElement('div');
+    row.className = 'mapping-row planner-action';
+
+    const statusInput = document.createElement('input');
+    statusInput.type = 'text';
+    statusInput.value = status;
+    statusInput.placeholder = 'Notion status';
+    statusInput.setAttribute('aria-label', 'Notion status');
+
+    const actionSelect = document.createElement('select');
+    actionSelect.add(new Option('Mark complete', 'complete', false, action === 'complete'));
+    actionSelect.add(new Option('Dismiss', 'dismiss', false, action === 'dismiss'));
+    actionSelect.setAttribute('aria-label', 'Canvas To-Do action');
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn-expand';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove status';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(statusInput, actionSelect, removeBtn);
+    plannerActionsContainer.appendChild(row);
+  }
+
+  async function handleSavePlannerCompletion() {
+    const actions = Object.fromEntries(Array.from(plannerActionsContainer.querySelectorAll('.planner-action'))
+      .map(row => [row.querySelector('input').value.trim(), row.querySelector('select').value])
+      .filter(([status]) => status));
+
+    const result = await chrome.runtime.sendMessage({
+      action: 'UPDATE_SETTINGS',
+      settings: { plannerCompletion: { enabled: plannerCompletionCheckbox.checked, actions } }
+    });
+
+    if (result.success) {
+      showStatus('Canvas To-Do updates saved', 'success');
+      await loadPlannerCompletion();
+    } else {
+      showStatus(result.error, 'error');
+    }
+  }
+
   async function handleDebugModeToggle() {
     const enabled = debugModeCheckbox.checked;
     await chrome.storage.local.set({ debugMode: enabled });
@@ -394,8 +1130,10 @@ document.addEventListener('DOMContentLoaded', function() {
       if (result.success) {
         // Clear the form fields
         canvasTokenInput.value = '';
+        canvasUrlInput.value = '';
         notionTokenInput.value = '';
         notionDatabaseInput.value = '';
+        showDataSources([]);
         lastSyncElement.textContent = 'Never';
         
         showStatus('✅ All data cleared successfully!', 'success');
@@ -545,10 +1283,99 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  // What happens to the pages under each deletion policy
+  const removalOutcomes = {
+    archive: 'archived',
+    status: 'marked "Removed from Canvas"',
+    move: 'moved to the archive data source',
+    keep: 'kept'
+  };
+
+  async function loadPendingRemovals() {
+    try {
+      const { pending_removals: pending } = await chrome.storage.local.get('pending_removals');
+      renderPendingRemovals(pending);
+    } catch (error) {
+      // Non-critical
+    }
+  }
+
+  function renderPendingRemovals(pending) {
+    if (!pending || !pending.items?.length) {
+      removalsSection.classList.add('hidden');
+      return;
+    }
+
+    const outcome = removalOutcomes[pending.policy] || removalOutcomes.archive; // eslint-disable-line security/detect-object-injection -- policy written by the background sync
+    const cause = pending.reason === 'limit'
+      ? `That is more than the archive limit allows out of your ${pending.tracked} pages, which can mean Canvas returned incomplete data.`
+      : 'That is more than you asked to confirm.';
+    const titles = pending.items.slice(0, 5).map(item => item.title || item.canvasId).join(', ') +
+      (pending.items.length > 5 ? `, and ${pending.items.length - 5} more` : '');
+    removalsSummary.textContent = `The last sync found ${pending.count} items gone from Canvas; their pages will be ${outcome} once you confirm. ${cause} (${titles})`;
+    removalsSection.classList.remove('hidden');
+  }
+
+  async function handleConfirmRemovals() {
+    confirmRemovalsBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'CONFIRM_REMOVALS' });
+      if (!response?.success) {
+        showStatus(`Removal failed: ${response?.error || 'unknown error'}`, 'error');
+      } else if (response.errors.length > 0) {
+        showStatus(`Removed ${response.removed} pages; ${response.errors.length} failed (see Sync Logs)`, 'error');
+      } else {
+        showStatus(`Removed ${response.removed} pages`, 'success');
+      }
+    } catch (error) {
+      showStatus('Removal failed', 'error');
+    } finally {
+      confirmRemovalsBtn.disabled = false;
+      await loadPendingRemovals();
+    }
+  }
+
+  async function handleDismissRemovals() {
+    await chrome.runtime.sendMessage({ action: 'DISMISS_REMOVALS' });
+    removalsSection.classList.add('hidden');
+  }
+
+  async function handleUndoLastSync() {
+    if (!confirm('Undo the last sync? Pages it created are archived and the values it changed are put back.')) return;
+
+    undoSyncBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'UNDO_LAST_SYNC' });
+      if (!response?.success) {
+        showStatus(`Undo failed: ${response?.error || 'unknown error'}`, 'error');
+      } else if (!response.startedAt) {
+        showStatus('Nothing to undo', 'info');
+      } else if (response.errors.length > 0) {
+        showStatus(`Undid ${response.undone} changes; ${response.errors.length} failed (undo again to retry)`, 'error');
+      } else {
+        showStatus(`Undid ${response.undone} changes from the sync at ${formatDate(new Date(response.startedAt))}`, 'success');
+      }
+      loadSyncLogs(20);
+    } catch (error) {
+      showStatus('Undo failed', 'error');
+    } finally {
+      undoSyncBtn.disabled = false;
+    }
+  }
+
   // Listen for real-time sync progress updates
   chrome.storage.onChanged.addListener((changes, area) => {
     if (area !== 'local') return;
 
+    // Background syncs (periodic alarm, Canvas navigation) update lastSync while the popup is open
+    if (changes.lastSync?.newValue) {
+      lastSyncElement.textContent = formatDate(new Date(changes.lastSync.newValue));
+    }
+
+    if (changes.pending_removals) {
+      renderPendingRemovals(changes.pending_removals.newValue);
+    }
+
     if (changes.sync_progress) {
       const p = changes.sync_progress.newValue;
       if (!p || !p.active) return;
@@ -638,8 +1465,34 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
-  // Load error stats on startup
+  // Projected course grades from the last sync, computed from graded assignments
+  async function loadCourseGrades() {
+    try {
+      const data = await chrome.storage.local.get('course_grades');
+      const courses = (data.course_grades?.courses || []).filter(course => course.projectedGrade !== null && course.projectedGrade !== undefined);
+      if (courses.length === 0) {
+        gradesSection.classList.add('hidden');
+        return;
+      }
+
+      gradesContainer.innerHTML = courses.map(course => {
+        const name = escapeHtml(course.name || course.courseId || 'Unknown');
+        const title = course.weighted ? 'Weighted by assignment group' : 'Total points';
+        return `<div class="grade-entry" title="${title}">` +
+          `<span class="grade-entry-name">${name}</span>` +
+          `<span class="grade-entry-value">${escapeHtml(String(course.projectedGrade))}%</span>` +
+          `</div>`;
+      }).join('');
+      gradesSection.classList.remove('hidden');
+    } catch (error) {
+      // Non-critical
+    }
+  }
+
+  // Load error stats, grades and removals waiting for confirmation on startup
   loadErrorStats();
+  loadCourseGrades();
+  loadPendingRemovals();
 
   // Update sync status when inputs change
   notionTokenInput.addEventListener('input', updateSyncStatus);
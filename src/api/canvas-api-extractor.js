@@ -0,0 +1,1091 @@
+// Canvas API assignment extractor
+// Runs in the service worker and talks to the user's Canvas host directly,
+// so syncs work without a Canvas tab open.
+
+import '../utils/debug.js';
+const { Debug } = globalThis;
+import '../utils/error-messages.js';
+const { getUserFriendlyCanvasError } = globalThis;
+import './canvas-rate-limiter.js';
+const { CanvasRateLimiter } = globalThis;
+import '../validators/canvas-validator.js';
+const { CanvasValidator } = globalThis;
+import { sanitizeHTML } from '../utils/sanitization.js';
+import { ITEM_KINDS, toCanvasItemId } from '../utils/canvas-item-id.js';
+import { calculateProjectedGrade } from '../utils/grade-calculator.js';
+
+// Shared rate limiter so concurrent extractions draw from the same Canvas bucket
+const rateLimiter = new CanvasRateLimiter();
+
+// Planner plannable_type -> item kind and Notion "Type". Assignments and quizzes come from
+// the per-course passes, which have richer data; the planner only adds what they miss.
+const PLANNER_TYPES = {
+  assignment: { kind: ITEM_KINDS.ASSIGNMENT, itemType: 'Assignment' },
+  quiz: { kind: ITEM_KINDS.QUIZ, itemType: 'Quiz' },
+  discussion_topic: { kind: ITEM_KINDS.DISCUSSION, itemType: 'Discussion' },
+  wiki_page: { kind: ITEM_KINDS.PAGE, itemType: 'Page' },
+  planner_note: { kind: ITEM_KINDS.NOTE, itemType: 'To Do' },
+  calendar_event: { kind: ITEM_KINDS.EVENT, itemType: 'Event' },
+  assessment_request: { kind: ITEM_KINDS.PEER_REVIEW, itemType: 'Peer Review' }
+};
+
+// Kinds only the planner pass produces (plus events when the calendar pass is off)
+const PLANNER_ONLY_KINDS = [ITEM_KINDS.DISCUSSION, ITEM_KINDS.PAGE, ITEM_KINDS.NOTE, ITEM_KINDS.PEER_REVIEW, ITEM_KINDS.EVENT];
+
+// Canvas accepts at most 10 context codes per /calendar_events request
+const CALENDAR_CONTEXTS_PER_REQUEST = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses from /courses/:id/quizzes and /assignment_groups that mean the course has them
+// turned off or hidden from students, not that extraction failed
+const UNAVAILABLE_STATUSES = [401, 403, 404];
+
+export class CanvasAPIExtractor {
+  /**
+   * @param {string} canvasOrigin - Canvas instance origin, e.g. "https://school.instructure.com"
+   * @param {string} canvasToken - Canvas API access token
+   * @param {Object} [options]
+   * @param {Object} [options.calendarEvents] - { enabled, daysBack, daysAhead } from SettingsManager
+   * @param {Object} [options.planner] - { mode, daysBack, daysAhead } from SettingsManager
+   * @param {boolean} [options.reportProgress=true] - Write extraction progress to sync_progress for the popup
+   */
+  constructor(canvasOrigin, canvasToken, options = {}) {
+    this.canvasToken = canvasToken || null;
+    this.calendarEvents = options.calendarEvents || { enabled: false };
+    this.planner = options.planner || { mode: 'assignments' };
+    this.reportProgress = options.reportProgress !== false;
+    this.origin = canvasOrigin ? canvasOrigin.replace(/\/+$/, '') : null;
+    this.baseURL = this.origin ? `${this.origin}/api/v1` : null;
+    this.rateLimiter = rateLimiter;
+    this.parallelBatchSize = 3;
+    this.parallelBatchDelayMs = 500;
+    this.extractionProgressIntervalMs = 300;
+    this.lastExtractionProgressWrite = 0;
+    this.pendingExtractionProgress = null;
+    this.pendingExtractionProgressTimer = null;
+  }
+
+  extractCourseInfo(courseCode) {
+    // Extract department and number from course codes like "2257-CSC-413-02-1-1639"
+    // Pattern: Look for letters followed by digits (e.g., CSC 413)
+    const match = courseCode.match(/([A-Z]{2,4})-?(\d{3,4})/i);
+    if (match) {
+      return `${match[1]} ${match[2]}`;
+    }
+    // Fallback: return the original course code if pattern doesn't match
+    return courseCode;
+  }
+
+  async extractAssignments() {
+    if (!this.baseURL) {
+      throw new Error('Canvas instance not detected');
+    }
+
+    if (!this.canvasToken) {
+      throw new Error('Canvas API token required. Please add your Canvas API token in the extension settings.');
+    }
+
+    try {
+      const courses = await this.makeAPICall('/courses', {
+        'enrollment_state': 'active',
+        // Sections let section overrides be matched to this student;
+        // total_scores and term feed the course grade database
+        'include[]': ['sections', 'total_scores', 'term'],
+        'per_page': 100
+      }, 10);
+
+      // Get assignments from all courses
+      const activeCourseIds = courses.map(c => c.id.toString());
+      const totalCourses = courses.length;
+      await this.updateExtractionProgress({ current: 0, total: totalCourses, errorCount: 0 }, true);
+
+      const { assignments: allAssignments, extractionErrors, assignmentGroupsByCourse } = await this.processCoursesBatch(courses, {
+        batchSize: this.parallelBatchSize,
+        batchDelayMs: this.parallelBatchDelayMs,
+        onProgress: async (progress) => {
+          await this.updateExtractionProgress(progress);
+        }
+      });
+
+      // Calendar events and planner items are only complete inside their date window.
+      // coverageWindows tells the syncer, per item kind, which missing items it may treat
+      // as deleted; a kind whose pass failed or didn't run has no window.
+      const coverageWindows = {};
+      if (this.calendarEvents.enabled) {
+        try {
+          const { events, window } = await this.extractCalendarEvents(courses);
+          allAssignments.push(...events);
+          coverageWindows[ITEM_KINDS.EVENT] = window; // eslint-disable-line security/detect-object-injection -- constant key
+        } catch (error) {
+          Debug.warn('Failed to fetch Canvas calendar events:', error.message || error);
+          extractionErrors.push({
+            courseId: 'calendar',
+            courseCode: 'Calendar events',
+            error: error.message || 'Failed to fetch calendar events'
+          });
+        }
+      }
+
+      if (this.planner.mode === 'planner') {
+        try {
+          const { items, window } = await this.extractPlannerItems(courses, allAssignments);
+          allAssignments.push(...items);
+          for (const kind of PLANNER_ONLY_KINDS) {
+            coverageWindows[kind] ??= window; // eslint-disable-line security/detect-object-injection -- kind from hardcoded list
+          }
+        } catch (error) {
+          Debug.warn('Failed to fetch Canvas planner items:', error.message || error);
+          extractionErrors.push({
+            courseId: 'planner',
+            courseCode: 'Planner items',
+            error: error.message || 'Failed to fetch planner items'
+          });
+        }
+      }
+
+      await this.updateExtractionProgress({
+        current: totalCourses,
+        total: totalCourses,
+        errorCount: extractionErrors.length
+      }, true);
+
+      return {
+        assignments: allAssignments,
+        activeCourseIds: activeCourseIds,
+        extractionErrors: extractionErrors,
+        coverageWindows: coverageWindows,
+        courses: this.transformCourses(courses, assignmentGroupsByCourse, allAssignments)
+      };
+
+    } catch (error) {
+      Debug.error('API extraction failed:', error.message);
+      const friendly = getUserFriendlyCanvasError(error);
+      const friendlyError = new Error(`${friendly.title}: ${friendly.message} ${friendly.action}`);
+      friendlyError.status = error.status;
+      throw friendlyError;
+    }
+  }
+
+  /**
+   * Course records for the course grade database, with the student's scores from
+   * include[]=total_scores. Scores are null when the course hides grade totals.
+   * The projected grade is computed from the extracted records' scores, weighted
+   * by assignment group when the course uses group weights.
+   * @param {Array} courses - Canvas courses
+   * @param {Map<string, Array>} assignmentGroupsByCourse - Course ID -> { id, name, weight } groups
+   * @param {Array} records - Extracted assignment records
+   * @returns {Array} { courseId, name, courseCode, term, currentScore, finalScore, letterGrade, link,
+   *   weighted, groupWeights, projectedGrade }
+   */
+  transformCourses(courses, assignmentGroupsByCourse = new Map(), records = []) {
+    const score = value => (typeof value === 'number' && isFinite(value) ? value : null);
+
+    return (courses || []).filter(course => course?.id !== undefined && course?.id !== null).map(course => {
+      const enrollment = (course.enrollments || []).find(e => e.type === 'student' || e.type === 'StudentEnrollment') || {};
+      const hidden = course.hide_final_grades === true;
+      const courseCode = this.safeCourseCode(course);
+      const courseId = course.id.toString();
+      const groups = assignmentGroupsByCourse.get(courseId) || [];
+      const weighted = course.apply_assignment_group_weights === true;
+
+      return {
+        courseId: courseId,
+        name: course.name || courseCode,
+        courseCode: courseCode,
+        term: course.term?.name || null,
+        currentScore: hidden ? null : score(enrollment.computed_current_score),
+        finalScore: hidden ? null : score(enrollment.computed_final_score),
+        letterGrade: hidden ? null : (enrollment.computed_current_grade || null),
+        link: `${this.origin}/courses/${course.id}`,
+        weighted,
+        groupWeights: groups.map(group => ({ name: group.name, weight: group.weight })),
+        projectedGrade: hidden ? null : calculateProjectedGrade(
+          records.filter(record => record.courseId === courseId),
+          groups,
+          weighted
+        )
+      };
+    });
+  }
+
+  /**
+   * Fetch the profile of the token's owner. Used to verify the token and host.
+   * @returns {Object} Canvas user object
+   */
+  async getCurrentUser() {
+    const { data } = await this.makeSingleAPICall('/users/self');
+    return data;
+  }
+
+  /**
+   * Current user's ID, fetched at most once per extractor.
+   * @returns {string|null}
+   */
+  async getCurrentUserId() {
+    if (!this.currentUserIdPromise) {
+      this.currentUserIdPromise = this.getCurrentUser().then(user => (user?.id ? user.id.toString() : null));
+    }
+    return this.currentUserIdPromise;
+  }
+
+  safeCourseCode(course) {
+    if (typeof course?.course_code === 'string' && course.course_code.trim().length > 0) {
+      return course.course_code.trim();
+    }
+    return `Course ${course?.id ?? 'Unknown'}`;
+  }
+
+  async processCoursesBatch(courses, options = {}) {
+    const batchSize = options.batchSize || this.parallelBatchSize;
+    const batchDelayMs = options.batchDelayMs ?? this.parallelBatchDelayMs;
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+
+    const allAssignments = [];
+    const extractionErrors = [];
+    const assignmentGroupsByCourse = new Map();
+    const total = courses.length;
+    let completed = 0;
+    let errorCount = 0;
+
+    if (onProgress) {
+      try {
+        await onProgress({ current: 0, total: total, errorCount: 0 });
+      } catch (error) {
+        // Progress reporting failures are non-critical
+      }
+    }
+
+    for (let i = 0; i < courses.length; i += batchSize) {
+      const batch = courses.slice(i, i + batchSize);
+      const settled = await Promise.allSettled(batch.map(course => this.processSingleCourse(course)));
+
+      for (let j = 0; j < settled.length; j++) {
+        const settledResult = settled[j]; // eslint-disable-line security/detect-object-injection -- j bounded by settled.length in loop
+        const course = batch[j]; // eslint-disable-line security/detect-object-injection -- j bounded by batch.length in loop
+        const fallbackCourseId = course?.id ? course.id.toString() : 'unknown';
+        const fallbackCourseCode = this.safeCourseCode(course);
+
+        if (settledResult.status === 'fulfilled' && settledResult.value?.ok) {
+          if (Array.isArray(settledResult.value.assignments)) {
+            allAssignments.push(...settledResult.value.assignments);
+          }
+          assignmentGroupsByCourse.set(settledResult.value.courseId, settledResult.value.assignmentGroups || []);
+        } else {
+          errorCount++;
+          extractionErrors.push({
+            courseId: settledResult.value?.courseId || fallbackCourseId,
+            courseCode: settledResult.value?.courseCode || fallbackCourseCode,
+            error: settledResult.status === 'rejected'
+              ? (settledResult.reason?.message || String(settledResult.reason))
+              : (settledResult.value?.error || 'Failed to process course assignments')
+          });
+        }
+
+        completed++;
+        if (onProgress) {
+          try {
+            await onProgress({
+              current: completed,
+              total: total,
+              errorCount: errorCount,
+              currentCourse: fallbackCourseCode
+            });
+          } catch (error) {
+            // Progress reporting failures are non-critical
+          }
+        }
+      }
+
+      if (i + batchSize < courses.length) {
+        await this.delay(batchDelayMs);
+      }
+    }
+
+    return { assignments: allAssignments, extractionErrors: extractionErrors, assignmentGroupsByCourse };
+  }
+
+  async processSingleCourse(course) {
+    const courseId = course?.id ? course.id.toString() : 'unknown';
+    const courseCode = this.safeCourseCode(course);
+
+    try {
+      const assignments = await this.makeAPICall(`/courses/${course.id}/assignments`, {
+        'per_page': 100,
+        'order_by': 'due_at',
+        'include[]': ['submission', 'all_dates', 'overrides']
+      }, 50);
+      const quizzes = await this.fetchClassicQuizzes(course);
+      const assignmentGroups = await this.fetchAssignmentGroups(course);
+      // Individual extensions are matched by user ID; only look it up when some assignment has overrides
+      const userId = (assignments || []).some(a => Array.isArray(a?.overrides) && a.overrides.length > 0)
+        ? await this.getCurrentUserId().catch(error => {
+          Debug.warn('Could not look up the current Canvas user for overrides:', error.message || error);
+          return null;
+        })
+        : null;
+
+      const transformedAssignments = [
+        ...this.transformAssignmentsForCourse(course, assignments, quizzes, userId, assignmentGroups),
+        ...this.transformQuizzesForCourse(course, quizzes)
+      ];
+      return {
+        ok: true,
+        courseId: courseId,
+        courseCode: courseCode,
+        assignments: transformedAssignments,
+        assignmentGroups: assignmentGroups
+      };
+    } catch (error) {
+      Debug.warn(`Failed to fetch Canvas assignments for ${courseCode}:`, error.message || error);
+      return {
+        ok: false,
+        courseId: courseId,
+        courseCode: courseCode,
+        error: error.message || 'Failed to process course assignments'
+      };
+    }
+  }
+
+  /**
+   * Fetch the classic quizzes of a course. New Quizzes are not listed here;
+   * they come through the assignments endpoint flagged is_quiz_lti_assignment.
+   * @param {Object} course - Canvas course
+   * @returns {Array} Canvas quiz objects, empty when the course has quizzes turned off or hidden
+   */
+  async fetchClassicQuizzes(course) {
+    try {
+      return await this.makeAPICall(`/courses/${course.id}/quizzes`, { 'per_page': 100 }, 50);
+    } catch (error) {
+      if (UNAVAILABLE_STATUSES.includes(error.status)) {
+        Debug.log(`Quizzes not available for ${this.safeCourseCode(course)} (${error.status})`);
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a course's assignment groups (Homework, Exams, ...) with their grade weights.
+   * @param {Object} course - Canvas course
+   * @returns {Array} { id, name, weight } - empty when the course hides them
+   */
+  async fetchAssignmentGroups(course) {
+    try {
+      const groups = await this.makeAPICall(`/courses/${course.id}/assignment_groups`, { 'per_page': 100 }, 10);
+      return (groups || [])
+        .filter(group => group?.id !== undefined && group?.id !== null)
+        .map(group => ({
+          id: group.id.toString(),
+          name: typeof group.name === 'string' && group.name.trim() ? group.name.trim() : null,
+          weight: typeof group.group_weight === 'number' && isFinite(group.group_weight) ? group.group_weight : 0
+        }));
+    } catch (error) {
+      if (UNAVAILABLE_STATUSES.includes(error.status)) {
+        Debug.log(`Assignment groups not available for ${this.safeCourseCode(course)} (${error.status})`);
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  transformAssignmentsForCourse(course, assignments, quizzes = [], userId = null, assignmentGroups = []) {
+    const transformedAssignments = [];
+    const courseCode = this.safeCourseCode(course);
+    const courseId = course?.id ? course.id.toString() : 'unknown';
+    const quizzesById = new Map((quizzes || []).map(quiz => [String(quiz?.id), quiz]));
+    const groupsById = new Map((assignmentGroups || []).map(group => [group.id, group]));
+
+    for (const assignment of assignments || []) {
+      // Validate Canvas assignment data
+      const { valid, validated, warnings } = CanvasValidator.validateAssignment(assignment);
+      if (!valid) {
+        continue; // Skip entirely invalid assignments
+      }
+      if (warnings.length > 0) {
+        Debug.warn(`Canvas validation warnings for assignment ${validated.id}:`, warnings);
+      }
+
+      let grade = null;
+      let score = null;
+      let gradePercent = null;
+      let submissionStatus = 'Not Started';
+
+      // Get submission data if available (included via ?include=submission)
+      if (validated.submission) {
+        const submission = validated.submission;
+        if (submission.grade) {
+          grade = submission.grade;
+        }
+        // A score of 0 is a grade too
+        if (typeof submission.score === 'number' && isFinite(submission.score)) {
+          score = submission.score;
+          if (validated.points_possible) {
+            gradePercent = Math.round((score / validated.points_possible) * 100);
+          }
+        }
+        submissionStatus = this.getSubmissionStatus(submission);
+      }
+
+      const dates = this.resolveEffectiveDates(validated, course, userId);
+
+      transformedAssignments.push({
+        title: validated.name,
+        course: this.extractCourseInfo(courseCode),
+        courseCode: courseCode,
+        courseId: courseId,
+        dueDate: dates.dueAt,
+        unlockDate: dates.unlockAt,
+        lockDate: dates.lockAt,
+        points: validated.points_possible,
+        canvasId: validated.id.toString(),
+        link: validated.html_url,
+        status: this.withLockedStatus(submissionStatus, dates.lockAt),
+        type: validated.submission_types?.join(', ') || 'Assignment',
+        description: sanitizeHTML(validated.description),
+        grade: grade,
+        score: score,
+        gradePercent: gradePercent,
+        source: 'canvas_api',
+        assignmentGroupId: validated.assignment_group_id != null ? String(validated.assignment_group_id) : null,
+        category: groupsById.get(String(validated.assignment_group_id))?.name || null,
+        rubric: this.getRubric(validated),
+        ...this.getQuizFields(validated, quizzesById)
+      });
+    }
+
+    return transformedAssignments;
+  }
+
+  /**
+   * Resolve the due, unlock and lock dates that apply to the current user.
+   * Overrides for the user (individual extensions) or one of their sections win over
+   * the base dates; when several apply, Canvas uses the latest due date. all_dates as
+   * seen by a student only lists the dates that apply to them.
+   * @param {Object} assignment - Validated Canvas assignment (with all_dates/overrides included)
+   * @param {Object} course - Canvas course (with sections included)
+   * @param {string|null} userId - Current user's ID, for matching individual overrides
+   * @returns {Object} { dueAt, unlockAt, lockAt }
+   */
+  resolveEffectiveDates(assignment, course, userId = null) {
+    const sectionIds = new Set((course?.sections || []).map(section => String(section.id)));
+    const candidates = [];
+
+    for (const override of Array.isArray(assignment.overrides) ? assignment.overrides : []) {
+      const forUser = userId && (override.student_ids || []).map(String).includes(userId);
+      const forSection = override.course_section_id !== undefined && sectionIds.has(String(override.course_section_id));
+      if (forUser || forSection) {
+        candidates.push(override);
+      }
+    }
+
+    const allDates = Array.isArray(assignment.all_dates) ? assignment.all_dates : [];
+    for (const date of allDates) {
+      if (date.base) continue;
+      // Section dates can be checked; other sets are only listed for students they apply to
+      if (date.set_type === 'CourseSection' && sectionIds.size > 0 && !sectionIds.has(String(date.set_id))) continue;
+      candidates.push(date);
+    }
+
+    let effective = null;
+    if (candidates.length > 0) {
+      // No due date counts as the latest
+      effective = candidates.reduce((latest, candidate) => {
+        if (!latest.due_at) return latest;
+        if (!candidate.due_at) return candidate;
+        return new Date(candidate.due_at) > new Date(latest.due_at) ? candidate : latest;
+      });
+    } else {
+      effective = allDates.find(date => date.base) || assignment;
+    }
+
+    return {
+      dueAt: this.validDateOrNull(effective.due_at),
+      unlockAt: this.validDateOrNull(effective.unlock_at),
+      lockAt: this.validDateOrNull(effective.lock_at)
+    };
+  }
+
+  validDateOrNull(value) {
+    return typeof value === 'string' && !isNaN(new Date(value).getTime()) ? value : null;
+  }
+
+  /**
+   * Normalize an assignment's rubric for rendering into the Notion page.
+   * @param {Object} assignment - Validated Canvas assignment
+   * @returns {Object|null} { title, pointsPossible, hidePoints, criteria: [{ description, longDescription, points, ratings }] }
+   */
+  getRubric(assignment) {
+    if (!Array.isArray(assignment.rubric) || assignment.rubric.length === 0) {
+      return null;
+    }
+
+    const settings = assignment.rubric_settings || {};
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const points = value => (typeof value === 'number' && !isNaN(value) ? value : null);
+
+    return {
+      title: text(settings.title) || null,
+      pointsPossible: points(settings.points_possible),
+      hidePoints: Boolean(settings.hide_points),
+      criteria: assignment.rubric.map(criterion => ({
+        description: text(criterion.description),
+        longDescription: text(criterion.long_description),
+        points: points(criterion.points),
+        ratings: (Array.isArray(criterion.ratings) ? criterion.ratings : []).map(rating => ({
+          description: text(rating.description),
+          longDescription: text(rating.long_description),
+          points: points(rating.points)
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Item type and quiz metadata for an assignment. Graded classic quizzes are
+   * assignments with a quiz_id; New Quizzes are flagged is_quiz_lti_assignment
+   * and only expose allowed_attempts on the assignment itself.
+   * @param {Object} assignment - Validated Canvas assignment
+   * @param {Map<string, Object>} quizzesById - Classic quizzes of the course
+   * @returns {Object} { itemType, timeLimit, allowedAttempts, questionCount }
+   */
+  getQuizFields(assignment, quizzesById) {
+    const isClassicQuiz = assignment.quiz_id !== null && assignment.quiz_id !== undefined;
+    const isNewQuiz = assignment.is_quiz_lti_assignment === true;
+
+    if (!isClassicQuiz && !isNewQuiz) {
+      return { itemType: 'Assignment', timeLimit: null, allowedAttempts: null, questionCount: null };
+    }
+
+    const quiz = isClassicQuiz ? quizzesById.get(String(assignment.quiz_id)) : null;
+    if (quiz) {
+      const { validated } = CanvasValidator.validateQuiz(quiz);
+      return this.quizMetadata(validated);
+    }
+
+    return this.quizMetadata({ allowed_attempts: assignment.allowed_attempts ?? null });
+  }
+
+  quizMetadata(quiz) {
+    return {
+      itemType: 'Quiz',
+      timeLimit: quiz.time_limit ?? null,
+      // -1 means unlimited attempts in Canvas; leave the number empty
+      allowedAttempts: quiz.allowed_attempts > 0 ? quiz.allowed_attempts : null,
+      questionCount: quiz.question_count ?? null
+    };
+  }
+
+  /**
+   * Turn classic quizzes that have no assignment (practice quizzes, ungraded
+   * surveys) into assignment-shaped records. Graded quizzes are already covered
+   * by their assignment.
+   * @param {Object} course - Canvas course
+   * @param {Array} quizzes - Canvas quiz objects
+   * @returns {Array} Assignment-shaped quiz records
+   */
+  transformQuizzesForCourse(course, quizzes) {
+    const transformedQuizzes = [];
+    const courseCode = this.safeCourseCode(course);
+    const courseId = course?.id ? course.id.toString() : 'unknown';
+
+    for (const quiz of quizzes || []) {
+      const { valid, validated, warnings } = CanvasValidator.validateQuiz(quiz);
+      if (!valid || validated.assignment_id) {
+        continue;
+      }
+      if (warnings.length > 0) {
+        Debug.warn(`Canvas validation warnings for quiz ${validated.id}:`, warnings);
+      }
+
+      transformedQuizzes.push({
+        title: validated.title,
+        course: this.extractCourseInfo(courseCode),
+        courseCode: courseCode,
+        courseId: courseId,
+        dueDate: validated.due_at ?? null,
+        unlockDate: this.validDateOrNull(validated.unlock_at),
+        lockDate: this.validDateOrNull(validated.lock_at),
+        points: validated.points_possible ?? null,
+        canvasId: toCanvasItemId(ITEM_KINDS.QUIZ, validated.id),
+        link: validated.html_url,
+        status: this.withLockedStatus('Not Started', validated.lock_at),
+        type: validated.quiz_type || 'Quiz',
+        description: sanitizeHTML(validated.description),
+        grade: null,
+        gradePercent: null,
+        source: 'canvas_api',
+        ...this.quizMetadata(validated)
+      });
+    }
+
+    return transformedQuizzes;
+  }
+
+  /**
+   * Fetch calendar events (exams, review sessions, office hours) of the given
+   * courses inside the configured window, plus the user's own appointment reservations.
+   * @param {Array} courses - Active Canvas courses
+   * @returns {Object} { events, window } - window is { start, end } as ISO strings
+   */
+  async extractCalendarEvents(courses) {
+    const now = Date.now();
+    const window = {
+      start: new Date(now - this.calendarEvents.daysBack * DAY_MS).toISOString(),
+      end: new Date(now + this.calendarEvents.daysAhead * DAY_MS).toISOString()
+    };
+
+    const coursesByContext = new Map(courses.map(course => [`course_${course.id}`, course]));
+    // Appointment reservations live on the student's own calendar
+    const userId = await this.getCurrentUserId();
+    const contextCodes = [...coursesByContext.keys()];
+    if (userId) {
+      contextCodes.push(`user_${userId}`);
+    }
+
+    const rawEvents = [];
+    for (let i = 0; i < contextCodes.length; i += CALENDAR_CONTEXTS_PER_REQUEST) {
+      const events = await this.makeAPICall('/calendar_events', {
+        'type': 'event',
+        'context_codes[]': contextCodes.slice(i, i + CALENDAR_CONTEXTS_PER_REQUEST),
+        'start_date': window.start,
+        'end_date': window.end,
+        'per_page': 100
+      }, 50);
+      rawEvents.push(...events);
+    }
+
+    return { events: this.transformCalendarEvents(rawEvents, coursesByContext), window };
+  }
+
+  /**
+   * Turn Canvas calendar events into assignment-shaped records.
+   * Skips deleted and hidden events, appointment slots the user hasn't reserved,
+   * and reservation copies whose parent slot is already included.
+   * @param {Array} events - Canvas calendar event objects
+   * @param {Map<string, Object>} coursesByContext - "course_<id>" -> Canvas course
+   * @returns {Array} Assignment-shaped event records
+   */
+  transformCalendarEvents(events, coursesByContext) {
+    const byId = new Map();
+
+    for (const event of events || []) {
+      const { valid, validated, warnings } = CanvasValidator.validateCalendarEvent(event);
+      if (!valid || byId.has(String(validated.id))) {
+        continue;
+      }
+      if (validated.workflow_state === 'deleted' || validated.hidden === true) {
+        continue;
+      }
+      if (validated.appointment_group_id && validated.reserved === false) {
+        continue; // Open office hours slot, not booked by this user
+      }
+      if (warnings.length > 0) {
+        Debug.warn(`Canvas validation warnings for calendar event ${validated.id}:`, warnings);
+      }
+      byId.set(String(validated.id), validated);
+    }
+
+    const transformedEvents = [];
+    for (const event of byId.values()) {
+      if (event.parent_event_id && byId.has(String(event.parent_event_id))) {
+        continue;
+      }
+
+      // effective_context_code lists every course of an appointment group
+      const contextCode = (event.effective_context_code || event.context_code || '')
+        .split(',')
+        .map(code => code.trim())
+        .find(code => coursesByContext.has(code));
+      const course = contextCode ? coursesByContext.get(contextCode) : null;
+      const courseCode = course ? this.safeCourseCode(course) : null;
+      const isAppointment = Boolean(event.appointment_group_id);
+
+      transformedEvents.push({
+        title: event.title,
+        course: courseCode ? this.extractCourseInfo(courseCode) : null,
+        courseCode: courseCode,
+        courseId: course ? course.id.toString() : null,
+        dueDate: event.all_day && event.all_day_date ? event.all_day_date : event.start_at,
+        endDate: event.all_day ? null : (event.end_at !== event.start_at ? event.end_at : null),
+        location: [event.location_name, event.location_address].filter(Boolean).join(', ') || null,
+        points: null,
+        canvasId: toCanvasItemId(ITEM_KINDS.EVENT, event.id),
+        link: event.html_url,
+        status: null,
+        type: isAppointment ? 'appointment' : 'calendar_event',
+        description: sanitizeHTML(event.description),
+        grade: null,
+        gradePercent: null,
+        source: 'canvas_api',
+        itemType: isAppointment ? 'Office Hours' : 'Event',
+        timeLimit: null,
+        allowedAttempts: null,
+        questionCount: null
+      });
+    }
+
+    return transformedEvents;
+  }
+
+  /**
+   * Fetch the student's To-Do list from the Planner API inside the planner window.
+   * @param {Array} courses - Active Canvas courses
+   * @param {Array} records - Records already extracted, used to skip items they cover
+   * @returns {Object} { items, window } - window is { start, end } as ISO strings
+   */
+  async extractPlannerItems(courses, records) {
+    const now = Date.now();
+    const window = {
+      start: new Date(now - this.planner.daysBack * DAY_MS).toISOString(),
+      end: new Date(now + this.planner.daysAhead * DAY_MS).toISOString()
+    };
+
+    const plannerItems = await this.makeAPICall('/planner/items', {
+      'start_date': window.start,
+      'end_date': window.end,
+      'per_page': 100
+    }, 50);
+
+    const coursesById = new Map(courses.map(course => [course.id.toString(), course]));
+    return { items: this.transformPlannerItems(plannerItems, coursesById, records), window };
+  }
+
+  /**
+   * Turn planner items into assignment-shaped records, deduplicated by plannable ID
+   * against the records from the assignment, quiz and calendar passes.
+   * @param {Array} plannerItems - Canvas planner item objects
+   * @param {Map<string, Object>} coursesById - Course ID -> Canvas course
+   * @param {Array} records - Records already extracted
+   * @returns {Array} Assignment-shaped planner records
+   */
+  transformPlannerItems(plannerItems, coursesById, records) {
+    const existingIds = new Set(records.map(record => record.canvasId));
+    const transformedItems = [];
+
+    for (const item of plannerItems || []) {
+      const mapping = item && Object.prototype.hasOwnProperty.call(PLANNER_TYPES, item.plannable_type)
+        ? PLANNER_TYPES[item.plannable_type] // eslint-disable-line security/detect-object-injection -- own-property check above
+        : null;
+      if (!mapping || item.plannable_id === null || item.plannable_id === undefined) {
+        Debug.log(`Skipping planner item of type ${item?.plannable_type}`);
+        continue;
+      }
+
+      const plannable = item.plannable || {};
+      const canvasId = toCanvasItemId(mapping.kind, item.plannable_id);
+      // Graded quizzes and discussions are synced under their assignment's ID
+      const assignmentId = plannable.assignment_id ? toCanvasItemId(ITEM_KINDS.ASSIGNMENT, plannable.assignment_id) : null;
+      if (existingIds.has(canvasId) || (assignmentId && existingIds.has(assignmentId))) {
+        continue;
+      }
+      if (mapping.kind === ITEM_KINDS.ASSIGNMENT || mapping.kind === ITEM_KINDS.QUIZ) {
+        continue; // Not in an active course's assignment list; the course passes are authoritative
+      }
+      existingIds.add(canvasId);
+
+      const courseId = item.course_id ?? plannable.course_id ?? null;
+      const course = courseId !== null ? coursesById.get(courseId.toString()) : null;
+      const courseCode = course ? this.safeCourseCode(course) : null;
+
+      transformedItems.push({
+        title: plannable.title || plannable.name || `${mapping.itemType} ${item.plannable_id}`,
+        course: courseCode ? this.extractCourseInfo(courseCode) : null,
+        courseCode: courseCode,
+        courseId: course ? course.id.toString() : null,
+        dueDate: item.plannable_date || plannable.todo_date || plannable.due_at || null,
+        points: plannable.points_possible ?? null,
+        canvasId: canvasId,
+        link: this.absoluteCanvasUrl(item.html_url),
+        status: this.getPlannerStatus(item),
+        type: item.plannable_type,
+        description: sanitizeHTML(plannable.details || ''),
+        grade: null,
+        gradePercent: null,
+        source: 'canvas_planner',
+        itemType: mapping.itemType,
+        timeLimit: null,
+        allowedAttempts: null,
+        questionCount: null
+      });
+    }
+
+    return transformedItems;
+  }
+
+  /**
+   * Status of a planner item: a to-do the student checked off is "Completed",
+   * otherwise the submission state if the item takes submissions.
+   */
+  getPlannerStatus(item) {
+    if (item.planner_override?.marked_complete) {
+      return 'Completed';
+    }
+    if (item.submissions) {
+      if (item.submissions.graded) return 'Graded';
+      if (item.submissions.submitted) return 'Submitted';
+      if (item.submissions.missing) return 'Late';
+    }
+    return 'Not Started';
+  }
+
+  /**
+   * The student's planner overrides (items marked complete or dismissed).
+   * @returns {Array<Object>} Canvas planner override objects
+   */
+  async listPlannerOverrides() {
+    return this.makeAPICall('/planner/overrides', { 'per_page': 100 }, 50);
+  }
+
+  /**
+   * Mark a planner item complete or dismissed, updating the item's override when it has one.
+   * @param {string} plannableType - e.g. "assignment", "discussion_topic"
+   * @param {string|number} plannableId - Canvas object ID
+   * @param {Object} state - { marked_complete, dismissed }
+   * @param {string|number} [overrideId] - ID of the item's existing override
+   * @returns {Object} The planner override
+   */
+  async setPlannerOverride(plannableType, plannableId, state, overrideId = null) {
+    if (overrideId) {
+      return this.makeWriteAPICall('PUT', `/planner/overrides/${overrideId}`, state);
+    }
+    return this.makeWriteAPICall('POST', '/planner/overrides', {
+      plannable_type: plannableType,
+      plannable_id: plannableId,
+      ...state
+    });
+  }
+
+  /**
+   * Create a planner note (a personal to-do) on the student's Canvas account.
+   * @param {Object} note - { title, details, todo_date, course_id }
+   * @returns {Object} The planner note
+   */
+  async createPlannerNote(note) {
+    return this.makeWriteAPICall('POST', '/planner_notes', note);
+  }
+
+  /**
+   * Update a planner note.
+   * @param {string|number} noteId - Canvas planner note ID
+   * @param {Object} note - { title, details, todo_date, course_id }
+   * @returns {Object} The planner note
+   */
+  async updatePlannerNote(noteId, note) {
+    return this.makeWriteAPICall('PUT', `/planner_notes/${noteId}`, note);
+  }
+
+  // Planner html_url values are paths relative to the Canvas host
+  absoluteCanvasUrl(url) {
+    if (!url) return null;
+    try {
+      return new URL(url, this.origin).toString();
+    } catch {
+      return null;
+    }
+  }
+
+  buildExtractionProgressPayload(state) {
+    const payload = {
+      active: true,
+      phase: 'extracting',
+      current: state.current || 0,
+      total: state.total || 0,
+      errorCount: state.errorCount || 0
+    };
+
+    if (state.currentCourse) {
+      payload.currentTitle = state.currentCourse;
+    }
+
+    return payload;
+  }
+
+  async updateExtractionProgress(state, force = false) {
+    if (!this.reportProgress || !chrome?.storage?.local?.set) {
+      return;
+    }
+
+    const payload = this.buildExtractionProgressPayload(state);
+    const now = Date.now();
+    const elapsed = now - this.lastExtractionProgressWrite;
+    const shouldWriteNow = force || elapsed >= this.extractionProgressIntervalMs;
+
+    if (shouldWriteNow) {
+      if (this.pendingExtractionProgressTimer) {
+        clearTimeout(this.pendingExtractionProgressTimer);
+        this.pendingExtractionProgressTimer = null;
+      }
+      this.pendingExtractionProgress = null;
+      try {
+        await chrome.storage.local.set({ sync_progress: payload });
+        this.lastExtractionProgressWrite = Date.now();
+      } catch (error) {
+        // Progress reporting failures are non-critical
+      }
+      return;
+    }
+
+    this.pendingExtractionProgress = payload;
+    if (!this.pendingExtractionProgressTimer) {
+      const waitMs = this.extractionProgressIntervalMs - elapsed;
+      this.pendingExtractionProgressTimer = setTimeout(() => {
+        this.pendingExtractionProgressTimer = null;
+        const pendingPayload = this.pendingExtractionProgress;
+        this.pendingExtractionProgress = null;
+        if (pendingPayload) {
+          chrome.storage.local.set({ sync_progress: pendingPayload })
+            .then(() => {
+              this.lastExtractionProgressWrite = Date.now();
+            })
+            .catch(() => {
+              // Progress reporting failures are non-critical
+            });
+        }
+      }, Math.max(0, waitMs));
+    }
+  }
+
+  async delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  parseLinkHeader(linkHeader) {
+    if (!linkHeader) return {};
+    const links = {};
+    const parts = linkHeader.split(',');
+    for (const part of parts) {
+      const match = part.match(/<([^>]+)>;\s*rel="([^"]+)"/);
+      if (match) {
+        links[match[2]] = match[1];
+      }
+    }
+    return links;
+  }
+
+  async makeSingleAPICall(endpoint, params = {}) {
+    return this.rateLimiter.execute(async () => {
+      const url = new URL(this.baseURL + endpoint);
+
+      Object.keys(params).forEach(key => {
+        const value = params[key]; // eslint-disable-line security/detect-object-injection -- key from Object.keys()
+        // Array params such as context_codes[] repeat the key once per value
+        (Array.isArray(value) ? value : [value]).forEach(item => url.searchParams.append(key, item));
+      });
+
+      return await this._fetchWithHeaders(url.toString());
+    });
+  }
+
+  async makeSingleAPICallByURL(fullUrl) {
+    return this.rateLimiter.execute(async () => {
+      return await this._fetchWithHeaders(fullUrl);
+    });
+  }
+
+  /**
+   * Send a write request (POST, PUT) with a JSON body.
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Path under /api/v1
+   * @param {Object} body - Request parameters
+   * @returns {Object} Parsed response body
+   */
+  async makeWriteAPICall(method, endpoint, body) {
+    return this.rateLimiter.execute(async () => {
+      const { data } = await this._fetchWithHeaders(this.baseURL + endpoint, { method, body });
+      return data;
+    });
+  }
+
+  async _fetchWithHeaders(urlString, { method = 'GET', body = null } = {}) {
+    const response = await fetch(urlString, {
+      method,
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.canvasToken}`
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+      // Token auth only; never send the user's Canvas session cookies
+      credentials: 'omit'
+    });
+
+    // Update rate limiter bucket from response headers
+    this.rateLimiter.updateFromHeaders(response.headers);
+
+    if (response.status === 403) {
+      const errorText = await response.text();
+      const error = new Error(`Canvas API error: 403 Forbidden - ${errorText}`);
+      error.status = 403;
+      throw error;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Canvas API error: ${response.status} ${response.statusText} - ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    const linkHeader = response.headers.get('Link');
+    return { data, links: this.parseLinkHeader(linkHeader) };
+  }
+
+  async makeAPICall(endpoint, params = {}, maxPages = 10) {
+    let allResults = [];
+
+    // First page
+    let result = await this.makeSingleAPICall(endpoint, params);
+    allResults = allResults.concat(result.data);
+    let pageCount = 1;
+
+    // Follow "next" links for subsequent pages
+    while (result.links.next && pageCount < maxPages) {
+      result = await this.makeSingleAPICallByURL(result.links.next);
+      allResults = allResults.concat(result.data);
+      pageCount++;
+    }
+
+    return allResults;
+  }
+
+  /**
+   * Unsubmitted work becomes "Locked" once its availability window has closed,
+   * since it can no longer be turned in.
+   * @param {string} status - Submission status
+   * @param {string|null} lockDate - ISO lock date
+   * @param {number} now - Current time in ms
+   * @returns {string} Status to sync
+   */
+  withLockedStatus(status, lockDate, now = Date.now()) {
+    if (!lockDate || (status !== 'Not Started' && status !== 'Late')) {
+      return status;
+    }
+    const lockTime = new Date(lockDate).getTime();
+    return !isNaN(lockTime) && lockTime <= now ? 'Locked' : status;
+  }
+
+  getSubmissionStatus(submission) {
+    if (!submission) return 'Not Started';
+
+    switch (submission.workflow_state) {
+      case 'submitted':
+        if (submission.grade) {
+          return 'Graded';
+        }
+        return 'Submitted';
+      case 'graded':
+        return 'Graded';
+      case 'pending_review':
+        return 'Pending Review';
+      case 'unsubmitted':
+        if (submission.late) {
+          return 'Late';
+        }
+        return 'Not Started';
+      default:
+        return 'Not Started';
+    }
+  }
+}
@@ -5,6 +5,33 @@ const { Debug } = globalThis;
 // Create a shared rate limiter instance
 const rateLimiter = new NotionRateLimiter();
 
+/**
+ * Pick the data source a database syncs with: the one chosen in the settings, else the first.
+ * @param {Object} database - Database object from getDatabase
+ * @param {string} [dataSourceId] - Data source chosen in the settings
+ * @returns {string} Data source ID
+ */
+export function chooseDataSource(database, dataSourceId = null) {
+  const dataSources = database.data_sources || [];
+  if (dataSources.length === 0) {
+    throw new Error('No data sources found in database');
+  }
+
+  if (dataSourceId) {
+    const wanted = dataSourceId.replace(/-/g, '');
+    const chosen = dataSources.find(dataSource => dataSource.id.replace(/-/g, '') === wanted);
+    if (!chosen) {
+      throw new Error('The data source chosen in settings is no longer in this database. Choose one again in the extension settings.');
+    }
+    return chosen.id;
+  }
+
+  if (dataSources.length > 1) {
+    Debug.warn(`Database has ${dataSources.length} data sources and none is chosen in settings; using "${dataSources[0].name || dataSources[0].id}"`);
+  }
+  return dataSources[0].id;
+}
+
 // Notion API Integration - Updated for new API structure
 export class NotionAPI {
   constructor(token) {
@@ -47,6 +74,65 @@ export class NotionAPI {
     return await rateLimiter.execute(() => this.executeWithRetry(requestFunction, 'getDatabase'));
   }
 
+  // Get data source schema (property names and types)
+  async getDataSource(dataSourceId) {
+    const requestFunction = async () => {
+      const response = await fetch(`${this.baseURL}/data_sources/${dataSourceId}`, {
+        method: 'GET',
+        headers: this.headers
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Notion API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+
+        if (response.status === 429) {
+          const retryAfter = response.headers.get('Retry-After');
+          if (retryAfter) {
+            error.retryAfter = parseInt(retryAfter) * 1000;
+          }
+        }
+
+        throw error;
+      }
+
+      return await response.json();
+    };
+
+    return await rateLimiter.execute(() => this.executeWithRetry(requestFunction, 'getDataSource'));
+  }
+
+  // Add or change data source properties (schema update)
+  async updateDataSource(dataSourceId, properties) {
+    const requestFunction = async () => {
+      const response = await fetch(`${this.baseURL}/data_sources/${dataSourceId}`, {
+        method: 'PATCH',
+        headers: this.headers,
+        body: JSON.stringify({ properties })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Notion API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+
+        if (response.status === 429) {
+          const retryAfter = response.headers.get('Retry-After');
+          if (retryAfter) {
+            error.retryAfter = parseInt(retryAfter) * 1000;
+          }
+        }
+
+        throw error;
+      }
+
+      return await response.json();
+    };
+
+    return await rateLimiter.execute(() => this.executeWithRetry(requestFunction, 'updateDataSource'));
+  }
+
   // Query data source (not database directly)
   async queryDataSource(dataSourceId, filters = {}, options = {}) {
     const requestFunction = async () => {
@@ -189,6 +275,240 @@ export class NotionAPI {
     return await rateLimiter.execute(() => this.executeWithRetry(requestFunction, 'updatePage'));
   }
 
+  // Move a page into another data source; its content and the properties the data source has carry over
+  async movePage(pageId, dataSourceId) {
+    const requestFunction = async () => {
+      const response = await fetch(`${this.baseURL}/pages/${pageId}/move`, {
+        method: 'POST',
+        headers: this.headers,
+        body: JSON.stringify({
+          parent: { type: "data_source_id", data_source_id: dataSourceId }
+        })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Notion API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+
+        if (response.status === 429) {
+          const retryAfter = response.headers.get('Retry-After');
+          if (retryAfter) {
+            error.retryAfter = parseInt(retryAfter) * 1000;
+          }
+        }
+
+        throw error;
+      }
+
+      return await response.json();
+    };
+
+    return await rateLimiter.execute(() => this.executeWithRetry(requestFunction, 'movePage'));
+  }
+
+  // List the child blocks of a page or block (one page of results)
+  async getBlockChildren(blockId, options = {}) {
+    const requestFunction = async () => {
+      const params = new URLSearchParams();
+      if (options.start_cursor) {
+        params.set('start_cursor', options.start_cursor);
+      }
+      if (options.page_size) {
+        params.set('page_size', options.page_size);
+      }
+      const query = params.toString() ? `?${params.toString()}` : '';
+
+      const response = await fetch(`${this.baseURL}/blocks/${blockId}/children${query}`, {
+        method: 'GET',
+        headers: this.headers
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Notion API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+
+        if (response.status === 429) {
+          const retryAfter = response.headers.get('Retry-After');
+          if (retryAfter) {
+            error.retryAfter = parseInt(retryAfter) * 1000;
+          }
+        }
+
+        throw error;
+      }
+
+      return await response.json();
+    };
+
+    return await rateLimiter.execute(() => this.executeWithRetry(requestFunction, 'getBlockChildren'));
+  }
+
+  // Append blocks to the end of a page or block (max 100 per request)
+  async appendBlockChildren(blockId, children) {
+    const requestFunction = async () => {
+      const response = await fetch(`${this.baseURL}/blocks/${blockId}/children`, {
+        method: 'PATCH',
+        headers: this.headers,
+        body: JSON.stringify({ children: children })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Notion API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+
+        if (response.status === 429) {
+          const retryAfter = response.headers.get('Retry-After');
+          if (retryAfter) {
+            error.retryAfter = parseInt(retryAfter) * 1000;
+          }
+        }
+
+        throw error;
+      }
+
+      return await response.json();
+    };
+
+    return await rateLimiter.execute(() => this.executeWithRetry(requestFunction, 'appendBlockChildren'));
+  }
+
+  // Delete (archive) a block
+  async deleteBlock(blockId) {
+    const requestFunction = async () => {
+      const response = await fetch(`${this.baseURL}/blocks/${blockId}`, {
+        method: 'DELETE',
+        headers: this.headers
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Notion API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+
+        if (response.status === 429) {
+          const retryAfter = response.headers.get('Retry-After');
+          if (retryAfter) {
+            error.retryAfter = parseInt(retryAfter) * 1000;
+          }
+        }
+
+        throw error;
+      }
+
+      return await response.json();
+    };
+
+    return await rateLimiter.execute(() => this.executeWithRetry(requestFunction, 'deleteBlock'));
+  }
+
+  // Search pages and databases shared with the integration
+  async search(query = '', options = {}) {
+    const requestFunction = async () => {
+      const body = {};
+      if (query) {
+        body.query = query;
+      }
+      if (options.filter) {
+        body.filter = options.filter;
+      }
+      if (options.start_cursor) {
+        body.start_cursor = options.start_cursor;
+      }
+      if (options.page_size) {
+        body.page_size = options.page_size;
+      }
+
+      const response = await fetch(`${this.baseURL}/search`, {
+        method: 'POST',
+        headers: this.headers,
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Notion API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+
+        if (response.status === 429) {
+          const retryAfter = response.headers.get('Retry-After');
+          if (retryAfter) {
+            error.retryAfter = parseInt(retryAfter) * 1000;
+          }
+        }
+
+        throw error;
+      }
+
+      return await response.json();
+    };
+
+    return await rateLimiter.execute(() => this.executeWithRetry(requestFunction, 'search'));
+  }
+
+  // Create a database under a page, with its first data source's properties
+  async createDatabase(parentPageId, title, properties) {
+    const requestFunction = async () => {
+      const response = await fetch(`${this.baseURL}/databases`, {
+        method: 'POST',
+        headers: this.headers,
+        body: JSON.stringify({
+          parent: { type: 'page_id', page_id: parentPageId },
+          title: [{ type: 'text', text: { content: title } }],
+          initial_data_source: { properties }
+        })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Notion API error: ${response.status} - ${errorText}`);
+        error.status = response.status;
+
+        if (response.status === 429) {
+          const retryAfter = response.headers.get('Retry-After');
+          if (retryAfter) {
+            error.retryAfter = parseInt(retryAfter) * 1000;
+          }
+        }
+
+        throw error;
+      }
+
+      return await response.json();
+    };
+
+    return await rateLimiter.execute(() => this.executeWithRetry(requestFunction, 'createDatabase'));
+  }
+
+  /**
+   * Replace a set of blocks in a page: delete the old ones, then append the new ones
+   * at the end of the page. Old blocks that are already gone (deleted by the user) are skipped.
+   * @param {string} parentId - Page or block the new blocks go under
+   * @param {Array<string>} oldBlockIds - Blocks to remove
+   * @param {Array<Object>} children - Blocks to append (may be empty)
+   * @returns {Array<Object>} The appended top-level blocks
+   */
+  async replaceBlocks(parentId, oldBlockIds, children) {
+    for (const blockId of oldBlockIds) {
+      try {
+        await this.deleteBlock(blockId);
+      } catch (error) {
+        if (error.status !== 404 && !(error.status === 400 && error.message.includes('archived'))) {
+          throw error;
+        }
+      }
+    }
+
+    if (children.length === 0) {
+      return [];
+    }
+
+    const result = await this.appendBlockChildren(parentId, children);
+    return result.results || [];
+  }
+
   // Retry logic for 409 conflicts, 429 rate limits, and server errors
   async executeWithRetry(requestFunction, operationType, maxRetries = 5) {
     let lastError;
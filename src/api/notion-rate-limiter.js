@@ -11,11 +11,14 @@ export class NotionRateLimiter {
     this.averageRequestsPerSecond = 3; // Sustained average per Notion API guidelines
     this.burstWindow = 1000; // 1 second sliding window
     this.averageWindow = 10000; // 10 second window for average rate enforcement
+    this.maxConcurrent = 3; // Requests in flight at once; the windows above still cap how many start
+    this.inFlight = 0;
+    this.pausedUntil = 0; // Set by a 429 so queued requests wait out the backoff
   }
 
   async execute(requestFunction) {
     return new Promise((resolve, reject) => {
-      this.requestQueue.push({ requestFunction, resolve, reject });
+      this.requestQueue.push({ requestFunction, resolve, reject, attempt: 0 });
       this.processQueue();
     });
   }
@@ -38,6 +41,12 @@ export class NotionRateLimiter {
       let canMakeRequest = true;
       let delay = 0;
       
+      // Wait out a 429 backoff before sending anything else
+      if (now < this.pausedUntil) {
+        delay = this.pausedUntil - now;
+        canMakeRequest = false;
+      }
+      
       // Check burst limit (5 req/sec)
       if (recentRequests.length >= this.maxRequestsPerSecond) {
         delay = Math.max(delay, this.burstWindow - (now - recentRequests[0]));
@@ -51,48 +60,62 @@ export class NotionRateLimiter {
         canMakeRequest = false;
       }
       
+      // Check concurrency; a finishing request frees the slot, so poll for it
+      if (this.inFlight >= this.maxConcurrent) {
+        delay = Math.max(delay, 20);
+        canMakeRequest = false;
+      }
+      
       if (!canMakeRequest && delay > 0) {
         await this.delay(Math.min(delay, 20)); // Much shorter delay cap
         continue;
       }
       
-      const { requestFunction, resolve, reject } = this.requestQueue.shift();
-      
-      try {
-        const result = await requestFunction();
-        this.requestTimes.push(Date.now());
-        resolve(result);
-      } catch (error) {
-        if (error.message.includes('rate_limited') || error.status === 429) {
-          // Track retry attempts for this request
-          const currentAttempt = (error.rateLimitAttempt || 0) + 1;
+      // Requests count against the windows from when they start, so overlapping ones are paced too
+      this.requestTimes.push(now);
+      this.inFlight++;
+      this.dispatch(this.requestQueue.shift(), now);
+    }
+    
+    this.processing = false;
+  }
 
-          // Handle 429 with exponential backoff + Retry-After
-          const retryAfterDelay = error.retryAfter || 1000;
-          const exponentialDelay = Math.pow(2, currentAttempt) * 1000; // 2s, 4s, 8s, 16s...
-          const finalDelay = Math.max(retryAfterDelay, exponentialDelay);
+  // Run one request without holding up the queue; a rate-limited request goes back to the front
+  async dispatch({ requestFunction, resolve, reject, attempt }, startedAt) {
+    try {
+      resolve(await requestFunction());
+    } catch (error) {
+      if (error.message.includes('rate_limited') || error.status === 429) {
+        const currentAttempt = attempt + 1;
 
-          Debug.log(`Rate limited (429), attempt ${currentAttempt}, waiting ${finalDelay}ms (Retry-After: ${retryAfterDelay}ms, exponential: ${exponentialDelay}ms)`);
+        // Handle 429 with exponential backoff + Retry-After
+        const retryAfterDelay = error.retryAfter || 1000;
+        const exponentialDelay = Math.pow(2, currentAttempt) * 1000; // 2s, 4s, 8s, 16s...
+        const finalDelay = Math.max(retryAfterDelay, exponentialDelay);
 
-          // Max 5 retry attempts for rate limits
-          if (currentAttempt >= 5) {
-            Debug.error('Max rate limit retries reached (5 attempts)');
-            reject(error);
-          } else {
-            await this.delay(finalDelay);
-            error.rateLimitAttempt = currentAttempt;
-            this.requestQueue.unshift({ requestFunction, resolve, reject });
-          }
-        } else {
+        Debug.log(`Rate limited (429), attempt ${currentAttempt}, waiting ${finalDelay}ms (Retry-After: ${retryAfterDelay}ms, exponential: ${exponentialDelay}ms)`);
+
+        // Max 5 retry attempts for rate limits
+        if (currentAttempt >= 5) {
+          Debug.error('Max rate limit retries reached (5 attempts)');
           reject(error);
+        } else {
+          // Notion limits the integration, not the request: every queued request waits
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + finalDelay);
+          this.requestQueue.unshift({ requestFunction, resolve, reject, attempt: currentAttempt });
         }
+      } else {
+        reject(error);
       }
-      
-      // Remove artificial delays for personal use - let it run at full speed
-      // Rate limiter will handle throttling if needed
+    } finally {
+      // Re-stamp the request with its completion time: Notion may count it any time before then
+      const startIndex = this.requestTimes.indexOf(startedAt);
+      if (startIndex !== -1) this.requestTimes.splice(startIndex, 1);
+      this.requestTimes.push(Date.now());
+      this.requestTimes.sort((a, b) => a - b);
+      this.inFlight--;
+      this.processQueue();
     }
-    
-    this.processing = false;
   }
 
   delay(ms) {
@@ -23,10 +23,20 @@ export class AssignmentCacheManager extends CacheManager {
    * @param {string} canvasId - Canvas assignment ID
    * @param {Object} canvasData - Assignment data from Canvas
    * @param {string} notionPageId - Notion page UUID (optional for initial cache)
+   * @param {Object} [written] - Field -> comparable value written to the page by this sync
+   * @param {string} [dataSourceId] - Data source the page is in; kept from the entry while the page is the same
    */
-  async cacheAssignment(canvasId, canvasData, notionPageId = null) {
+  async cacheAssignment(canvasId, canvasData, notionPageId = null, written = null, dataSourceId = null) {
     const key = `assignment:${canvasId}`;
     const now = Date.now();
+    // Rendered rubric blocks, the Notion status pushed to the Canvas planner and the values
+    // last written to each property belong to the page, so they carry over while the page does
+    const existing = await this.get(key);
+    const samePage = existing?.notionPageId === notionPageId;
+    const rubric = samePage && existing.rubric ? existing.rubric : null;
+    const plannerOverride = samePage && existing.plannerOverride ? existing.plannerOverride : null;
+    const previousWritten = samePage && existing.written ? existing.written : {};
+    const pageDataSourceId = dataSourceId || (samePage && existing.dataSourceId) || null;
 
     const entry = {
       canvasData: {
@@ -35,6 +45,10 @@ export class AssignmentCacheManager extends CacheManager {
         courseCode: canvasData.courseCode,
         courseId: canvasData.courseId,
         dueDate: canvasData.dueDate,
+        endDate: canvasData.endDate,
+        unlockDate: canvasData.unlockDate,
+        lockDate: canvasData.lockDate,
+        location: canvasData.location,
         points: canvasData.points,
         status: canvasData.status,
         type: canvasData.type,
@@ -42,9 +56,19 @@ export class AssignmentCacheManager extends CacheManager {
         grade: canvasData.grade,
         gradePercent: canvasData.gradePercent,
         link: canvasData.link,
-        source: canvasData.source
+        source: canvasData.source,
+        itemType: canvasData.itemType,
+        category: canvasData.category,
+        timeLimit: canvasData.timeLimit,
+        allowedAttempts: canvasData.allowedAttempts,
+        questionCount: canvasData.questionCount,
+        coursePageId: canvasData.coursePageId
       },
       notionPageId,
+      dataSourceId: pageDataSourceId,
+      rubric,
+      plannerOverride,
+      written: { ...previousWritten, ...(written || {}) },
       lastSynced: now,
       expiresAt: now + this.defaultTTL,
       version: this.version
@@ -80,6 +104,86 @@ export class AssignmentCacheManager extends CacheManager {
     }
   }
 
+  /**
+   * Record the data source an assignment's page is in
+   * @param {string} canvasId - Canvas assignment ID
+   * @param {string} dataSourceId - Notion data source ID
+   */
+  async updateDataSource(canvasId, dataSourceId) {
+    const key = `assignment:${canvasId}`;
+    const cached = await this.get(key);
+
+    if (cached) {
+      cached.dataSourceId = dataSourceId;
+      await this.set(key, cached);
+    }
+  }
+
+  /**
+   * Stable hash of a rubric, so it is only re-rendered when its content changes
+   * @param {Object|null} rubric - Normalized rubric from the extractor
+   * @returns {string|null} Hex FNV-1a hash, or null without a rubric
+   */
+  hashRubric(rubric) {
+    if (!rubric) return null;
+
+    const json = JSON.stringify(rubric);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < json.length; i++) {
+      hash ^= json.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Check whether an assignment's rubric differs from the one rendered in its page
+   * @param {string} canvasId - Canvas assignment ID
+   * @param {Object|null} rubric - Normalized rubric from the extractor
+   * @returns {Object} { needsRender, hash, blockIds } - blockIds is null when the rendered blocks are unknown
+   */
+  async compareRubric(canvasId, rubric) {
+    const cached = await this.getCachedAssignment(canvasId);
+    const hash = this.hashRubric(rubric);
+    const rendered = cached?.rubric || null;
+
+    if (!rendered) {
+      return { needsRender: hash !== null, hash, blockIds: null };
+    }
+    return { needsRender: rendered.hash !== hash, hash, blockIds: rendered.blockIds };
+  }
+
+  /**
+   * Record the rubric blocks rendered into an assignment's page
+   * @param {string} canvasId - Canvas assignment ID
+   * @param {string|null} hash - Rubric hash from hashRubric
+   * @param {Array<string>} blockIds - IDs of the rendered blocks
+   */
+  async updateRubricState(canvasId, hash, blockIds) {
+    const key = `assignment:${canvasId}`;
+    const cached = await this.get(key);
+
+    if (cached) {
+      cached.rubric = { hash, blockIds };
+      await this.set(key, cached);
+    }
+  }
+
+  /**
+   * Record the Notion status last pushed to the Canvas planner, so it is pushed once
+   * @param {string} canvasId - Canvas assignment ID
+   * @param {Object} plannerOverride - { status, action }
+   */
+  async updatePlannerOverride(canvasId, plannerOverride) {
+    const key = `assignment:${canvasId}`;
+    const cached = await this.get(key);
+
+    if (cached) {
+      cached.plannerOverride = plannerOverride;
+      await this.set(key, cached);
+    }
+  }
+
   /**
    * Compare cached assignment with new Canvas data to detect changes
    * @param {string} canvasId - Canvas assignment ID
@@ -95,7 +199,9 @@ export class AssignmentCacheManager extends CacheManager {
 
     const compareFields = [
       'title', 'course', 'courseCode', 'dueDate', 'points',
-      'status', 'type', 'description', 'grade', 'gradePercent', 'link'
+      'status', 'type', 'description', 'grade', 'gradePercent', 'link',
+      'itemType', 'category', 'timeLimit', 'allowedAttempts', 'questionCount',
+      'endDate', 'location', 'unlockDate', 'lockDate', 'coursePageId'
     ];
 
     const changedFields = [];
@@ -104,7 +210,8 @@ export class AssignmentCacheManager extends CacheManager {
       const newValue = newCanvasData[field]; // eslint-disable-line security/detect-object-injection -- field from hardcoded whitelist
 
       // Handle null/undefined equality and string comparison
-      if (cachedValue !== newValue) {
+      // (fields added later are undefined in older cache entries)
+      if (cachedValue !== newValue && !(cachedValue == null && newValue == null)) {
         // Additional check for null vs empty string cases
         if (!(cachedValue == null && newValue === '') &&
             !(cachedValue === '' && newValue == null)) {
@@ -131,17 +238,23 @@ export class AssignmentCacheManager extends CacheManager {
   /**
    * Identify and clean up assignments from inactive courses
    * @param {Array<string>} currentCanvasIds - Assignment IDs currently in Canvas
-   * @returns {Object} { toDelete: Array, toRemove: Array } - Assignments to delete from Notion vs just remove from cache
+   * @param {Object} [options]
+   * @param {Function} [options.isCovered] - (canvasId, entry) => whether this sync's extraction would
+   *   have returned the item if it still existed. Uncovered items in active courses are left alone.
+   * @returns {Object} { toDelete: Array, toRemove: Array, tracked: number } - Assignments to delete from Notion vs
+   *   just remove from cache, and how many assignments the cache holds
    */
-  async cleanupInactiveCourses(currentCanvasIds) {
+  async cleanupInactiveCourses(currentCanvasIds, { isCovered = null } = {}) {
     const currentSet = new Set(currentCanvasIds.map(id => id.toString()));
     const cachedEntries = await this.getAll();
 
     const toDelete = []; // Active course, assignment deleted - remove from Notion
     const toRemove = []; // Inactive course - keep in Notion, remove from cache
+    let tracked = 0;
 
     for (const [key, entry] of Object.entries(cachedEntries)) {
       if (!key.startsWith('assignment:')) continue;
+      tracked++;
 
       const canvasId = key.replace('assignment:', '');
 
@@ -152,11 +265,16 @@ export class AssignmentCacheManager extends CacheManager {
       const courseId = entry.canvasData?.courseId;
 
       if (courseId && this.activeCourseIds.has(courseId.toString())) {
+        // Missing only because it is outside what this sync fetched (e.g. an event past the date window)
+        if (isCovered && !isCovered(canvasId, entry)) continue;
+
         // Course is still active, but assignment was deleted
         toDelete.push({
           canvasId,
           notionPageId: entry.notionPageId,
-          courseId
+          courseId,
+          title: entry.canvasData?.title || null,
+          course: entry.canvasData?.course || null
         });
       } else {
         // Course is inactive (past enrollment)
@@ -168,7 +286,7 @@ export class AssignmentCacheManager extends CacheManager {
       }
     }
 
-    return { toDelete, toRemove };
+    return { toDelete, toRemove, tracked };
   }
 
   /**
@@ -180,6 +298,20 @@ export class AssignmentCacheManager extends CacheManager {
     await this.delete(key);
   }
 
+  /**
+   * Put back an entry as it was before a sync, or remove it when there was none
+   * @param {string} canvasId - Canvas assignment ID
+   * @param {Object|null} entry - Cached entry from getCachedAssignment
+   */
+  async restoreAssignment(canvasId, entry) {
+    const key = `assignment:${canvasId}`;
+    if (entry) {
+      await this.set(key, entry);
+    } else {
+      await this.delete(key);
+    }
+  }
+
   /**
    * Batch retrieve cached assignments
    * @param {Array<string>} canvasIds - Array of Canvas assignment IDs
@@ -0,0 +1,102 @@
+/**
+ * Cache manager for Canvas courses mapped to pages in the course grade database.
+ * Mirrors AssignmentCacheManager: field-level change detection plus the Notion page ID.
+ */
+
+import { CacheManager } from './cache-manager.js';
+
+const COMPARE_FIELDS = ['name', 'courseCode', 'term', 'currentScore', 'finalScore', 'projectedGrade', 'letterGrade', 'link'];
+
+export class CourseCacheManager extends CacheManager {
+  constructor() {
+    super({
+      storageKey: 'course_cache',
+      maxMemorySize: 100,
+      defaultTTL: 30 * 24 * 60 * 60 * 1000, // 30 days
+      enablePersistence: true
+    });
+
+    this.version = 1;
+  }
+
+  /**
+   * Cache a Canvas course with its Notion page ID mapping
+   * @param {string} courseId - Canvas course ID
+   * @param {Object} courseData - Course record from the extractor
+   * @param {string} notionPageId - Notion page UUID
+   */
+  async cacheCourse(courseId, courseData, notionPageId = null) {
+    const entry = {
+      courseData: Object.fromEntries(COMPARE_FIELDS.map(field => [field, courseData[field]])), // eslint-disable-line security/detect-object-injection -- field from hardcoded whitelist
+      notionPageId,
+      lastSynced: Date.now(),
+      version: this.version
+    };
+
+    await this.set(`course:${courseId}`, entry);
+    return entry;
+  }
+
+  /**
+   * @param {string} courseId - Canvas course ID
+   * @returns {Object|null} Cached entry or null if not found/expired
+   */
+  async getCachedCourse(courseId) {
+    return await this.get(`course:${courseId}`);
+  }
+
+  /**
+   * Compare a cached course with fresh Canvas data
+   * @param {string} courseId - Canvas course ID
+   * @param {Object} courseData - Course record from the extractor
+   * @returns {Object} { needsUpdate, changedFields, cachedEntry }
+   */
+  async compareAndNeedsUpdate(courseId, courseData) {
+    const cached = await this.getCachedCourse(courseId);
+
+    if (!cached || !cached.courseData) {
+      return { needsUpdate: true, changedFields: [], cachedEntry: cached };
+    }
+
+    const changedFields = COMPARE_FIELDS.filter(field => {
+      const cachedValue = cached.courseData[field]; // eslint-disable-line security/detect-object-injection -- field from hardcoded whitelist
+      const newValue = courseData[field]; // eslint-disable-line security/detect-object-injection -- field from hardcoded whitelist
+      return cachedValue !== newValue && !(cachedValue == null && newValue == null);
+    });
+
+    return { needsUpdate: changedFields.length > 0, changedFields, cachedEntry: cached };
+  }
+
+  /**
+   * @param {string} courseId - Canvas course ID
+   */
+  async removeCourse(courseId) {
+    await this.delete(`course:${courseId}`);
+  }
+
+  /**
+   * @returns {Array<Object>} All cached course entries with their courseId
+   */
+  async getAllCourses() {
+    const courses = [];
+    for (const [key, entry] of this.cache.entries()) {
+      if (key.startsWith('course:') && Date.now() < entry.expiresAt) {
+        courses.push({ courseId: key.replace('course:', ''), ...entry.value });
+      }
+    }
+    return courses;
+  }
+
+  /**
+   * Course pages known from earlier syncs, used when this sync's course pass fails
+   * @returns {Map<string, string>} courseId -> notionPageId
+   */
+  async getPageIdMap() {
+    const courses = await this.getAllCourses();
+    return new Map(courses.filter(entry => entry.notionPageId).map(entry => [entry.courseId, entry.notionPageId]));
+  }
+
+  async clearAll() {
+    await super.clear();
+  }
+}
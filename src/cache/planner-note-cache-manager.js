@@ -0,0 +1,63 @@
+/**
+ * Cache manager for Canvas planner notes created from Notion tasks.
+ * Keyed by Notion page: the note linked to the page and the fields last sent to Canvas,
+ * so a note is only updated when the page changed.
+ */
+
+import { CacheManager } from './cache-manager.js';
+
+const NOTE_FIELDS = ['title', 'details', 'todo_date', 'course_id'];
+
+export class PlannerNoteCacheManager extends CacheManager {
+  constructor() {
+    super({
+      storageKey: 'planner_note_cache',
+      maxMemorySize: 500,
+      defaultTTL: 90 * 24 * 60 * 60 * 1000, // 90 days
+      enablePersistence: true
+    });
+
+    this.version = 1;
+  }
+
+  /**
+   * Record the note linked to a Notion page and the fields it was written with.
+   * @param {string} pageId - Notion page ID
+   * @param {string} noteId - Canvas planner note ID
+   * @param {Object} note - { title, details, todo_date, course_id } as sent to Canvas
+   */
+  async cacheNote(pageId, noteId, note) {
+    const entry = {
+      noteId: String(noteId),
+      note: Object.fromEntries(NOTE_FIELDS.map(field => [field, note[field] ?? null])), // eslint-disable-line security/detect-object-injection -- field from hardcoded whitelist
+      lastSynced: Date.now(),
+      version: this.version
+    };
+
+    await this.set(`note:${pageId}`, entry);
+    return entry;
+  }
+
+  /**
+   * @param {string} pageId - Notion page ID
+   * @returns {Object|null} Cached entry or null if not found/expired
+   */
+  async getCachedNote(pageId) {
+    return await this.get(`note:${pageId}`);
+  }
+
+  /**
+   * Whether a note differs from the one last sent to Canvas for this page.
+   * @param {Object|null} cached - Entry from getCachedNote
+   * @param {Object} note - { title, details, todo_date, course_id }
+   * @returns {boolean}
+   */
+  noteChanged(cached, note) {
+    if (!cached?.note) return true;
+    return NOTE_FIELDS.some(field => (cached.note[field] ?? null) !== (note[field] ?? null)); // eslint-disable-line security/detect-object-injection -- field from hardcoded whitelist
+  }
+
+  async clearAll() {
+    await super.clear();
+  }
+}
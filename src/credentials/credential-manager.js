@@ -1,3 +1,6 @@
+import '../validators/canvas-validator.js';
+const { CanvasValidator } = globalThis;
+
 // Encrypted storage and credential management
 export class CredentialManager {
   static async generateEncryptionKey() {
@@ -64,15 +67,30 @@ export class CredentialManager {
     return JSON.parse(decodedData);
   }
 
-  static async storeCredentials(canvasToken, notionToken, notionDatabaseId) {
+  static async storeCredentials(canvasToken, notionToken, notionDatabaseId, canvasBaseUrl, notionCourseDatabaseId, notionDataSourceId) {
     try {
+      // The Canvas URL is optional (hosted Canvas is detected from open tabs), but must be https when set
+      let canvasOrigin = null;
+      if (canvasBaseUrl) {
+        const { valid, validated, warnings } = CanvasValidator.validateBaseURL(canvasBaseUrl);
+        if (!valid) {
+          return { success: false, error: warnings[0] };
+        }
+        canvasOrigin = validated;
+      }
+
       const key = await this.generateEncryptionKey();
       
       // Prepare credential data
       const credentials = {
         canvasToken: canvasToken || null,
         notionToken: notionToken || null,
-        notionDatabaseId: notionDatabaseId || null
+        notionDatabaseId: notionDatabaseId || null,
+        canvasBaseUrl: canvasOrigin,
+        // Optional second database for per-course grades
+        notionCourseDatabaseId: notionCourseDatabaseId || null,
+        // Chosen data source when the assignment database has several
+        notionDataSourceId: notionDataSourceId || null
       };
       
       // Encrypt the credentials
@@ -81,7 +99,6 @@ export class CredentialManager {
       // Store encrypted data and metadata
       await chrome.storage.local.set({
         encryptedCredentials: encryptedCredentials,
-        lastSync: Date.now(),
         credentialsVersion: '1.0' // For future migration support
       });
 
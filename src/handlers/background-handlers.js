@@ -1,17 +1,48 @@
 import { CredentialManager } from '../credentials/credential-manager.js';
-import { NotionAPI } from '../api/notion-api.js';
+import { SettingsManager } from '../settings/settings-manager.js';
+import { NotionAPI, chooseDataSource } from '../api/notion-api.js';
+import { CanvasAPIExtractor } from '../api/canvas-api-extractor.js';
 import { AssignmentSyncer } from '../sync/assignment-syncer.js';
 import { AssignmentCacheManager } from '../cache/assignment-cache-manager.js';
+import { CourseSyncer } from '../sync/course-syncer.js';
+import { CourseCacheManager } from '../cache/course-cache-manager.js';
+import { PlannerNoteCacheManager } from '../cache/planner-note-cache-manager.js';
+import { SchemaInspector, describeSchemaReport } from '../sync/schema-inspector.js';
+import { PlannerCompletionSyncer } from '../sync/planner-completion.js';
+import { PlannerNoteSyncer } from '../sync/planner-notes.js';
+import { SyncJournal, undoLastSync } from '../sync/sync-journal.js';
+import { describeRemoval } from '../sync/deletion-policy.js';
+import { buildDatabaseSchema, mergePropertyMapping, readPropertyText, resolvePropertyMapping, validatePropertyMapping } from '../sync/property-mapping.js';
 import '../utils/debug.js';
 const { Debug } = globalThis;
 import '../utils/error-messages.js';
-const { getUserFriendlyNotionError } = globalThis;
+const { getUserFriendlyNotionError, getUserFriendlyCanvasError } = globalThis;
 import '../utils/sync-logger.js';
 const { SyncLogger } = globalThis;
 import { checkStorageQuota, cleanupOldCache } from '../utils/storage-monitor.js';
+import { DEFAULT_CANVAS_MATCH_PATTERNS, isCanvasPageUrl, isDefaultCanvasHost, toMatchPattern } from '../utils/canvas-url.js';
+import '../validators/canvas-validator.js';
+const { CanvasValidator } = globalThis;
 
-// Cache manager singleton instance
+// Cache manager singleton instances
 let assignmentCacheInstance = null;
+let courseCacheInstance = null;
+let plannerNoteCacheInstance = null;
+
+// Set while a sync, sync preview, undo or confirmed removal is running, so no other one overlaps it
+let syncInProgress = false;
+
+// Error of a sync refused because another one is running
+export const SYNC_IN_PROGRESS_ERROR = 'Sync already in progress';
+
+// Canvas page loads trigger a sync at most this often
+export const NAVIGATION_SYNC_MIN_INTERVAL_MS = 10 * 60 * 1000;
+
+// Content script registered at runtime for a configured Canvas host outside the manifest matches
+export const CUSTOM_CANVAS_SCRIPT_ID = 'canvas-custom-host';
+
+// Removals the last sync held back until the student confirms them in the popup
+export const PENDING_REMOVALS_KEY = 'pending_removals';
 
 /**
  * Get singleton assignment cache instance
@@ -24,7 +55,195 @@ export function getAssignmentCache() {
   return assignmentCacheInstance;
 }
 
+/**
+ * Get singleton course cache instance (course grade database)
+ * @returns {CourseCacheManager}
+ */
+export function getCourseCache() {
+  if (!courseCacheInstance) {
+    courseCacheInstance = new CourseCacheManager();
+  }
+  return courseCacheInstance;
+}
+
+/**
+ * Get singleton planner note cache instance (notes created from Notion tasks)
+ * @returns {PlannerNoteCacheManager}
+ */
+export function getPlannerNoteCache() {
+  if (!plannerNoteCacheInstance) {
+    plannerNoteCacheInstance = new PlannerNoteCacheManager();
+  }
+  return plannerNoteCacheInstance;
+}
+
+/**
+ * Determine which Canvas host to extract from: the Canvas URL from settings,
+ * else the hosted Canvas site last seen in a tab, else any hosted Canvas tab open right now.
+ * @param {Object} [credentials] - Already-loaded credentials, to avoid decrypting twice
+ * @returns {string|null} Canvas origin, e.g. "https://canvas.university.edu"
+ */
+export async function resolveCanvasOrigin(credentials = null) {
+  const { canvasBaseUrl } = credentials || await CredentialManager.getCredentials();
+  if (canvasBaseUrl) {
+    return canvasBaseUrl;
+  }
+
+  const { canvasOrigin } = await chrome.storage.local.get('canvasOrigin');
+  if (canvasOrigin) {
+    return canvasOrigin;
+  }
+
+  const tabs = await chrome.tabs.query({ url: DEFAULT_CANVAS_MATCH_PATTERNS });
+  if (tabs.length > 0 && tabs[0].url) {
+    const origin = new URL(tabs[0].url).origin;
+    await chrome.storage.local.set({ canvasOrigin: origin });
+    return origin;
+  }
+
+  return null;
+}
+
+/**
+ * Whether the extension may call the Canvas API on this origin. Hosted Canvas is
+ * granted by the manifest; custom hosts need the runtime grant requested from the popup.
+ * @param {string} canvasOrigin
+ * @returns {boolean}
+ */
+export async function hasCanvasHostPermission(canvasOrigin) {
+  if (isDefaultCanvasHost(canvasOrigin)) {
+    return true;
+  }
+  return chrome.permissions.contains({ origins: [toMatchPattern(canvasOrigin)] });
+}
+
+/**
+ * Register the sync button content script on a custom Canvas host, replacing any
+ * previous registration. Hosted Canvas is already covered by the manifest.
+ * @param {string|null} canvasBaseUrl - Configured Canvas origin
+ */
+export async function registerCanvasContentScript(canvasBaseUrl) {
+  try {
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_CANVAS_SCRIPT_ID] });
+    if (existing.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_CANVAS_SCRIPT_ID] });
+    }
+
+    if (!canvasBaseUrl || isDefaultCanvasHost(canvasBaseUrl) || !(await hasCanvasHostPermission(canvasBaseUrl))) {
+      return;
+    }
+
+    await chrome.scripting.registerContentScripts([{
+      id: CUSTOM_CANVAS_SCRIPT_ID,
+      matches: [toMatchPattern(canvasBaseUrl)],
+      js: ['content-script.js'],
+      runAt: 'document_idle'
+    }]);
+  } catch (error) {
+    Debug.warn('Could not register content script for custom Canvas host:', error.message);
+  }
+}
+
+// @returns {string} Canvas origin to extract from; throws when unknown or not granted
+async function requireCanvasOrigin(credentials) {
+  const canvasOrigin = await resolveCanvasOrigin(credentials);
+  if (!canvasOrigin) {
+    throw new Error('Canvas instance not detected. Set your Canvas URL in settings or open your Canvas site once.');
+  }
+  if (!(await hasCanvasHostPermission(canvasOrigin))) {
+    throw new Error(`Access to ${new URL(canvasOrigin).host} has not been granted. Save your Canvas URL in settings again to allow it.`);
+  }
+  return canvasOrigin;
+}
+
+// Assignment syncer for the stored credentials and settings
+function createAssignmentSyncer(credentials, { propertyMapping, courseRoutes, fieldOwnership, deletion }) {
+  return new AssignmentSyncer(
+    new NotionAPI(credentials.notionToken),
+    credentials.notionDatabaseId,
+    getAssignmentCache(),
+    propertyMapping,
+    credentials.notionDataSourceId,
+    courseRoutes,
+    fieldOwnership,
+    deletion
+  );
+}
+
+/**
+ * Work out what a sync would change, without writing to Notion or Canvas. Canvas is extracted
+ * as for a sync; the course database isn't synced, so assignments are linked to the course
+ * pages known from earlier syncs. Apply the plan with handleBackgroundSync's selectedIds, which
+ * likewise leaves the course database and the Canvas planner alone.
+ * @param {string} [canvasToken] - Canvas token; the stored one when omitted
+ * @returns {Object} { success, plan: { items, unchanged }, assignmentCount }, or { success: false, error }
+ *   when a sync is running
+ */
+export async function handleSyncPlan(canvasToken = null) {
+  // Reconciling alongside a running sync would race it, and the plan would be stale once it finished
+  if (syncInProgress) {
+    return { success: false, error: SYNC_IN_PROGRESS_ERROR };
+  }
+
+  syncInProgress = true;
+  try {
+    const credentials = await CredentialManager.getCredentials();
+
+    if (!credentials.notionToken || !credentials.notionDatabaseId) {
+      throw new Error('Notion credentials not configured');
+    }
+
+    const token = canvasToken || credentials.canvasToken;
+    if (!token) {
+      throw new Error('Canvas token not provided');
+    }
+
+    const canvasOrigin = await requireCanvasOrigin(credentials);
+    const settings = await SettingsManager.getSettings();
+    // A preview isn't a sync, so it doesn't show as one in the popup
+    const extractor = new CanvasAPIExtractor(canvasOrigin, token, {
+      calendarEvents: settings.calendarEvents,
+      planner: settings.planner,
+      reportProgress: false
+    });
+    const response = await extractor.extractAssignments();
+
+    // A sync with nothing extracted stops before comparing, so it changes nothing either
+    if (response.assignments.length === 0) {
+      return { success: true, plan: { items: [], unchanged: 0 }, assignmentCount: 0 };
+    }
+
+    const coursePageIds = credentials.notionCourseDatabaseId ? await getCourseCache().getPageIdMap() : null;
+    const plan = await createAssignmentSyncer(credentials, settings).planSync(response.assignments, response.activeCourseIds || [], {
+      coverageWindows: response.coverageWindows,
+      coursePageIds,
+      plannerNotes: settings.plannerNotes.enabled,
+      extractionErrors: response.extractionErrors || []
+    });
+
+    return { success: true, plan, assignmentCount: response.assignments.length };
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+/**
+ * Extract from Canvas and sync to Notion.
+ * @param {string} [canvasToken] - Canvas token; the stored one when omitted
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh] - Clear the caches first
+ * @param {boolean} [options.quiet] - Only notify when something changed
+ * @param {Array<string>} [options.selectedIds] - Canvas IDs kept from a reviewed plan; other changes are skipped
+ * @returns {Object} { success, results, assignmentCount }, or { success: false, error } when a sync is
+ *   already running
+ */
 export async function handleBackgroundSync(canvasToken, options = {}) {
+  // Two syncs at once would both create pages for the same new items
+  if (syncInProgress) {
+    return { success: false, error: SYNC_IN_PROGRESS_ERROR };
+  }
+
+  syncInProgress = true;
   try {
     const forceRefresh = options.forceRefresh || false;
 
@@ -32,6 +251,8 @@ export async function handleBackgroundSync(canvasToken, options = {}) {
     if (forceRefresh) {
       const assignmentCache = getAssignmentCache();
       await assignmentCache.clearAll();
+      await getCourseCache().clearAll();
+      await getPlannerNoteCache().clearAll();
       Debug.log('Cache cleared due to force refresh');
     }
 
@@ -41,80 +262,69 @@ export async function handleBackgroundSync(canvasToken, options = {}) {
       throw new Error('Notion credentials not configured');
     }
 
-    if (!canvasToken) {
+    const token = canvasToken || credentials.canvasToken;
+    if (!token) {
       throw new Error('Canvas token not provided');
     }
 
-    // Find active Canvas tabs
-    const tabs = await chrome.tabs.query({
-      url: "*://*.instructure.com/*"
-    });
-
-    if (tabs.length === 0) {
-      throw new Error('No Canvas tabs found. Please open a Canvas page and try again.');
-    }
-
-    const activeTab = tabs[0];
-    
-    // Try to send Canvas token to content script
-    let contentScriptReady = false;
-    try {
-      await chrome.tabs.sendMessage(activeTab.id, {
-        type: 'SET_CANVAS_TOKEN',
-        token: canvasToken
-      });
-      contentScriptReady = true;
-    } catch (error) {
-      // Content script not loaded, need to inject it
-      contentScriptReady = false;
-    }
-
-    // If content script not ready, inject it
-    if (!contentScriptReady) {
-      try {
-        await chrome.scripting.executeScript({
-          target: { tabId: activeTab.id },
-          files: ['src/utils/debug.js', 'src/utils/error-messages.js', 'src/validators/canvas-validator.js', 'src/api/canvas-rate-limiter.js', 'content-script.js']
-        });
-        
-        // Wait for script to initialize
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Send Canvas token after injection
-        await chrome.tabs.sendMessage(activeTab.id, {
-          type: 'SET_CANVAS_TOKEN',
-          token: canvasToken
-        });
-      } catch (injectionError) {
-        throw new Error('Failed to load Canvas integration. Please refresh the Canvas page and try again.');
-      }
-    }
-
-    // Wait a moment for content script to be ready
-    await new Promise(resolve => setTimeout(resolve, 100));
+    const canvasOrigin = await requireCanvasOrigin(credentials);
 
     // Write initial progress state
+    const startedAt = Date.now();
     await chrome.storage.local.set({
-      sync_progress: { active: true, phase: 'extracting', current: 0, total: 0, errorCount: 0, errors: [], startedAt: Date.now() }
+      sync_progress: { active: true, phase: 'extracting', current: 0, total: 0, errorCount: 0, errors: [], startedAt }
     });
 
-    // Extract assignments from Canvas
-    const response = await chrome.tabs.sendMessage(activeTab.id, {
-      type: 'EXTRACT_ASSIGNMENTS',
-      forceRefresh: forceRefresh
+    // Extract assignments from Canvas directly from the service worker
+    const settings = await SettingsManager.getSettings();
+    const extractor = new CanvasAPIExtractor(canvasOrigin, token, {
+      calendarEvents: settings.calendarEvents,
+      planner: settings.planner
     });
+    const response = await extractor.extractAssignments();
 
-    if (!response || !response.success) {
-      throw new Error(response?.error || 'Failed to extract assignments from Canvas');
+    // Projected grades for the popup, independent of the Notion course database
+    await chrome.storage.local.set({
+      course_grades: {
+        updatedAt: Date.now(),
+        courses: (response.courses || []).map(course => ({
+          courseId: course.courseId,
+          name: course.name,
+          projectedGrade: course.projectedGrade,
+          currentScore: course.currentScore,
+          weighted: course.weighted
+        }))
+      }
+    });
+
+    // Course pages first, so assignment pages can relate to them. A reviewed plan only applies
+    // the assignment changes it showed, so it links to the course pages from the last sync instead
+    let coursePageIds = null;
+    if (credentials.notionCourseDatabaseId) {
+      coursePageIds = options.selectedIds
+        ? await getCourseCache().getPageIdMap()
+        : await handleCourseSync(response.courses || [], credentials);
     }
 
     if (response.assignments.length === 0) {
+      // Final progress state, as handleAssignmentSync writes it, so the popup and Canvas button stop showing a sync
+      await chrome.storage.local.set({
+        lastSync: Date.now(),
+        sync_progress: { active: false, phase: 'complete', current: 0, total: 0, errorCount: 0, errors: [], startedAt }
+      });
       return { success: true, results: [], assignmentCount: 0, message: 'No assignments found to sync' };
     }
 
     // Sync the extracted assignments with active course IDs for deletion detection
     const activeCourseIds = response.activeCourseIds || [];
-    const results = await handleAssignmentSync(response.assignments, activeCourseIds);
+    const results = await handleAssignmentSync(response.assignments, activeCourseIds, {
+      quiet: options.quiet,
+      coverageWindows: response.coverageWindows,
+      coursePageIds,
+      canvasAPI: extractor,
+      selectedIds: options.selectedIds || null,
+      extractionErrors: response.extractionErrors || []
+    });
 
     // Update last sync time
     await chrome.storage.local.set({ lastSync: Date.now() });
@@ -126,24 +336,190 @@ export async function handleBackgroundSync(canvasToken, options = {}) {
 
   } catch (error) {
     Debug.error('Background sync failed:', error.message);
+    await chrome.storage.local.set({
+      sync_progress: { active: false, phase: 'error', current: 0, total: 0, errorCount: 1, errors: [{ error: error.message }], startedAt: Date.now() }
+    });
     throw error;
+  } finally {
+    syncInProgress = false;
   }
 }
 
-export async function handleAssignmentSync(assignments, activeCourseIds = []) {
-  const syncStart = Date.now();
+/**
+ * Run an unattended sync with the stored credentials (periodic alarm, Canvas navigation).
+ * Never throws: skips and failures are recorded in SyncLogger instead.
+ * @param {Object} [options]
+ * @param {string} [options.trigger='alarm'] - What started the sync, used in log messages
+ * @param {number} [options.minIntervalMs=0] - Skip if the last sync finished more recently than this
+ * @returns {Object} { success, skipped, reason } or { success, results, assignmentCount }
+ */
+export async function handleAutoSync({ trigger = 'alarm', minIntervalMs = 0 } = {}) {
+  const skip = async (reason) => {
+    Debug.log(`Auto sync (${trigger}) skipped: ${reason}`);
+    return { success: true, skipped: true, reason };
+  };
+
+  if (syncInProgress) {
+    return skip('a sync is already running');
+  }
+
+  try {
+    const credentials = await CredentialManager.getCredentials();
+
+    if (!credentials.canvasToken || !credentials.notionToken || !credentials.notionDatabaseId) {
+      SyncLogger.warn(`Auto sync (${trigger}) skipped: extension is not fully configured`);
+      await SyncLogger.flush();
+      return skip('extension is not fully configured');
+    }
+
+    const { lastSync } = await chrome.storage.local.get('lastSync');
+    if (minIntervalMs > 0 && lastSync && Date.now() - lastSync < minIntervalMs) {
+      return skip('last sync is recent');
+    }
+
+    if (!(await resolveCanvasOrigin(credentials))) {
+      return skip('Canvas instance not detected yet');
+    }
+
+    const response = await handleBackgroundSync(credentials.canvasToken, { quiet: true });
+    if (!response.success) {
+      // A manual sync started while this one was getting ready
+      if (response.error === SYNC_IN_PROGRESS_ERROR) {
+        return skip('a sync is already running');
+      }
+      SyncLogger.error(`Auto sync (${trigger}) failed: ${response.error}`, { trigger, error: response.error });
+      await SyncLogger.flush();
+      return response;
+    }
+
+    const results = response.results || {};
+    const changeCount = (results.created?.length || 0) + (results.updated?.length || 0) + (results.deleted?.length || 0);
+
+    if (changeCount === 0 && !results.errors?.length) {
+      SyncLogger.info(`Auto sync (${trigger}): no changes`, { trigger, assignmentCount: response.assignmentCount });
+    } else {
+      SyncLogger.info(
+        `Auto sync (${trigger}): ${results.created.length} created, ${results.updated.length} updated, ` +
+        `${results.deleted.length} deleted, ${results.errors.length} errors`,
+        { trigger, assignmentCount: response.assignmentCount }
+      );
+    }
+    await SyncLogger.flush();
+
+    return response;
+  } catch (error) {
+    SyncLogger.error(`Auto sync (${trigger}) failed: ${error.message}`, { trigger, error: error.message });
+    await SyncLogger.flush();
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Undo the last sync that wrote to Notion, from its journal. Refused while a sync is running,
+ * since the sync would write over what is being restored.
+ * @returns {Object} { success, undone, errors, startedAt } - startedAt is null when there was nothing to undo
+ */
+export async function handleUndoLastSync() {
+  if (syncInProgress) {
+    throw new Error('A sync is running; undo once it finishes');
+  }
+
+  syncInProgress = true;
   try {
     const credentials = await CredentialManager.getCredentials();
+    if (!credentials.notionToken) {
+      throw new Error('Notion credentials not configured');
+    }
+
+    const result = await undoLastSync(new NotionAPI(credentials.notionToken), getAssignmentCache());
+    return { success: true, ...result };
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+/**
+ * Apply the deletion policy to the removals the last sync held back, now that the student
+ * confirmed them. The writes are journaled, so Undo Last Sync reverts them.
+ * @returns {Object} { success, removed, errors }
+ */
+export async function handleConfirmRemovals() {
+  if (syncInProgress) {
+    throw new Error('A sync is running; confirm once it finishes');
+  }
 
+  syncInProgress = true;
+  try {
+    const { [PENDING_REMOVALS_KEY]: pending } = await chrome.storage.local.get(PENDING_REMOVALS_KEY);
+    if (!pending?.items?.length) {
+      return { success: true, removed: 0, errors: [] };
+    }
+
+    const credentials = await CredentialManager.getCredentials();
     if (!credentials.notionToken || !credentials.notionDatabaseId) {
       throw new Error('Notion credentials not configured');
     }
 
-    const notionAPI = new NotionAPI(credentials.notionToken);
+    const settings = await SettingsManager.getSettings();
+    const journal = new SyncJournal();
+    const results = await createAssignmentSyncer(credentials, settings).confirmDeletions(pending.items, { journal });
+    await journal.save();
+    await chrome.storage.local.remove(PENDING_REMOVALS_KEY);
+
+    showNotification('Removals Applied', `${results.deleted.length} pages ${describeRemoval(settings.deletion.policy)}` +
+      (results.errors.length > 0 ? `, ${results.errors.length} errors (see Sync Logs)` : ''));
+    return { success: true, removed: results.deleted.length, errors: results.errors };
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+/**
+ * Drop the held-back removals without applying them. The next sync finds the items missing
+ * again and holds them back again.
+ * @returns {Object} { success }
+ */
+export async function handleDismissRemovals() {
+  await chrome.storage.local.remove(PENDING_REMOVALS_KEY);
+  return { success: true };
+}
+
+/**
+ * Sync the course grade database. A failure here doesn't stop the assignment sync:
+ * assignments are linked to the course pages known from earlier syncs instead.
+ * @param {Array<Object>} courses - Course records from the Canvas extractor
+ * @param {Object} credentials - Stored credentials with notionCourseDatabaseId
+ * @returns {Map<string, string>} Canvas course ID -> course page ID
+ */
+export async function handleCourseSync(courses, credentials) {
+  const courseCache = getCourseCache();
+  try {
+    const syncer = new CourseSyncer(new NotionAPI(credentials.notionToken), credentials.notionCourseDatabaseId, courseCache);
+    const { pageIds } = await syncer.syncCourses(courses);
+    return pageIds;
+  } catch (error) {
+    Debug.warn('Course grade sync failed:', error.message);
+    SyncLogger.warn(`Course grade sync failed: ${error.message}`, { error: error.message });
+    return await courseCache.getPageIdMap();
+  }
+}
+
+export async function handleAssignmentSync(assignments, activeCourseIds = [], options = {}) {
+  const syncStart = Date.now();
+  // Records the Notion writes so this sync can be undone; saved even when the sync fails part way
+  const journal = new SyncJournal();
+  try {
+    const credentials = await CredentialManager.getCredentials();
+
+    if (!credentials.notionToken || !credentials.notionDatabaseId) {
+      throw new Error('Notion credentials not configured');
+    }
 
     // Pass unified cache to syncer
     const assignmentCache = getAssignmentCache();
-    const syncer = new AssignmentSyncer(notionAPI, credentials.notionDatabaseId, assignmentCache);
+    const settings = await SettingsManager.getSettings();
+    const { plannerCompletion, plannerNotes } = settings;
+    const syncer = createAssignmentSyncer(credentials, settings);
 
     // Throttled progress writer (max once per 500ms, final write always fires)
     let lastProgressWrite = 0;
@@ -179,7 +555,29 @@ export async function handleAssignmentSync(assignments, activeCourseIds = []) {
 
     const onProgress = (state) => writeProgress(state);
 
-    const results = await syncer.syncAssignments(assignments, activeCourseIds, { onProgress });
+    const results = await syncer.syncAssignments(assignments, activeCourseIds, {
+      onProgress,
+      coverageWindows: options.coverageWindows || {},
+      coursePageIds: options.coursePageIds || null,
+      // Needs the Canvas client of a full sync; syncs started from the content script skip it
+      plannerCompletion: plannerCompletion.enabled && options.canvasAPI
+        ? new PlannerCompletionSyncer(options.canvasAPI, assignmentCache, plannerCompletion.actions)
+        : null,
+      plannerNotes: plannerNotes.enabled && options.canvasAPI
+        ? new PlannerNoteSyncer(options.canvasAPI, getPlannerNoteCache())
+        : null,
+      selectedIds: options.selectedIds || null,
+      journal,
+      extractionErrors: options.extractionErrors || []
+    });
+    await journal.save();
+
+    // Only the last sync's held-back removals are offered for confirmation
+    if (results.deletionsHeld) {
+      await chrome.storage.local.set({ [PENDING_REMOVALS_KEY]: { ...results.deletionsHeld, heldAt: Date.now() } });
+    } else {
+      await chrome.storage.local.remove(PENDING_REMOVALS_KEY);
+    }
 
     // Update last sync time
     await chrome.storage.local.set({ lastSync: Date.now() });
@@ -206,14 +604,20 @@ export async function handleAssignmentSync(assignments, activeCourseIds = []) {
       }
     });
 
-    // Show notification with detailed stats
-    const message = `Created: ${results.created.length}, Updated: ${results.updated.length}, Skipped: ${results.skipped.length}`;
-
-    showNotification('Sync Complete', message);
+    // Show notification with detailed stats (quiet syncs only notify when something changed)
+    const hasChanges = results.created.length > 0 || results.updated.length > 0 ||
+      results.deleted.length > 0 || results.errors.length > 0 || results.conflicts.length > 0 || results.deletionsHeld !== null;
+    if (!options.quiet || hasChanges) {
+      const message = `Created: ${results.created.length}, Updated: ${results.updated.length}, Skipped: ${results.skipped.length}` +
+        (results.conflicts.length > 0 ? `, Conflicts: ${results.conflicts.length} (see Sync Logs)` : '') +
+        (results.deletionsHeld ? `, Removals waiting for confirmation: ${results.deletionsHeld.count}` : '');
+      showNotification('Sync Complete', message);
+    }
 
     return results;
   } catch (error) {
     Debug.error('Sync failed:', error.message);
+    await journal.save();
 
     // Write error progress state
     await chrome.storage.local.set({
@@ -237,7 +641,7 @@ export async function handleAssignmentSync(assignments, activeCourseIds = []) {
 }
 
 // Updated test function for new API structure
-export async function testNotionConnection(token, databaseId) {
+export async function testNotionConnection(token, databaseId, preferredDataSourceId = null) {
   try {
     
     const notionAPI = new NotionAPI(token);
@@ -252,14 +656,26 @@ export async function testNotionConnection(token, databaseId) {
       };
     }
     
-    const dataSourceId = database.data_sources[0].id;
+    const dataSourceId = chooseDataSource(database, preferredDataSourceId);
     
     // Test querying the data source
     const queryResult = await notionAPI.queryDataSource(dataSourceId, {});
-    
+
+    // Compare the schema with what the sync writes, so a renamed or retyped property shows up here
+    let schema = null;
+    try {
+      const { propertyMapping } = await SettingsManager.getSettings();
+      const report = await new SchemaInspector(notionAPI, databaseId, propertyMapping, dataSourceId).inspect();
+      schema = { ok: report.ok, missing: report.missing, wrongType: report.wrongType, summary: describeSchemaReport(report) };
+    } catch (error) {
+      Debug.warn('Could not check the database properties:', error.message);
+    }
+
     return { 
       success: true, 
-      message: `Connection successful! Database: "${database.title?.[0]?.text?.content || 'Untitled'}" with ${database.data_sources.length} data source(s). Found ${queryResult.results?.length || 0} existing pages.`
+      message: `Connection successful! Database: "${database.title?.[0]?.text?.content || 'Untitled'}" with ${database.data_sources.length} data source(s). Found ${queryResult.results?.length || 0} existing pages.` +
+        (schema && !schema.ok ? ` Property problems: ${schema.summary}` : ''),
+      schema
     };
 
 
@@ -270,6 +686,296 @@ export async function testNotionConnection(token, databaseId) {
   }
 }
 
+/**
+ * Check a property mapping against the live schema of the assignment database.
+ * @param {Object} [mapping] - Partial or full mapping to check; the stored one if omitted
+ * @returns {Object} { success, errors, warnings } - errors include properties the database lacks
+ */
+export async function checkPropertyMapping(mapping = null) {
+  try {
+    const credentials = await CredentialManager.getCredentials();
+    if (!credentials.notionToken || !credentials.notionDatabaseId) {
+      return { success: false, error: 'Notion credentials not configured' };
+    }
+
+    const settings = await SettingsManager.getSettings();
+    const fullMapping = mergePropertyMapping(mapping, settings.propertyMapping);
+    const invalid = validatePropertyMapping(fullMapping);
+    if (invalid) {
+      return { success: true, errors: [invalid], warnings: [] };
+    }
+
+    const notionAPI = new NotionAPI(credentials.notionToken);
+    const database = await notionAPI.getDatabase(credentials.notionDatabaseId);
+    if (!database.data_sources || database.data_sources.length === 0) {
+      return { success: false, error: 'No data sources found in database' };
+    }
+    const dataSource = await notionAPI.getDataSource(chooseDataSource(database, credentials.notionDataSourceId));
+
+    const { missing, errors, warnings } = resolvePropertyMapping(fullMapping, dataSource.properties || {});
+    return { success: true, errors: [...missing, ...errors], warnings };
+  } catch (error) {
+    Debug.error('Property mapping check failed:', error.message);
+    const friendly = getUserFriendlyNotionError(error);
+    return { success: false, error: `${friendly.title}: ${friendly.message} ${friendly.action}` };
+  }
+}
+
+// Data source a created Course relation points at, when the course is mapped as a relation
+async function getCourseDataSourceId(notionAPI, credentials, propertyMapping) {
+  if (propertyMapping.course.type !== 'relation' || !credentials.notionCourseDatabaseId) {
+    return null;
+  }
+  const courseDatabase = await notionAPI.getDatabase(credentials.notionCourseDatabaseId);
+  return courseDatabase.data_sources?.[0]?.id || null;
+}
+
+/**
+ * Check the assignment database schema before a sync, optionally adding missing properties.
+ * @param {Object} [options]
+ * @param {string} [options.token] - Notion token from the settings form; the stored one if omitted
+ * @param {string} [options.databaseId] - Database ID from the settings form; the stored one if omitted
+ * @param {string} [options.dataSourceId] - Data source chosen in the form; the stored one if omitted
+ * @param {boolean} [options.repair] - Add the missing properties through a data source update
+ * @returns {Object} { success, ok, missing, wrongType, warnings, added, summary } or { success: false, error }
+ */
+export async function inspectNotionSchema({ token = null, databaseId = null, dataSourceId = null, repair = false } = {}) {
+  try {
+    const credentials = await CredentialManager.getCredentials();
+    const notionToken = token || credentials.notionToken;
+    const notionDatabaseId = databaseId || credentials.notionDatabaseId;
+    // A stored data source belongs to the stored database only
+    const notionDataSourceId = dataSourceId || (databaseId ? null : credentials.notionDataSourceId);
+    if (!notionToken || !notionDatabaseId) {
+      return { success: false, error: 'Notion credentials not configured' };
+    }
+
+    const notionAPI = new NotionAPI(notionToken);
+    const { propertyMapping, deletion } = await SettingsManager.getSettings();
+    const inspector = new SchemaInspector(notionAPI, notionDatabaseId, propertyMapping, notionDataSourceId, deletion);
+
+    let report = await inspector.inspect();
+    let added = [];
+    if (repair && report.missing.length > 0) {
+      const courseDataSourceId = await getCourseDataSourceId(notionAPI, credentials, propertyMapping);
+      ({ added } = await inspector.addMissingProperties(report, { courseDataSourceId }));
+      report = await inspector.inspect();
+    }
+
+    return {
+      success: true,
+      ok: report.ok,
+      missing: report.missing,
+      wrongType: report.wrongType,
+      warnings: report.warnings,
+      added,
+      summary: describeSchemaReport(report)
+    };
+  } catch (error) {
+    Debug.error('Notion schema check failed:', error.message);
+    const friendly = getUserFriendlyNotionError(error);
+    return { success: false, error: `${friendly.title}: ${friendly.message} ${friendly.action}` };
+  }
+}
+
+/**
+ * Find pages shared with the integration that a new database can be created under.
+ * @param {string} [token] - Notion token from the settings form; the stored one if omitted
+ * @param {string} [query] - Page title search
+ * @returns {Object} { success, pages: [{ id, title }] } or { success: false, error }
+ */
+export async function searchNotionPages(token = null, query = '') {
+  try {
+    const notionToken = token || (await CredentialManager.getCredentials()).notionToken;
+    if (!notionToken) {
+      return { success: false, error: 'Enter your Notion integration token first' };
+    }
+
+    const response = await new NotionAPI(notionToken).search(query, {
+      filter: { property: 'object', value: 'page' },
+      page_size: 20
+    });
+
+    const pages = (response.results || [])
+      .filter(page => !page.archived && !page.in_trash)
+      .map(page => {
+        const titleProperty = Object.values(page.properties || {}).find(property => property.type === 'title');
+        return { id: page.id, title: readPropertyText(titleProperty) || 'Untitled' };
+      });
+
+    return { success: true, pages };
+  } catch (error) {
+    Debug.error('Notion page search failed:', error.message);
+    const friendly = getUserFriendlyNotionError(error);
+    return { success: false, error: `${friendly.title}: ${friendly.message} ${friendly.action}` };
+  }
+}
+
+// Emoji, or the URL of an uploaded or external icon
+function readIcon(icon) {
+  if (!icon) return null;
+  if (icon.type === 'emoji') return { emoji: icon.emoji };
+  const url = icon.external?.url || icon.file?.url || null;
+  return url ? { url } : null;
+}
+
+/**
+ * Find databases shared with the integration, for the database picker.
+ * Search returns data sources; they're grouped under their database so a database with
+ * several data sources shows once, with its data sources to choose from.
+ * @param {string} [token] - Notion token from the settings form; the stored one if omitted
+ * @param {string} [query] - Database title search
+ * @returns {Object} { success, databases: [{ id, title, icon, dataSources: [{ id, name }] }] } or { success: false, error }
+ */
+export async function searchNotionDatabases(token = null, query = '') {
+  try {
+    const notionToken = token || (await CredentialManager.getCredentials()).notionToken;
+    if (!notionToken) {
+      return { success: false, error: 'Enter your Notion integration token first' };
+    }
+
+    const response = await new NotionAPI(notionToken).search(query, {
+      filter: { property: 'object', value: 'data_source' },
+      page_size: 50
+    });
+
+    const databases = new Map();
+    for (const dataSource of response.results || []) {
+      if (dataSource.archived || dataSource.in_trash) continue;
+
+      const name = dataSource.title?.map(segment => segment.plain_text || segment.text?.content || '').join('') || 'Untitled';
+      const databaseId = (dataSource.parent?.database_id || dataSource.id).replace(/-/g, '');
+      if (!databases.has(databaseId)) {
+        databases.set(databaseId, { id: databaseId, title: name, icon: readIcon(dataSource.icon), dataSources: [] });
+      }
+      databases.get(databaseId).dataSources.push({ id: dataSource.id, name });
+    }
+
+    return { success: true, databases: [...databases.values()] };
+  } catch (error) {
+    Debug.error('Notion database search failed:', error.message);
+    const friendly = getUserFriendlyNotionError(error);
+    return { success: false, error: `${friendly.title}: ${friendly.message} ${friendly.action}` };
+  }
+}
+
+/**
+ * List a database's data sources, so one can be chosen when there are several.
+ * @param {string} [token] - Notion token from the settings form; the stored one if omitted
+ * @param {string} databaseId - Database ID
+ * @returns {Object} { success, dataSources: [{ id, name }] } or { success: false, error }
+ */
+export async function listDataSources(token, databaseId) {
+  try {
+    const notionToken = token || (await CredentialManager.getCredentials()).notionToken;
+    if (!notionToken || !databaseId) {
+      return { success: false, error: 'Enter your Notion token and database first' };
+    }
+
+    const database = await new NotionAPI(notionToken).getDatabase(databaseId);
+    const dataSources = (database.data_sources || []).map(({ id, name }) => ({ id, name: name || 'Untitled' }));
+    return { success: true, dataSources };
+  } catch (error) {
+    Debug.error('Listing Notion data sources failed:', error.message);
+    const friendly = getUserFriendlyNotionError(error);
+    return { success: false, error: `${friendly.title}: ${friendly.message} ${friendly.action}` };
+  }
+}
+
+/**
+ * Create an assignment database with the full schema under a page, then store its ID.
+ * Property names and types come from the property mapping, so a fresh database always matches it.
+ * @param {string} parentPageId - Page to create the database in
+ * @param {Object} [options]
+ * @param {string} [options.token] - Notion token from the settings form; the stored one if omitted
+ * @param {string} [options.title] - Database title
+ * @returns {Object} { success, databaseId, url } or { success: false, error }
+ */
+export async function createNotionDatabase(parentPageId, { token = null, title = 'Canvas Assignments' } = {}) {
+  try {
+    if (!parentPageId) {
+      return { success: false, error: 'Choose a page to create the database in' };
+    }
+
+    const credentials = await CredentialManager.getCredentials();
+    const notionToken = token || credentials.notionToken;
+    if (!notionToken) {
+      return { success: false, error: 'Enter your Notion integration token first' };
+    }
+
+    const notionAPI = new NotionAPI(notionToken);
+    const { propertyMapping } = await SettingsManager.getSettings();
+
+    const courseDataSourceId = await getCourseDataSourceId(notionAPI, credentials, propertyMapping);
+    const database = await notionAPI.createDatabase(
+      parentPageId,
+      title,
+      buildDatabaseSchema(propertyMapping, { courseDataSourceId })
+    );
+    const databaseId = database.id.replace(/-/g, '');
+
+    const stored = await CredentialManager.storeCredentials(
+      credentials.canvasToken,
+      notionToken,
+      databaseId,
+      credentials.canvasBaseUrl,
+      credentials.notionCourseDatabaseId,
+      null
+    );
+    if (!stored.success) {
+      return { success: false, error: `Database created but not saved: ${stored.error}` };
+    }
+
+    SyncLogger.info(`Created Notion database "${title}"`, { databaseId });
+    return { success: true, databaseId, url: database.url || null };
+  } catch (error) {
+    Debug.error('Notion database creation failed:', error.message);
+    const friendly = getUserFriendlyNotionError(error);
+    return { success: false, error: `${friendly.title}: ${friendly.message} ${friendly.action}` };
+  }
+}
+
+/**
+ * Verify a Canvas token against the user's Canvas host (GET /api/v1/users/self).
+ * @param {string} token - Canvas API token to test
+ * @param {string} [canvasBaseUrl] - Canvas URL entered in settings; falls back to the stored or detected host
+ * @returns {Object} { success, message, canvasBaseUrl } or { success: false, error }
+ */
+export async function testCanvasConnection(token, canvasBaseUrl = null) {
+  try {
+    let canvasOrigin;
+    if (canvasBaseUrl) {
+      const { valid, validated, warnings } = CanvasValidator.validateBaseURL(canvasBaseUrl);
+      if (!valid) {
+        return { success: false, error: warnings[0] };
+      }
+      canvasOrigin = validated;
+    } else {
+      canvasOrigin = await resolveCanvasOrigin();
+    }
+
+    if (!canvasOrigin) {
+      return { success: false, error: 'Canvas instance not detected. Enter your Canvas URL or open your Canvas site once and try again.' };
+    }
+    if (!(await hasCanvasHostPermission(canvasOrigin))) {
+      return { success: false, error: `Access to ${new URL(canvasOrigin).host} was not granted. Allow it when prompted to use this Canvas URL.` };
+    }
+
+    const extractor = new CanvasAPIExtractor(canvasOrigin, token);
+    const user = await extractor.getCurrentUser();
+
+    return {
+      success: true,
+      canvasBaseUrl: canvasOrigin,
+      message: `Connected to ${new URL(canvasOrigin).host} as ${user?.name || 'unknown user'}.`
+    };
+  } catch (error) {
+    Debug.error('Canvas connection test failed:', error.message);
+    const friendly = getUserFriendlyCanvasError(error);
+    return { success: false, error: `${friendly.title}: ${friendly.message} ${friendly.action}` };
+  }
+}
+
 export function showNotification(title, message) {
   chrome.notifications.create({
     type: 'basic',
@@ -279,46 +985,58 @@ export function showNotification(title, message) {
   });
 }
 
+// Canvas URL from settings as last read by the navigation handler, so a page load doesn't decrypt
+// the credentials; undefined until read, null when none is set
+let navigationCanvasBaseUrl;
+
 // Navigation monitoring
 export function setupNavigationHandlers() {
-  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    if (changeInfo.status === 'complete' && 
-        tab.url && 
-        /https:\/\/.*\.instructure\.com/.test(tab.url)) {
-      
-      // Inject content script if needed and trigger extraction
-      setTimeout(() => {
-        chrome.tabs.sendMessage(tabId, {
-          type: 'CHECK_FOR_ASSIGNMENTS',
-          url: tab.url
-        }).catch(() => {
-          // Content script might not be loaded yet, ignore
-        });
-      }, 2000);
+  // Saved or cleared credentials may change the Canvas URL
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.encryptedCredentials) {
+      navigationCanvasBaseUrl = undefined;
+    }
+  });
+
+  chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    // Tab URLs are only visible for hosts we have permission for, so this rarely runs for non-Canvas pages
+    if (changeInfo.status !== 'complete' || !tab.url || !tab.url.startsWith('https://')) {
+      return;
+    }
+
+    if (navigationCanvasBaseUrl === undefined) {
+      navigationCanvasBaseUrl = (await CredentialManager.getCredentials()).canvasBaseUrl || null;
+    }
+    const canvasBaseUrl = navigationCanvasBaseUrl;
+    if (!isCanvasPageUrl(tab.url, canvasBaseUrl)) {
+      return;
     }
+
+    if (!canvasBaseUrl) {
+      // Remember the host so later syncs can run without a Canvas tab
+      chrome.storage.local.set({ canvasOrigin: new URL(tab.url).origin });
+    }
+
+    // Opening Canvas is a good moment to refresh, but not on every page load
+    handleAutoSync({ trigger: 'navigation', minIntervalMs: NAVIGATION_SYNC_MIN_INTERVAL_MS });
   });
 }
 
 // Periodic sync alarm
 export function setupPeriodicSync() {
-  chrome.alarms.create('periodicSync', {
-    delayInMinutes: 30,
-    periodInMinutes: 30
+  // The service worker restarts often; recreating an existing alarm would push it back every time
+  chrome.alarms.get('periodicSync', (existing) => {
+    if (!existing) {
+      chrome.alarms.create('periodicSync', {
+        delayInMinutes: 30,
+        periodInMinutes: 30
+      });
+    }
   });
 
   chrome.alarms.onAlarm.addListener((alarm) => {
     if (alarm.name === 'periodicSync') {
-      // Check if we have active Canvas tabs
-      chrome.tabs.query({url: "*://*.instructure.com/*"}, (tabs) => {
-        if (tabs.length > 0) {
-          // Trigger sync on active Canvas tab
-          chrome.tabs.sendMessage(tabs[0].id, {
-            type: 'AUTO_SYNC_REQUEST'
-          }).catch(() => {
-            // Content script not loaded, ignore
-          });
-        }
-      });
+      handleAutoSync({ trigger: 'alarm' });
     }
   });
 }
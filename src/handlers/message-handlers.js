@@ -1,6 +1,8 @@
 import { CredentialManager } from '../credentials/credential-manager.js';
-import { handleAssignmentSync, handleBackgroundSync, testNotionConnection, getAssignmentCache } from './background-handlers.js';
+import { SettingsManager } from '../settings/settings-manager.js';
+import { handleAssignmentSync, handleBackgroundSync, handleSyncPlan, handleUndoLastSync, handleConfirmRemovals, handleDismissRemovals, testNotionConnection, testCanvasConnection, checkPropertyMapping, searchNotionPages, searchNotionDatabases, listDataSources, createNotionDatabase, inspectNotionSchema, getAssignmentCache, getCourseCache, getPlannerNoteCache, registerCanvasContentScript } from './background-handlers.js';
 import { checkStorageQuota, cleanupOldCache } from '../utils/storage-monitor.js';
+import { PROPERTY_FIELDS } from '../sync/property-mapping.js';
 
 // Message handling
 export function setupMessageHandlers() {
@@ -10,8 +12,17 @@ export function setupMessageHandlers() {
         CredentialManager.storeCredentials(
           request.canvasToken, 
           request.notionToken, 
-          request.notionDatabaseId
-        ).then(result => sendResponse(result));
+          request.notionDatabaseId,
+          request.canvasBaseUrl,
+          request.notionCourseDatabaseId,
+          request.notionDataSourceId
+        ).then(async result => {
+          if (result.success) {
+            const { canvasBaseUrl } = await CredentialManager.getCredentials();
+            await registerCanvasContentScript(canvasBaseUrl || null);
+          }
+          sendResponse(result);
+        });
         return true;
 
       case 'GET_CREDENTIALS':
@@ -19,20 +30,97 @@ export function setupMessageHandlers() {
           .then(credentials => sendResponse(credentials));
         return true;
 
+      case 'GET_SETTINGS':
+        SettingsManager.getSettings()
+          .then(settings => sendResponse({ success: true, settings, propertyFields: PROPERTY_FIELDS }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'UPDATE_SETTINGS':
+        SettingsManager.updateSettings(request.settings)
+          .then(result => sendResponse(result));
+        return true;
+
+      case 'CHECK_PROPERTY_MAPPING':
+        checkPropertyMapping(request.propertyMapping)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'INSPECT_NOTION_SCHEMA':
+        inspectNotionSchema({ token: request.token, databaseId: request.databaseId, dataSourceId: request.dataSourceId, repair: request.repair === true })
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'SEARCH_NOTION_PAGES':
+        searchNotionPages(request.token, request.query)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'SEARCH_NOTION_DATABASES':
+        searchNotionDatabases(request.token, request.query)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'LIST_DATA_SOURCES':
+        listDataSources(request.token, request.databaseId)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'CREATE_NOTION_DATABASE':
+        createNotionDatabase(request.parentPageId, { token: request.token, title: request.title })
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
       case 'SYNC_ASSIGNMENTS':
         handleAssignmentSync(request.assignments)
           .then(results => sendResponse({ success: true, results }))
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
 
+      case 'PLAN_SYNC':
+        handleSyncPlan(request.canvasToken)
+          .then(response => sendResponse(response))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
       case 'START_BACKGROUND_SYNC':
-        handleBackgroundSync(request.canvasToken, { forceRefresh: request.forceRefresh || false })
+        handleBackgroundSync(request.canvasToken, { forceRefresh: request.forceRefresh || false, selectedIds: request.selectedIds || null })
+          .then(response => sendResponse(response))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'UNDO_LAST_SYNC':
+        handleUndoLastSync()
+          .then(response => sendResponse(response))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'CONFIRM_REMOVALS':
+        handleConfirmRemovals()
+          .then(response => sendResponse(response))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'DISMISS_REMOVALS':
+        handleDismissRemovals()
           .then(response => sendResponse(response))
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
 
       case 'TEST_NOTION_CONNECTION':
-        testNotionConnection(request.token, request.databaseId)
+        testNotionConnection(request.token, request.databaseId, request.dataSourceId)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'TEST_CANVAS_CONNECTION':
+        testCanvasConnection(request.token, request.canvasBaseUrl)
           .then(result => sendResponse(result))
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
@@ -74,6 +162,8 @@ export function setupMessageHandlers() {
         (async () => {
           const assignmentCache = getAssignmentCache();
           await assignmentCache.clearAll();
+          await getCourseCache().clearAll();
+          await getPlannerNoteCache().clearAll();
           sendResponse({ success: true });
         })();
         return true;
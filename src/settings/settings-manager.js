@@ -0,0 +1,132 @@
+// Sync preferences (non-secret, stored unencrypted in chrome.storage.local)
+
+import { DEFAULT_PROPERTY_MAPPING, mergePropertyMapping, validatePropertyMapping } from '../sync/property-mapping.js';
+import { validateCourseRoutes } from '../sync/course-routing.js';
+import { DEFAULT_PLANNER_COMPLETION, validatePlannerCompletion } from '../sync/planner-completion.js';
+import { DEFAULT_PLANNER_NOTES, validatePlannerNotes } from '../sync/planner-notes.js';
+import { DEFAULT_FIELD_OWNERSHIP, mergeFieldOwnership, validateFieldOwnership } from '../sync/field-ownership.js';
+import { DEFAULT_DELETION, validateDeletion } from '../sync/deletion-policy.js';
+
+const STORAGE_KEY = 'syncSettings';
+
+export const EXTRACTION_MODES = ['assignments', 'planner'];
+
+export const DEFAULT_SETTINGS = {
+  // Off until the student turns it on, so upgrading doesn't add event pages to their database
+  calendarEvents: {
+    enabled: false,
+    daysBack: 7,
+    daysAhead: 60
+  },
+  // "assignments": course assignments and quizzes only
+  // "planner": also everything else on the student's Canvas To-Do list
+  planner: {
+    mode: 'assignments',
+    daysBack: 14,
+    daysAhead: 120
+  },
+  // Canvas field -> { name, type } of the Notion property it's written to
+  propertyMapping: DEFAULT_PROPERTY_MAPPING,
+  // [{ match: 'courseId' | 'courseCode', value, dataSourceId }], first match wins
+  courseRoutes: [],
+  // Notion status -> mark complete / dismiss on the Canvas To-Do list
+  plannerCompletion: DEFAULT_PLANNER_COMPLETION,
+  // Pages marked "Push to Canvas" -> notes on the Canvas To-Do list
+  plannerNotes: DEFAULT_PLANNER_NOTES,
+  // Field -> 'canvas' | 'notion' | 'merge': who may change the property once the page exists
+  fieldOwnership: DEFAULT_FIELD_OWNERSHIP,
+  // Archiving pages of items removed from Canvas: at most maxFraction of the pages in one sync
+  deletion: DEFAULT_DELETION
+};
+
+const MAX_WINDOW_DAYS = 365;
+
+export class SettingsManager {
+  /**
+   * Read settings merged over the defaults, so keys added in later versions are always present.
+   * @returns {Object} Settings shaped like DEFAULT_SETTINGS
+   */
+  static async getSettings() {
+    const { [STORAGE_KEY]: stored } = await chrome.storage.local.get(STORAGE_KEY);
+    return this.mergeWithDefaults(stored || {});
+  }
+
+  /**
+   * Validate and store a partial settings update.
+   * @param {Object} partial - e.g. { calendarEvents: { daysAhead: 30 } }
+   * @returns {Object} { success, settings } or { success: false, error }
+   */
+  static async updateSettings(partial) {
+    try {
+      const current = await this.getSettings();
+      const next = this.mergeWithDefaults({
+        calendarEvents: { ...current.calendarEvents, ...(partial?.calendarEvents || {}) },
+        planner: { ...current.planner, ...(partial?.planner || {}) },
+        propertyMapping: mergePropertyMapping(partial?.propertyMapping, current.propertyMapping),
+        // The rule list is replaced as a whole
+        courseRoutes: partial?.courseRoutes ?? current.courseRoutes,
+        // A new actions map replaces the old one, so statuses can be removed
+        plannerCompletion: { ...current.plannerCompletion, ...(partial?.plannerCompletion || {}) },
+        plannerNotes: { ...current.plannerNotes, ...(partial?.plannerNotes || {}) },
+        fieldOwnership: { ...current.fieldOwnership, ...(partial?.fieldOwnership || {}) },
+        deletion: { ...current.deletion, ...(partial?.deletion || {}) }
+      });
+
+      const error = this.validate(next);
+      if (error) {
+        return { success: false, error };
+      }
+
+      await chrome.storage.local.set({ [STORAGE_KEY]: next });
+      return { success: true, settings: next };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  static mergeWithDefaults(stored) {
+    return {
+      calendarEvents: { ...DEFAULT_SETTINGS.calendarEvents, ...(stored.calendarEvents || {}) },
+      planner: { ...DEFAULT_SETTINGS.planner, ...(stored.planner || {}) },
+      propertyMapping: mergePropertyMapping(stored.propertyMapping),
+      courseRoutes: stored.courseRoutes ?? DEFAULT_SETTINGS.courseRoutes,
+      plannerCompletion: { ...DEFAULT_SETTINGS.plannerCompletion, ...(stored.plannerCompletion || {}) },
+      plannerNotes: { ...DEFAULT_SETTINGS.plannerNotes, ...(stored.plannerNotes || {}) },
+      fieldOwnership: mergeFieldOwnership(stored.fieldOwnership),
+      deletion: { ...DEFAULT_SETTINGS.deletion, ...(stored.deletion || {}) }
+    };
+  }
+
+  /**
+   * @returns {string|null} Error message, or null when the settings are valid
+   */
+  static validate(settings) {
+    const { enabled } = settings.calendarEvents;
+    if (typeof enabled !== 'boolean') {
+      return 'Calendar event sync must be turned on or off';
+    }
+
+    if (!EXTRACTION_MODES.includes(settings.planner.mode)) {
+      return `Sync source must be one of: ${EXTRACTION_MODES.join(', ')}`;
+    }
+
+    return this.validateWindow(settings.calendarEvents) ||
+      this.validateWindow(settings.planner) ||
+      validatePropertyMapping(settings.propertyMapping) ||
+      validateCourseRoutes(settings.courseRoutes) ||
+      validatePlannerCompletion(settings.plannerCompletion) ||
+      validatePlannerNotes(settings.plannerNotes) ||
+      validateFieldOwnership(settings.fieldOwnership) ||
+      validateDeletion(settings.deletion);
+  }
+
+  static validateWindow({ daysBack, daysAhead }) {
+    if (!Number.isInteger(daysBack) || daysBack < 0 || daysBack > MAX_WINDOW_DAYS) {
+      return `Days back must be a whole number from 0 to ${MAX_WINDOW_DAYS}`;
+    }
+    if (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > MAX_WINDOW_DAYS) {
+      return `Days ahead must be a whole number from 1 to ${MAX_WINDOW_DAYS}`;
+    }
+    return null;
+  }
+}
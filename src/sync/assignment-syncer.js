@@ -1,30 +1,84 @@
 import { NotionValidator } from '../validators/notion-validator.js';
+import { chooseDataSource } from '../api/notion-api.js';
 import '../utils/debug.js';
 const { Debug } = globalThis;
 import '../utils/sync-logger.js';
 const { SyncLogger } = globalThis;
+import { ITEM_KINDS, getItemKind } from '../utils/canvas-item-id.js';
+import { buildRubricBlocks, findRubricBlockIds } from './rubric-blocks.js';
+import { DEFAULT_PROPERTY_MAPPING, PROPERTY_FIELDS, resolvePropertyMapping, formatPropertyValue, readPropertyText } from './property-mapping.js';
+import { normalizeDataSourceId, routeDataSource, routedDataSourceIds } from './course-routing.js';
+import { DEFAULT_FIELD_OWNERSHIP, FieldOwnershipPolicy, writtenValues } from './field-ownership.js';
+import { priorPropertyValues } from './sync-journal.js';
+import { DEFAULT_DELETION, REMOVED_STATUS, describeRemoval, lacksRemovedStatus, removalHoldReason } from './deletion-policy.js';
+import { runWithConcurrency } from '../utils/worker-pool.js';
+
+// Items synced at once; Notion allows about 3 requests a second, so more only queue in the limiter
+const NOTION_WRITE_CONCURRENCY = 4;
+
+// Label of a compared Canvas field in a sync plan: the property label, or the field name in words
+function fieldLabel(field) {
+  if (Object.prototype.hasOwnProperty.call(PROPERTY_FIELDS, field)) {
+    return PROPERTY_FIELDS[field].label; // eslint-disable-line security/detect-object-injection -- own-property check above
+  }
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
 
 // Assignment synchronization logic with unified cache system
 export class AssignmentSyncer {
-  constructor(notionAPI, databaseId, assignmentCache = null) {
+  constructor(notionAPI, databaseId, assignmentCache = null, propertyMapping = DEFAULT_PROPERTY_MAPPING, preferredDataSourceId = null, courseRoutes = [], fieldOwnership = DEFAULT_FIELD_OWNERSHIP, deletion = DEFAULT_DELETION) {
     this.notionAPI = notionAPI;
     this.databaseId = databaseId;
     this.assignmentCache = assignmentCache;
+    // Data source chosen in the settings for databases with more than one
+    this.preferredDataSourceId = preferredDataSourceId;
     this.dataSourceId = null;
+    this.propertyMapping = propertyMapping;
+    // Canvas field -> { name, type } for the properties this database gets written
+    this.properties = resolvePropertyMapping(propertyMapping, null).properties;
+    // The course property is a relation to the course grade database rather than a select
+    this.courseIsRelation = false;
+    // Courses sent to other data sources; each routed data source gets its own resolved properties
+    this.courseRoutes = courseRoutes || [];
+    this.routedProperties = new Map();
+    // Which fields Canvas may overwrite once the student edits them in Notion
+    this.ownershipPolicy = new FieldOwnershipPolicy(fieldOwnership);
+    // What happens to the pages of items removed from Canvas, and how many one sync may remove
+    this.deletion = { ...DEFAULT_DELETION, ...deletion };
+    // Data sources whose Status property has no REMOVED_STATUS option; the 'status' policy archives there
+    this.unmarkableDataSources = new Set();
+    // Notion page ID -> data source it was found in by the last reconciliation
+    this.pageDataSources = new Map();
+    // Canvas ID -> status on the Notion page, read by the last reconciliation
+    this.notionStatuses = new Map();
+    // Notion page ID -> its mapped properties as read by the last reconciliation, so field
+    // ownership is checked without fetching each page again
+    this.pageSnapshots = new Map();
+    // Pages with "Push to Canvas" checked and no Canvas item of their own, read by the last reconciliation
+    this.notionTasks = [];
+    // SyncJournal recording the current sync's writes, so it can be undone
+    this.journal = null;
   }
 
   async initialize() {
     try {
       // Get database info to find the data source ID
       const database = await this.notionAPI.getDatabase(this.databaseId);
-      
-      if (!database.data_sources || database.data_sources.length === 0) {
-        throw new Error('No data sources found in database');
+      this.dataSourceId = chooseDataSource(database, this.preferredDataSourceId);
+      this.unmarkableDataSources = new Set();
+      this.properties = await this.resolveProperties(this.dataSourceId, 'the database');
+
+      this.routedProperties = new Map();
+      for (const dataSourceId of routedDataSourceIds(this.courseRoutes, this.dataSourceId).slice(1)) {
+        this.routedProperties.set(
+          normalizeDataSourceId(dataSourceId),
+          await this.resolveProperties(dataSourceId, `routed data source ${dataSourceId}`)
+        );
       }
-      
-      // Use the first data source
-      this.dataSourceId = database.data_sources[0].id;
 
+      this.courseIsRelation = [this.properties, ...this.routedProperties.values()]
+        .some(properties => properties.course?.type === 'relation');
 
       return { success: true, dataSourceId: this.dataSourceId };
     } catch (error) {
@@ -34,21 +88,83 @@ export class AssignmentSyncer {
   }
 
   /**
-   * Query Notion for a live (non-archived) page matching a Canvas ID.
+   * Resolve the property mapping against a data source's schema, so optional properties are
+   * only written when the user added them.
+   * @param {string} dataSourceId
+   * @param {string} description - Names the data source in errors
+   * @returns {Object} Canvas field -> { name, type }
+   */
+  async resolveProperties(dataSourceId, description) {
+    let schema = null;
+    try {
+      const dataSource = await this.notionAPI.getDataSource(dataSourceId);
+      schema = dataSource.properties || {};
+    } catch (error) {
+      Debug.warn('Could not read data source schema, skipping optional properties:', error.message);
+    }
+
+    const { properties, missing, errors, warnings } = resolvePropertyMapping(this.propertyMapping, schema);
+    if (errors.length > 0) {
+      throw new Error(`Property mapping doesn't match ${description}: ${errors.join('; ')}`);
+    }
+    for (const message of [...missing, ...warnings]) {
+      Debug.warn('Property mapping:', message);
+    }
+
+    if (this.deletion.policy === 'status' && properties.status && lacksRemovedStatus(schema?.[properties.status.name])) {
+      this.unmarkableDataSources.add(normalizeDataSourceId(dataSourceId));
+      SyncLogger.warn(
+        `"${properties.status.name}" in ${description} has no "${REMOVED_STATUS}" option, so items removed from Canvas are archived there instead`,
+        { dataSourceId }
+      );
+    }
+    return properties;
+  }
+
+  /**
+   * The deletion policy applied to a page: the 'status' policy archives pages whose Status
+   * property can't be set to REMOVED_STATUS (see lacksRemovedStatus).
+   * @param {string} notionPageId
+   * @returns {string} One of DELETION_POLICIES
+   */
+  removalPolicyFor(notionPageId) {
+    const { policy } = this.deletion;
+    const dataSourceId = this.pageDataSources.get(notionPageId) || this.dataSourceId;
+    if (policy === 'status' && this.unmarkableDataSources.has(normalizeDataSourceId(dataSourceId))) {
+      return 'archive';
+    }
+    return policy;
+  }
+
+  /**
+   * Resolved properties of a data source the sync writes to.
+   * @param {string} dataSourceId
+   * @returns {Object} Canvas field -> { name, type }
+   */
+  propertiesFor(dataSourceId) {
+    return this.routedProperties.get(normalizeDataSourceId(dataSourceId)) || this.properties;
+  }
+
+  /**
+   * Query Notion for a live (non-archived) page matching a Canvas ID, in every routed data source.
    * Used as a fallback when the cached page ID points to an archived page.
    * @param {string} canvasId
    * @returns {Object|null} The matching Notion page, or null if none found
    */
   async findLivePageByCanvasId(canvasId) {
     try {
-      const response = await this.notionAPI.queryDataSource(this.dataSourceId, {
-        property: 'Canvas ID',
-        rich_text: { equals: canvasId }
-      });
+      for (const dataSourceId of routedDataSourceIds(this.courseRoutes, this.dataSourceId)) {
+        const response = await this.notionAPI.queryDataSource(dataSourceId, {
+          property: this.propertiesFor(dataSourceId).canvasId.name,
+          rich_text: { equals: canvasId }
+        });
 
-      // Return the first non-archived result
-      if (response.results && response.results.length > 0) {
-        return response.results.find(page => !page.archived) || null;
+        // Return the first non-archived result
+        const livePage = (response.results || []).find(page => !page.archived);
+        if (livePage) {
+          this.pageDataSources.set(livePage.id, dataSourceId);
+          return livePage;
+        }
       }
       return null;
     } catch (error) {
@@ -62,40 +178,97 @@ export class AssignmentSyncer {
    * Handles splitLongText segments via plain_text or text.content.
    */
   extractCanvasIdFromProperty(property) {
-    if (!property || !property.rich_text || !Array.isArray(property.rich_text)) {
+    if (!property || !Array.isArray(property.rich_text)) {
       return null;
     }
-    const text = property.rich_text
-      .map(segment => segment.plain_text || segment.text?.content || '')
-      .join('');
-    return text.trim() || null;
+    return readPropertyText({ type: 'rich_text', rich_text: property.rich_text });
   }
 
   /**
-   * Fetch all non-archived pages from the Notion data source and build
-   * a canvasId -> notionPageId ground-truth mapping. Handles pagination.
+   * Fetch all non-archived pages from every routed data source, and from the data sources cached
+   * pages were last seen in, and build a canvasId -> notionPageId ground-truth mapping. Handles
+   * pagination. Pages left in a data source no route points to anymore are found this way, so
+   * they are moved rather than created again.
+   * Keeps each page's mapped properties, so updates check field ownership without reading the page again.
+   * Records which data source each page is in, so a course whose route changed is moved,
+   * each page's status, so completion marked in Notion can be pushed to Canvas, and the pages
+   * marked "Push to Canvas", so they can be added to the Canvas planner as notes.
    * @returns {Map<string, string>} Map of canvasId to notionPageId
    */
   async fetchAllNotionPages() {
     const truthMap = new Map();
-    let hasMore = true;
-    let startCursor = undefined;
+    const pageDataSources = new Map();
+    const notionStatuses = new Map();
+    const notionTasks = [];
+    const pageSnapshots = new Map();
+
+    const routedIds = routedDataSourceIds(this.courseRoutes, this.dataSourceId);
+    const routedKeys = new Set(routedIds.map(normalizeDataSourceId));
+    const previousIds = new Map();
+    for (const { dataSourceId } of this.assignmentCache ? await this.assignmentCache.getAllAssignments() : []) {
+      if (dataSourceId && !routedKeys.has(normalizeDataSourceId(dataSourceId))) {
+        previousIds.set(normalizeDataSourceId(dataSourceId), dataSourceId);
+      }
+    }
 
-    while (hasMore) {
-      const response = await this.notionAPI.queryDataSource(
-        this.dataSourceId,
-        {},
-        { start_cursor: startCursor, page_size: 100 }
-      );
+    for (const dataSourceId of [...routedIds, ...previousIds.values()]) {
+      const routed = routedKeys.has(normalizeDataSourceId(dataSourceId));
+      const properties = this.propertiesFor(dataSourceId);
+      const mappedNames = new Set(Object.values(properties).map(({ name }) => name));
+
+      let dataSourcePages;
+      try {
+        dataSourcePages = await this.queryAllPages(dataSourceId);
+      } catch (error) {
+        if (routed) throw error;
+        // A data source no longer routed to may have been deleted or unshared; its pages are left alone
+        Debug.warn(`Could not read previous data source ${dataSourceId}:`, error.message);
+        continue;
+      }
 
-      for (const page of (response.results || [])) {
+      for (const page of dataSourcePages) {
         if (page.archived) continue;
 
-        const canvasId = this.extractCanvasIdFromProperty(page.properties?.['Canvas ID']);
+        const canvasId = this.extractCanvasIdFromProperty(page.properties?.[properties.canvasId.name]); // eslint-disable-line security/detect-object-injection -- name from the resolved property mapping
         if (canvasId && !truthMap.has(canvasId)) {
           truthMap.set(canvasId, page.id);
+          pageDataSources.set(page.id, dataSourceId);
+          pageSnapshots.set(page.id, Object.fromEntries(
+            Object.entries(page.properties || {}).filter(([name]) => mappedNames.has(name))
+          ));
+          notionStatuses.set(canvasId, readPropertyText(page.properties?.[properties.status.name])); // eslint-disable-line security/detect-object-injection -- name from the resolved property mapping
+        }
+        if (routed && properties.pushToCanvas && page.properties?.[properties.pushToCanvas.name]?.checkbox === true && // eslint-disable-line security/detect-object-injection -- name from the resolved property mapping
+            (!canvasId || getItemKind(canvasId) === ITEM_KINDS.NOTE)) {
+          notionTasks.push({ page, canvasId, properties });
         }
       }
+    }
+
+    this.pageDataSources = pageDataSources;
+    this.notionStatuses = notionStatuses;
+    this.notionTasks = notionTasks;
+    this.pageSnapshots = pageSnapshots;
+    return truthMap;
+  }
+
+  /**
+   * Every page of a data source, following pagination.
+   * @param {string} dataSourceId
+   * @returns {Array<Object>} Notion pages
+   */
+  async queryAllPages(dataSourceId) {
+    const pages = [];
+    let hasMore = true;
+    let startCursor = undefined;
+
+    while (hasMore) {
+      const response = await this.notionAPI.queryDataSource(
+        dataSourceId,
+        {},
+        { start_cursor: startCursor, page_size: 100 }
+      );
+      pages.push(...(response.results || []));
 
       hasMore = response.has_more || false;
       startCursor = response.next_cursor || undefined;
@@ -104,8 +277,7 @@ export class AssignmentSyncer {
         await new Promise(resolve => setTimeout(resolve, 50));
       }
     }
-
-    return truthMap;
+    return pages;
   }
 
   /**
@@ -130,13 +302,16 @@ export class AssignmentSyncer {
         // assignment is in the current Canvas sync set (avoids adding entries
         // for inactive courses that would just be removed during cleanup)
         if (!currentCanvasIds || currentCanvasIds.has(canvasId)) {
-          await this.assignmentCache.cacheAssignment(canvasId, {}, notionPageId);
+          await this.assignmentCache.cacheAssignment(canvasId, {}, notionPageId, null, this.pageDataSources.get(notionPageId));
           stats.populated++;
         }
       } else if (cached.notionPageId !== notionPageId) {
         // Cache points to wrong Notion page — fix it and wipe canvasData
-        await this.assignmentCache.cacheAssignment(canvasId, {}, notionPageId);
+        await this.assignmentCache.cacheAssignment(canvasId, {}, notionPageId, null, this.pageDataSources.get(notionPageId));
         stats.fixed++;
+      } else if (this.pageDataSources.has(notionPageId) && cached.dataSourceId !== this.pageDataSources.get(notionPageId)) {
+        // Remember where the page is, so it is still found after its course's route changes
+        await this.assignmentCache.updateDataSource(canvasId, this.pageDataSources.get(notionPageId));
       }
     }
 
@@ -160,7 +335,13 @@ export class AssignmentSyncer {
     return stats;
   }
 
-  formatAssignmentProperties(assignment) {
+  /**
+   * Build the Notion properties of an assignment page.
+   * @param {Object} assignment - Canvas record
+   * @param {Object} [properties] - Resolved properties of the data source the page is in
+   * @returns {Object} Notion property values by property name
+   */
+  formatAssignmentProperties(assignment, properties = this.properties) {
     // Validate all fields before building Notion properties
     const { validated, warnings } = NotionValidator.validateAssignmentForNotion(assignment);
 
@@ -169,70 +350,209 @@ export class AssignmentSyncer {
         warnings.join('; '));
     }
 
-    const properties = {
-      "Assignment Name": {
-        title: [{ text: { content: validated.title } }]
-      }
+    // Canvas field -> value; null and empty values are left out of the page
+    const values = {
+      title: validated.title,
+      // Linked to the course's page in the course grade database, once that page exists
+      course: properties.course?.type === 'relation' ? assignment.coursePageId : validated.course,
+      dueDate: validated.dueDate
+        ? (validated.endDate ? { start: validated.dueDate, end: validated.endDate } : { start: validated.dueDate })
+        : null,
+      status: validated.status,
+      points: validated.points,
+      link: validated.link,
+      canvasId: validated.canvasId,
+      grade: validated.gradePercent,
+      description: validated.description,
+      itemType: validated.itemType,
+      category: validated.category,
+      available: validated.available,
+      location: validated.location,
+      timeLimit: validated.timeLimit,
+      allowedAttempts: validated.allowedAttempts,
+      questionCount: validated.questionCount
     };
 
-    if (validated.course) {
-      properties["Course"] = {
-        select: { name: validated.course }
-      };
+    const pageProperties = {};
+    for (const [field, { name, type }] of Object.entries(properties)) {
+      const value = values[field]; // eslint-disable-line security/detect-object-injection -- field from the resolved property mapping
+      if (value === null || value === undefined || value === '') continue;
+      pageProperties[name] = formatPropertyValue(type, value); // eslint-disable-line security/detect-object-injection -- name from the resolved property mapping
     }
 
-    if (validated.dueDate) {
-      properties["Due Date"] = {
-        date: { start: validated.dueDate }
-      };
-    }
+    return pageProperties;
+  }
 
-    if (validated.status) {
-      properties["Status"] = {
-        select: { name: validated.status }
-      };
+  /**
+   * Canvas course IDs by the values a Course property can hold, from this sync's Canvas records.
+   * @param {Map<string, Object>} canvasAssignmentMap - Canvas ID -> record
+   * @param {Map<string, string>|null} coursePageIds - Canvas course ID -> course grade database page
+   * @returns {Object} { byName, byPage } - course name / course page ID -> Canvas course ID
+   */
+  courseLookup(canvasAssignmentMap, coursePageIds) {
+    const byName = new Map();
+    for (const { course, courseId } of canvasAssignmentMap.values()) {
+      if (!course || courseId === null || courseId === undefined) continue;
+      // The select option holds the validated name, which may differ from Canvas's
+      byName.set(course, courseId);
+      byName.set(NotionValidator.validateSelectOption(course).sanitized, courseId);
     }
+    const byPage = new Map([...(coursePageIds || new Map())].map(([courseId, pageId]) => [pageId, courseId]));
+    return { byName, byPage };
+  }
 
-    if (validated.points !== null) {
-      properties["Points"] = {
-        number: validated.points
-      };
-    }
+  /**
+   * The Canvas planner note for a Notion task, tied to the course its Course property names.
+   * @param {Object} task - { page, properties } from fetchAllNotionPages
+   * @param {Object} courses - Result of courseLookup()
+   * @returns {Object} { title, details, todo_date, course_id }
+   */
+  buildPlannerNote({ page, properties }, courses) {
+    const read = property => (property ? page.properties?.[property.name] : null); // eslint-disable-line security/detect-object-injection -- name from the resolved property mapping
+    const course = read(properties.course);
+    const courseId = properties.course?.type === 'relation'
+      ? courses.byPage.get(course?.relation?.[0]?.id)
+      : courses.byName.get(readPropertyText(course));
+
+    return {
+      title: readPropertyText(read(properties.title)) || 'Untitled',
+      details: readPropertyText(read(properties.description)) || '',
+      todo_date: read(properties.dueDate)?.date?.start || null,
+      course_id: courseId ?? null
+    };
+  }
 
-    if (validated.link) {
-      properties["Link to Resources"] = {
-        url: validated.link
-      };
+  /**
+   * Whether this sync's Canvas extraction covers an item, so its absence means it was deleted.
+   * Assignments and quizzes are fetched in full; other kinds (calendar events, planner items)
+   * only inside the date window their pass used.
+   * @param {string} canvasId - Namespaced Canvas ID
+   * @param {Object} entry - Cache entry
+   * @param {Object} coverageWindows - Item kind -> { start, end } ISO strings; missing if not fetched
+   * @returns {boolean}
+   */
+  isCoveredBySync(canvasId, entry, coverageWindows) {
+    const kind = getItemKind(canvasId);
+    if (kind === ITEM_KINDS.ASSIGNMENT || kind === ITEM_KINDS.QUIZ) {
+      return true;
     }
 
-    if (validated.canvasId) {
-      properties["Canvas ID"] = {
-        rich_text: NotionValidator.splitLongText(validated.canvasId)
-      };
+    const window = Object.prototype.hasOwnProperty.call(coverageWindows, kind)
+      ? coverageWindows[kind] // eslint-disable-line security/detect-object-injection -- own-property check above
+      : null;
+    const start = entry.canvasData?.dueDate;
+    if (!window || !start) {
+      return false;
     }
 
-    if (validated.gradePercent !== null) {
-      properties["Grade"] = {
-        number: validated.gradePercent
-      };
+    const time = new Date(start).getTime();
+    return time >= new Date(window.start).getTime() && time <= new Date(window.end).getTime();
+  }
+
+  /**
+   * Cached items missing from this sync's Canvas data: pages to archive (active courses) and
+   * entries to drop from the cache (inactive courses). Items of courses whose extraction failed
+   * are left alone, as are items outside what the extraction covered.
+   * @param {Array<string>} canvasIds - Canvas IDs extracted by this sync
+   * @param {Object} coverageWindows - Item kind -> date window it was fetched for
+   * @param {Array<Object>} extractionErrors - [{ courseId, courseCode, error }] from the extractor
+   * @returns {Object} { toDelete, toRemove, tracked } from AssignmentCacheManager.cleanupInactiveCourses
+   */
+  async findDeletions(canvasIds, coverageWindows, extractionErrors) {
+    const failedCourseIds = new Set(extractionErrors.map(error => String(error.courseId)));
+    const keptCourseIds = new Set();
+    const cleanup = await this.assignmentCache.cleanupInactiveCourses(canvasIds, {
+      isCovered: (canvasId, entry) => {
+        const courseId = String(entry.canvasData?.courseId);
+        if (failedCourseIds.has(courseId)) {
+          keptCourseIds.add(courseId);
+          return false;
+        }
+        return this.isCoveredBySync(canvasId, entry, coverageWindows);
+      }
+    });
+
+    if (keptCourseIds.size > 0) {
+      const courses = extractionErrors.filter(error => keptCourseIds.has(String(error.courseId))).map(error => error.courseCode);
+      SyncLogger.warn(`Not archiving missing items of courses that failed to load: ${courses.join(', ')}`, { courseIds: Array.from(keptCourseIds) });
     }
+    return cleanup;
+  }
 
-    if (validated.description) {
-      properties["Description"] = {
-        rich_text: NotionValidator.splitLongText(validated.description)
-      };
+  /**
+   * Canvas ID -> Canvas record for the items that have a Canvas ID.
+   * @param {Array<Object>} assignments - Canvas records
+   * @param {Map<string, string>} [coursePageIds] - Canvas course ID -> course grade database page
+   * @returns {Map<string, Object>}
+   */
+  buildAssignmentMap(assignments, coursePageIds = null) {
+    const canvasAssignmentMap = new Map();
+
+    for (const item of assignments) {
+      if (item.canvasId) {
+        // The course page is part of the compared data, so a newly created course page gets linked
+        const assignment = this.courseIsRelation && coursePageIds
+          ? { ...item, coursePageId: coursePageIds.get(String(item.courseId)) || null }
+          : item;
+        canvasAssignmentMap.set(item.canvasId.toString(), assignment);
+      }
     }
 
-    return properties;
+    return canvasAssignmentMap;
+  }
+
+  /**
+   * Read every page in Notion and fix the cache from it. On failure the existing cache is used
+   * and _notionTruthMap stays null.
+   * @param {Set<string>} currentCanvasIdSet - Canvas IDs in this sync
+   */
+  async reconcileWithNotion(currentCanvasIdSet) {
+    this._notionTruthMap = null;
+    this.pageDataSources = new Map();
+    this.pageSnapshots = new Map();
+    if (!this.assignmentCache) return;
+
+    try {
+      Debug.log('Reconciling cache with Notion...');
+      const truthMap = await this.fetchAllNotionPages();
+      Debug.log(`Found ${truthMap.size} existing pages in Notion`);
+
+      const reconcileStats = await this.reconcileCache(truthMap, currentCanvasIdSet);
+      if (reconcileStats.fixed > 0 || reconcileStats.populated > 0 || reconcileStats.orphaned > 0) {
+        Debug.log(
+          `Cache reconciliation: ${reconcileStats.fixed} fixed, ` +
+          `${reconcileStats.populated} populated, ${reconcileStats.orphaned} orphaned removed`
+        );
+      }
+
+      this._notionTruthMap = truthMap;
+    } catch (error) {
+      Debug.warn('Cache reconciliation failed, continuing with existing cache:', error.message);
+    }
   }
 
   /**
    * Main sync method implementing the unified cache algorithm
    * @param {Array} assignments - Canvas assignments to sync
    * @param {Array<string>} activeCourseIds - Currently active Canvas course IDs
-   * @returns {Object} Sync results with statistics
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Progress callback
+   * @param {Object} [options.coverageWindows] - Item kind -> date window it was fetched for
+   * @param {Map<string, string>} [options.coursePageIds] - Canvas course ID -> course grade database page
+   * @param {Object} [options.plannerCompletion] - PlannerCompletionSyncer; pushes Notion completion to Canvas
+   * @param {Object} [options.plannerNotes] - PlannerNoteSyncer; adds pages marked "Push to Canvas" to the Canvas planner
+   * @param {Array<string>} [options.selectedIds] - Canvas IDs kept from a reviewed plan (see planSync);
+   *   other creates, updates and archives are skipped, and so are the Canvas planner writes, which a
+   *   plan doesn't show
+   * @param {Object} [options.journal] - SyncJournal; records each page write so the sync can be undone
+   * @param {Array<Object>} [options.extractionErrors] - Courses that failed to load; their missing items aren't archived
+   * @returns {Object} Sync results with statistics. deletionsHeld is { count, tracked, reason, policy, items }
+   *   when more pages would have been removed than the deletion settings allow without confirmation, and
+   *   none were; pass its items to confirmDeletions once confirmed
    */
-  async syncAssignments(assignments, activeCourseIds = [], { onProgress } = {}) {
+  async syncAssignments(assignments, activeCourseIds = [], { onProgress, coverageWindows = {}, coursePageIds = null, plannerCompletion = null, plannerNotes = null, selectedIds = null, journal = null, extractionErrors = [] } = {}) {
+    const selected = selectedIds ? new Set(selectedIds.map(String)) : null;
+    this.journal = journal;
     const reportProgress = typeof onProgress === 'function' ? onProgress : () => {};
     // Initialize once before syncing
     if (!this.dataSourceId) {
@@ -243,39 +563,47 @@ export class AssignmentSyncer {
     SyncLogger.info(`Sync started for ${assignments.length} assignments`);
 
     // Build Canvas assignment map early so we can pass IDs to reconciliation
-    const canvasAssignmentMap = new Map();
-    const canvasIds = [];
+    const canvasAssignmentMap = this.buildAssignmentMap(assignments, coursePageIds);
+    const canvasIds = Array.from(canvasAssignmentMap.keys());
 
-    for (const assignment of assignments) {
-      if (assignment.canvasId) {
-        const canvasId = assignment.canvasId.toString();
-        canvasAssignmentMap.set(canvasId, assignment);
-        canvasIds.push(canvasId);
+    // Step 0: Reconcile cache with Notion reality
+    reportProgress({ phase: 'reconciling', current: 0, total: assignments.length, errorCount: 0 });
+    await this.reconcileWithNotion(new Set(canvasIds));
+
+    // Step 0b: Push statuses changed in Notion to the Canvas planner, before this sync's
+    // Canvas data replaces the cached statuses they are compared with
+    let plannerResults = { updated: [], errors: [] };
+    if (plannerCompletion && this._notionTruthMap && !selected) {
+      try {
+        plannerResults = await plannerCompletion.pushCompletions(this.notionStatuses, canvasAssignmentMap);
+      } catch (error) {
+        Debug.warn('Canvas planner update failed:', error.message);
+        SyncLogger.warn(`Canvas planner update failed: ${error.message}`, { error: error.message });
       }
     }
 
-    const currentCanvasIdSet = new Set(canvasIds);
+    // Step 0c: Add pages marked "Push to Canvas" to the Canvas planner as notes. Those pages are
+    // the source of their notes, so the notes aren't synced back over them below
+    let notesResults = { created: [], updated: [], errors: [] };
+    const notionOwnedIds = new Set();
+    if (plannerNotes && this._notionTruthMap) {
+      const courses = this.courseLookup(canvasAssignmentMap, coursePageIds);
+      const tasks = this.notionTasks.map(task => ({ pageId: task.page.id, canvasId: task.canvasId, note: this.buildPlannerNote(task, courses) }));
+      const linkPage = (pageId, canvasId) => {
+        const { canvasId: property } = this.notionTasks.find(task => task.page.id === pageId).properties;
+        return this.notionAPI.updatePage(pageId, { [property.name]: formatPropertyValue(property.type, canvasId) });
+      };
 
-    // Step 0: Reconcile cache with Notion reality
-    reportProgress({ phase: 'reconciling', current: 0, total: assignments.length, errorCount: 0 });
-    this._notionTruthMap = null;
-    if (this.assignmentCache) {
-      try {
-        Debug.log('Reconciling cache with Notion...');
-        const truthMap = await this.fetchAllNotionPages();
-        Debug.log(`Found ${truthMap.size} existing pages in Notion`);
-
-        const reconcileStats = await this.reconcileCache(truthMap, currentCanvasIdSet);
-        if (reconcileStats.fixed > 0 || reconcileStats.populated > 0 || reconcileStats.orphaned > 0) {
-          Debug.log(
-            `Cache reconciliation: ${reconcileStats.fixed} fixed, ` +
-            `${reconcileStats.populated} populated, ${reconcileStats.orphaned} orphaned removed`
-          );
+      for (const { canvasId } of tasks) {
+        if (canvasId) notionOwnedIds.add(canvasId);
+      }
+      if (!selected) {
+        try {
+          notesResults = await plannerNotes.syncNotes(tasks, linkPage);
+        } catch (error) {
+          Debug.warn('Canvas planner notes failed:', error.message);
+          SyncLogger.warn(`Canvas planner notes failed: ${error.message}`, { error: error.message });
         }
-
-        this._notionTruthMap = truthMap;
-      } catch (error) {
-        Debug.warn('Cache reconciliation failed, continuing with existing cache:', error.message);
       }
     }
 
@@ -293,221 +621,621 @@ export class AssignmentSyncer {
       updated: [],
       skipped: [],
       deleted: [],
-      errors: []
+      // Items marked complete or dismissed in the Canvas planner from their Notion status
+      plannerUpdated: plannerResults.updated,
+      // Notion tasks added to or updated in the Canvas planner as notes
+      plannerNotesCreated: notesResults.created,
+      plannerNotesUpdated: notesResults.updated,
+      errors: [...plannerResults.errors, ...notesResults.errors],
+      // Fields changed both in Notion and in Canvas; the Notion value was kept
+      conflicts: [],
+      // Removals waiting for confirmation
+      deletionsHeld: null
     };
 
-    let syncIndex = 0;
-    for (const [canvasId, assignment] of canvasAssignmentMap.entries()) {
-      syncIndex++;
-      reportProgress({ phase: 'syncing', current: syncIndex, total: canvasAssignmentMap.size, currentTitle: assignment.title, errorCount: results.errors.length });
-      try {
-        // Check cache and compare fields
-        const comparison = this.assignmentCache
-          ? await this.assignmentCache.compareAndNeedsUpdate(canvasId, assignment)
-          : { needsUpdate: true, changedFields: [], cachedEntry: null };
+    // Items run a few at a time; the Notion rate limiter paces the requests they make
+    let completed = 0;
+    await runWithConcurrency(canvasAssignmentMap.entries(), NOTION_WRITE_CONCURRENCY, async ([canvasId, assignment]) => {
+      if (notionOwnedIds.has(canvasId)) {
+        results.skipped.push({ canvasId, title: assignment.title });
+      } else {
+        await this.syncAssignment(canvasId, assignment, results, selected);
+      }
+      completed++;
+      reportProgress({ phase: 'syncing', current: completed, total: canvasAssignmentMap.size, currentTitle: assignment.title, errorCount: results.errors.length });
+    });
 
-        const properties = this.formatAssignmentProperties(assignment);
+    // Step 4: Handle deleted assignments
+    reportProgress({ phase: 'cleanup', current: canvasAssignmentMap.size, total: canvasAssignmentMap.size, errorCount: results.errors.length });
+    if (this.assignmentCache && activeCourseIds.length > 0) {
+      Debug.log('Checking for deleted assignments...');
+      const cleanup = await this.findDeletions(canvasIds, coverageWindows, extractionErrors);
+
+      // Apply the deletion policy (active courses only). Removals reviewed in a plan aren't held back
+      let toDelete = selected ? cleanup.toDelete.filter(({ canvasId }) => selected.has(canvasId)) : cleanup.toDelete;
+      const holdReason = selected ? null : removalHoldReason(toDelete.length, cleanup.tracked, this.deletion);
+      if (holdReason) {
+        this.logHeldRemovals(holdReason, toDelete.length, cleanup.tracked);
+        results.deletionsHeld = {
+          count: toDelete.length,
+          tracked: cleanup.tracked,
+          reason: holdReason,
+          policy: this.deletion.policy,
+          items: toDelete.map(({ canvasId, notionPageId, courseId, title }) => ({ canvasId, notionPageId, courseId, title }))
+        };
+        toDelete = [];
+      }
+      await runWithConcurrency(toDelete, NOTION_WRITE_CONCURRENCY, item => this.removeDeletedItem(item, results));
 
-        if (!comparison.cachedEntry) {
-          // Check truth map before creating — avoid duplicates
-          const existingPageId = this._notionTruthMap?.get(canvasId);
+      // Remove from cache only (inactive courses - keep in Notion as historical data)
+      for (const { canvasId } of cleanup.toRemove) {
+        await this.assignmentCache.removeAssignment(canvasId);
+      }
 
-          if (existingPageId) {
-            // Page exists in Notion but wasn't in cache — update instead of create
-            Debug.log(`Found existing Notion page for "${assignment.title}", updating instead of creating`);
-            await this.notionAPI.updatePage(existingPageId, properties);
+      Debug.log(`Cleanup complete: ${toDelete.length} deleted, ${cleanup.toRemove.length} archived from cache`);
+    }
 
-            if (this.assignmentCache) {
-              await this.assignmentCache.cacheAssignment(canvasId, assignment, existingPageId);
-            }
+    // Step 5: Print summary and flush logs
+    this.printSyncSummary(results);
 
-            SyncLogger.info(`Updated "${assignment.title}" (reconciled)`, { canvasId, title: assignment.title, changedFields: ['all (reconciled)'] });
+    SyncLogger.info(
+      `Sync complete: ${results.created.length} created, ${results.updated.length} updated, ${results.deleted.length} deleted, ${results.errors.length} errors`
+    );
+    await SyncLogger.flush();
 
-            results.updated.push({
-              canvasId,
-              title: assignment.title,
-              changedFields: ['all (reconciled)'],
-              notionPageId: existingPageId
-            });
-          } else {
-            // Genuinely new assignment - create in Notion
-            const result = await this.notionAPI.createPage(this.dataSourceId, properties);
+    reportProgress({ phase: 'complete', current: canvasAssignmentMap.size, total: canvasAssignmentMap.size, errorCount: results.errors.length, errors: results.errors });
 
-            if (this.assignmentCache) {
-              await this.assignmentCache.cacheAssignment(canvasId, assignment, result.id);
-            }
+    return results;
+  }
 
-            SyncLogger.info(`Created "${assignment.title}" in Notion`, { canvasId, title: assignment.title, notionPageId: result.id });
+  /**
+   * Log removals held back for confirmation
+   * @param {string} reason - 'limit' or 'threshold', from removalHoldReason
+   * @param {number} count - Pages that would have been removed
+   * @param {number} tracked - Pages the sync tracks
+   */
+  logHeldRemovals(reason, count, tracked) {
+    const outcome = describeRemoval(this.deletion.policy);
+    const details = { count, tracked, reason, policy: this.deletion.policy };
+    if (reason === 'limit') {
+      const limit = Math.round(this.deletion.maxFraction * 100);
+      Debug.warn(`Holding back ${count} of ${tracked} pages to remove, above the ${limit}% limit`);
+      SyncLogger.warn(
+        `Archiving stopped: this sync would have ${outcome} ${count} of ${tracked} pages, more than the ${limit}% limit. ` +
+        'If those items really were removed from Canvas, confirm in the popup or raise the limit in Settings',
+        details
+      );
+    } else {
+      Debug.log(`Holding back ${count} pages to remove until confirmed`);
+      SyncLogger.warn(`${count} pages of items removed from Canvas will be ${outcome} once you confirm in the popup`, details);
+    }
+  }
 
-            results.created.push({
-              canvasId,
-              title: assignment.title,
-              notionPageId: result.id
-            });
-          }
+  /**
+   * Apply the deletion policy to the page of an item removed from Canvas, then drop its cache
+   * entry so later syncs leave the page alone. Failures are added to results.errors.
+   * @param {Object} item - { canvasId, notionPageId, courseId } from findDeletions
+   * @param {Object} results - Sync results; the item is added to deleted
+   */
+  async removeDeletedItem({ canvasId, notionPageId, courseId }, results) {
+    const policy = this.removalPolicyFor(notionPageId);
+    try {
+      const cacheEntry = await this.assignmentCache.getCachedAssignment(canvasId);
+      const title = cacheEntry?.canvasData?.title;
+
+      if (policy === 'archive') {
+        await this.notionAPI.updatePage(notionPageId, {}, { archived: true });
+        this.journal?.record({ type: 'archive', canvasId, title, pageId: notionPageId, cacheEntry });
+      } else if (policy === 'status') {
+        const { status } = this.propertiesFor(this.pageDataSources.get(notionPageId) || this.dataSourceId);
+        if (!status) {
+          throw new Error('The data source has no Status property to mark the page with');
+        }
+        const properties = { [status.name]: formatPropertyValue(status.type, REMOVED_STATUS) };
+        const page = this.journal ? await this.readPage(notionPageId) : null;
+        await this.notionAPI.updatePage(notionPageId, properties);
+        this.journal?.record({
+          type: 'update',
+          canvasId,
+          title,
+          pageId: notionPageId,
+          properties: page ? priorPropertyValues(page.properties, properties, { status }) : null,
+          cacheEntry
+        });
+      } else if (policy === 'move') {
+        const fromDataSourceId = this.pageDataSources.get(notionPageId) || this.dataSourceId;
+        await this.notionAPI.movePage(notionPageId, this.deletion.archiveDataSourceId);
+        this.journal?.record({ type: 'relocate', canvasId, title, pageId: notionPageId, dataSourceId: fromDataSourceId, cacheEntry });
+      }
 
-        } else if (comparison.needsUpdate) {
-          // Assignment changed - update in Notion
-          const notionPageId = comparison.cachedEntry.notionPageId;
+      await this.assignmentCache.removeAssignment(canvasId);
 
-          try {
-            // Preserve manual status changes
-            await this.applyStatusPreservation(properties, notionPageId, assignment.status);
+      SyncLogger.info(`Removed from Canvas: "${title || canvasId}" ${describeRemoval(policy)}`, { canvasId, courseId, policy });
 
-            await this.notionAPI.updatePage(notionPageId, properties);
+      results.deleted.push({ canvasId, courseId, notionPageId, policy });
+    } catch (error) {
+      Debug.error(`Failed to delete assignment ${canvasId}:`, error.message);
+      SyncLogger.error(`Failed to delete assignment: ${error.message}`, { canvasId, error: error.message });
+      results.errors.push({
+        canvasId,
+        error: `Deletion failed: ${error.message}`
+      });
+    }
+  }
 
-            // Update cache with new data
-            if (this.assignmentCache) {
-              await this.assignmentCache.cacheAssignment(canvasId, assignment, notionPageId);
-            }
+  /**
+   * Apply the deletion policy to removals a sync held back (deletionsHeld.items), once the student
+   * confirmed them. Items a sync has found again or re-linked since are skipped.
+   * @param {Array<Object>} items - [{ canvasId, notionPageId, courseId }]
+   * @param {Object} [options]
+   * @param {Object} [options.journal] - SyncJournal; records each page write so it can be undone
+   * @returns {Object} { deleted, errors }
+   */
+  async confirmDeletions(items, { journal = null } = {}) {
+    if (!this.dataSourceId) {
+      await this.initialize();
+    }
+    this.journal = journal;
 
-            SyncLogger.info(`Updated "${assignment.title}" (fields: ${comparison.changedFields.join(', ')})`, { canvasId, title: assignment.title, changedFields: comparison.changedFields });
-
-            results.updated.push({
-              canvasId,
-              title: assignment.title,
-              changedFields: comparison.changedFields,
-              notionPageId
-            });
-          } catch (updateError) {
-            // If the page was archived/trashed in Notion, find the live page or create new
-            if (updateError.message && updateError.message.includes('archived')) {
-              Debug.log(`Cached page archived in Notion for "${assignment.title}", searching for live page...`);
-
-              const existingPage = await this.findLivePageByCanvasId(canvasId);
-
-              if (existingPage) {
-                // Found a live page — update it and fix the cache
-                Debug.log(`Found existing live page for "${assignment.title}", updating`);
-                await this.notionAPI.updatePage(existingPage.id, properties);
-
-                if (this.assignmentCache) {
-                  await this.assignmentCache.cacheAssignment(canvasId, assignment, existingPage.id);
-                }
-
-                results.updated.push({
-                  canvasId,
-                  title: assignment.title,
-                  changedFields: comparison.changedFields,
-                  notionPageId: existingPage.id
-                });
-              } else {
-                // No live page exists — create a new one
-                const result = await this.notionAPI.createPage(this.dataSourceId, properties);
-
-                if (this.assignmentCache) {
-                  await this.assignmentCache.cacheAssignment(canvasId, assignment, result.id);
-                }
-
-                results.created.push({
-                  canvasId,
-                  title: assignment.title,
-                  notionPageId: result.id
-                });
-              }
-            } else {
-              throw updateError;
-            }
-          }
+    // The pages' data sources and properties, for the status and move policies
+    await this.reconcileWithNotion(new Set(items.map(item => item.canvasId)));
 
-        } else {
-          // No changes - skip API call
-          results.skipped.push({
-            canvasId,
-            title: assignment.title
-          });
+    const pending = [];
+    for (const item of items) {
+      const cached = await this.assignmentCache.getCachedAssignment(item.canvasId);
+      if (cached?.notionPageId === item.notionPageId) {
+        pending.push(item);
+      }
+    }
+
+    const results = { deleted: [], errors: [] };
+    await runWithConcurrency(pending, NOTION_WRITE_CONCURRENCY, item => this.removeDeletedItem(item, results));
+
+    SyncLogger.info(`Confirmed removals: ${results.deleted.length} pages ${describeRemoval(this.deletion.policy)}, ${results.errors.length} errors`);
+    await SyncLogger.flush();
+    return results;
+  }
+
+  /**
+   * Work out what syncAssignments would do, without writing to Notion or Canvas. The cache is
+   * reconciled with Notion as in a sync, so the plan matches what applying it writes; pass the
+   * Canvas IDs the user keeps to syncAssignments as selectedIds to apply it.
+   * @param {Array} assignments - Canvas assignments to sync
+   * @param {Array<string>} activeCourseIds - Currently active Canvas course IDs
+   * @param {Object} [options]
+   * @param {Object} [options.coverageWindows] - Item kind -> date window it was fetched for
+   * @param {Map<string, string>} [options.coursePageIds] - Canvas course ID -> course grade database page
+   * @param {boolean} [options.plannerNotes] - Whether pages marked "Push to Canvas" own their Canvas items
+   * @param {Array<Object>} [options.extractionErrors] - Courses that failed to load; their missing items aren't archived
+   * @returns {Object} { items, unchanged } - items: [{ action, canvasId, title, course, notionPageId, changes }]
+   *   with action 'create', 'update' or 'archive'. An update lists { field, label, before, after } for
+   *   each changed field, or sets allFields when a page missing from the cache is rewritten. Items removed
+   *   from Canvas are archives, or updates under the status and move deletion policies
+   */
+  async planSync(assignments, activeCourseIds = [], { coverageWindows = {}, coursePageIds = null, plannerNotes = false, extractionErrors = [] } = {}) {
+    if (!this.dataSourceId) {
+      await this.initialize();
+    }
+
+    const canvasAssignmentMap = this.buildAssignmentMap(assignments, coursePageIds);
+    const canvasIds = Array.from(canvasAssignmentMap.keys());
+    await this.reconcileWithNotion(new Set(canvasIds));
+
+    const notionOwnedIds = new Set(plannerNotes && this._notionTruthMap
+      ? this.notionTasks.map(task => task.canvasId).filter(Boolean)
+      : []);
+    const items = [];
+    let unchanged = 0;
+
+    for (const [canvasId, assignment] of canvasAssignmentMap.entries()) {
+      const { action, comparison, targetDataSourceId, currentPageId, currentDataSourceId } = notionOwnedIds.has(canvasId)
+        ? { action: 'skip' }
+        : await this.decideAction(canvasId, assignment);
+      const item = { canvasId, title: assignment.title, course: assignment.course || null, notionPageId: currentPageId };
+
+      if (action === 'create') {
+        items.push({ action: 'create', ...item, changes: [] });
+      } else if (action === 'move') {
+        items.push({ action: 'update', ...item, changes: [{ field: 'dataSource', label: 'Data source', before: currentDataSourceId, after: targetDataSourceId }] });
+      } else if (action === 'reconcile') {
+        items.push({ action: 'update', ...item, changes: [], allFields: true });
+      } else if (action === 'update') {
+        const changes = comparison.changedFields.map(field => ({
+          field,
+          label: fieldLabel(field),
+          before: comparison.cachedEntry.canvasData[field] ?? null, // eslint-disable-line security/detect-object-injection -- field from the cache's compared fields
+          after: assignment[field] ?? null // eslint-disable-line security/detect-object-injection -- field from the cache's compared fields
+        }));
+        items.push({ action: 'update', ...item, changes });
+      } else {
+        unchanged++;
+      }
+    }
+
+    if (this.assignmentCache && activeCourseIds.length > 0) {
+      this.assignmentCache.setActiveCourses(activeCourseIds);
+      const cleanup = await this.findDeletions(canvasIds, coverageWindows, extractionErrors);
+      // Pages of removed items are archived, or updated in place under the status and move policies
+      const { archiveDataSourceId } = this.deletion;
+      for (const { canvasId, notionPageId, title, course } of cleanup.toDelete) {
+        const item = { canvasId, title, course, notionPageId };
+        const policy = this.removalPolicyFor(notionPageId);
+        if (policy === 'archive') {
+          items.push({ action: 'archive', ...item, changes: [] });
+        } else if (policy === 'status') {
+          items.push({ action: 'update', ...item, changes: [{ field: 'status', label: fieldLabel('status'), before: this.notionStatuses.get(canvasId) ?? null, after: REMOVED_STATUS }] });
+        } else if (policy === 'move') {
+          items.push({ action: 'update', ...item, changes: [{ field: 'dataSource', label: 'Data source', before: this.pageDataSources.get(notionPageId) || null, after: archiveDataSourceId }] });
         }
+      }
+    }
 
-      } catch (error) {
-        Debug.error(`Error syncing assignment ${assignment.title}:`, error.message);
-        SyncLogger.error(`Failed to sync "${assignment.title}": ${error.message}`, { canvasId, title: assignment.title, error: error.message });
-        results.errors.push({
+    Debug.log(`Sync plan: ${items.length} changes, ${unchanged} unchanged`);
+    return { items, unchanged };
+  }
+
+  /**
+   * What a sync does with one Canvas item, from the cache and the last reconciliation.
+   * Shared by the sync and its plan, so a plan shows what applying it writes.
+   * @param {string} canvasId - Canvas ID of the item
+   * @param {Object} assignment - Canvas record
+   * @returns {Object} { action, comparison, targetDataSourceId, currentPageId, currentDataSourceId };
+   *   action is 'move' (to the data source its course routes to), 'reconcile' (a page not in the
+   *   cache is rewritten), 'create', 'update' or 'skip'
+   */
+  async decideAction(canvasId, assignment) {
+    // Check cache and compare fields
+    const comparison = this.assignmentCache
+      ? await this.assignmentCache.compareAndNeedsUpdate(canvasId, assignment)
+      : { needsUpdate: true, changedFields: [], cachedEntry: null };
+
+    const targetDataSourceId = routeDataSource(assignment, this.courseRoutes, this.dataSourceId);
+
+    // A page found in another data source than its course routes to is moved there
+    const currentPageId = comparison.cachedEntry?.notionPageId || this._notionTruthMap?.get(canvasId) || null;
+    const currentDataSourceId = currentPageId ? this.pageDataSources.get(currentPageId) || null : null;
+
+    let action;
+    if (currentDataSourceId && normalizeDataSourceId(currentDataSourceId) !== normalizeDataSourceId(targetDataSourceId)) {
+      action = 'move';
+    } else if (!comparison.cachedEntry) {
+      // Check truth map before creating — avoid duplicates
+      action = currentPageId ? 'reconcile' : 'create';
+    } else {
+      action = comparison.needsUpdate ? 'update' : 'skip';
+    }
+
+    return { action, comparison, targetDataSourceId, currentPageId, currentDataSourceId };
+  }
+
+  /**
+   * Create, update or move the Notion page of one Canvas item. Errors are recorded in results
+   * rather than thrown, so the other items keep syncing.
+   * @param {string} canvasId - Canvas ID of the item
+   * @param {Object} assignment - Canvas record
+   * @param {Object} results - Sync results; the outcome is added to it
+   * @param {Set<string>} [selectedIds] - Canvas IDs of a reviewed plan; other changes are skipped
+   */
+  async syncAssignment(canvasId, assignment, results, selectedIds = null) {
+    try {
+      const { action, comparison, targetDataSourceId, currentPageId, currentDataSourceId } = await this.decideAction(canvasId, assignment);
+
+      // Applying a reviewed plan: only the changes the user kept are written
+      if (selectedIds && action !== 'skip' && !selectedIds.has(canvasId)) {
+        results.skipped.push({ canvasId, title: assignment.title });
+        return;
+      }
+
+      const targetProperties = this.propertiesFor(targetDataSourceId);
+      const properties = this.formatAssignmentProperties(assignment, targetProperties);
+
+      if (action === 'move') {
+        const { notionPageId, conflicts } = await this.movePage(canvasId, assignment, properties, currentPageId, targetDataSourceId, targetProperties, {
+          fromProperties: this.propertiesFor(currentDataSourceId),
+          written: comparison.cachedEntry?.written
+        });
+        results.conflicts.push(...conflicts);
+        this.journal?.record({ type: 'move', canvasId, title: assignment.title, pageId: notionPageId, fromPageId: currentPageId, cacheEntry: comparison.cachedEntry });
+
+        results.updated.push({
           canvasId,
           title: assignment.title,
-          error: error.message
+          changedFields: ['data source'],
+          notionPageId
         });
-      }
+      } else if (action === 'reconcile') {
+        // Page exists in Notion but wasn't in cache — update instead of create
+        Debug.log(`Found existing Notion page for "${assignment.title}", updating instead of creating`);
+        const page = this.journal ? await this.readPage(currentPageId) : null;
+        await this.notionAPI.updatePage(currentPageId, properties);
+        this.journalUpdate(canvasId, assignment, currentPageId, page, properties, targetProperties, null);
+
+        if (this.assignmentCache) {
+          await this.assignmentCache.cacheAssignment(canvasId, assignment, currentPageId, writtenValues(properties, targetProperties));
+        }
 
-      // Small delay between API calls to respect rate limits
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
+        await this.syncRubric(canvasId, assignment, currentPageId);
 
-    // Step 4: Handle deleted assignments
-    reportProgress({ phase: 'cleanup', current: canvasAssignmentMap.size, total: canvasAssignmentMap.size, errorCount: results.errors.length });
-    if (this.assignmentCache && activeCourseIds.length > 0) {
-      Debug.log('Checking for deleted assignments...');
-      const cleanup = await this.assignmentCache.cleanupInactiveCourses(canvasIds);
+        SyncLogger.info(`Updated "${assignment.title}" (reconciled)`, { canvasId, title: assignment.title, changedFields: ['all (reconciled)'] });
+
+        results.updated.push({
+          canvasId,
+          title: assignment.title,
+          changedFields: ['all (reconciled)'],
+          notionPageId: currentPageId
+        });
+      } else if (action === 'create') {
+        // Genuinely new assignment - create in Notion
+        const result = await this.notionAPI.createPage(targetDataSourceId, properties);
+        this.journal?.record({ type: 'create', canvasId, title: assignment.title, pageId: result.id, cacheEntry: null });
+
+        if (this.assignmentCache) {
+          await this.assignmentCache.cacheAssignment(canvasId, assignment, result.id, writtenValues(properties, targetProperties), targetDataSourceId);
+        }
+
+        await this.syncRubric(canvasId, assignment, result.id, true);
+
+        SyncLogger.info(`Created "${assignment.title}" in Notion`, { canvasId, title: assignment.title, notionPageId: result.id });
+
+        results.created.push({
+          canvasId,
+          title: assignment.title,
+          notionPageId: result.id
+        });
+      } else if (action === 'update') {
+        // Assignment changed - update in Notion
+        const notionPageId = comparison.cachedEntry.notionPageId;
 
-      // Delete from Notion (active courses only)
-      for (const { canvasId, notionPageId, courseId } of cleanup.toDelete) {
         try {
-          // Archive the page in Notion
-          await this.notionAPI.updatePage(notionPageId, {}, { archived: true });
+          // Keep what the student changed in Notion where the field's owner allows it
+          const page = await this.readPage(notionPageId);
+          const conflicts = this.applyFieldOwnership(canvasId, assignment, properties, page, comparison.cachedEntry.written, targetProperties);
 
-          // Remove from cache
-          await this.assignmentCache.removeAssignment(canvasId);
+          await this.notionAPI.updatePage(notionPageId, properties);
+          this.journalUpdate(canvasId, assignment, notionPageId, page, properties, targetProperties, comparison.cachedEntry);
+          results.conflicts.push(...conflicts);
 
-          SyncLogger.info('Deleted assignment from Notion', { canvasId, courseId });
+          // Update cache with new data
+          if (this.assignmentCache) {
+            await this.assignmentCache.cacheAssignment(canvasId, assignment, notionPageId, writtenValues(properties, targetProperties));
+          }
 
-          results.deleted.push({ canvasId, courseId, notionPageId });
-        } catch (error) {
-          Debug.error(`Failed to delete assignment ${canvasId}:`, error.message);
-          SyncLogger.error(`Failed to delete assignment: ${error.message}`, { canvasId, error: error.message });
-          results.errors.push({
+          await this.syncRubric(canvasId, assignment, notionPageId);
+
+          SyncLogger.info(`Updated "${assignment.title}" (fields: ${comparison.changedFields.join(', ')})`, { canvasId, title: assignment.title, changedFields: comparison.changedFields });
+
+          results.updated.push({
             canvasId,
-            error: `Deletion failed: ${error.message}`
+            title: assignment.title,
+            changedFields: comparison.changedFields,
+            notionPageId
           });
+        } catch (updateError) {
+          // If the page was archived/trashed in Notion, find the live page or create new
+          if (updateError.message && updateError.message.includes('archived')) {
+            Debug.log(`Cached page archived in Notion for "${assignment.title}", searching for live page...`);
+
+            const existingPage = await this.findLivePageByCanvasId(canvasId);
+
+            if (existingPage) {
+              // Found a live page — update it and fix the cache
+              Debug.log(`Found existing live page for "${assignment.title}", updating`);
+              await this.notionAPI.updatePage(existingPage.id, properties);
+              this.journalUpdate(canvasId, assignment, existingPage.id, existingPage, properties, targetProperties, comparison.cachedEntry);
+
+              if (this.assignmentCache) {
+                await this.assignmentCache.cacheAssignment(canvasId, assignment, existingPage.id, writtenValues(properties, targetProperties), this.pageDataSources.get(existingPage.id));
+              }
+
+              await this.syncRubric(canvasId, assignment, existingPage.id);
+
+              results.updated.push({
+                canvasId,
+                title: assignment.title,
+                changedFields: comparison.changedFields,
+                notionPageId: existingPage.id
+              });
+            } else {
+              // No live page exists — create a new one
+              const result = await this.notionAPI.createPage(targetDataSourceId, properties);
+              this.journal?.record({ type: 'create', canvasId, title: assignment.title, pageId: result.id, cacheEntry: comparison.cachedEntry });
+
+              if (this.assignmentCache) {
+                await this.assignmentCache.cacheAssignment(canvasId, assignment, result.id, writtenValues(properties, targetProperties), targetDataSourceId);
+              }
+
+              await this.syncRubric(canvasId, assignment, result.id, true);
+
+              results.created.push({
+                canvasId,
+                title: assignment.title,
+                notionPageId: result.id
+              });
+            }
+          } else {
+            throw updateError;
+          }
         }
 
-        await new Promise(resolve => setTimeout(resolve, 50));
-      }
+      } else {
+        // No changes - skip API call (a new or edited rubric is still rendered)
+        await this.syncRubric(canvasId, assignment, comparison.cachedEntry.notionPageId);
 
-      // Remove from cache only (inactive courses - keep in Notion as historical data)
-      for (const { canvasId } of cleanup.toRemove) {
-        await this.assignmentCache.removeAssignment(canvasId);
+        results.skipped.push({
+          canvasId,
+          title: assignment.title
+        });
       }
 
-      Debug.log(`Cleanup complete: ${cleanup.toDelete.length} deleted, ${cleanup.toRemove.length} archived from cache`);
+    } catch (error) {
+      Debug.error(`Error syncing assignment ${assignment.title}:`, error.message);
+      SyncLogger.error(`Failed to sync "${assignment.title}": ${error.message}`, { canvasId, title: assignment.title, error: error.message });
+      results.errors.push({
+        canvasId,
+        title: assignment.title,
+        error: error.message
+      });
     }
+  }
 
-    // Step 5: Print summary and flush logs
-    this.printSyncSummary(results);
+  /**
+   * Move an assignment's page to the data source its course routes to: a page is created
+   * there with the current properties (keeping values the student owns in the old page) and
+   * the old page is archived, so it can still be restored from Notion's trash.
+   * @param {string} canvasId - Canvas ID
+   * @param {Object} assignment - Canvas record
+   * @param {Object} properties - Page properties for the target data source
+   * @param {string} fromPageId - Page in the data source the course no longer routes to
+   * @param {string} toDataSourceId - Data source the course routes to
+   * @param {Object} targetProperties - Resolved properties of the target data source
+   * @param {Object} [from]
+   * @param {Object} [from.fromProperties] - Resolved properties of the old page's data source
+   * @param {Object} [from.written] - Values last written to the old page
+   * @returns {Object} { notionPageId, conflicts } - ID of the new page and field conflicts found
+   */
+  async movePage(canvasId, assignment, properties, fromPageId, toDataSourceId, targetProperties, { fromProperties = targetProperties, written = {} } = {}) {
+    const page = await this.readPage(fromPageId);
+    const conflicts = this.applyFieldOwnership(canvasId, assignment, properties, page, written, targetProperties, {
+      pageProperties: fromProperties,
+      copyKept: true
+    });
 
-    SyncLogger.info(
-      `Sync complete: ${results.created.length} created, ${results.updated.length} updated, ${results.deleted.length} deleted, ${results.errors.length} errors`
-    );
-    await SyncLogger.flush();
+    const result = await this.notionAPI.createPage(toDataSourceId, properties);
+    await this.notionAPI.updatePage(fromPageId, {}, { archived: true });
 
-    reportProgress({ phase: 'complete', current: canvasAssignmentMap.size, total: canvasAssignmentMap.size, errorCount: results.errors.length, errors: results.errors });
+    this.pageDataSources.delete(fromPageId);
+    this.pageDataSources.set(result.id, toDataSourceId);
+    this._notionTruthMap?.set(canvasId, result.id);
 
-    return results;
+    if (this.assignmentCache) {
+      await this.assignmentCache.cacheAssignment(canvasId, assignment, result.id, writtenValues(properties, targetProperties), toDataSourceId);
+    }
+
+    await this.syncRubric(canvasId, assignment, result.id, true);
+
+    SyncLogger.info(`Moved "${assignment.title}" to data source ${toDataSourceId}`, { canvasId, title: assignment.title, fromPageId, notionPageId: result.id });
+    return { notionPageId: result.id, conflicts };
   }
 
   /**
-   * Preserve manual "In Progress" and "Submitted" status changes
-   * Only allow automatic status updates that progress forward in the workflow
+   * Render the assignment's rubric into its page body when the rubric changed since it
+   * was last rendered. Rubric problems are logged and retried next sync rather than
+   * failing the assignment.
+   * @param {string} canvasId - Canvas ID
+   * @param {Object} assignment - Canvas record, with a normalized rubric or none
+   * @param {string} notionPageId - Page the rubric belongs in
+   * @param {boolean} isNewPage - Page was just created, so it has no blocks yet
    */
-  async applyStatusPreservation(properties, notionPageId, newStatus) {
+  async syncRubric(canvasId, assignment, notionPageId, isNewPage = false) {
     try {
-      // Fetch current page to check existing status
-      const currentPage = await this.notionAPI.getPage(notionPageId);
-      const existingStatus = currentPage.properties?.Status?.select?.name;
-
-      // If existing status is "In Progress", only update if new status is "Submitted" or "Graded"
-      if (existingStatus === 'In Progress' &&
-          newStatus !== 'Submitted' &&
-          newStatus !== 'Graded') {
-        properties.Status = { select: { name: 'In Progress' } };
+      if (!this.assignmentCache) {
+        // Nothing to compare against; only new pages get a rubric
+        if (isNewPage && assignment.rubric) {
+          await this.notionAPI.appendBlockChildren(notionPageId, buildRubricBlocks(assignment.rubric));
+        }
+        return;
       }
 
-      // If existing status is "Submitted", only update if new status is "Graded"
-      if (existingStatus === 'Submitted' && newStatus !== 'Graded') {
-        properties.Status = { select: { name: 'Submitted' } };
+      const { needsRender, hash, blockIds } = await this.assignmentCache.compareRubric(canvasId, assignment.rubric);
+      if (!needsRender) {
+        return;
       }
+
+      // Pages that predate this cache entry may already hold a rendered rubric
+      const oldBlockIds = blockIds ?? (isNewPage ? [] : await this.findRenderedRubric(notionPageId));
+      const rendered = await this.notionAPI.replaceBlocks(notionPageId, oldBlockIds, buildRubricBlocks(assignment.rubric));
+      await this.assignmentCache.updateRubricState(canvasId, hash, rendered.map(block => block.id));
+
+      Debug.log(`Rendered rubric for "${assignment.title}"`);
     } catch (error) {
-      // If we can't fetch the current page, just use the new status
-      Debug.warn(`Could not fetch existing status for status preservation:`, error.message);
+      Debug.warn(`Could not render rubric for "${assignment.title}":`, error.message);
+      SyncLogger.warn(`Rubric not rendered for "${assignment.title}": ${error.message}`, { canvasId, title: assignment.title });
+    }
+  }
+
+  /**
+   * Look through a page's top-level blocks for a rubric rendered by an earlier sync
+   * @param {string} pageId - Notion page ID
+   * @returns {Array<string>} Block IDs of the rendered rubric, or []
+   */
+  async findRenderedRubric(pageId) {
+    const blocks = [];
+    let cursor;
+    do {
+      const response = await this.notionAPI.getBlockChildren(pageId, { start_cursor: cursor, page_size: 100 });
+      blocks.push(...(response.results || []));
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+
+    return findRubricBlockIds(blocks);
+  }
+
+  /**
+   * Read an existing page's properties: from the reconciliation snapshot, or fetched when this
+   * sync didn't see the page.
+   * @param {string} notionPageId - Notion page ID
+   * @returns {Object|null} { id, properties }, or null when the page can't be read
+   */
+  async readPage(notionPageId) {
+    if (this.pageSnapshots.has(notionPageId)) {
+      return { id: notionPageId, properties: this.pageSnapshots.get(notionPageId) };
+    }
+    try {
+      return await this.notionAPI.getPage(notionPageId);
+    } catch (error) {
+      Debug.warn('Could not fetch the Notion page:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Journal an update of an existing page with the values it had before, so it can be undone.
+   * A page that couldn't be read is journaled without values: undo then only restores the cache.
+   * @param {string} canvasId - Canvas ID
+   * @param {Object} assignment - Canvas record
+   * @param {string} notionPageId - The updated page
+   * @param {Object|null} page - The page as read before the update
+   * @param {Object} properties - Properties written
+   * @param {Object} targetProperties - Resolved properties of the page's data source
+   * @param {Object|null} cacheEntry - The assignment's cache entry before the update
+   */
+  journalUpdate(canvasId, assignment, notionPageId, page, properties, targetProperties, cacheEntry) {
+    this.journal?.record({
+      type: 'update',
+      canvasId,
+      title: assignment.title,
+      pageId: notionPageId,
+      properties: page ? priorPropertyValues(page.properties, properties, targetProperties) : null,
+      cacheEntry
+    });
+  }
+
+  /**
+   * Apply field ownership to the Canvas values about to be written over an existing page:
+   * fields kept from Notion are left out (or copied, for a page replacing it) and conflicts
+   * are logged. When the page couldn't be read, the Canvas values are written.
+   * @param {string} canvasId - Canvas ID
+   * @param {Object} assignment - Canvas record
+   * @param {Object} properties - Page properties built from Canvas; changed in place
+   * @param {Object|null} page - The existing page, from readPage
+   * @param {Object} written - Field -> value last written to the page, from the cache
+   * @param {Object} targetProperties - Resolved properties being written
+   * @param {Object} [options] - Passed to FieldOwnershipPolicy.apply (pageProperties, copyKept)
+   * @returns {Array<Object>} [{ canvasId, title, field, label, notionValue, canvasValue }]
+   */
+  applyFieldOwnership(canvasId, assignment, properties, page, written, targetProperties, options = {}) {
+    if (!page) {
+      return [];
+    }
+
+    const conflicts = this.ownershipPolicy.apply(properties, page, written, targetProperties, options);
+    for (const conflict of conflicts) {
+      SyncLogger.warn(
+        `Conflict in "${assignment.title}": ${conflict.label} was changed in Notion and in Canvas; kept the Notion value`,
+        { canvasId, title: assignment.title, ...conflict }
+      );
     }
+    return conflicts.map(conflict => ({ canvasId, title: assignment.title, ...conflict }));
   }
 
   /**
@@ -523,6 +1251,7 @@ export class AssignmentSyncer {
     Debug.log(`  Updated: ${results.updated.length}`);
     Debug.log(`  Skipped (no changes): ${results.skipped.length}`);
     Debug.log(`  Deleted: ${results.deleted.length}`);
+    Debug.log(`  Conflicts (Notion value kept): ${results.conflicts.length}`);
     Debug.log(`  Errors: ${results.errors.length}`);
 
     if (results.errors.length > 0) {
@@ -0,0 +1,110 @@
+/**
+ * Per-course routing of assignment pages to Notion data sources.
+ * A rule sends a course, matched by its Canvas course ID or a course-code pattern, to a
+ * data source other than the one chosen for the assignment database. Rules are checked in
+ * order; courses no rule matches stay in the default data source.
+ */
+
+export const ROUTE_MATCHES = ['courseId', 'courseCode'];
+
+const MAX_ROUTES = 50;
+export const DATA_SOURCE_ID = /^[0-9a-f]{32}$/i;
+
+/**
+ * Compare form of a Notion ID: no dashes, lowercase.
+ * @param {string} id
+ * @returns {string}
+ */
+export function normalizeDataSourceId(id) {
+  return String(id || '').replace(/-/g, '').toLowerCase();
+}
+
+/**
+ * Match a course code against a pattern where * stands for any run of characters.
+ * Case-insensitive; without a * the whole code must match.
+ * @param {string} pattern - e.g. "CS*" or "*-FA25"
+ * @param {string} code - Canvas course code
+ * @returns {boolean}
+ */
+export function matchesCoursePattern(pattern, code) {
+  const parts = pattern.toLowerCase().split('*');
+  const text = String(code || '').toLowerCase();
+
+  if (parts.length === 1) {
+    return text === parts[0];
+  }
+  if (!text.startsWith(parts[0]) || !text.endsWith(parts[parts.length - 1])) {
+    return false;
+  }
+
+  let position = parts[0].length;
+  const end = text.length - parts[parts.length - 1].length;
+  for (const part of parts.slice(1, -1)) {
+    const found = text.indexOf(part, position);
+    if (found === -1 || found + part.length > end) {
+      return false;
+    }
+    position = found + part.length;
+  }
+  return position <= end;
+}
+
+/**
+ * Check routing rules without contacting Notion.
+ * @param {Array<Object>} routes - [{ match, value, dataSourceId }]
+ * @returns {string|null} Error message, or null when the rules are valid
+ */
+export function validateCourseRoutes(routes) {
+  if (!Array.isArray(routes)) {
+    return 'Course routing rules must be a list';
+  }
+  if (routes.length > MAX_ROUTES) {
+    return `At most ${MAX_ROUTES} course routing rules are supported`;
+  }
+
+  for (const [index, route] of routes.entries()) {
+    const label = `Routing rule ${index + 1}`;
+    if (!ROUTE_MATCHES.includes(route?.match)) {
+      return `${label} must match on ${ROUTE_MATCHES.join(' or ')}`;
+    }
+    if (typeof route.value !== 'string' || route.value.trim().length === 0) {
+      return `${label} needs a course ID or course code pattern`;
+    }
+    if (typeof route.dataSourceId !== 'string' || !DATA_SOURCE_ID.test(normalizeDataSourceId(route.dataSourceId))) {
+      return `${label} needs a data source ID of 32 hexadecimal characters`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Data source an assignment's page belongs in.
+ * @param {Object} assignment - Canvas record with courseId and courseCode
+ * @param {Array<Object>} routes - Validated routing rules
+ * @param {string} defaultDataSourceId - Data source of the assignment database
+ * @returns {string} Data source ID
+ */
+export function routeDataSource(assignment, routes, defaultDataSourceId) {
+  const route = (routes || []).find(({ match, value }) => (
+    match === 'courseId'
+      ? String(assignment.courseId ?? '') === value.trim()
+      : matchesCoursePattern(value.trim(), assignment.courseCode)
+  ));
+  return route ? route.dataSourceId : defaultDataSourceId;
+}
+
+/**
+ * Every data source the sync writes to: the default first, then each routed one once.
+ * @param {Array<Object>} routes - Validated routing rules
+ * @param {string} defaultDataSourceId - Data source of the assignment database
+ * @returns {Array<string>} Data source IDs
+ */
+export function routedDataSourceIds(routes, defaultDataSourceId) {
+  const ids = new Map([[normalizeDataSourceId(defaultDataSourceId), defaultDataSourceId]]);
+  for (const { dataSourceId } of routes || []) {
+    const key = normalizeDataSourceId(dataSourceId);
+    if (!ids.has(key)) ids.set(key, dataSourceId);
+  }
+  return [...ids.values()];
+}
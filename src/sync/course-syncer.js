@@ -0,0 +1,211 @@
+import { NotionValidator } from '../validators/notion-validator.js';
+import '../utils/debug.js';
+const { Debug } = globalThis;
+import '../utils/sync-logger.js';
+const { SyncLogger } = globalThis;
+
+// Property that links a course page to its Canvas course; required in the course database
+export const COURSE_ID_PROPERTY = 'Canvas Course ID';
+
+// Title property of the course databases the extension creates; others use whatever their title property is called
+const DEFAULT_TITLE_PROPERTY = 'Course Name';
+
+// Course grade database synchronization: one page per active Canvas course
+export class CourseSyncer {
+  constructor(notionAPI, databaseId, courseCache = null) {
+    this.notionAPI = notionAPI;
+    this.databaseId = databaseId;
+    this.courseCache = courseCache;
+    this.dataSourceId = null;
+    // Property names present in the data source, or null if the schema couldn't be read
+    this.dataSourceProperties = null;
+    // Name of the data source's title property
+    this.titleProperty = DEFAULT_TITLE_PROPERTY;
+  }
+
+  async initialize() {
+    const database = await this.notionAPI.getDatabase(this.databaseId);
+
+    if (!database.data_sources || database.data_sources.length === 0) {
+      throw new Error('No data sources found in course database');
+    }
+
+    this.dataSourceId = database.data_sources[0].id;
+
+    try {
+      const dataSource = await this.notionAPI.getDataSource(this.dataSourceId);
+      this.dataSourceProperties = new Set(Object.keys(dataSource.properties || {}));
+      const [titleName] = Object.entries(dataSource.properties || {}).find(([, property]) => property?.type === 'title') || [];
+      this.titleProperty = titleName || DEFAULT_TITLE_PROPERTY;
+    } catch (error) {
+      Debug.warn('Could not read course data source schema, writing all course properties:', error.message);
+      this.dataSourceProperties = null;
+    }
+
+    if (this.dataSourceProperties && !this.dataSourceProperties.has(COURSE_ID_PROPERTY)) {
+      throw new Error(`Course database needs a "${COURSE_ID_PROPERTY}" text property`);
+    }
+
+    return { success: true, dataSourceId: this.dataSourceId };
+  }
+
+  /**
+   * Fetch all non-archived course pages and map Canvas course ID -> Notion page ID.
+   * @returns {Map<string, string>}
+   */
+  async fetchAllNotionPages() {
+    const truthMap = new Map();
+    let hasMore = true;
+    let startCursor = undefined;
+
+    while (hasMore) {
+      const response = await this.notionAPI.queryDataSource(
+        this.dataSourceId,
+        {},
+        { start_cursor: startCursor, page_size: 100 }
+      );
+
+      for (const page of (response.results || [])) {
+        if (page.archived) continue;
+
+        const courseId = (page.properties?.[COURSE_ID_PROPERTY]?.rich_text || []) // eslint-disable-line security/detect-object-injection -- constant property name
+          .map(segment => segment.plain_text || segment.text?.content || '')
+          .join('')
+          .trim();
+        if (courseId && !truthMap.has(courseId)) {
+          truthMap.set(courseId, page.id);
+        }
+      }
+
+      hasMore = response.has_more || false;
+      startCursor = response.next_cursor || undefined;
+    }
+
+    return truthMap;
+  }
+
+  /**
+   * Reconcile the course cache against the Notion truth map, like AssignmentSyncer.reconcileCache.
+   * Entries pointing at the wrong page have their courseData wiped to force a full update.
+   * @param {Map<string, string>} truthMap - courseId -> notionPageId from Notion
+   * @param {Set<string>} currentCourseIds - Course IDs in this sync
+   * @returns {Object} { fixed, populated, orphaned }
+   */
+  async reconcileCache(truthMap, currentCourseIds) {
+    const stats = { fixed: 0, populated: 0, orphaned: 0 };
+
+    for (const [courseId, notionPageId] of truthMap.entries()) {
+      const cached = await this.courseCache.getCachedCourse(courseId);
+
+      if (!cached) {
+        if (currentCourseIds.has(courseId)) {
+          await this.courseCache.cacheCourse(courseId, {}, notionPageId);
+          stats.populated++;
+        }
+      } else if (cached.notionPageId !== notionPageId) {
+        await this.courseCache.cacheCourse(courseId, {}, notionPageId);
+        stats.fixed++;
+      }
+    }
+
+    for (const entry of await this.courseCache.getAllCourses()) {
+      if (entry.notionPageId && !truthMap.has(entry.courseId)) {
+        await this.courseCache.removeCourse(entry.courseId);
+        stats.orphaned++;
+      }
+    }
+
+    return stats;
+  }
+
+  formatCourseProperties(course) {
+    const { validated, warnings } = NotionValidator.validateCourseForNotion(course);
+
+    if (warnings.length > 0) {
+      Debug.warn(`Validation warnings for course "${course.name || course.courseId}":`, warnings.join('; '));
+    }
+
+    const properties = {
+      [this.titleProperty]: {
+        title: [{ text: { content: validated.name } }]
+      },
+      [COURSE_ID_PROPERTY]: {
+        rich_text: NotionValidator.splitLongText(validated.courseId)
+      }
+    };
+
+    // The rest are written only if the data source has them (all of them if the schema is unknown)
+    const optionalProperties = {
+      "Course Code": { rich_text: NotionValidator.splitLongText(validated.courseCode) },
+      "Term": { select: validated.term ? { name: validated.term } : null },
+      "Current Score": { number: validated.currentScore },
+      "Final Score": { number: validated.finalScore },
+      "Projected Grade": { number: validated.projectedGrade },
+      "Letter Grade": { rich_text: NotionValidator.splitLongText(validated.letterGrade) },
+      "Link": { url: validated.link }
+    };
+
+    for (const [name, value] of Object.entries(optionalProperties)) {
+      if (!this.dataSourceProperties || this.dataSourceProperties.has(name)) {
+        properties[name] = value; // eslint-disable-line security/detect-object-injection -- name from hardcoded property set
+      }
+    }
+
+    return properties;
+  }
+
+  /**
+   * Create or update one page per course.
+   * @param {Array<Object>} courses - Course records from the Canvas extractor
+   * @returns {Object} { created, updated, skipped, errors, pageIds } - pageIds maps courseId -> Notion page ID
+   */
+  async syncCourses(courses) {
+    if (!this.dataSourceId) {
+      await this.initialize();
+    }
+
+    const results = { created: [], updated: [], skipped: [], errors: [], pageIds: new Map() };
+    const currentCourseIds = new Set(courses.map(course => course.courseId));
+
+    const truthMap = await this.fetchAllNotionPages();
+    if (this.courseCache) {
+      await this.reconcileCache(truthMap, currentCourseIds);
+    }
+
+    for (const course of courses) {
+      try {
+        const properties = this.formatCourseProperties(course);
+        const comparison = this.courseCache
+          ? await this.courseCache.compareAndNeedsUpdate(course.courseId, course)
+          : { needsUpdate: true, changedFields: [], cachedEntry: null };
+        let notionPageId = comparison.cachedEntry?.notionPageId || truthMap.get(course.courseId) || null;
+
+        if (!notionPageId) {
+          const page = await this.notionAPI.createPage(this.dataSourceId, properties);
+          notionPageId = page.id;
+          results.created.push({ courseId: course.courseId, name: course.name, notionPageId });
+        } else if (comparison.needsUpdate) {
+          await this.notionAPI.updatePage(notionPageId, properties);
+          results.updated.push({ courseId: course.courseId, name: course.name, changedFields: comparison.changedFields, notionPageId });
+        } else {
+          results.skipped.push({ courseId: course.courseId, name: course.name });
+        }
+
+        if (this.courseCache && (comparison.needsUpdate || !comparison.cachedEntry)) {
+          await this.courseCache.cacheCourse(course.courseId, course, notionPageId);
+        }
+        results.pageIds.set(course.courseId, notionPageId);
+      } catch (error) {
+        Debug.error(`Error syncing course ${course.name}:`, error.message);
+        SyncLogger.error(`Failed to sync course "${course.name}": ${error.message}`, { courseId: course.courseId, error: error.message });
+        results.errors.push({ courseId: course.courseId, name: course.name, error: error.message });
+      }
+    }
+
+    SyncLogger.info(
+      `Course grades: ${results.created.length} created, ${results.updated.length} updated, ${results.errors.length} errors`
+    );
+
+    return results;
+  }
+}
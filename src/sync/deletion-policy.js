@@ -0,0 +1,115 @@
+/**
+ * What happens to the page of an item removed from Canvas, and the safeguards around it.
+ * The page is archived, marked "Removed from Canvas", moved to an archive data source or kept
+ * as it is; the last three keep the student's notes in the page. Items of a course that failed
+ * to load are left alone, since their absence says nothing (see AssignmentSyncer.findDeletions).
+ * A sync that would remove more than confirmThreshold pages, or more than maxFraction of the
+ * pages it tracks, removes none and waits for the student to confirm in the popup: that many
+ * removals at once is likelier a Canvas outage or a wrong setting than real deletions.
+ */
+
+import { DATA_SOURCE_ID, normalizeDataSourceId } from './course-routing.js';
+
+// 'archive' - archive the page; 'status' - set its status to REMOVED_STATUS;
+// 'move' - move it to archiveDataSourceId; 'keep' - leave it as it is
+export const DELETION_POLICIES = ['archive', 'status', 'move', 'keep'];
+
+export const REMOVED_STATUS = 'Removed from Canvas';
+
+export const DEFAULT_DELETION = {
+  policy: 'archive',
+  // Data source pages are moved to under the 'move' policy
+  archiveDataSourceId: null,
+  // Largest share of the tracked pages one sync may remove; 1 turns the limit off
+  maxFraction: 0.25,
+  // Removing more pages than this in one sync waits for confirmation; 0 never asks
+  confirmThreshold: 10
+};
+
+// A sync removing no more pages than this is never held back by maxFraction, so small databases aren't stuck
+export const MIN_GUARDED_DELETIONS = 5;
+
+const MAX_CONFIRM_THRESHOLD = 1000;
+
+/**
+ * @param {Object} config - { policy, archiveDataSourceId, maxFraction, confirmThreshold }
+ * @returns {string|null} Error message, or null when the settings are valid
+ */
+export function validateDeletion(config) {
+  if (!DELETION_POLICIES.includes(config?.policy)) {
+    return `Removed items must be handled with one of: ${DELETION_POLICIES.join(', ')}`;
+  }
+  if (config.policy === 'move' &&
+      (typeof config.archiveDataSourceId !== 'string' || !DATA_SOURCE_ID.test(normalizeDataSourceId(config.archiveDataSourceId)))) {
+    return 'Moving removed items needs an archive data source ID of 32 hexadecimal characters';
+  }
+
+  const { maxFraction, confirmThreshold } = config;
+  if (typeof maxFraction !== 'number' || !(maxFraction >= 0.01 && maxFraction <= 1)) {
+    return 'The archive limit must be from 1% to 100% of pages';
+  }
+  if (!Number.isInteger(confirmThreshold) || confirmThreshold < 0 || confirmThreshold > MAX_CONFIRM_THRESHOLD) {
+    return `The confirmation threshold must be a whole number from 0 to ${MAX_CONFIRM_THRESHOLD}`;
+  }
+  return null;
+}
+
+/**
+ * @param {number} count - Pages the sync would remove
+ * @param {number} tracked - Pages the sync tracks
+ * @param {number} maxFraction - Largest share of tracked pages one sync may remove
+ * @returns {boolean} Whether removing them should be held back
+ */
+export function exceedsDeletionLimit(count, tracked, maxFraction) {
+  return count > MIN_GUARDED_DELETIONS && count > tracked * maxFraction;
+}
+
+/**
+ * Whether removing this many pages waits for confirmation in the popup.
+ * @param {number} count - Pages the sync would remove
+ * @param {number} tracked - Pages the sync tracks
+ * @param {Object} deletion - Deletion settings
+ * @returns {string|null} 'limit' (over maxFraction), 'threshold' (over confirmThreshold) or null
+ */
+export function removalHoldReason(count, tracked, { policy, maxFraction, confirmThreshold }) {
+  // Keeping pages loses nothing, so there is nothing to confirm
+  if (policy === 'keep' || count === 0) {
+    return null;
+  }
+  if (exceedsDeletionLimit(count, tracked, maxFraction)) {
+    return 'limit';
+  }
+  if (confirmThreshold > 0 && count > confirmThreshold) {
+    return 'threshold';
+  }
+  return null;
+}
+
+/**
+ * Whether the 'status' policy can't mark pages with this Status property. Notion creates missing
+ * select options on write, but a status property only takes the options set up in its schema.
+ * @param {Object} [schemaProperty] - The Status property from the data source schema
+ * @returns {boolean}
+ */
+export function lacksRemovedStatus(schemaProperty) {
+  return schemaProperty?.type === 'status' &&
+    !(schemaProperty.status?.options || []).some(option => option.name === REMOVED_STATUS);
+}
+
+/**
+ * What happens to the pages, for messages: "archived", "marked Removed from Canvas", ...
+ * @param {string} policy
+ * @returns {string}
+ */
+export function describeRemoval(policy) {
+  switch (policy) {
+    case 'status':
+      return `marked "${REMOVED_STATUS}"`;
+    case 'move':
+      return 'moved to the archive data source';
+    case 'keep':
+      return 'kept';
+    default:
+      return 'archived';
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Per-field ownership of assignment page properties.
+ * Each field the sync writes is owned by Canvas (always written), by Notion (written when the
+ * page is created, then left to the student) or merged: Canvas values are written until the
+ * student edits the field in Notion. A student's edit is found by comparing the page with the
+ * value the sync last wrote; when Canvas changed the same field since, the sync keeps the Notion
+ * value and reports a conflict instead of choosing a side. Status merges by its own rule.
+ */
+
+import { PROPERTY_FIELDS, formatPropertyValue } from './property-mapping.js';
+
+export const FIELD_OWNERS = ['canvas', 'notion', 'merge'];
+
+// Canvas ID links the page to its Canvas item and Push to Canvas is never written
+const FIXED_FIELDS = ['canvasId', 'pushToCanvas'];
+
+export const OWNABLE_FIELDS = Object.keys(PROPERTY_FIELDS).filter(field => !FIXED_FIELDS.includes(field));
+
+export const DEFAULT_FIELD_OWNERSHIP = Object.freeze({
+  ...Object.fromEntries(OWNABLE_FIELDS.map(field => [field, 'canvas'])),
+  title: 'merge',
+  dueDate: 'merge',
+  status: 'merge'
+});
+
+/**
+ * Status merge rule: a status the student moved ahead of Canvas is kept until Canvas catches up.
+ * "In Progress" stays until the work is submitted, graded or locked; "Submitted" until graded.
+ * @param {string|null} notionStatus - Status on the page
+ * @param {string|null} canvasStatus - Status from Canvas
+ * @returns {boolean} Whether to keep the Notion status
+ */
+function keepProgressedStatus(notionStatus, canvasStatus) {
+  if (notionStatus === 'In Progress') {
+    return !['Submitted', 'Graded', 'Locked'].includes(canvasStatus);
+  }
+  if (notionStatus === 'Submitted') {
+    return canvasStatus !== 'Graded';
+  }
+  return false;
+}
+
+// Field -> (notionValue, canvasValue) => keep the Notion value; used instead of conflict detection
+const MERGE_RULES = new Map([['status', keepProgressedStatus]]);
+
+/**
+ * Merge stored ownership over the defaults and drop unknown fields.
+ * @param {Object} [ownership] - Partial field -> owner map
+ * @returns {Object} Field -> owner for every ownable field
+ */
+export function mergeFieldOwnership(ownership) {
+  return Object.fromEntries(OWNABLE_FIELDS.map(field => [
+    field,
+    Object.prototype.hasOwnProperty.call(ownership || {}, field) ? ownership[field] : DEFAULT_FIELD_OWNERSHIP[field] // eslint-disable-line security/detect-object-injection -- field from OWNABLE_FIELDS
+  ]));
+}
+
+/**
+ * @param {Object} ownership - Field -> owner
+ * @returns {string|null} Error message, or null when the settings are valid
+ */
+export function validateFieldOwnership(ownership) {
+  if (!ownership || typeof ownership !== 'object' || Array.isArray(ownership)) {
+    return 'Field ownership must map fields to an owner';
+  }
+  for (const [field, owner] of Object.entries(ownership)) {
+    if (!OWNABLE_FIELDS.includes(field)) {
+      return `"${field}" can't be given an owner`;
+    }
+    if (!FIELD_OWNERS.includes(owner)) {
+      return `${PROPERTY_FIELDS[field].label} must be owned by ${FIELD_OWNERS.join(', ')}`; // eslint-disable-line security/detect-object-injection -- field checked against OWNABLE_FIELDS
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a Notion property (from a page or built by formatPropertyValue) as the value
+ * formatPropertyValue takes, so a kept value can be written to another page.
+ * @param {string} type - Notion property type
+ * @param {Object} property - Property value
+ * @returns {*} Text, number, names for multi_select, { start, end } for dates, a page ID for relations
+ */
+export function readPropertyValue(type, property) {
+  if (!property) return null;
+
+  switch (type) {
+    case 'title':
+    case 'rich_text': {
+      const text = (property.title || property.rich_text || [])
+        .map(segment => segment.plain_text || segment.text?.content || '')
+        .join('');
+      return text.trim() || null;
+    }
+    case 'select':
+      return property.select?.name || null;
+    case 'status':
+      return property.status?.name || null;
+    case 'multi_select': {
+      const names = (property.multi_select || []).map(option => option.name);
+      return names.length > 0 ? names : null;
+    }
+    case 'number':
+      return property.number ?? null;
+    case 'url':
+      return property.url || null;
+    case 'date':
+      return property.date?.start
+        ? (property.date.end ? { start: property.date.start, end: property.date.end } : { start: property.date.start })
+        : null;
+    case 'relation':
+      return property.relation?.[0]?.id || null;
+    case 'checkbox':
+      return property.checkbox === true;
+    default:
+      return null;
+  }
+}
+
+// Notion returns date-times in its own format ("2025-09-01T23:59:00.000+00:00")
+function normalizeDate(value) {
+  if (!value || !value.includes('T')) return value || null;
+  const time = Date.parse(value);
+  return isNaN(time) ? value : new Date(time).toISOString();
+}
+
+/**
+ * Comparable form of a value from readPropertyValue, as stored in the cache.
+ * @param {string} type - Notion property type
+ * @param {*} value
+ * @returns {string|number|boolean|null}
+ */
+export function comparableValue(type, value) {
+  if (value === null || value === undefined) return null;
+
+  switch (type) {
+    case 'multi_select':
+      return value.join(', ');
+    case 'date':
+      return value.end ? `${normalizeDate(value.start)}/${normalizeDate(value.end)}` : normalizeDate(value.start);
+    case 'relation':
+      // Page IDs come back with dashes whether or not they were written with them
+      return String(value).replace(/-/g, '').toLowerCase();
+    default:
+      return value;
+  }
+}
+
+/**
+ * Comparable values of the fields in a set of page properties, to record what was written.
+ * @param {Object} properties - Notion property values by property name
+ * @param {Object} fieldProperties - Field -> { name, type } of the data source written to
+ * @returns {Object} Field -> comparable value, for the fields present in properties
+ */
+export function writtenValues(properties, fieldProperties) {
+  const written = {};
+  for (const [field, { name, type }] of Object.entries(fieldProperties)) {
+    if (Object.prototype.hasOwnProperty.call(properties, name)) {
+      written[field] = comparableValue(type, readPropertyValue(type, properties[name])); // eslint-disable-line security/detect-object-injection -- name from the resolved property mapping
+    }
+  }
+  return written;
+}
+
+export class FieldOwnershipPolicy {
+  /**
+   * @param {Object} [ownership] - Field -> 'canvas' | 'notion' | 'merge'
+   */
+  constructor(ownership = DEFAULT_FIELD_OWNERSHIP) {
+    this.ownership = mergeFieldOwnership(ownership);
+  }
+
+  ownerOf(field) {
+    return Object.prototype.hasOwnProperty.call(this.ownership, field)
+      ? this.ownership[field] // eslint-disable-line security/detect-object-injection -- own-property check above
+      : 'canvas';
+  }
+
+  /**
+   * Decide field by field which Canvas values to write over an existing page. Values kept from
+   * Notion are removed from properties, or with copyKept set to the page's value (for a new page
+   * replacing it). A merged field without a recorded write can't show an edit, so Canvas wins.
+   * @param {Object} properties - Notion property values built from Canvas, by property name; changed in place
+   * @param {Object} page - The existing Notion page
+   * @param {Object} written - Field -> comparable value last written to the page
+   * @param {Object} fieldProperties - Field -> { name, type } of the properties being written
+   * @param {Object} [options]
+   * @param {Object} [options.pageProperties] - Field -> { name, type } of the page's data source
+   * @param {boolean} [options.copyKept] - Write kept Notion values instead of leaving them out
+   * @returns {Array<Object>} Conflicts: [{ field, label, notionValue, canvasValue }]
+   */
+  apply(properties, page, written, fieldProperties, { pageProperties = fieldProperties, copyKept = false } = {}) {
+    const conflicts = [];
+
+    for (const [field, { name, type }] of Object.entries(fieldProperties)) {
+      const owner = this.ownerOf(field);
+      const pageProperty = pageProperties[field]; // eslint-disable-line security/detect-object-injection -- field from the resolved property mapping
+      if (owner === 'canvas' || !pageProperty || !Object.prototype.hasOwnProperty.call(properties, name)) continue;
+
+      const notionValue = readPropertyValue(pageProperty.type, page?.properties?.[pageProperty.name]);
+      const notionComparable = comparableValue(pageProperty.type, notionValue);
+      const canvasComparable = comparableValue(type, readPropertyValue(type, properties[name])); // eslint-disable-line security/detect-object-injection -- name from the resolved property mapping
+      if (notionComparable === canvasComparable) continue;
+
+      let keep;
+      if (owner === 'notion') {
+        keep = true;
+      } else if (MERGE_RULES.has(field)) {
+        keep = MERGE_RULES.get(field)(notionComparable, canvasComparable);
+      } else {
+        const lastWritten = Object.prototype.hasOwnProperty.call(written || {}, field) ? written[field] : undefined; // eslint-disable-line security/detect-object-injection -- own-property check
+        const editedInNotion = lastWritten !== undefined && notionComparable !== lastWritten;
+        keep = editedInNotion;
+        // Canvas changed the field since the last write too: keep the edit, but say so
+        if (editedInNotion && canvasComparable !== lastWritten) {
+          conflicts.push({ field, label: PROPERTY_FIELDS[field].label, notionValue: notionComparable, canvasValue: canvasComparable }); // eslint-disable-line security/detect-object-injection -- field from the resolved property mapping
+        }
+      }
+
+      if (!keep) continue;
+      if (copyKept && notionValue !== null && pageProperty.type === type) {
+        properties[name] = formatPropertyValue(type, notionValue); // eslint-disable-line security/detect-object-injection -- name from the resolved property mapping
+      } else if (!copyKept || notionValue === null) {
+        delete properties[name]; // eslint-disable-line security/detect-object-injection -- name from the resolved property mapping
+      }
+    }
+
+    return conflicts;
+  }
+}
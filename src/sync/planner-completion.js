@@ -0,0 +1,123 @@
+/**
+ * Pushes completion marked in Notion back to the Canvas Planner.
+ * When the student sets a page's status to a value configured here (e.g. "Done"), the
+ * item is marked complete or dismissed on the Canvas To-Do list through a planner override.
+ */
+
+import '../utils/sync-logger.js';
+const { SyncLogger } = globalThis;
+import { PLANNABLE_TYPES, getItemKind, getItemObjectId } from '../utils/canvas-item-id.js';
+
+export const PLANNER_ACTIONS = ['complete', 'dismiss'];
+
+// Off by default: it writes to the student's Canvas account
+export const DEFAULT_PLANNER_COMPLETION = {
+  enabled: false,
+  // Notion status -> planner action
+  actions: {
+    Done: 'complete',
+    Completed: 'complete',
+    Submitted: 'complete'
+  }
+};
+
+const MAX_STATUS_LENGTH = 100;
+
+/**
+ * @param {Object} config - { enabled, actions }
+ * @returns {string|null} Error message, or null when the settings are valid
+ */
+export function validatePlannerCompletion(config) {
+  if (typeof config?.enabled !== 'boolean') {
+    return 'Canvas planner updates must be turned on or off';
+  }
+  if (!config.actions || typeof config.actions !== 'object' || Array.isArray(config.actions)) {
+    return 'Canvas planner actions must map Notion statuses to an action';
+  }
+
+  for (const [status, action] of Object.entries(config.actions)) {
+    if (status.trim().length === 0 || status.length > MAX_STATUS_LENGTH) {
+      return `Notion statuses for Canvas planner updates must be 1 to ${MAX_STATUS_LENGTH} characters`;
+    }
+    if (!PLANNER_ACTIONS.includes(action)) {
+      return `"${status}" must ${PLANNER_ACTIONS.join(' or ')} the Canvas planner item`;
+    }
+  }
+
+  return null;
+}
+
+export class PlannerCompletionSyncer {
+  /**
+   * @param {Object} canvasAPI - CanvasAPIExtractor (listPlannerOverrides, setPlannerOverride)
+   * @param {Object} assignmentCache - AssignmentCacheManager with the statuses last synced from Canvas
+   * @param {Object} actions - Notion status -> 'complete' | 'dismiss'
+   */
+  constructor(canvasAPI, assignmentCache, actions = DEFAULT_PLANNER_COMPLETION.actions) {
+    this.canvasAPI = canvasAPI;
+    this.assignmentCache = assignmentCache;
+    this.actions = actions;
+    this.overrides = null;
+  }
+
+  actionFor(status) {
+    return status && Object.prototype.hasOwnProperty.call(this.actions, status)
+      ? this.actions[status] // eslint-disable-line security/detect-object-injection -- own-property check above
+      : null;
+  }
+
+  // Existing overrides by "<plannable_type>:<plannable_id>", fetched once per sync
+  async getOverride(plannableType, plannableId) {
+    if (!this.overrides) {
+      const overrides = await this.canvasAPI.listPlannerOverrides();
+      this.overrides = new Map((overrides || []).map(override => [`${override.plannable_type}:${override.plannable_id}`, override]));
+    }
+    return this.overrides.get(`${plannableType}:${plannableId}`) || null;
+  }
+
+  /**
+   * Push statuses changed in Notion to the Canvas planner.
+   * A status counts as changed in Notion when it differs from the one last synced from Canvas;
+   * each status is pushed once, and items the student changed back are left alone.
+   * @param {Map<string, string>} notionStatuses - Canvas ID -> status read from the Notion page
+   * @param {Map<string, Object>} canvasRecords - Canvas ID -> record in this sync; other items are skipped
+   * @returns {Object} { updated: [{ canvasId, title, status, action }], errors: [{ canvasId, title, error }] }
+   */
+  async pushCompletions(notionStatuses, canvasRecords) {
+    const updated = [];
+    const errors = [];
+
+    for (const [canvasId, status] of notionStatuses) {
+      const action = this.actionFor(status);
+      const record = canvasRecords.get(canvasId);
+      if (!action || !record) continue;
+
+      const cached = await this.assignmentCache.getCachedAssignment(canvasId);
+      if (!cached?.canvasData || cached.canvasData.status === status || cached.plannerOverride?.status === status) {
+        continue;
+      }
+
+      const plannableType = PLANNABLE_TYPES[getItemKind(canvasId)]; // eslint-disable-line security/detect-object-injection -- kind parsed from a Canvas ID
+      if (!plannableType) continue;
+
+      try {
+        const plannableId = getItemObjectId(canvasId);
+        const existing = await this.getOverride(plannableType, plannableId);
+        const state = action === 'complete' ? { marked_complete: true } : { dismissed: true };
+        await this.canvasAPI.setPlannerOverride(plannableType, plannableId, state, existing?.id || null);
+
+        await this.assignmentCache.updatePlannerOverride(canvasId, { status, action });
+        SyncLogger.info(
+          `${action === 'complete' ? 'Marked' : 'Dismissed'} "${record.title}" in the Canvas planner (Notion status "${status}")`,
+          { canvasId, title: record.title, status, action }
+        );
+        updated.push({ canvasId, title: record.title, status, action });
+      } catch (error) {
+        SyncLogger.warn(`Could not update "${record.title}" in the Canvas planner: ${error.message}`, { canvasId, title: record.title, error: error.message });
+        errors.push({ canvasId, title: record.title, error: `Canvas planner update failed: ${error.message}` });
+      }
+    }
+
+    return { updated, errors };
+  }
+}
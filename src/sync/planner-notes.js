@@ -0,0 +1,106 @@
+/**
+ * Creates Canvas planner notes from personal tasks added to the Notion database.
+ * A page without a Canvas item, with "Push to Canvas" checked, becomes a note on the student's
+ * Canvas To-Do list; the note's Canvas ID is written back to the page, and later edits to the
+ * page update the note. The page stays the source of the note: Canvas changes aren't pulled back.
+ */
+
+import '../utils/debug.js';
+const { Debug } = globalThis;
+import '../utils/sync-logger.js';
+const { SyncLogger } = globalThis;
+import { ITEM_KINDS, toCanvasItemId } from '../utils/canvas-item-id.js';
+
+// Off by default: it writes to the student's Canvas account
+export const DEFAULT_PLANNER_NOTES = {
+  enabled: false
+};
+
+/**
+ * @param {Object} config - { enabled }
+ * @returns {string|null} Error message, or null when the settings are valid
+ */
+export function validatePlannerNotes(config) {
+  if (typeof config?.enabled !== 'boolean') {
+    return 'Canvas to-do notes from Notion must be turned on or off';
+  }
+  return null;
+}
+
+export class PlannerNoteSyncer {
+  /**
+   * @param {Object} canvasAPI - CanvasAPIExtractor (createPlannerNote, updatePlannerNote)
+   * @param {Object} noteCache - PlannerNoteCacheManager with the note linked to each page
+   */
+  constructor(canvasAPI, noteCache) {
+    this.canvasAPI = canvasAPI;
+    this.noteCache = noteCache;
+  }
+
+  /**
+   * Create or update the planner note of each Notion task.
+   * A note is written when the page changed since the last sync; a note deleted in Canvas is
+   * created again. The note is recorded before the page is linked, so a page that couldn't be
+   * linked is linked on the next sync instead of getting a second note.
+   * @param {Array<Object>} tasks - [{ pageId, canvasId, note: { title, details, todo_date, course_id } }];
+   *   canvasId is the "note:<id>" already on the page, or null
+   * @param {Function} linkPage - async (pageId, canvasId) => writes the Canvas ID to the page
+   * @returns {Object} { created, updated: [{ pageId, canvasId, title }], errors: [{ pageId, title, error }] }
+   */
+  async syncNotes(tasks, linkPage) {
+    const created = [];
+    const updated = [];
+    const errors = [];
+
+    for (const { pageId, canvasId, note } of tasks) {
+      if (!note.todo_date) {
+        Debug.log(`"${note.title}" has no due date, so it can't be added to the Canvas planner`);
+        continue;
+      }
+
+      try {
+        const cached = await this.noteCache.getCachedNote(pageId);
+        const linkedNoteId = canvasId ? canvasId.replace(/^note:/, '') : null;
+        let noteId = linkedNoteId || cached?.noteId || null;
+        // 'created' or 'updated' once the note was written this sync
+        let written = null;
+
+        if (!noteId) {
+          noteId = String((await this.canvasAPI.createPlannerNote(note)).id);
+          written = 'created';
+        } else if (cached?.noteId !== noteId || this.noteCache.noteChanged(cached, note)) {
+          try {
+            await this.canvasAPI.updatePlannerNote(noteId, note);
+            written = 'updated';
+          } catch (error) {
+            if (error.status !== 404) throw error;
+            noteId = String((await this.canvasAPI.createPlannerNote(note)).id);
+            written = 'created';
+          }
+        }
+
+        if (written) {
+          await this.noteCache.cacheNote(pageId, noteId, note);
+        }
+
+        const noteCanvasId = toCanvasItemId(ITEM_KINDS.NOTE, noteId);
+        if (noteId !== linkedNoteId) {
+          await linkPage(pageId, noteCanvasId);
+        }
+
+        if (written === 'created') {
+          SyncLogger.info(`Added "${note.title}" to the Canvas planner`, { pageId, canvasId: noteCanvasId, title: note.title });
+          created.push({ pageId, canvasId: noteCanvasId, title: note.title });
+        } else if (written === 'updated') {
+          SyncLogger.info(`Updated "${note.title}" in the Canvas planner`, { pageId, canvasId: noteCanvasId, title: note.title });
+          updated.push({ pageId, canvasId: noteCanvasId, title: note.title });
+        }
+      } catch (error) {
+        SyncLogger.warn(`Could not add "${note.title}" to the Canvas planner: ${error.message}`, { pageId, title: note.title, error: error.message });
+        errors.push({ pageId, title: note.title, error: `Canvas planner note failed: ${error.message}` });
+      }
+    }
+
+    return { created, updated, errors };
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * Maps Canvas fields to the user's Notion property names and types.
+ * Every read and write of an assignment page goes through the resolved mapping, so
+ * databases with their own column names (or a Notion status property instead of a select)
+ * work without renaming anything.
+ */
+
+import { NotionValidator } from '../validators/notion-validator.js';
+
+export const PROPERTY_TYPES = ['title', 'rich_text', 'select', 'multi_select', 'status', 'number', 'url', 'date', 'relation', 'checkbox'];
+
+// Canvas field -> default property, the Notion types it can be written as (first is the default)
+// and whether the database must have it. Optional fields are written only when the property exists.
+export const PROPERTY_FIELDS = Object.freeze({
+  title: { label: 'Title', name: 'Assignment Name', types: ['title'], required: true },
+  course: { label: 'Course', name: 'Course', types: ['select', 'multi_select', 'rich_text', 'relation'], required: true },
+  dueDate: { label: 'Due date', name: 'Due Date', types: ['date'], required: true },
+  status: { label: 'Status', name: 'Status', types: ['select', 'status', 'rich_text'], required: true },
+  points: { label: 'Points', name: 'Points', types: ['number'], required: true },
+  link: { label: 'Link', name: 'Link to Resources', types: ['url', 'rich_text'], required: true },
+  canvasId: { label: 'Canvas ID', name: 'Canvas ID', types: ['rich_text'], required: true },
+  grade: { label: 'Grade', name: 'Grade', types: ['number'], required: true },
+  description: { label: 'Description', name: 'Description', types: ['rich_text'], required: true },
+  itemType: { label: 'Type', name: 'Type', types: ['select', 'multi_select', 'rich_text'], required: false },
+  category: { label: 'Category', name: 'Category', types: ['select', 'multi_select', 'rich_text'], required: false },
+  available: { label: 'Available', name: 'Available', types: ['date'], required: false },
+  location: { label: 'Location', name: 'Location', types: ['rich_text'], required: false },
+  timeLimit: { label: 'Time limit', name: 'Time Limit', types: ['number'], required: false },
+  allowedAttempts: { label: 'Allowed attempts', name: 'Allowed Attempts', types: ['number'], required: false },
+  questionCount: { label: 'Question count', name: 'Question Count', types: ['number'], required: false },
+  // Read only: checked on a page without a Canvas ID to add it to the Canvas planner as a note
+  pushToCanvas: { label: 'Push to Canvas', name: 'Push to Canvas', types: ['checkbox'], required: false }
+});
+
+export const DEFAULT_PROPERTY_MAPPING = Object.freeze(Object.fromEntries(
+  Object.entries(PROPERTY_FIELDS).map(([field, definition]) => [field, Object.freeze({ name: definition.name, type: definition.types[0] })])
+));
+
+// Notion property names max 100 chars
+const MAX_PROPERTY_NAME_LENGTH = 100;
+
+/**
+ * Merge a partial mapping over a base mapping field by field. Unknown fields are dropped.
+ * @param {Object} partial - e.g. { status: { type: 'status' } }
+ * @param {Object} [base] - Full mapping to merge over
+ * @returns {Object} Full mapping with every field
+ */
+export function mergePropertyMapping(partial, base = DEFAULT_PROPERTY_MAPPING) {
+  return Object.fromEntries(Object.keys(PROPERTY_FIELDS).map(field => [
+    field,
+    { ...base[field], ...(partial?.[field] || {}) } // eslint-disable-line security/detect-object-injection -- field from PROPERTY_FIELDS
+  ]));
+}
+
+/**
+ * Check a full mapping without looking at the database: names present and unique, types allowed.
+ * @param {Object} mapping - Full mapping from mergePropertyMapping
+ * @returns {string|null} Error message, or null when the mapping is valid
+ */
+export function validatePropertyMapping(mapping) {
+  const seen = new Map();
+
+  for (const [field, definition] of Object.entries(PROPERTY_FIELDS)) {
+    const { name, type } = mapping?.[field] || {}; // eslint-disable-line security/detect-object-injection -- field from PROPERTY_FIELDS
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return `${definition.label} needs a Notion property name`;
+    }
+    if (name.length > MAX_PROPERTY_NAME_LENGTH) {
+      return `${definition.label} property name is longer than ${MAX_PROPERTY_NAME_LENGTH} characters`;
+    }
+    if (!definition.types.includes(type)) {
+      return `${definition.label} can be a ${definition.types.join(', ')} property, not ${type}`;
+    }
+    if (seen.has(name)) {
+      return `${definition.label} and ${seen.get(name)} both use the "${name}" property`;
+    }
+    seen.set(name, definition.label);
+  }
+
+  return null;
+}
+
+/**
+ * Compare a mapping with the live data source schema, field by field.
+ * Where the database has a property under the mapped name with a different type the field
+ * supports, that type is adopted; a type the field can't be written as is a mismatch.
+ * @param {Object} mapping - Full mapping
+ * @param {Object|null} schema - Data source properties (name -> { type }), or null if unknown
+ * @returns {Object} { properties, missing, wrongType, adopted } - properties maps writable fields to
+ *   { name, type }; missing lists required fields without a property ({ field, label, name, type });
+ *   wrongType lists { field, label, name, actual, expected }; adopted lists { field, name, mapped, type }
+ */
+export function compareSchema(mapping, schema) {
+  const properties = {};
+  const missing = [];
+  const wrongType = [];
+  const adopted = [];
+
+  for (const [field, definition] of Object.entries(PROPERTY_FIELDS)) {
+    const { name, type } = mapping[field]; // eslint-disable-line security/detect-object-injection -- field from PROPERTY_FIELDS
+
+    if (!schema) {
+      // Schema unknown: write what the database must have, skip the optional extras
+      if (definition.required) {
+        properties[field] = { name, type }; // eslint-disable-line security/detect-object-injection -- field from PROPERTY_FIELDS
+      }
+      continue;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(schema, name)) {
+      if (definition.required) {
+        missing.push({ field, label: definition.label, name, type });
+        properties[field] = { name, type }; // eslint-disable-line security/detect-object-injection -- field from PROPERTY_FIELDS
+      }
+      continue;
+    }
+
+    const liveType = schema[name]?.type; // eslint-disable-line security/detect-object-injection -- name from the user's mapping, checked with hasOwnProperty
+    if (!liveType || liveType === type) {
+      properties[field] = { name, type }; // eslint-disable-line security/detect-object-injection -- field from PROPERTY_FIELDS
+    } else if (definition.types.includes(liveType)) {
+      adopted.push({ field, name, mapped: type, type: liveType });
+      properties[field] = { name, type: liveType }; // eslint-disable-line security/detect-object-injection -- field from PROPERTY_FIELDS
+    } else {
+      wrongType.push({ field, label: definition.label, name, actual: liveType, expected: definition.types });
+    }
+  }
+
+  return { properties, missing, wrongType, adopted };
+}
+
+/**
+ * Resolve a mapping against the live data source schema, with the differences as messages.
+ * @param {Object} mapping - Full mapping
+ * @param {Object|null} schema - Data source properties (name -> { type }), or null if unknown
+ * @returns {Object} { properties, missing, errors, warnings } - missing and errors block a correct sync;
+ *   warnings are types adopted from the database
+ */
+export function resolvePropertyMapping(mapping, schema) {
+  const { properties, missing, wrongType, adopted } = compareSchema(mapping, schema);
+
+  return {
+    properties,
+    missing: missing.map(({ name, label }) => `"${name}" (${label}) is not in the database`),
+    errors: wrongType.map(({ name, label, actual, expected }) => `"${name}" is a ${actual} property, but ${label} needs ${expected.join(' or ')}`),
+    warnings: adopted.map(({ name, mapped, type }) => `"${name}" is a ${type} property in Notion, not ${mapped}; writing it as ${type}`)
+  };
+}
+
+// Options created with a new database, in workflow order
+const SELECT_OPTIONS = {
+  status: [
+    { name: 'Not Started', color: 'gray' },
+    { name: 'In Progress', color: 'blue' },
+    { name: 'Submitted', color: 'yellow' },
+    { name: 'Pending Review', color: 'orange' },
+    { name: 'Graded', color: 'green' },
+    { name: 'Completed', color: 'green' },
+    { name: 'Late', color: 'red' },
+    { name: 'Locked', color: 'brown' }
+  ],
+  itemType: [
+    { name: 'Assignment', color: 'blue' },
+    { name: 'Quiz', color: 'purple' },
+    { name: 'Event', color: 'pink' },
+    { name: 'Office Hours', color: 'orange' },
+    { name: 'Discussion', color: 'yellow' },
+    { name: 'Page', color: 'gray' },
+    { name: 'To Do', color: 'default' },
+    { name: 'Peer Review', color: 'green' }
+  ]
+};
+
+/**
+ * Notion property schema for one field, with the default options for selects.
+ * The API can't create status properties, so a status mapping is created as a select;
+ * a course relation needs the course grade data source and is a select without one.
+ * @param {string} field - Key of PROPERTY_FIELDS
+ * @param {string} type - Mapped Notion type
+ * @param {Object} [options]
+ * @param {string} [options.courseDataSourceId] - Data source of the course grade database
+ * @returns {Object} e.g. { select: { options: [...] } }
+ */
+export function buildPropertyDefinition(field, type, { courseDataSourceId = null } = {}) {
+  const options = SELECT_OPTIONS[field] || []; // eslint-disable-line security/detect-object-injection -- field from PROPERTY_FIELDS
+
+  if (type === 'status' || (type === 'relation' && !courseDataSourceId)) {
+    return { select: { options } };
+  }
+  if (type === 'relation') {
+    return { relation: { data_source_id: courseDataSourceId, type: 'single_property', single_property: {} } };
+  }
+  if (type === 'select' || type === 'multi_select') {
+    return { [type]: { options } };
+  }
+  return { [type]: {} };
+}
+
+/**
+ * Property definitions for a new assignment database, every field included.
+ * @param {Object} mapping - Full mapping
+ * @param {Object} [options] - Passed to buildPropertyDefinition
+ * @returns {Object} Property name -> Notion property schema
+ */
+export function buildDatabaseSchema(mapping, options = {}) {
+  return Object.fromEntries(Object.keys(PROPERTY_FIELDS).map(field => {
+    const { name, type } = mapping[field]; // eslint-disable-line security/detect-object-injection -- field from PROPERTY_FIELDS
+    return [name, buildPropertyDefinition(field, type, options)];
+  }));
+}
+
+/**
+ * Build the Notion property value for a Canvas value.
+ * @param {string} type - Notion property type
+ * @param {*} value - Text, number, { start, end } for dates, or a page ID for relations
+ * @returns {Object} Notion property value
+ */
+export function formatPropertyValue(type, value) {
+  switch (type) {
+    case 'title':
+      return { title: [{ text: { content: String(value) } }] };
+    case 'rich_text':
+      return { rich_text: NotionValidator.splitLongText(String(value)) };
+    case 'select':
+      return { select: { name: value } };
+    case 'multi_select':
+      return { multi_select: (Array.isArray(value) ? value : [value]).map(name => ({ name })) };
+    case 'status':
+      return { status: { name: value } };
+    case 'number':
+      return { number: value };
+    case 'url':
+      return { url: value };
+    case 'date':
+      return { date: value };
+    case 'relation':
+      return { relation: [{ id: value }] };
+    case 'checkbox':
+      return { checkbox: Boolean(value) };
+    default:
+      throw new Error(`Unsupported Notion property type: ${type}`);
+  }
+}
+
+/**
+ * Read a Notion property as plain text (option name for select/status, first option for multi_select).
+ * @param {Object} property - Property value from a Notion page
+ * @returns {string|null}
+ */
+export function readPropertyText(property) {
+  if (!property) return null;
+
+  switch (property.type || Object.keys(property).find(key => PROPERTY_TYPES.includes(key))) {
+    case 'title':
+    case 'rich_text': {
+      const text = (property.title || property.rich_text || [])
+        .map(segment => segment.plain_text || segment.text?.content || '')
+        .join('');
+      return text.trim() || null;
+    }
+    case 'select':
+      return property.select?.name || null;
+    case 'status':
+      return property.status?.name || null;
+    case 'multi_select':
+      return property.multi_select?.[0]?.name || null;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Renders a Canvas rubric as Notion blocks: a heading followed by a table with one row
+ * per criterion (criterion, ratings, points).
+ */
+
+import { NotionValidator } from '../validators/notion-validator.js';
+
+const RUBRIC_HEADING = 'Rubric';
+// Notion caps nested children at 100 per request; one row is the header
+const MAX_RUBRIC_ROWS = 99;
+
+function formatPoints(points) {
+  return points === null || points === undefined ? '' : `${points} pts`;
+}
+
+function cell(text, annotations = null) {
+  return NotionValidator.splitLongText(text).map(chunk => (annotations ? { ...chunk, annotations } : chunk));
+}
+
+function criterionRow(criterion, hidePoints) {
+  const name = cell(criterion.description || 'Criterion', { bold: true });
+  const details = criterion.longDescription ? cell(`\n${criterion.longDescription}`) : [];
+
+  const ratings = criterion.ratings.map(rating => {
+    const label = [rating.description, rating.longDescription].filter(Boolean).join(': ');
+    return hidePoints || rating.points === null ? label : `${formatPoints(rating.points)} — ${label}`;
+  }).join('\n');
+
+  return {
+    object: 'block',
+    type: 'table_row',
+    table_row: {
+      cells: [
+        [...name, ...details],
+        cell(ratings),
+        hidePoints ? [] : cell(formatPoints(criterion.points))
+      ]
+    }
+  };
+}
+
+/**
+ * Build the Notion blocks for a rubric.
+ * @param {Object} rubric - Normalized rubric from the extractor ({ title, pointsPossible, hidePoints, criteria })
+ * @returns {Array<Object>} Heading and table blocks, or [] without a rubric
+ */
+export function buildRubricBlocks(rubric) {
+  if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    return [];
+  }
+
+  let heading = rubric.title ? `${RUBRIC_HEADING}: ${rubric.title}` : RUBRIC_HEADING;
+  if (!rubric.hidePoints && rubric.pointsPossible !== null && rubric.pointsPossible !== undefined) {
+    heading += ` (${formatPoints(rubric.pointsPossible)})`;
+  }
+
+  const header = {
+    object: 'block',
+    type: 'table_row',
+    table_row: { cells: [cell('Criterion'), cell('Ratings'), cell('Points')] }
+  };
+
+  return [
+    {
+      object: 'block',
+      type: 'heading_3',
+      heading_3: { rich_text: cell(heading) }
+    },
+    {
+      object: 'block',
+      type: 'table',
+      table: {
+        table_width: 3,
+        has_column_header: true,
+        has_row_header: false,
+        children: [
+          header,
+          ...rubric.criteria.slice(0, MAX_RUBRIC_ROWS).map(criterion => criterionRow(criterion, rubric.hidePoints))
+        ]
+      }
+    }
+  ];
+}
+
+/**
+ * Find a previously rendered rubric among a page's top-level blocks, for pages whose
+ * cache entry no longer remembers the block IDs.
+ * @param {Array<Object>} blocks - Top-level blocks of the page
+ * @returns {Array<string>} IDs of the rubric heading and table, or []
+ */
+export function findRubricBlockIds(blocks) {
+  for (let i = 0; i < blocks.length - 1; i++) {
+    const block = blocks[i]; // eslint-disable-line security/detect-object-injection -- numeric loop index
+    const next = blocks[i + 1];
+    const text = (block.heading_3?.rich_text || []).map(part => part.plain_text ?? part.text?.content ?? '').join('');
+    if (block.type === 'heading_3' && text.startsWith(RUBRIC_HEADING) && next.type === 'table') {
+      return [block.id, next.id];
+    }
+  }
+  return [];
+}
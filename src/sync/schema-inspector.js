@@ -0,0 +1,84 @@
+import { chooseDataSource } from '../api/notion-api.js';
+import { DEFAULT_PROPERTY_MAPPING, buildPropertyDefinition, compareSchema } from './property-mapping.js';
+import { REMOVED_STATUS, lacksRemovedStatus } from './deletion-policy.js';
+import '../utils/sync-logger.js';
+const { SyncLogger } = globalThis;
+
+/**
+ * Describe a schema report in one sentence per problem, for the popup.
+ * @param {Object} report - Result of SchemaInspector.inspect()
+ * @returns {string} Empty when the schema matches
+ */
+export function describeSchemaReport(report) {
+  const parts = [];
+  if (report.missing.length > 0) {
+    parts.push(`Missing: ${report.missing.map(({ name, type }) => `"${name}" (${type.replace('_', ' ')})`).join(', ')}.`);
+  }
+  for (const { name, actual, expected } of report.wrongType) {
+    parts.push(`"${name}" is ${actual.replace('_', ' ')} but needs to be ${expected.map(type => type.replace('_', ' ')).join(' or ')}.`);
+  }
+  parts.push(...(report.warnings || []));
+  return parts.join(' ');
+}
+
+// Compares the assignment database with the properties the syncer writes, and adds missing ones
+export class SchemaInspector {
+  constructor(notionAPI, databaseId, propertyMapping = DEFAULT_PROPERTY_MAPPING, preferredDataSourceId = null, deletion = null) {
+    this.notionAPI = notionAPI;
+    this.databaseId = databaseId;
+    this.propertyMapping = propertyMapping;
+    this.preferredDataSourceId = preferredDataSourceId;
+    // Deletion settings, to check the 'status' policy can mark pages in this data source
+    this.deletion = deletion;
+  }
+
+  /**
+   * Fetch the data source schema and compare it with the property mapping.
+   * @returns {Object} { dataSourceId, ok, missing, wrongType, adopted, warnings } - see compareSchema;
+   *   warnings are sentences about settings the schema doesn't support, which don't stop a sync
+   */
+  async inspect() {
+    const database = await this.notionAPI.getDatabase(this.databaseId);
+    const dataSourceId = chooseDataSource(database, this.preferredDataSourceId);
+    const dataSource = await this.notionAPI.getDataSource(dataSourceId);
+    const schema = dataSource.properties || {};
+    const { properties, missing, wrongType, adopted } = compareSchema(this.propertyMapping, schema);
+
+    const warnings = [];
+    const status = properties.status;
+    if (this.deletion?.policy === 'status' && status && lacksRemovedStatus(schema[status.name])) {
+      warnings.push(`"${status.name}" has no "${REMOVED_STATUS}" option, so items removed from Canvas will be archived instead. Add the option in Notion to mark them.`);
+    }
+
+    return {
+      dataSourceId,
+      ok: missing.length === 0 && wrongType.length === 0,
+      missing,
+      wrongType,
+      adopted,
+      warnings
+    };
+  }
+
+  /**
+   * Add the report's missing properties to the data source in one schema update.
+   * Properties with the wrong type are left alone: changing a type can lose what's in the column.
+   * @param {Object} report - Result of inspect()
+   * @param {Object} [options] - Passed to buildPropertyDefinition (courseDataSourceId)
+   * @returns {Object} { added } - Names of the properties added
+   */
+  async addMissingProperties(report, options = {}) {
+    if (report.missing.length === 0) {
+      return { added: [] };
+    }
+
+    const properties = Object.fromEntries(
+      report.missing.map(({ field, name, type }) => [name, buildPropertyDefinition(field, type, options)])
+    );
+    await this.notionAPI.updateDataSource(report.dataSourceId, properties);
+
+    const added = Object.keys(properties);
+    SyncLogger.info(`Added missing Notion properties: ${added.join(', ')}`, { added });
+    return { added };
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Journal of the assignment page writes made by a sync, so a bad sync can be undone.
+ * Each run records the property values it overwrote, the pages it created, moved or archived
+ * and the cache entries it replaced; undo replays the newest run in reverse. Runs that changed
+ * nothing aren't kept, so "last sync" means the last one that wrote to Notion. Rubric blocks,
+ * course pages and Canvas planner changes aren't journaled.
+ */
+
+import '../utils/debug.js';
+const { Debug } = globalThis;
+import '../utils/sync-logger.js';
+const { SyncLogger } = globalThis;
+import { readPropertyValue } from './field-ownership.js';
+import { formatPropertyValue } from './property-mapping.js';
+
+export const SYNC_JOURNAL_KEY = 'sync_journal';
+
+// Retention: the newest runs are kept up to these caps; the newest run is always kept whole
+export const MAX_JOURNALED_SYNCS = 3;
+export const MAX_JOURNAL_ENTRIES = 1500;
+
+// Writing these clears a property; status has no empty value, so an empty status isn't restored
+const EMPTY_VALUES = {
+  title: { title: [] },
+  rich_text: { rich_text: [] },
+  select: { select: null },
+  multi_select: { multi_select: [] },
+  number: { number: null },
+  url: { url: null },
+  date: { date: null },
+  relation: { relation: [] },
+  checkbox: { checkbox: false }
+};
+
+/**
+ * Values to write back to restore the properties a sync is about to overwrite.
+ * @param {Object} pageProperties - The page's current properties, by property name
+ * @param {Object} properties - Properties about to be written, by property name
+ * @param {Object} fieldProperties - Field -> { name, type } of the page's data source
+ * @returns {Object} Notion property values by property name
+ */
+export function priorPropertyValues(pageProperties, properties, fieldProperties) {
+  const prior = {};
+  for (const { name, type } of Object.values(fieldProperties)) {
+    if (!Object.prototype.hasOwnProperty.call(properties, name)) continue;
+
+    const value = readPropertyValue(type, pageProperties?.[name]); // eslint-disable-line security/detect-object-injection -- name from the resolved property mapping
+    if (value !== null) {
+      prior[name] = formatPropertyValue(type, value); // eslint-disable-line security/detect-object-injection -- name from the resolved property mapping
+    } else if (Object.prototype.hasOwnProperty.call(EMPTY_VALUES, type)) {
+      prior[name] = EMPTY_VALUES[type]; // eslint-disable-line security/detect-object-injection -- own-property check above
+    }
+  }
+  return prior;
+}
+
+/**
+ * @returns {Array<Object>} Journaled runs, oldest first
+ */
+export async function loadJournal() {
+  const stored = (await chrome.storage.local.get(SYNC_JOURNAL_KEY))[SYNC_JOURNAL_KEY]; // eslint-disable-line security/detect-object-injection -- constant key
+  return Array.isArray(stored) ? stored : [];
+}
+
+// Drop the oldest runs beyond the retention caps
+function trimJournal(runs) {
+  const kept = [];
+  let entryCount = 0;
+  for (const run of [...runs].reverse()) {
+    if (kept.length > 0 && (kept.length >= MAX_JOURNALED_SYNCS || entryCount + run.entries.length > MAX_JOURNAL_ENTRIES)) break;
+    kept.unshift(run);
+    entryCount += run.entries.length;
+  }
+  return kept;
+}
+
+export class SyncJournal {
+  constructor() {
+    this.startedAt = Date.now();
+    this.entries = [];
+  }
+
+  /**
+   * Record one write. Cache entries are copied, so later changes to them don't leak in.
+   * @param {Object} entry - { type, canvasId, title, pageId, ... }:
+   *   'create' - pageId was created;
+   *   'update' - properties are the values pageId had before;
+   *   'move' - pageId was created in place of fromPageId, which was archived;
+   *   'relocate' - pageId was moved out of data source dataSourceId;
+   *   'archive' - pageId was archived.
+   *   cacheEntry is the assignment's cache entry before the write, or null.
+   */
+  record(entry) {
+    this.entries.push({ ...entry, cacheEntry: entry.cacheEntry ? structuredClone(entry.cacheEntry) : null });
+  }
+
+  /**
+   * Store the run, unless it wrote nothing.
+   */
+  async save() {
+    if (this.entries.length === 0) return;
+
+    try {
+      const runs = await loadJournal();
+      runs.push({ id: crypto.randomUUID(), startedAt: this.startedAt, finishedAt: Date.now(), entries: this.entries });
+      await chrome.storage.local.set({ [SYNC_JOURNAL_KEY]: trimJournal(runs) });
+    } catch (error) {
+      Debug.warn('Could not save the sync journal:', error.message);
+      SyncLogger.warn(`This sync can't be undone: ${error.message}`, { error: error.message });
+    }
+  }
+}
+
+// Undo one journaled write
+async function undoEntry(entry, notionAPI, assignmentCache) {
+  switch (entry.type) {
+    case 'create':
+      await notionAPI.updatePage(entry.pageId, {}, { archived: true });
+      break;
+    case 'update':
+      if (entry.properties && Object.keys(entry.properties).length > 0) {
+        await notionAPI.updatePage(entry.pageId, entry.properties);
+      }
+      break;
+    case 'move':
+      await notionAPI.updatePage(entry.fromPageId, {}, { archived: false });
+      await notionAPI.updatePage(entry.pageId, {}, { archived: true });
+      break;
+    case 'relocate':
+      await notionAPI.movePage(entry.pageId, entry.dataSourceId);
+      break;
+    case 'archive':
+      await notionAPI.updatePage(entry.pageId, {}, { archived: false });
+      break;
+    default:
+      throw new Error(`Unknown journal entry type: ${entry.type}`);
+  }
+
+  if (assignmentCache) {
+    await assignmentCache.restoreAssignment(entry.canvasId, entry.cacheEntry);
+  }
+}
+
+/**
+ * Undo the newest journaled sync: its writes are replayed in reverse and the cache entries
+ * they replaced are restored. Writes that couldn't be undone stay in the journal, so undoing
+ * again retries them; once a run is fully undone, the run before it is next.
+ * @param {Object} notionAPI - NotionAPI
+ * @param {Object} [assignmentCache] - AssignmentCacheManager to restore
+ * @returns {Object} { undone, errors: [{ canvasId, title, error }], startedAt } - startedAt of the
+ *   undone sync, null when there was nothing to undo
+ */
+export async function undoLastSync(notionAPI, assignmentCache = null) {
+  const runs = await loadJournal();
+  const run = runs.pop();
+  if (!run) {
+    return { undone: 0, errors: [], startedAt: null };
+  }
+
+  const failed = [];
+  const errors = [];
+  for (const entry of [...run.entries].reverse()) {
+    try {
+      await undoEntry(entry, notionAPI, assignmentCache);
+    } catch (error) {
+      Debug.error(`Failed to undo ${entry.type} of ${entry.canvasId}:`, error.message);
+      failed.unshift(entry);
+      errors.push({ canvasId: entry.canvasId, title: entry.title, error: error.message });
+    }
+  }
+
+  if (failed.length > 0) {
+    runs.push({ ...run, entries: failed });
+  }
+  await chrome.storage.local.set({ [SYNC_JOURNAL_KEY]: runs });
+
+  const undone = run.entries.length - failed.length;
+  SyncLogger.info(`Undid the sync from ${new Date(run.startedAt).toLocaleString()}: ${undone} changes reverted, ${errors.length} failed`, { undone, errors: errors.length });
+  await SyncLogger.flush();
+
+  return { undone, errors, startedAt: run.startedAt };
+}
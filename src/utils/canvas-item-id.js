@@ -0,0 +1,54 @@
+// Canvas item ID namespaces
+// Every synced item shares the Notion "Canvas ID" column and the assignment cache.
+// Assignments keep their plain numeric Canvas ID; other kinds carry a "<kind>:" prefix
+// so an event or standalone quiz can't collide with an assignment of the same number.
+
+export const ITEM_KINDS = {
+  ASSIGNMENT: 'assignment',
+  QUIZ: 'quiz',
+  EVENT: 'event',
+  DISCUSSION: 'discussion',
+  PAGE: 'page',
+  NOTE: 'note',
+  PEER_REVIEW: 'review'
+};
+
+/**
+ * Build the namespaced ID stored in "Canvas ID" and used as the cache key.
+ * @param {string} kind - One of ITEM_KINDS
+ * @param {string|number} id - Canvas object ID
+ * @returns {string} e.g. "123", "quiz:45", "event:678"
+ */
+export function toCanvasItemId(kind, id) {
+  return kind === ITEM_KINDS.ASSIGNMENT ? String(id) : `${kind}:${id}`;
+}
+
+/**
+ * Item kind of a stored Canvas ID.
+ * @param {string} canvasId
+ * @returns {string} One of ITEM_KINDS
+ */
+export function getItemKind(canvasId) {
+  const match = /^([a-z]+):/.exec(String(canvasId));
+  return match ? match[1] : ITEM_KINDS.ASSIGNMENT;
+}
+
+// Item kind -> plannable_type of the Canvas Planner API
+export const PLANNABLE_TYPES = {
+  [ITEM_KINDS.ASSIGNMENT]: 'assignment',
+  [ITEM_KINDS.QUIZ]: 'quiz',
+  [ITEM_KINDS.EVENT]: 'calendar_event',
+  [ITEM_KINDS.DISCUSSION]: 'discussion_topic',
+  [ITEM_KINDS.PAGE]: 'wiki_page',
+  [ITEM_KINDS.NOTE]: 'planner_note',
+  [ITEM_KINDS.PEER_REVIEW]: 'assessment_request'
+};
+
+/**
+ * Canvas object ID of a stored Canvas ID, without its kind prefix.
+ * @param {string} canvasId - e.g. "quiz:45"
+ * @returns {string} e.g. "45"
+ */
+export function getItemObjectId(canvasId) {
+  return String(canvasId).replace(/^[a-z]+:/, '');
+}
@@ -0,0 +1,60 @@
+// Canvas host matching helpers
+// Hosted Canvas (instructure.com, canvaslms.com) is covered by the manifest's static
+// host permissions; any other host is a self-hosted or vanity domain that needs a
+// runtime permission grant.
+
+export const DEFAULT_CANVAS_MATCH_PATTERNS = [
+  'https://*.instructure.com/*',
+  'https://*.canvaslms.com/*'
+];
+
+const DEFAULT_CANVAS_HOST_SUFFIXES = ['.instructure.com', '.canvaslms.com'];
+
+/**
+ * Whether an origin belongs to a hosted Canvas domain from the manifest.
+ * @param {string} origin - e.g. "https://school.instructure.com"
+ * @returns {boolean}
+ */
+export function isDefaultCanvasHost(origin) {
+  try {
+    const { protocol, hostname } = new URL(origin);
+    return protocol === 'https:' && DEFAULT_CANVAS_HOST_SUFFIXES.some(suffix => hostname.endsWith(suffix));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build the host permission / content script match pattern for an origin.
+ * @param {string} origin - e.g. "https://canvas.university.edu"
+ * @returns {string} e.g. "https://canvas.university.edu/*"
+ */
+export function toMatchPattern(origin) {
+  return `${new URL(origin).origin}/*`;
+}
+
+/**
+ * Whether a tab URL is a Canvas page. With a configured Canvas URL only that
+ * host matches; otherwise any hosted Canvas domain does.
+ * @param {string} url - Tab URL
+ * @param {string|null} canvasBaseUrl - Configured Canvas origin, if any
+ * @returns {boolean}
+ */
+export function isCanvasPageUrl(url, canvasBaseUrl = null) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return false;
+  }
+
+  if (canvasBaseUrl) {
+    return parsed.origin === new URL(canvasBaseUrl).origin;
+  }
+
+  return isDefaultCanvasHost(parsed.origin);
+}
@@ -104,6 +104,22 @@ function getUserFriendlyNotionError(error) {
   const status = error.status || error.statusCode || 0;
   const mapped = notionErrorMap[status]; // eslint-disable-line security/detect-object-injection -- numeric HTTP status code
 
+  // Special case: 400 naming a property the database doesn't have, or has with another type
+  if (status === 400) {
+    const msg = error.message || '';
+    const missing = msg.match(/"message":"(.+?) is not a property that exists/);
+    const wrongType = msg.match(/"message":"(.+?) is expected to be /);
+    if (missing || wrongType) {
+      return {
+        title: 'Notion Property Mismatch',
+        message: missing
+          ? `Your Notion database has no "${missing[1]}" property.`
+          : `The "${wrongType[1]}" property in your Notion database has a different type than the sync writes.`,
+        action: 'Click "Test Notion" in the extension settings to see every mismatch and add missing properties, or update the Notion Properties mapping.'
+      };
+    }
+  }
+
   if (mapped) {
     return { ...mapped };
   }
@@ -0,0 +1,61 @@
+// Projected course grade from synced assignment records
+// Only graded records with points count, so the projection reflects work returned so far
+// rather than treating ungraded assignments as zeros.
+
+function isGraded(record) {
+  return typeof record.score === 'number' || (record.gradePercent !== null && record.gradePercent !== undefined);
+}
+
+function gradedPoints(records) {
+  let earned = 0;
+  let possible = 0;
+  for (const record of records) {
+    if (!isGraded(record)) continue;
+    if (typeof record.points !== 'number' || record.points <= 0) continue;
+    // The raw score, so rounding gradePercent doesn't skew the projection
+    earned += typeof record.score === 'number' ? record.score : (record.gradePercent / 100) * record.points;
+    possible += record.points;
+  }
+  return { earned, possible };
+}
+
+/**
+ * Compute a projected course grade percentage.
+ * With group weights, each group's percentage counts by its weight, renormalized over the
+ * groups that have graded work; otherwise it's total earned over total possible points.
+ * @param {Array<Object>} records - Assignment records ({ score, gradePercent, points, assignmentGroupId }); score wins
+ *   over gradePercent when both are set
+ * @param {Array<Object>} groups - Assignment groups ({ id, weight })
+ * @param {boolean} weighted - Whether the course applies assignment group weights
+ * @returns {number|null} Percentage rounded to one decimal, or null without graded work
+ */
+export function calculateProjectedGrade(records, groups = [], weighted = false) {
+  const graded = (records || []).filter(record => record && isGraded(record));
+  if (graded.length === 0) {
+    return null;
+  }
+
+  let percent = null;
+
+  if (weighted) {
+    let weightedSum = 0;
+    let weightTotal = 0;
+    for (const group of groups || []) {
+      if (!(group.weight > 0)) continue;
+      const { earned, possible } = gradedPoints(graded.filter(record => record.assignmentGroupId === group.id));
+      if (possible === 0) continue;
+      weightedSum += group.weight * (earned / possible);
+      weightTotal += group.weight;
+    }
+    if (weightTotal > 0) {
+      percent = (weightedSum / weightTotal) * 100;
+    }
+  } else {
+    const { earned, possible } = gradedPoints(graded);
+    if (possible > 0) {
+      percent = (earned / possible) * 100;
+    }
+  }
+
+  return percent === null ? null : Math.round(percent * 10) / 10;
+}
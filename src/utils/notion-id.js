@@ -0,0 +1,42 @@
+// Notion ID parsing for IDs typed or pasted into the settings
+// Accepts a bare 32-character ID, a dashed UUID, or a Notion URL. In a database URL the
+// ID is the end of the path; the ?v= view ID and ?p= page-peek ID are not the database.
+
+const BARE_ID = /^[0-9a-f]{32}$/i;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PATH_ID = /([0-9a-f]{32}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+/**
+ * Extract a Notion object ID as 32 lowercase hex characters.
+ * @param {string} input - ID, UUID or notion.so / notion.site URL
+ * @returns {string|null} The ID, or null when none can be found
+ */
+function parseNotionId(input) {
+  const value = typeof input === 'string' ? input.trim() : '';
+  if (!value) return null;
+
+  if (BARE_ID.test(value) || UUID.test(value)) {
+    return value.replace(/-/g, '').toLowerCase();
+  }
+
+  let url;
+  try {
+    url = new URL(value.includes('://') ? value : `https://${value}`);
+  } catch {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  if (!(host === 'notion.so' || host.endsWith('.notion.so') || host.endsWith('.notion.site'))) {
+    return null;
+  }
+
+  const lastSegment = url.pathname.split('/').filter(Boolean).pop() || '';
+  const match = lastSegment.match(PATH_ID);
+  return match ? match[1].replace(/-/g, '').toLowerCase() : null;
+}
+
+// For popup (non-module) context
+if (typeof globalThis !== 'undefined' && typeof globalThis.parseNotionId === 'undefined') {
+  globalThis.parseNotionId = parseNotionId;
+}
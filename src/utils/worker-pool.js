@@ -0,0 +1,26 @@
+// Bounded worker pool for sync work
+// The API rate limiters pace the requests; the pool only caps how many items are in progress,
+// so one slow request doesn't hold up the items behind it.
+
+/**
+ * Run an async worker over items with at most `concurrency` running at once.
+ * Items start in order. Workers are expected to catch their own errors: one that throws
+ * rejects the run, though items already started still finish.
+ * @param {Iterable} items
+ * @param {number} concurrency - Maximum items in progress
+ * @param {Function} worker - async (item, index) => void
+ * @returns {Promise<void>} Resolves once every item is done
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+  const queue = Array.from(items);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, async () => {
+    while (next < queue.length) {
+      const index = next++;
+      await worker(queue[index], index); // eslint-disable-line security/detect-object-injection -- index bounded by queue.length
+    }
+  });
+
+  await Promise.all(runners);
+}
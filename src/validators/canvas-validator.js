@@ -53,6 +53,101 @@ class CanvasValidator {
     return { valid: true, validated, warnings };
   }
 
+  /**
+   * Validate a classic Canvas quiz object (/courses/:id/quizzes).
+   * Returns { valid, validated, warnings } where validated is a safe copy of the quiz.
+   */
+  static validateQuiz(quiz) {
+    const warnings = [];
+
+    if (!quiz || typeof quiz !== 'object') {
+      return { valid: false, validated: null, warnings: ['Quiz is not an object'] };
+    }
+
+    // Required: id must exist
+    if (quiz.id === null || quiz.id === undefined) {
+      return { valid: false, validated: null, warnings: ['Missing required field: id'] };
+    }
+
+    const validated = { ...quiz };
+
+    // Required: title must be non-empty string
+    if (!quiz.title || typeof quiz.title !== 'string' || !quiz.title.trim()) {
+      warnings.push(`Missing or empty title for quiz ${quiz.id}, using fallback`);
+      validated.title = `Quiz ${quiz.id}`;
+    }
+
+    // Validate due_at (ISO 8601 date string or null)
+    if (quiz.due_at !== null && quiz.due_at !== undefined) {
+      if (typeof quiz.due_at !== 'string' || isNaN(new Date(quiz.due_at).getTime())) {
+        warnings.push(`Invalid due_at "${quiz.due_at}" for quiz ${quiz.id}, setting to null`);
+        validated.due_at = null;
+      }
+    }
+
+    // Validate numeric metadata (number >= 0 or null); allowed_attempts uses -1 for unlimited
+    for (const field of ['points_possible', 'time_limit', 'question_count', 'allowed_attempts']) {
+      const value = quiz[field]; // eslint-disable-line security/detect-object-injection -- field from hardcoded list
+      if (value === null || value === undefined) continue;
+
+      const number = Number(value);
+      if (field === 'allowed_attempts' && number === -1) {
+        validated.allowed_attempts = -1;
+      } else if (isNaN(number) || number < 0) {
+        warnings.push(`Invalid ${field} "${value}" for quiz ${quiz.id}, setting to null`);
+        validated[field] = null; // eslint-disable-line security/detect-object-injection -- field from hardcoded list
+      } else {
+        validated[field] = number; // eslint-disable-line security/detect-object-injection -- field from hardcoded list
+      }
+    }
+
+    return { valid: true, validated, warnings };
+  }
+
+  /**
+   * Validate a Canvas calendar event object (/calendar_events).
+   * Returns { valid, validated, warnings } where validated is a safe copy of the event.
+   */
+  static validateCalendarEvent(event) {
+    const warnings = [];
+
+    if (!event || typeof event !== 'object') {
+      return { valid: false, validated: null, warnings: ['Calendar event is not an object'] };
+    }
+
+    // Required: id must exist
+    if (event.id === null || event.id === undefined) {
+      return { valid: false, validated: null, warnings: ['Missing required field: id'] };
+    }
+
+    const validated = { ...event };
+
+    // Required: title must be non-empty string
+    if (!event.title || typeof event.title !== 'string' || !event.title.trim()) {
+      warnings.push(`Missing or empty title for calendar event ${event.id}, using fallback`);
+      validated.title = `Event ${event.id}`;
+    }
+
+    // Validate start_at / end_at (ISO 8601 date strings or null)
+    for (const field of ['start_at', 'end_at']) {
+      const value = event[field]; // eslint-disable-line security/detect-object-injection -- field from hardcoded list
+      if (value !== null && value !== undefined) {
+        if (typeof value !== 'string' || isNaN(new Date(value).getTime())) {
+          warnings.push(`Invalid ${field} "${value}" for calendar event ${event.id}, setting to null`);
+          validated[field] = null; // eslint-disable-line security/detect-object-injection -- field from hardcoded list
+        }
+      }
+    }
+
+    // An end before the start can't be written as a Notion date range
+    if (validated.start_at && validated.end_at && new Date(validated.end_at) < new Date(validated.start_at)) {
+      warnings.push(`end_at before start_at for calendar event ${event.id}, dropping end_at`);
+      validated.end_at = null;
+    }
+
+    return { valid: true, validated, warnings };
+  }
+
   /**
    * Validate a Canvas course object.
    * Returns { valid, validated, warnings }.
@@ -77,6 +172,46 @@ class CanvasValidator {
 
     return { valid: true, validated, warnings };
   }
+
+  /**
+   * Validate a user-entered Canvas base URL.
+   * Only https is accepted; a missing scheme is assumed to be https and any
+   * path is dropped. Returns { valid, validated, warnings } where validated is the origin.
+   */
+  static validateBaseURL(url) {
+    const warnings = [];
+
+    if (typeof url !== 'string' || !url.trim()) {
+      return { valid: false, validated: null, warnings: ['Canvas URL is empty'] };
+    }
+
+    let candidate = url.trim();
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(candidate)) {
+      candidate = `https://${candidate}`;
+      warnings.push('No scheme given, assuming https://');
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(candidate);
+    } catch {
+      return { valid: false, validated: null, warnings: [`"${url.trim()}" is not a valid URL`] };
+    }
+
+    if (parsed.protocol !== 'https:') {
+      return { valid: false, validated: null, warnings: ['Canvas URL must use https://'] };
+    }
+
+    if (parsed.username || parsed.password) {
+      return { valid: false, validated: null, warnings: ['Canvas URL must not contain a username or password'] };
+    }
+
+    if (parsed.pathname !== '/' || parsed.search || parsed.hash) {
+      warnings.push(`Using ${parsed.origin}; the path of the URL is ignored`);
+    }
+
+    return { valid: true, validated: parsed.origin, warnings };
+  }
 }
 
 // Make available as global when loaded as a content script (non-module) context
@@ -12,15 +12,20 @@ const NOTION_RICH_TEXT_MAX_CHARS = 2000;
 export class NotionValidator {
   /**
    * Validate an ISO 8601 date string for Notion's date property.
-   * Accepts formats: "2024-01-15" or "2024-01-15T23:59:00Z" or "2024-01-15T23:59:00.000Z"
+   * Accepts formats: "2024-01-15" or "2024-01-15T23:59:00Z" or "2024-01-15T23:59:00.000Z",
+   * or a { start, end } range of those (see validateDateRange).
    * @param {*} date - The date value to validate
-   * @returns {{ valid: boolean, sanitized: string|null, warning: string|null }}
+   * @returns {{ valid: boolean, sanitized: string|Object|null, warning: string|null }}
    */
   static validateDateProperty(date) {
     if (date === null || date === undefined || date === '') {
       return { valid: true, sanitized: null, warning: null };
     }
 
+    if (typeof date === 'object' && !Array.isArray(date)) {
+      return this.validateDateRange(date);
+    }
+
     if (typeof date !== 'string') {
       return {
         valid: false,
@@ -56,6 +61,39 @@ export class NotionValidator {
     return { valid: true, sanitized: trimmed, warning: null };
   }
 
+  /**
+   * Validate a Notion date range { start, end }. Notion needs a start; an end
+   * before the start is dropped rather than rejecting the whole range.
+   * @param {Object} range - { start, end } with ISO 8601 strings or null
+   * @returns {{ valid: boolean, sanitized: Object|null, warning: string|null }}
+   */
+  static validateDateRange(range) {
+    const start = this.validateDateProperty(range.start);
+    const end = this.validateDateProperty(range.end);
+    const warnings = [start.warning, end.warning].filter(Boolean);
+
+    if (!start.valid || !start.sanitized) {
+      if (start.valid && range.end) warnings.push('Date range has an end but no start');
+      return {
+        valid: start.valid && !range.end,
+        sanitized: null,
+        warning: warnings.length > 0 ? warnings.join('; ') : null
+      };
+    }
+
+    let endValue = end.sanitized;
+    if (endValue && new Date(endValue).getTime() < new Date(start.sanitized).getTime()) {
+      warnings.push(`End "${endValue}" is before start "${start.sanitized}", dropping end`);
+      endValue = null;
+    }
+
+    return {
+      valid: true,
+      sanitized: endValue ? { start: start.sanitized, end: endValue } : { start: start.sanitized },
+      warning: warnings.length > 0 ? warnings.join('; ') : null
+    };
+  }
+
   /**
    * Validate a select option value.
    * If allowedOptions is provided, checks that the value is in the list.
@@ -249,7 +287,15 @@ export class NotionValidator {
       link: null,
       canvasId: null,
       gradePercent: null,
-      description: null
+      description: null,
+      endDate: null,
+      available: null,
+      location: null,
+      itemType: null,
+      category: null,
+      timeLimit: null,
+      allowedAttempts: null,
+      questionCount: null
     };
 
     // Validate title as rich text
@@ -275,6 +321,29 @@ export class NotionValidator {
       }
     }
 
+    // Validate endDate as date (calendar events span start-end)
+    if (assignment.endDate) {
+      const endResult = this.validateDateProperty(assignment.endDate);
+      if (endResult.warning) warnings.push(`endDate: ${endResult.warning}`);
+      if (endResult.valid) {
+        validated.endDate = endResult.sanitized;
+      } else {
+        warnings.push(`endDate: Skipping invalid date value`);
+      }
+    }
+
+    // Validate the availability window (resolved for the student's section or extension).
+    // Notion ranges need a start, so a lock date alone only shows up as a Locked status
+    if (assignment.unlockDate) {
+      const rangeResult = this.validateDateProperty({ start: assignment.unlockDate, end: assignment.lockDate });
+      if (rangeResult.warning) warnings.push(`available: ${rangeResult.warning}`);
+      if (rangeResult.valid) {
+        validated.available = rangeResult.sanitized;
+      } else {
+        warnings.push(`available: Skipping invalid date range`);
+      }
+    }
+
     // Validate status as select
     if (assignment.status) {
       const statusResult = this.validateSelectOption(assignment.status);
@@ -333,6 +402,91 @@ export class NotionValidator {
       }
     }
 
+    // Validate location as rich text
+    if (assignment.location) {
+      const locationResult = this.validateRichText(assignment.location);
+      if (locationResult.warning) warnings.push(`location: ${locationResult.warning}`);
+      validated.location = locationResult.sanitized;
+    }
+
+    // Validate itemType ("Assignment", "Quiz", "Event", "Office Hours") as select
+    if (assignment.itemType) {
+      const itemTypeResult = this.validateSelectOption(assignment.itemType);
+      if (itemTypeResult.warning) warnings.push(`itemType: ${itemTypeResult.warning}`);
+      validated.itemType = itemTypeResult.sanitized;
+    }
+
+    // Validate category (assignment group name) as select
+    if (assignment.category) {
+      const categoryResult = this.validateSelectOption(assignment.category);
+      if (categoryResult.warning) warnings.push(`category: ${categoryResult.warning}`);
+      validated.category = categoryResult.sanitized;
+    }
+
+    // Validate quiz metadata as numbers
+    for (const field of ['timeLimit', 'allowedAttempts', 'questionCount']) {
+      const value = assignment[field]; // eslint-disable-line security/detect-object-injection -- field from hardcoded list
+      if (value === null || value === undefined) continue;
+
+      const numberResult = this.validateNumber(value);
+      if (numberResult.warning) warnings.push(`${field}: ${numberResult.warning}`);
+      if (numberResult.valid) {
+        validated[field] = numberResult.sanitized; // eslint-disable-line security/detect-object-injection -- field from hardcoded list
+      } else {
+        warnings.push(`${field}: Skipping invalid number value`);
+      }
+    }
+
+    return { validated, warnings };
+  }
+
+  /**
+   * Validate and sanitize a course record before writing it to the course grade database.
+   * @param {Object} course - Course record from the Canvas extractor
+   * @returns {{ validated: Object, warnings: string[] }}
+   */
+  static validateCourseForNotion(course) {
+    const warnings = [];
+
+    const nameResult = this.validateRichText(course.name);
+    if (nameResult.warning) warnings.push(`name: ${nameResult.warning}`);
+
+    const validated = {
+      name: nameResult.sanitized || course.courseCode || 'Untitled Course',
+      courseId: course.courseId ? String(course.courseId) : null,
+      courseCode: null,
+      term: null,
+      currentScore: null,
+      finalScore: null,
+      projectedGrade: null,
+      letterGrade: null,
+      link: null
+    };
+
+    for (const field of ['courseCode', 'letterGrade']) {
+      const result = this.validateRichText(course[field]); // eslint-disable-line security/detect-object-injection -- field from hardcoded list
+      if (result.warning) warnings.push(`${field}: ${result.warning}`);
+      validated[field] = result.sanitized || null; // eslint-disable-line security/detect-object-injection -- field from hardcoded list
+    }
+
+    if (course.term) {
+      const termResult = this.validateSelectOption(course.term);
+      if (termResult.warning) warnings.push(`term: ${termResult.warning}`);
+      validated.term = termResult.sanitized;
+    }
+
+    for (const field of ['currentScore', 'finalScore', 'projectedGrade']) {
+      const result = this.validateNumber(course[field]); // eslint-disable-line security/detect-object-injection -- field from hardcoded list
+      if (result.warning) warnings.push(`${field}: ${result.warning}`);
+      if (result.valid) {
+        validated[field] = result.sanitized; // eslint-disable-line security/detect-object-injection -- field from hardcoded list
+      }
+    }
+
+    const linkResult = this.validateUrl(course.link);
+    if (linkResult.warning) warnings.push(`link: ${linkResult.warning}`);
+    validated.link = linkResult.valid ? linkResult.sanitized : null;
+
     return { validated, warnings };
   }
 }
@@ -234,6 +234,78 @@ describe('AssignmentCacheManager', () => {
     expect(needsUpdate).toBe(false);
   });
 
+  test('compareAndNeedsUpdate() treats fields missing from older entries as unchanged when still empty', async () => {
+    await cache.cacheAssignment('103', sampleAssignment, 'page-5');
+    const withQuizFields = { ...sampleAssignment, timeLimit: null, questionCount: null };
+    const { needsUpdate } = await cache.compareAndNeedsUpdate('103', withQuizFields);
+    expect(needsUpdate).toBe(false);
+  });
+
+  test('compareAndNeedsUpdate() detects quiz metadata changes', async () => {
+    await cache.cacheAssignment('104', { ...sampleAssignment, itemType: 'Quiz', timeLimit: 30 }, 'page-6');
+    const { changedFields } = await cache.compareAndNeedsUpdate('104', { ...sampleAssignment, itemType: 'Quiz', timeLimit: 45 });
+    expect(changedFields).toEqual(['timeLimit']);
+  });
+
+  test('compareAndNeedsUpdate() detects a moved availability window', async () => {
+    const windowed = { ...sampleAssignment, unlockDate: '2025-09-01T00:00:00Z', lockDate: '2025-09-10T23:59:00Z' };
+    await cache.cacheAssignment('105', windowed, 'page-7');
+    const { changedFields } = await cache.compareAndNeedsUpdate('105', { ...windowed, lockDate: '2025-09-12T23:59:00Z' });
+    expect(changedFields).toEqual(['lockDate']);
+  });
+
+  test('hashRubric() is stable and changes with the rubric', () => {
+    const rubric = { title: 'R', criteria: [{ description: 'A', points: 5, ratings: [] }] };
+    expect(cache.hashRubric(null)).toBeNull();
+    expect(cache.hashRubric(rubric)).toMatch(/^[0-9a-f]{8}$/);
+    expect(cache.hashRubric({ ...rubric })).toBe(cache.hashRubric(rubric));
+    expect(cache.hashRubric({ ...rubric, title: 'R2' })).not.toBe(cache.hashRubric(rubric));
+  });
+
+  test('compareRubric() only asks for a render when the rubric hash changes', async () => {
+    const rubric = { title: 'R', criteria: [{ description: 'A', points: 5, ratings: [] }] };
+    await cache.cacheAssignment('106', sampleAssignment, 'page-8');
+
+    expect(await cache.compareRubric('106', rubric)).toEqual({ needsRender: true, hash: cache.hashRubric(rubric), blockIds: null });
+    expect((await cache.compareRubric('106', null)).needsRender).toBe(false);
+
+    await cache.updateRubricState('106', cache.hashRubric(rubric), ['h1', 't1']);
+    expect((await cache.compareRubric('106', rubric)).needsRender).toBe(false);
+    expect(await cache.compareRubric('106', null)).toEqual({ needsRender: true, hash: null, blockIds: ['h1', 't1'] });
+  });
+
+  test('cacheAssignment() keeps the data source while the page stays the same', async () => {
+    await cache.cacheAssignment('108', sampleAssignment, 'page-11', null, 'ds-1');
+    await cache.cacheAssignment('108', { ...sampleAssignment, title: 'Renamed' }, 'page-11');
+    expect((await cache.getCachedAssignment('108')).dataSourceId).toBe('ds-1');
+
+    await cache.updateDataSource('108', 'ds-2');
+    expect((await cache.getCachedAssignment('108')).dataSourceId).toBe('ds-2');
+
+    await cache.cacheAssignment('108', sampleAssignment, 'page-12');
+    expect((await cache.getCachedAssignment('108')).dataSourceId).toBeNull();
+  });
+
+  test('cacheAssignment() keeps the rendered rubric while the page stays the same', async () => {
+    await cache.cacheAssignment('107', sampleAssignment, 'page-9');
+    await cache.updateRubricState('107', 'abcd1234', ['h1', 't1']);
+
+    await cache.cacheAssignment('107', { ...sampleAssignment, title: 'Renamed' }, 'page-9');
+    expect((await cache.getCachedAssignment('107')).rubric).toEqual({ hash: 'abcd1234', blockIds: ['h1', 't1'] });
+
+    await cache.cacheAssignment('107', sampleAssignment, 'page-10');
+    expect((await cache.getCachedAssignment('107')).rubric).toBeNull();
+  });
+
+  test('cacheAssignment() merges the values written to the page while the page stays the same', async () => {
+    await cache.cacheAssignment('108', sampleAssignment, 'page-9', { title: 'Essay 1', points: 50 });
+    await cache.cacheAssignment('108', sampleAssignment, 'page-9', { points: 40 });
+    expect((await cache.getCachedAssignment('108')).written).toEqual({ title: 'Essay 1', points: 40 });
+
+    await cache.cacheAssignment('108', sampleAssignment, 'page-10');
+    expect((await cache.getCachedAssignment('108')).written).toEqual({});
+  });
+
   test('updateNotionMapping() updates notionPageId without losing canvasData', async () => {
     await cache.cacheAssignment('200', sampleAssignment, 'old-page-id');
     await cache.updateNotionMapping('200', 'new-page-id');
@@ -273,6 +345,25 @@ describe('AssignmentCacheManager', () => {
     expect(toDelete.find(e => e.canvasId === '500')).toBeUndefined();
   });
 
+  test('cleanupInactiveCourses() leaves uncovered items in active courses alone', async () => {
+    await cache.cacheAssignment('event:800', sampleAssignment, 'page-10');
+    await cache.cacheAssignment('801', sampleAssignment, 'page-11');
+    cache.setActiveCourses(['55']);
+    const { toDelete, toRemove } = await cache.cleanupInactiveCourses([], {
+      isCovered: (canvasId) => !canvasId.startsWith('event:')
+    });
+    expect(toDelete.map(e => e.canvasId)).toEqual(['801']);
+    expect(toRemove).toHaveLength(0);
+  });
+
+  test('cleanupInactiveCourses() counts the assignments it tracks', async () => {
+    await cache.cacheAssignment('900', sampleAssignment, 'page-12');
+    await cache.cacheAssignment('901', sampleAssignment, 'page-13');
+    cache.setActiveCourses(['55']);
+    const { tracked } = await cache.cleanupInactiveCourses(['900']);
+    expect(tracked).toBe(2);
+  });
+
   test('getStats() includes assignmentCount and mapping stats', async () => {
     await cache.cacheAssignment('600', sampleAssignment, 'page-8');
     await cache.cacheAssignment('601', sampleAssignment, null);
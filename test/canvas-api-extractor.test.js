@@ -0,0 +1,864 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      set: jest.fn(async () => {}),
+      get: jest.fn(async () => ({}))
+    }
+  }
+};
+
+const { CanvasAPIExtractor } = await import('../src/api/canvas-api-extractor.js');
+
+function makeResponse(body, { status = 200, link = null } = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    headers: { get: (k) => (k === 'Link' ? link : null) },
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+function makeExtractor() {
+  const extractor = new CanvasAPIExtractor('https://school.instructure.com/', 'canvas-token');
+  // Passthrough limiter so tests don't wait on the shared bucket
+  extractor.rateLimiter = {
+    execute: (fn) => fn(),
+    updateFromHeaders: () => {}
+  };
+  extractor.delay = async () => {};
+  return extractor;
+}
+
+describe('CanvasAPIExtractor parallel batch processing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('processes courses in bounded parallel batches with delays between batches', async () => {
+    const extractor = makeExtractor();
+    const courses = Array.from({ length: 7 }, (_, index) => ({
+      id: index + 1,
+      course_code: `CSC-${index + 1}`
+    }));
+
+    let active = 0;
+    let maxActive = 0;
+    extractor.processSingleCourse = async (course) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await Promise.resolve();
+      active--;
+      return {
+        ok: true,
+        courseId: course.id.toString(),
+        courseCode: course.course_code,
+        assignments: [{ canvasId: course.id.toString() }]
+      };
+    };
+
+    const delayCalls = [];
+    extractor.delay = async (ms) => {
+      delayCalls.push(ms);
+    };
+
+    const progress = [];
+    const result = await extractor.processCoursesBatch(courses, {
+      batchSize: 3,
+      batchDelayMs: 500,
+      onProgress: async (state) => {
+        progress.push(state);
+      }
+    });
+
+    expect(maxActive).toBeLessThanOrEqual(3);
+    expect(delayCalls).toEqual([500, 500]);
+    expect(result.assignments).toHaveLength(7);
+    expect(result.extractionErrors).toHaveLength(0);
+    expect(progress[0]).toMatchObject({ current: 0, total: 7, errorCount: 0 });
+    expect(progress[progress.length - 1]).toMatchObject({ current: 7, total: 7, errorCount: 0 });
+  });
+
+  test('continues batch processing when individual courses fail', async () => {
+    const extractor = makeExtractor();
+    const courses = [
+      { id: 1, course_code: 'CSC-1' },
+      { id: 2, course_code: 'CSC-2' },
+      { id: 3, course_code: 'CSC-3' },
+      { id: 4, course_code: 'CSC-4' }
+    ];
+
+    extractor.processSingleCourse = async (course) => {
+      if (course.id === 2) {
+        return {
+          ok: false,
+          courseId: '2',
+          courseCode: course.course_code,
+          error: 'Access denied'
+        };
+      }
+      if (course.id === 4) {
+        throw new Error('Network timeout');
+      }
+      return {
+        ok: true,
+        courseId: course.id.toString(),
+        courseCode: course.course_code,
+        assignments: [{ canvasId: course.id.toString() }]
+      };
+    };
+
+    const progress = [];
+    const result = await extractor.processCoursesBatch(courses, {
+      batchSize: 3,
+      batchDelayMs: 500,
+      onProgress: async (state) => {
+        progress.push(state);
+      }
+    });
+
+    expect(result.assignments.map(a => a.canvasId)).toEqual(['1', '3']);
+    expect(result.extractionErrors).toHaveLength(2);
+    expect(result.extractionErrors[0]).toMatchObject({
+      courseId: '2',
+      courseCode: 'CSC-2',
+      error: 'Access denied'
+    });
+    expect(result.extractionErrors[1]).toMatchObject({
+      courseId: '4',
+      courseCode: 'CSC-4',
+      error: 'Network timeout'
+    });
+    expect(progress[progress.length - 1]).toMatchObject({ current: 4, total: 4, errorCount: 2 });
+  });
+});
+
+describe('CanvasAPIExtractor HTTP and pagination', () => {
+  beforeEach(() => {
+    globalThis.fetch = jest.fn();
+  });
+
+  test('builds the API base URL from the Canvas origin', () => {
+    const extractor = makeExtractor();
+    expect(extractor.baseURL).toBe('https://school.instructure.com/api/v1');
+  });
+
+  test('makeAPICall follows Link rel="next" until exhausted', async () => {
+    const extractor = makeExtractor();
+    globalThis.fetch
+      .mockResolvedValueOnce(makeResponse([{ id: 1 }], {
+        link: '<https://school.instructure.com/api/v1/courses?page=2>; rel="next", <https://school.instructure.com/api/v1/courses?page=2>; rel="last"'
+      }))
+      .mockResolvedValueOnce(makeResponse([{ id: 2 }]));
+
+    const results = await extractor.makeAPICall('/courses', { per_page: 100 });
+
+    expect(results).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    const [firstUrl, firstInit] = globalThis.fetch.mock.calls[0];
+    expect(firstUrl).toBe('https://school.instructure.com/api/v1/courses?per_page=100');
+    expect(firstInit.headers.Authorization).toBe('Bearer canvas-token');
+    expect(firstInit.credentials).toBe('omit');
+  });
+
+  test('makeAPICall stops at maxPages', async () => {
+    const extractor = makeExtractor();
+    globalThis.fetch.mockResolvedValue(makeResponse([{ id: 1 }], {
+      link: '<https://school.instructure.com/api/v1/courses?page=next>; rel="next"'
+    }));
+
+    const results = await extractor.makeAPICall('/courses', {}, 3);
+
+    expect(results).toHaveLength(3);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('attaches the HTTP status to thrown errors', async () => {
+    const extractor = makeExtractor();
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ errors: [] }, { status: 401 }));
+
+    await expect(extractor.makeSingleAPICall('/users/self')).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('setPlannerOverride creates an override, or updates the existing one', async () => {
+    const extractor = makeExtractor();
+    globalThis.fetch
+      .mockResolvedValueOnce(makeResponse({ id: 9 }))
+      .mockResolvedValueOnce(makeResponse({ id: 9 }));
+
+    await extractor.setPlannerOverride('assignment', '12', { marked_complete: true });
+    await extractor.setPlannerOverride('assignment', '12', { dismissed: true }, 9);
+
+    const [createUrl, createInit] = globalThis.fetch.mock.calls[0];
+    expect(createUrl).toBe('https://school.instructure.com/api/v1/planner/overrides');
+    expect(createInit.method).toBe('POST');
+    expect(JSON.parse(createInit.body)).toEqual({ plannable_type: 'assignment', plannable_id: '12', marked_complete: true });
+    expect(createInit.credentials).toBe('omit');
+
+    const [updateUrl, updateInit] = globalThis.fetch.mock.calls[1];
+    expect(updateUrl).toBe('https://school.instructure.com/api/v1/planner/overrides/9');
+    expect(updateInit.method).toBe('PUT');
+    expect(JSON.parse(updateInit.body)).toEqual({ dismissed: true });
+  });
+
+  test('createPlannerNote and updatePlannerNote write planner notes', async () => {
+    const extractor = makeExtractor();
+    globalThis.fetch
+      .mockResolvedValueOnce(makeResponse({ id: 31 }))
+      .mockResolvedValueOnce(makeResponse({ id: 31 }));
+    const note = { title: 'Buy lab goggles', details: '', todo_date: '2025-09-03', course_id: 42 };
+
+    await expect(extractor.createPlannerNote(note)).resolves.toEqual({ id: 31 });
+    await extractor.updatePlannerNote(31, { ...note, todo_date: '2025-09-05' });
+
+    const [createUrl, createInit] = globalThis.fetch.mock.calls[0];
+    expect(createUrl).toBe('https://school.instructure.com/api/v1/planner_notes');
+    expect(createInit.method).toBe('POST');
+    expect(JSON.parse(createInit.body)).toEqual(note);
+
+    const [updateUrl, updateInit] = globalThis.fetch.mock.calls[1];
+    expect(updateUrl).toBe('https://school.instructure.com/api/v1/planner_notes/31');
+    expect(updateInit.method).toBe('PUT');
+    expect(JSON.parse(updateInit.body).todo_date).toBe('2025-09-05');
+  });
+
+  test('extractAssignments requires a Canvas origin', async () => {
+    const extractor = new CanvasAPIExtractor(null, 'canvas-token');
+    await expect(extractor.extractAssignments()).rejects.toThrow('Canvas instance not detected');
+  });
+
+  test('extractAssignments returns transformed assignments and active course IDs', async () => {
+    const extractor = makeExtractor();
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/courses/42/assignments')) {
+        return makeResponse([{
+          id: 7,
+          name: 'Essay',
+          course_id: 42,
+          due_at: '2025-09-01T23:59:00Z',
+          points_possible: 10,
+          html_url: 'https://school.instructure.com/courses/42/assignments/7',
+          description: '<p>Write <b>it</b></p><script>alert(1)</script>',
+          submission_types: ['online_upload'],
+          submission: { workflow_state: 'graded', grade: '9', score: 9 }
+        }]);
+      }
+      if (url.includes('/courses/42/quizzes')) {
+        return makeResponse([]);
+      }
+      return makeResponse([{ id: 42, course_code: '2257-CSC-413-02' }]);
+    });
+
+    const result = await extractor.extractAssignments();
+
+    expect(result.activeCourseIds).toEqual(['42']);
+    expect(result.extractionErrors).toEqual([]);
+    expect(result.assignments).toEqual([expect.objectContaining({
+      canvasId: '7',
+      course: 'CSC 413',
+      courseId: '42',
+      status: 'Graded',
+      gradePercent: 90,
+      description: 'Write it'
+    })]);
+  });
+});
+
+describe('CanvasAPIExtractor graded scores', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    globalThis.fetch = jest.fn();
+  });
+
+  test('keeps a score of 0, which lowers the projected grade', async () => {
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/courses/42/assignments')) {
+        return makeResponse([
+          { id: 7, name: 'Homework', course_id: 42, points_possible: 10, submission: { workflow_state: 'graded', grade: '10', score: 10 } },
+          { id: 8, name: 'Exam', course_id: 42, points_possible: 90, submission: { workflow_state: 'graded', grade: '0', score: 0 } }
+        ]);
+      }
+      if (url.includes('/courses/42/quizzes') || url.includes('/assignment_groups')) {
+        return makeResponse([]);
+      }
+      return makeResponse([{ id: 42, course_code: '2257-CSC-413-02', enrollments: [] }]);
+    });
+
+    const result = await makeExtractor().extractAssignments();
+
+    expect(result.assignments.find(a => a.canvasId === '8')).toMatchObject({ score: 0, gradePercent: 0 });
+    expect(result.courses[0].projectedGrade).toBe(10);
+  });
+});
+
+describe('CanvasAPIExtractor quizzes', () => {
+  const course = { id: 42, course_code: '2257-CSC-413-02' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    globalThis.fetch = jest.fn();
+  });
+
+  function mockCourse({ assignments = [], quizzes = [], quizzesStatus = 200 } = {}) {
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/courses/42/assignments')) return makeResponse(assignments);
+      if (url.includes('/courses/42/quizzes')) return makeResponse(quizzes, { status: quizzesStatus });
+      return makeResponse([]);
+    });
+  }
+
+  test('adds quiz metadata to graded classic quizzes without duplicating them', async () => {
+    mockCourse({
+      assignments: [{ id: 7, name: 'Midterm', course_id: 42, quiz_id: 300, submission_types: ['online_quiz'] }],
+      quizzes: [{ id: 300, title: 'Midterm', assignment_id: 7, time_limit: 50, allowed_attempts: 2, question_count: 25 }]
+    });
+
+    const result = await makeExtractor().processSingleCourse(course);
+
+    expect(result.ok).toBe(true);
+    expect(result.assignments).toHaveLength(1);
+    expect(result.assignments[0]).toMatchObject({
+      canvasId: '7',
+      itemType: 'Quiz',
+      timeLimit: 50,
+      allowedAttempts: 2,
+      questionCount: 25
+    });
+  });
+
+  test('turns classic quizzes without an assignment into namespaced records', async () => {
+    mockCourse({
+      quizzes: [{
+        id: 301,
+        title: 'Practice Quiz',
+        quiz_type: 'practice_quiz',
+        due_at: '2025-10-01T12:00:00Z',
+        html_url: 'https://school.instructure.com/courses/42/quizzes/301',
+        time_limit: null,
+        allowed_attempts: -1,
+        question_count: 10
+      }]
+    });
+
+    const result = await makeExtractor().processSingleCourse(course);
+
+    expect(result.assignments).toEqual([expect.objectContaining({
+      canvasId: 'quiz:301',
+      title: 'Practice Quiz',
+      courseId: '42',
+      dueDate: '2025-10-01T12:00:00Z',
+      type: 'practice_quiz',
+      itemType: 'Quiz',
+      timeLimit: null,
+      allowedAttempts: null,
+      questionCount: 10
+    })]);
+  });
+
+  test('marks New Quizzes as quizzes using the assignment attempts', async () => {
+    mockCourse({
+      assignments: [{ id: 8, name: 'Unit Quiz', course_id: 42, is_quiz_lti_assignment: true, allowed_attempts: 3 }]
+    });
+
+    const result = await makeExtractor().processSingleCourse(course);
+
+    expect(result.assignments[0]).toMatchObject({
+      canvasId: '8',
+      itemType: 'Quiz',
+      allowedAttempts: 3,
+      timeLimit: null,
+      questionCount: null
+    });
+  });
+
+  test('keeps plain assignments typed as Assignment', async () => {
+    mockCourse({ assignments: [{ id: 9, name: 'Essay', course_id: 42, submission_types: ['online_upload'] }] });
+
+    const result = await makeExtractor().processSingleCourse(course);
+
+    expect(result.assignments[0]).toMatchObject({ itemType: 'Assignment', timeLimit: null });
+  });
+
+  test('treats a course with quizzes hidden as having no quizzes', async () => {
+    mockCourse({ assignments: [{ id: 9, name: 'Essay', course_id: 42 }], quizzesStatus: 404 });
+
+    const result = await makeExtractor().processSingleCourse(course);
+
+    expect(result.ok).toBe(true);
+    expect(result.assignments.map(a => a.canvasId)).toEqual(['9']);
+  });
+
+  test('fails the course when the quizzes request fails for another reason', async () => {
+    mockCourse({ assignments: [{ id: 9, name: 'Essay', course_id: 42 }], quizzesStatus: 500 });
+
+    const result = await makeExtractor().processSingleCourse(course);
+
+    expect(result.ok).toBe(false);
+  });
+});
+
+describe('CanvasAPIExtractor effective dates', () => {
+  const course = { id: 42, course_code: '2257-CSC-413-02', sections: [{ id: 11, name: 'Section 02' }] };
+  const base = {
+    id: 7,
+    name: 'Lab',
+    course_id: 42,
+    due_at: '2025-09-01T23:59:00Z',
+    unlock_at: '2025-08-25T00:00:00Z',
+    lock_at: '2025-09-03T23:59:00Z'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    globalThis.fetch = jest.fn();
+  });
+
+  test('requests all dates, overrides and course sections', async () => {
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/courses/42/')) return makeResponse([]);
+      return makeResponse([course]);
+    });
+
+    await makeExtractor().extractAssignments();
+
+    const urls = globalThis.fetch.mock.calls.map(call => decodeURIComponent(call[0]));
+    expect(urls[0]).toContain('include[]=sections');
+    expect(urls[0]).toContain('include[]=total_scores');
+    const assignmentsUrl = urls.find(url => url.includes('/courses/42/assignments'));
+    expect(assignmentsUrl).toContain('include[]=all_dates');
+    expect(assignmentsUrl).toContain('include[]=overrides');
+  });
+
+  test('uses the base dates when nothing else applies', () => {
+    const extractor = makeExtractor();
+
+    expect(extractor.resolveEffectiveDates({ ...base, all_dates: [{ base: true, due_at: base.due_at }] }, course))
+      .toEqual({ dueAt: base.due_at, unlockAt: null, lockAt: null });
+    expect(extractor.resolveEffectiveDates(base, course)).toEqual({
+      dueAt: base.due_at,
+      unlockAt: base.unlock_at,
+      lockAt: base.lock_at
+    });
+  });
+
+  test('uses the section override listed in all_dates', () => {
+    const assignment = {
+      ...base,
+      all_dates: [
+        { set_type: 'CourseSection', set_id: 11, due_at: '2025-09-05T23:59:00Z', unlock_at: null, lock_at: '2025-09-06T23:59:00Z' },
+        { set_type: 'CourseSection', set_id: 99, due_at: '2025-09-09T23:59:00Z' }
+      ]
+    };
+
+    expect(makeExtractor().resolveEffectiveDates(assignment, course)).toEqual({
+      dueAt: '2025-09-05T23:59:00Z',
+      unlockAt: null,
+      lockAt: '2025-09-06T23:59:00Z'
+    });
+  });
+
+  test('picks the latest due date between an extension and a section override', () => {
+    const assignment = {
+      ...base,
+      overrides: [
+        { id: 1, course_section_id: 11, due_at: '2025-09-05T23:59:00Z' },
+        { id: 2, student_ids: [5], due_at: '2025-09-12T23:59:00Z', lock_at: '2025-09-13T23:59:00Z' },
+        { id: 3, student_ids: [6], due_at: '2025-09-20T23:59:00Z' }
+      ]
+    };
+
+    expect(makeExtractor().resolveEffectiveDates(assignment, course, '5')).toEqual({
+      dueAt: '2025-09-12T23:59:00Z',
+      unlockAt: null,
+      lockAt: '2025-09-13T23:59:00Z'
+    });
+  });
+
+  test('treats an override without a due date as the latest', () => {
+    const assignment = {
+      ...base,
+      overrides: [
+        { id: 1, course_section_id: 11, due_at: '2025-09-05T23:59:00Z' },
+        { id: 2, student_ids: [5], due_at: null }
+      ]
+    };
+
+    expect(makeExtractor().resolveEffectiveDates(assignment, course, '5').dueAt).toBeNull();
+  });
+
+  test('marks unsubmitted work Locked once the lock date has passed', () => {
+    const extractor = makeExtractor();
+    const past = '2020-01-01T00:00:00Z';
+    const future = '2999-01-01T00:00:00Z';
+
+    expect(extractor.withLockedStatus('Not Started', past)).toBe('Locked');
+    expect(extractor.withLockedStatus('Late', past)).toBe('Locked');
+    expect(extractor.withLockedStatus('Submitted', past)).toBe('Submitted');
+    expect(extractor.withLockedStatus('Not Started', future)).toBe('Not Started');
+    expect(extractor.withLockedStatus('Not Started', null)).toBe('Not Started');
+
+    const [record] = extractor.transformAssignmentsForCourse(course, [{ ...base, lock_at: past }]);
+    expect(record).toMatchObject({ status: 'Locked', lockDate: past, unlockDate: base.unlock_at });
+  });
+
+  test('normalizes the assignment rubric', () => {
+    const [record, plain] = makeExtractor().transformAssignmentsForCourse(course, [
+      {
+        ...base,
+        rubric: [{
+          id: '_1',
+          description: ' Thesis ',
+          long_description: 'Clear and arguable',
+          points: 10,
+          ratings: [{ id: 'r1', description: 'Full Marks', points: 10 }]
+        }],
+        rubric_settings: { title: 'Essay Rubric', points_possible: 10, hide_points: false }
+      },
+      { ...base, id: 8 }
+    ]);
+
+    expect(record.rubric).toEqual({
+      title: 'Essay Rubric',
+      pointsPossible: 10,
+      hidePoints: false,
+      criteria: [{
+        description: 'Thesis',
+        longDescription: 'Clear and arguable',
+        points: 10,
+        ratings: [{ description: 'Full Marks', longDescription: '', points: 10 }]
+      }]
+    });
+    expect(plain.rubric).toBeNull();
+  });
+
+  test('looks up the current user once when assignments have overrides', async () => {
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/users/self')) return makeResponse({ id: 5 });
+      if (url.includes('/assignments')) {
+        return makeResponse([
+          { ...base, overrides: [{ id: 2, student_ids: [5], due_at: '2025-09-12T23:59:00Z' }] },
+          { ...base, id: 8, overrides: [{ id: 3, student_ids: [5], due_at: '2025-09-14T23:59:00Z' }] }
+        ]);
+      }
+      return makeResponse([]);
+    });
+    const extractor = makeExtractor();
+
+    const first = await extractor.processSingleCourse(course);
+    await extractor.processSingleCourse(course);
+
+    expect(first.assignments.map(a => a.dueDate)).toEqual(['2025-09-12T23:59:00Z', '2025-09-14T23:59:00Z']);
+    expect(first.assignments[0]).toMatchObject({ unlockDate: null, lockDate: null });
+    expect(globalThis.fetch.mock.calls.filter(call => call[0].includes('/users/self'))).toHaveLength(1);
+  });
+
+  test('falls back to section dates when the current user cannot be looked up', async () => {
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/users/self')) return makeResponse({}, { status: 500 });
+      if (url.includes('/assignments')) {
+        return makeResponse([{ ...base, overrides: [{ id: 1, course_section_id: 11, due_at: '2025-09-05T23:59:00Z' }] }]);
+      }
+      return makeResponse([]);
+    });
+
+    const result = await makeExtractor().processSingleCourse(course);
+
+    expect(result.ok).toBe(true);
+    expect(result.assignments[0].dueDate).toBe('2025-09-05T23:59:00Z');
+  });
+});
+
+describe('CanvasAPIExtractor course grades', () => {
+  test('builds course records with the student enrollment scores', () => {
+    const courses = makeExtractor().transformCourses([
+      {
+        id: 42,
+        name: 'Software Engineering',
+        course_code: '2257-CSC-413-02',
+        term: { name: 'Fall 2025' },
+        enrollments: [{ type: 'student', computed_current_score: 91.5, computed_final_score: 80.2, computed_current_grade: 'A-' }]
+      },
+      { id: 43, course_code: 'HIST-101', hide_final_grades: true, enrollments: [{ type: 'student', computed_current_score: 70 }] }
+    ]);
+
+    expect(courses).toEqual([
+      {
+        courseId: '42',
+        name: 'Software Engineering',
+        courseCode: '2257-CSC-413-02',
+        term: 'Fall 2025',
+        currentScore: 91.5,
+        finalScore: 80.2,
+        letterGrade: 'A-',
+        link: 'https://school.instructure.com/courses/42',
+        weighted: false,
+        groupWeights: [],
+        projectedGrade: null
+      },
+      expect.objectContaining({ courseId: '43', name: 'HIST-101', term: null, currentScore: null, letterGrade: null })
+    ]);
+  });
+
+  test('projects a weighted grade from the course assignment groups', () => {
+    const groups = [
+      { id: '1', name: 'Homework', weight: 40 },
+      { id: '2', name: 'Exams', weight: 60 }
+    ];
+    const records = [
+      { courseId: '42', assignmentGroupId: '1', points: 10, gradePercent: 100 },
+      { courseId: '42', assignmentGroupId: '2', points: 100, gradePercent: 50 },
+      { courseId: '42', assignmentGroupId: '2', points: 100, gradePercent: null },
+      { courseId: '43', assignmentGroupId: '9', points: 10, gradePercent: 0 }
+    ];
+
+    const [course] = makeExtractor().transformCourses(
+      [{ id: 42, name: 'Software Engineering', apply_assignment_group_weights: true, enrollments: [] }],
+      new Map([['42', groups]]),
+      records
+    );
+
+    expect(course).toMatchObject({
+      weighted: true,
+      groupWeights: [{ name: 'Homework', weight: 40 }, { name: 'Exams', weight: 60 }],
+      projectedGrade: 70
+    });
+  });
+
+  test('resolves assignment groups to a category and returns them with the course', async () => {
+    globalThis.fetch = jest.fn(async (url) => {
+      if (url.includes('/courses/42/assignment_groups')) {
+        return makeResponse([{ id: 5, name: 'Labs', group_weight: 25 }]);
+      }
+      if (url.includes('/courses/42/assignments')) {
+        return makeResponse([
+          { id: 7, name: 'Lab 1', course_id: 42, assignment_group_id: 5 },
+          { id: 8, name: 'Essay', course_id: 42, assignment_group_id: 6 }
+        ]);
+      }
+      return makeResponse([]);
+    });
+
+    const result = await makeExtractor().processSingleCourse({ id: 42, course_code: 'CSC-413' });
+
+    expect(result.assignmentGroups).toEqual([{ id: '5', name: 'Labs', weight: 25 }]);
+    expect(result.assignments.map(a => [a.canvasId, a.assignmentGroupId, a.category])).toEqual([
+      ['7', '5', 'Labs'],
+      ['8', '6', null]
+    ]);
+  });
+
+  test('treats hidden assignment groups as none', async () => {
+    globalThis.fetch = jest.fn(async (url) => {
+      if (url.includes('/courses/42/assignment_groups')) return makeResponse({}, { status: 403 });
+      if (url.includes('/courses/42/assignments')) {
+        return makeResponse([{ id: 7, name: 'Lab 1', course_id: 42, assignment_group_id: 5 }]);
+      }
+      return makeResponse([]);
+    });
+
+    const result = await makeExtractor().processSingleCourse({ id: 42, course_code: 'CSC-413' });
+
+    expect(result.ok).toBe(true);
+    expect(result.assignmentGroups).toEqual([]);
+    expect(result.assignments[0].category).toBeNull();
+  });
+});
+
+describe('CanvasAPIExtractor calendar events', () => {
+  const courses = [{ id: 42, course_code: '2257-CSC-413-02' }];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    globalThis.fetch = jest.fn();
+  });
+
+  function makeEventExtractor(calendarEvents = { enabled: true, daysBack: 7, daysAhead: 30 }) {
+    const extractor = makeExtractor();
+    extractor.calendarEvents = calendarEvents;
+    return extractor;
+  }
+
+  test('requests course and user contexts inside the configured window', async () => {
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/users/self')) return makeResponse({ id: 5 });
+      return makeResponse([]);
+    });
+
+    const { window } = await makeEventExtractor().extractCalendarEvents(courses);
+
+    const eventsUrl = new URL(globalThis.fetch.mock.calls.find(([url]) => url.includes('/calendar_events'))[0]);
+    expect(eventsUrl.searchParams.getAll('context_codes[]')).toEqual(['course_42', 'user_5']);
+    expect(eventsUrl.searchParams.get('type')).toBe('event');
+    expect(eventsUrl.searchParams.get('start_date')).toBe(window.start);
+    expect(eventsUrl.searchParams.get('end_date')).toBe(window.end);
+    const days = (new Date(window.end) - new Date(window.start)) / (24 * 60 * 60 * 1000);
+    expect(Math.round(days)).toBe(37);
+  });
+
+  test('splits more than 10 contexts across requests', async () => {
+    const manyCourses = Array.from({ length: 12 }, (_, i) => ({ id: i + 1, course_code: `C-${i + 1}` }));
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/users/self')) return makeResponse({ id: 5 });
+      return makeResponse([]);
+    });
+
+    await makeEventExtractor().extractCalendarEvents(manyCourses);
+
+    const eventCalls = globalThis.fetch.mock.calls.filter(([url]) => url.includes('/calendar_events'));
+    expect(eventCalls).toHaveLength(2);
+    expect(new URL(eventCalls[1][0]).searchParams.getAll('context_codes[]')).toEqual(['course_11', 'course_12', 'user_5']);
+  });
+
+  test('transforms events into namespaced records with a date range and location', () => {
+    const coursesByContext = new Map([['course_42', courses[0]]]);
+    const [record] = makeEventExtractor().transformCalendarEvents([{
+      id: 900,
+      title: 'Midterm Review',
+      start_at: '2025-10-01T17:00:00Z',
+      end_at: '2025-10-01T18:30:00Z',
+      context_code: 'course_42',
+      location_name: 'Room 101',
+      location_address: 'Science Hall',
+      html_url: 'https://school.instructure.com/calendar?event_id=900'
+    }], coursesByContext);
+
+    expect(record).toMatchObject({
+      canvasId: 'event:900',
+      title: 'Midterm Review',
+      course: 'CSC 413',
+      courseId: '42',
+      dueDate: '2025-10-01T17:00:00Z',
+      endDate: '2025-10-01T18:30:00Z',
+      location: 'Room 101, Science Hall',
+      status: null,
+      itemType: 'Event'
+    });
+  });
+
+  test('keeps booked office hours and drops open slots, deleted events and duplicate reservations', () => {
+    const coursesByContext = new Map([['course_42', courses[0]]]);
+    const records = makeEventExtractor().transformCalendarEvents([
+      { id: 1, title: 'Office Hours', appointment_group_id: 7, reserved: true, effective_context_code: 'course_9,course_42', start_at: '2025-10-02T15:00:00Z' },
+      { id: 2, title: 'Office Hours', appointment_group_id: 7, reserved: false, context_code: 'course_42', start_at: '2025-10-02T16:00:00Z' },
+      { id: 3, title: 'Office Hours', appointment_group_id: 7, parent_event_id: 1, context_code: 'user_5', start_at: '2025-10-02T15:00:00Z' },
+      { id: 4, title: 'Cancelled', workflow_state: 'deleted', context_code: 'course_42', start_at: '2025-10-03T15:00:00Z' },
+      { id: 5, title: 'Exam Day', all_day: true, all_day_date: '2025-10-05', start_at: '2025-10-05T06:00:00Z', end_at: '2025-10-05T06:00:00Z', context_code: 'course_42' }
+    ], coursesByContext);
+
+    expect(records.map(r => r.canvasId)).toEqual(['event:1', 'event:5']);
+    expect(records[0]).toMatchObject({ itemType: 'Office Hours', courseId: '42' });
+    expect(records[1]).toMatchObject({ dueDate: '2025-10-05', endDate: null });
+  });
+
+  test('extractAssignments reports a failed calendar pass without an event window', async () => {
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/users/self')) return makeResponse({ id: 5 });
+      if (url.includes('/calendar_events')) return makeResponse({}, { status: 500 });
+      if (url.includes('/courses/42/')) return makeResponse([]);
+      return makeResponse(courses);
+    });
+
+    const result = await makeEventExtractor().extractAssignments();
+
+    expect(result.coverageWindows).toEqual({});
+    expect(result.extractionErrors).toEqual([expect.objectContaining({ courseId: 'calendar' })]);
+  });
+
+  test('extractAssignments skips calendar events when disabled', async () => {
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/courses/42/')) return makeResponse([]);
+      return makeResponse(courses);
+    });
+
+    const result = await makeEventExtractor({ enabled: false }).extractAssignments();
+
+    expect(result.coverageWindows).toEqual({});
+    expect(globalThis.fetch.mock.calls.some(([url]) => url.includes('/calendar_events'))).toBe(false);
+  });
+});
+
+describe('CanvasAPIExtractor planner items', () => {
+  const courses = [{ id: 42, course_code: '2257-CSC-413-02' }];
+  const coursesById = new Map([['42', courses[0]]]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    globalThis.fetch = jest.fn();
+  });
+
+  function makePlannerExtractor(planner = { mode: 'planner', daysBack: 14, daysAhead: 120 }) {
+    const extractor = makeExtractor();
+    extractor.planner = planner;
+    return extractor;
+  }
+
+  test('maps plannable types to namespaced records with a Notion Type', () => {
+    const records = makePlannerExtractor().transformPlannerItems([
+      { plannable_type: 'wiki_page', plannable_id: 11, course_id: 42, plannable_date: '2025-10-03T05:59:59Z', html_url: '/courses/42/pages/week-5', plannable: { title: 'Week 5 Reading', todo_date: '2025-10-03T05:59:59Z' } },
+      { plannable_type: 'discussion_topic', plannable_id: 12, course_id: 42, plannable_date: '2025-10-04T05:59:59Z', html_url: '/courses/42/discussion_topics/12', plannable: { title: 'Introduce yourself' }, planner_override: { marked_complete: true } },
+      { plannable_type: 'planner_note', plannable_id: 13, plannable_date: '2025-10-05T00:00:00Z', plannable: { title: 'Buy lab goggles', details: 'Bookstore' } },
+      { plannable_type: 'announcement', plannable_id: 14, plannable: { title: 'Welcome' } }
+    ], coursesById, []);
+
+    expect(records.map(r => [r.canvasId, r.itemType])).toEqual([
+      ['page:11', 'Page'],
+      ['discussion:12', 'Discussion'],
+      ['note:13', 'To Do']
+    ]);
+    expect(records[0]).toMatchObject({
+      course: 'CSC 413',
+      courseId: '42',
+      dueDate: '2025-10-03T05:59:59Z',
+      link: 'https://school.instructure.com/courses/42/pages/week-5',
+      status: 'Not Started',
+      source: 'canvas_planner'
+    });
+    expect(records[1].status).toBe('Completed');
+    expect(records[2]).toMatchObject({ courseId: null, description: 'Bookstore' });
+  });
+
+  test('deduplicates against assignment, quiz and event records by plannable ID', () => {
+    const existing = [{ canvasId: '7' }, { canvasId: 'quiz:301' }, { canvasId: 'event:900' }];
+    const records = makePlannerExtractor().transformPlannerItems([
+      { plannable_type: 'assignment', plannable_id: 7, course_id: 42, plannable: { title: 'Essay' } },
+      { plannable_type: 'quiz', plannable_id: 301, course_id: 42, plannable: { title: 'Practice' } },
+      { plannable_type: 'quiz', plannable_id: 302, course_id: 42, plannable: { title: 'Graded Quiz', assignment_id: 7 } },
+      { plannable_type: 'discussion_topic', plannable_id: 15, course_id: 42, plannable: { title: 'Graded Discussion', assignment_id: 7 } },
+      { plannable_type: 'calendar_event', plannable_id: 900, course_id: 42, plannable: { title: 'Review' } },
+      { plannable_type: 'assignment', plannable_id: 8, course_id: 99, plannable: { title: 'Other course' } }
+    ], coursesById, existing);
+
+    expect(records).toEqual([]);
+  });
+
+  test('extractAssignments adds planner items and planner coverage windows in planner mode', async () => {
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/planner/items')) {
+        return makeResponse([{ plannable_type: 'wiki_page', plannable_id: 11, course_id: 42, plannable: { title: 'Week 5 Reading' } }]);
+      }
+      if (url.includes('/courses/42/')) return makeResponse([]);
+      return makeResponse(courses);
+    });
+
+    const result = await makePlannerExtractor().extractAssignments();
+
+    expect(result.assignments.map(a => a.canvasId)).toEqual(['page:11']);
+    expect(Object.keys(result.coverageWindows).sort()).toEqual(['discussion', 'event', 'note', 'page', 'review']);
+    const plannerUrl = new URL(globalThis.fetch.mock.calls.find(([url]) => url.includes('/planner/items'))[0]);
+    expect(plannerUrl.searchParams.get('start_date')).toBe(result.coverageWindows.page.start);
+  });
+
+  test('extractAssignments does not call the planner in assignments mode', async () => {
+    globalThis.fetch.mockImplementation(async (url) => {
+      if (url.includes('/courses/42/')) return makeResponse([]);
+      return makeResponse(courses);
+    });
+
+    await makePlannerExtractor({ mode: 'assignments' }).extractAssignments();
+
+    expect(globalThis.fetch.mock.calls.some(([url]) => url.includes('/planner/items'))).toBe(false);
+  });
+});
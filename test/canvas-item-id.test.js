@@ -0,0 +1,23 @@
+import { describe, test, expect } from '@jest/globals';
+import { ITEM_KINDS, PLANNABLE_TYPES, toCanvasItemId, getItemKind, getItemObjectId } from '../src/utils/canvas-item-id.js';
+
+describe('canvas item IDs', () => {
+  test('assignments keep their plain Canvas ID', () => {
+    expect(toCanvasItemId(ITEM_KINDS.ASSIGNMENT, 123)).toBe('123');
+    expect(getItemKind('123')).toBe(ITEM_KINDS.ASSIGNMENT);
+  });
+
+  test('other kinds are prefixed and round-trip', () => {
+    expect(toCanvasItemId(ITEM_KINDS.QUIZ, 45)).toBe('quiz:45');
+    expect(toCanvasItemId(ITEM_KINDS.EVENT, '678')).toBe('event:678');
+    expect(getItemKind('quiz:45')).toBe(ITEM_KINDS.QUIZ);
+    expect(getItemKind('event:678')).toBe(ITEM_KINDS.EVENT);
+  });
+
+  test('object IDs drop the kind prefix and kinds map to planner types', () => {
+    expect(getItemObjectId('quiz:45')).toBe('45');
+    expect(getItemObjectId('123')).toBe('123');
+    expect(PLANNABLE_TYPES[ITEM_KINDS.DISCUSSION]).toBe('discussion_topic');
+    expect(PLANNABLE_TYPES[ITEM_KINDS.ASSIGNMENT]).toBe('assignment');
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, test, expect } from '@jest/globals';
+import { isDefaultCanvasHost, isCanvasPageUrl, toMatchPattern } from '../src/utils/canvas-url.js';
+
+describe('isDefaultCanvasHost', () => {
+  test('recognizes hosted Canvas domains', () => {
+    expect(isDefaultCanvasHost('https://school.instructure.com')).toBe(true);
+    expect(isDefaultCanvasHost('https://school.canvaslms.com')).toBe(true);
+  });
+
+  test('rejects custom domains, lookalikes and plain http', () => {
+    expect(isDefaultCanvasHost('https://canvas.university.edu')).toBe(false);
+    expect(isDefaultCanvasHost('https://instructure.com.evil.example')).toBe(false);
+    expect(isDefaultCanvasHost('http://school.instructure.com')).toBe(false);
+    expect(isDefaultCanvasHost('not a url')).toBe(false);
+  });
+});
+
+describe('toMatchPattern', () => {
+  test('builds an origin-wide match pattern', () => {
+    expect(toMatchPattern('https://canvas.university.edu')).toBe('https://canvas.university.edu/*');
+    expect(toMatchPattern('https://canvas.university.edu/courses')).toBe('https://canvas.university.edu/*');
+  });
+});
+
+describe('isCanvasPageUrl', () => {
+  test('matches hosted Canvas pages when no Canvas URL is configured', () => {
+    expect(isCanvasPageUrl('https://school.instructure.com/courses/1')).toBe(true);
+    expect(isCanvasPageUrl('https://canvas.university.edu/courses/1')).toBe(false);
+  });
+
+  test('matches only the configured host when a Canvas URL is set', () => {
+    const configured = 'https://canvas.university.edu';
+    expect(isCanvasPageUrl('https://canvas.university.edu/courses/1', configured)).toBe(true);
+    expect(isCanvasPageUrl('https://school.instructure.com/courses/1', configured)).toBe(false);
+  });
+
+  test('ignores non-https and unparsable URLs', () => {
+    expect(isCanvasPageUrl('http://school.instructure.com/')).toBe(false);
+    expect(isCanvasPageUrl('chrome://extensions')).toBe(false);
+    expect(isCanvasPageUrl('')).toBe(false);
+  });
+});
@@ -184,6 +184,82 @@ describe('CanvasValidator', () => {
     });
   });
 
+  describe('validateQuiz', () => {
+    const validQuiz = {
+      id: 301,
+      title: 'Chapter 3 Quiz',
+      due_at: '2025-10-01T12:00:00Z',
+      time_limit: 30,
+      allowed_attempts: 2,
+      question_count: 12,
+      points_possible: 20
+    };
+
+    test('accepts a valid quiz with no warnings', () => {
+      const result = CanvasValidator.validateQuiz(validQuiz);
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toHaveLength(0);
+      expect(result.validated.time_limit).toBe(30);
+    });
+
+    test('rejects null input and missing id', () => {
+      expect(CanvasValidator.validateQuiz(null).valid).toBe(false);
+      expect(CanvasValidator.validateQuiz(omit(validQuiz, ['id'])).valid).toBe(false);
+    });
+
+    test('uses fallback title when missing', () => {
+      const result = CanvasValidator.validateQuiz(omit(validQuiz, ['title']));
+      expect(result.valid).toBe(true);
+      expect(result.validated.title).toBe('Quiz 301');
+    });
+
+    test('keeps -1 allowed_attempts (unlimited) and nulls invalid numbers', () => {
+      const result = CanvasValidator.validateQuiz({ ...validQuiz, allowed_attempts: -1, time_limit: 'soon', question_count: '12' });
+      expect(result.validated.allowed_attempts).toBe(-1);
+      expect(result.validated.time_limit).toBeNull();
+      expect(result.validated.question_count).toBe(12);
+      expect(result.warnings).toHaveLength(1);
+    });
+
+    test('nulls an invalid due_at', () => {
+      const result = CanvasValidator.validateQuiz({ ...validQuiz, due_at: 'not-a-date' });
+      expect(result.validated.due_at).toBeNull();
+      expect(result.warnings.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('validateCalendarEvent', () => {
+    const validEvent = {
+      id: 900,
+      title: 'Midterm Review',
+      start_at: '2025-10-01T17:00:00Z',
+      end_at: '2025-10-01T18:30:00Z'
+    };
+
+    test('accepts a valid event with no warnings', () => {
+      const result = CanvasValidator.validateCalendarEvent(validEvent);
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toHaveLength(0);
+    });
+
+    test('rejects null input and missing id', () => {
+      expect(CanvasValidator.validateCalendarEvent(null).valid).toBe(false);
+      expect(CanvasValidator.validateCalendarEvent(omit(validEvent, ['id'])).valid).toBe(false);
+    });
+
+    test('uses fallback title when missing', () => {
+      const result = CanvasValidator.validateCalendarEvent(omit(validEvent, ['title']));
+      expect(result.validated.title).toBe('Event 900');
+    });
+
+    test('nulls invalid dates and an end before the start', () => {
+      expect(CanvasValidator.validateCalendarEvent({ ...validEvent, start_at: 'soon' }).validated.start_at).toBeNull();
+      const reversed = CanvasValidator.validateCalendarEvent({ ...validEvent, end_at: '2025-10-01T16:00:00Z' });
+      expect(reversed.validated.end_at).toBeNull();
+      expect(reversed.warnings[0]).toMatch(/before start_at/);
+    });
+  });
+
   describe('validateCourse', () => {
     const validCourse = {
       id: 678,
@@ -225,4 +301,38 @@ describe('CanvasValidator', () => {
       expect(result.validated.name).toBe('Computer Science 413');
     });
   });
+
+  describe('validateBaseURL', () => {
+    test('accepts an https origin', () => {
+      const result = CanvasValidator.validateBaseURL('https://canvas.university.edu');
+      expect(result.valid).toBe(true);
+      expect(result.validated).toBe('https://canvas.university.edu');
+      expect(result.warnings).toHaveLength(0);
+    });
+
+    test('assumes https when no scheme is given', () => {
+      const result = CanvasValidator.validateBaseURL('  canvas.university.edu ');
+      expect(result.valid).toBe(true);
+      expect(result.validated).toBe('https://canvas.university.edu');
+      expect(result.warnings[0]).toMatch(/assuming https/);
+    });
+
+    test('drops the path and keeps the origin', () => {
+      const result = CanvasValidator.validateBaseURL('https://school.instructure.com/courses/12?x=1');
+      expect(result.validated).toBe('https://school.instructure.com');
+      expect(result.warnings[0]).toMatch(/path of the URL is ignored/);
+    });
+
+    test('rejects http and other schemes', () => {
+      expect(CanvasValidator.validateBaseURL('http://canvas.university.edu').valid).toBe(false);
+      expect(CanvasValidator.validateBaseURL('ftp://canvas.university.edu').valid).toBe(false);
+    });
+
+    test('rejects empty, malformed and credential-bearing URLs', () => {
+      expect(CanvasValidator.validateBaseURL('').valid).toBe(false);
+      expect(CanvasValidator.validateBaseURL(null).valid).toBe(false);
+      expect(CanvasValidator.validateBaseURL('https://exa mple.com').valid).toBe(false);
+      expect(CanvasValidator.validateBaseURL('https://user:pw@canvas.university.edu').valid).toBe(false);
+    });
+  });
 });
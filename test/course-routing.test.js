@@ -0,0 +1,76 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  matchesCoursePattern,
+  validateCourseRoutes,
+  routeDataSource,
+  routedDataSourceIds
+} from '../src/sync/course-routing.js';
+
+const DS_A = 'aaaaaaaabbbbccccddddeeeeeeeeeeee';
+const DS_B = '11111111222233334444555555555555';
+
+describe('matchesCoursePattern', () => {
+  test('matches whole codes case-insensitively without a wildcard', () => {
+    expect(matchesCoursePattern('cs101', 'CS101')).toBe(true);
+    expect(matchesCoursePattern('CS101', 'CS1010')).toBe(false);
+  });
+
+  test('matches * against any run of characters', () => {
+    expect(matchesCoursePattern('CS*', 'CS 101')).toBe(true);
+    expect(matchesCoursePattern('*-FA25', 'MATH-201-FA25')).toBe(true);
+    expect(matchesCoursePattern('MATH*FA25', 'MATH-201-FA25')).toBe(true);
+    expect(matchesCoursePattern('*201*', 'MATH-201-FA25')).toBe(true);
+    expect(matchesCoursePattern('CS*', 'MATH 101')).toBe(false);
+    expect(matchesCoursePattern('AB*BA', 'ABA')).toBe(false);
+  });
+
+  test('treats a missing course code as empty', () => {
+    expect(matchesCoursePattern('*', undefined)).toBe(true);
+    expect(matchesCoursePattern('CS*', null)).toBe(false);
+  });
+});
+
+describe('validateCourseRoutes', () => {
+  test('accepts valid rules, including dashed data source IDs', () => {
+    expect(validateCourseRoutes([])).toBeNull();
+    expect(validateCourseRoutes([
+      { match: 'courseId', value: '123', dataSourceId: DS_A },
+      { match: 'courseCode', value: 'CS*', dataSourceId: '11111111-2222-3333-4444-555555555555' }
+    ])).toBeNull();
+  });
+
+  test('rejects unknown matches, empty values and bad data source IDs', () => {
+    expect(validateCourseRoutes('CS*')).toMatch(/must be a list/);
+    expect(validateCourseRoutes([{ match: 'term', value: 'x', dataSourceId: DS_A }])).toMatch(/Routing rule 1 must match on courseId or courseCode/);
+    expect(validateCourseRoutes([{ match: 'courseId', value: ' ', dataSourceId: DS_A }])).toMatch(/needs a course ID/);
+    expect(validateCourseRoutes([{ match: 'courseId', value: '1', dataSourceId: 'https://notion.so/x' }])).toMatch(/32 hexadecimal/);
+  });
+});
+
+describe('routeDataSource', () => {
+  const routes = [
+    { match: 'courseId', value: '42', dataSourceId: DS_A },
+    { match: 'courseCode', value: 'CS*', dataSourceId: DS_B }
+  ];
+
+  test('uses the first matching rule', () => {
+    expect(routeDataSource({ courseId: 42, courseCode: 'CS 101' }, routes, 'default')).toBe(DS_A);
+    expect(routeDataSource({ courseId: '7', courseCode: 'cs 220' }, routes, 'default')).toBe(DS_B);
+  });
+
+  test('falls back to the default data source', () => {
+    expect(routeDataSource({ courseId: '7', courseCode: 'BIO 110' }, routes, 'default')).toBe('default');
+    expect(routeDataSource({ courseId: '7' }, [], 'default')).toBe('default');
+  });
+});
+
+describe('routedDataSourceIds', () => {
+  test('lists the default first and each routed data source once', () => {
+    const routes = [
+      { match: 'courseId', value: '1', dataSourceId: DS_A },
+      { match: 'courseId', value: '2', dataSourceId: DS_A.toUpperCase() },
+      { match: 'courseId', value: '3', dataSourceId: DS_B }
+    ];
+    expect(routedDataSourceIds(routes, 'default-ds')).toEqual(['default-ds', DS_A, DS_B]);
+  });
+});
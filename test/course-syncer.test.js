@@ -0,0 +1,162 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+const mockStorage = {
+  data: {},
+  get: jest.fn(async (key) => ({ [key]: mockStorage.data[key] })),
+  set: jest.fn(async (obj) => { Object.assign(mockStorage.data, obj); }),
+  remove: jest.fn(async (key) => { delete mockStorage.data[key]; })
+};
+
+globalThis.chrome = {
+  storage: { local: mockStorage }
+};
+
+const { CourseSyncer, COURSE_ID_PROPERTY } = await import('../src/sync/course-syncer.js');
+const { CourseCacheManager } = await import('../src/cache/course-cache-manager.js');
+
+const course = {
+  courseId: '42',
+  name: 'Software Engineering',
+  courseCode: '2257-CSC-413-02',
+  term: 'Fall 2025',
+  currentScore: 91.5,
+  finalScore: 80.2,
+  letterGrade: 'A-',
+  link: 'https://school.instructure.com/courses/42'
+};
+
+function coursePage(id, courseId) {
+  return { id, properties: { [COURSE_ID_PROPERTY]: { rich_text: [{ plain_text: courseId }] } } };
+}
+
+function makeNotionAPI({ pages = [], schema = [COURSE_ID_PROPERTY, 'Current Score', 'Letter Grade', 'Term'] } = {}) {
+  let counter = 0;
+  return {
+    getDatabase: jest.fn(async () => ({ data_sources: [{ id: 'course-ds' }] })),
+    getDataSource: jest.fn(async () => ({ properties: Object.fromEntries(schema.map(name => [name, {}])) })),
+    queryDataSource: jest.fn(async () => ({ results: pages, has_more: false })),
+    createPage: jest.fn(async () => ({ id: `course-page-${++counter}` })),
+    updatePage: jest.fn(async (id) => ({ id }))
+  };
+}
+
+describe('CourseSyncer', () => {
+  let cache;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage.data = {};
+    cache = new CourseCacheManager();
+  });
+
+  test('creates one page per course with the properties the database has', async () => {
+    const api = makeNotionAPI();
+    const syncer = new CourseSyncer(api, 'course-db', cache);
+
+    const results = await syncer.syncCourses([course]);
+
+    expect(results.created).toHaveLength(1);
+    expect(results.pageIds.get('42')).toBe('course-page-1');
+    const [dataSourceId, properties] = api.createPage.mock.calls[0];
+    expect(dataSourceId).toBe('course-ds');
+    expect(properties).toEqual({
+      'Course Name': { title: [{ text: { content: 'Software Engineering' } }] },
+      [COURSE_ID_PROPERTY]: { rich_text: [{ text: { content: '42' } }] },
+      'Term': { select: { name: 'Fall 2025' } },
+      'Current Score': { number: 91.5 },
+      'Letter Grade': { rich_text: [{ text: { content: 'A-' } }] }
+    });
+  });
+
+  test('skips unchanged courses and updates changed scores', async () => {
+    const api = makeNotionAPI();
+    const syncer = new CourseSyncer(api, 'course-db', cache);
+    await syncer.syncCourses([course]);
+    api.queryDataSource.mockResolvedValue({ results: [coursePage('course-page-1', '42')], has_more: false });
+
+    const unchanged = await syncer.syncCourses([course]);
+    const changed = await syncer.syncCourses([{ ...course, currentScore: 93 }]);
+
+    expect(unchanged.skipped).toHaveLength(1);
+    expect(changed.updated).toEqual([expect.objectContaining({ courseId: '42', changedFields: ['currentScore'] })]);
+    expect(api.updatePage).toHaveBeenCalledTimes(1);
+    expect(api.createPage).toHaveBeenCalledTimes(1);
+  });
+
+  test('writes and tracks the projected grade', async () => {
+    const api = makeNotionAPI({ schema: [COURSE_ID_PROPERTY, 'Projected Grade'] });
+    const syncer = new CourseSyncer(api, 'course-db', cache);
+    await syncer.syncCourses([{ ...course, projectedGrade: 88.4 }]);
+    api.queryDataSource.mockResolvedValue({ results: [coursePage('course-page-1', '42')], has_more: false });
+
+    const changed = await syncer.syncCourses([{ ...course, projectedGrade: 90 }]);
+
+    expect(api.createPage.mock.calls[0][1]['Projected Grade']).toEqual({ number: 88.4 });
+    expect(changed.updated[0].changedFields).toEqual(['projectedGrade']);
+    expect(api.updatePage.mock.calls[0][1]['Projected Grade']).toEqual({ number: 90 });
+  });
+
+  test('reuses a course page found in Notion when the cache is empty', async () => {
+    const api = makeNotionAPI({ pages: [coursePage('existing-page', '42')] });
+    const syncer = new CourseSyncer(api, 'course-db', cache);
+
+    const results = await syncer.syncCourses([course]);
+
+    expect(api.createPage).not.toHaveBeenCalled();
+    expect(api.updatePage).toHaveBeenCalledWith('existing-page', expect.any(Object));
+    expect(results.pageIds.get('42')).toBe('existing-page');
+  });
+
+  test('recreates the page when the cached one is gone from Notion', async () => {
+    await cache.cacheCourse('42', course, 'deleted-page');
+    const api = makeNotionAPI();
+    const syncer = new CourseSyncer(api, 'course-db', cache);
+
+    const results = await syncer.syncCourses([course]);
+
+    expect(results.created).toHaveLength(1);
+    expect((await cache.getCachedCourse('42')).notionPageId).toBe('course-page-1');
+  });
+
+  test('writes the name to the title property the database has', async () => {
+    const notionAPI = makeNotionAPI();
+    notionAPI.getDataSource.mockResolvedValueOnce({ properties: { Name: { type: 'title' }, [COURSE_ID_PROPERTY]: { type: 'rich_text' } } });
+    const syncer = new CourseSyncer(notionAPI, 'course-db', cache);
+
+    await syncer.syncCourses([course]);
+
+    const [, properties] = notionAPI.createPage.mock.calls[0];
+    expect(properties.Name).toEqual({ title: [{ text: { content: 'Software Engineering' } }] });
+    expect(properties['Course Name']).toBeUndefined();
+  });
+
+  test('requires a Canvas Course ID property', async () => {
+    const syncer = new CourseSyncer(makeNotionAPI({ schema: ['Course Name'] }), 'course-db', cache);
+    await expect(syncer.syncCourses([course])).rejects.toThrow(COURSE_ID_PROPERTY);
+  });
+
+  test('records per-course errors and keeps going', async () => {
+    const api = makeNotionAPI();
+    api.createPage.mockRejectedValueOnce(new Error('validation_error'));
+    const syncer = new CourseSyncer(api, 'course-db', cache);
+
+    const results = await syncer.syncCourses([course, { ...course, courseId: '43', name: 'Databases' }]);
+
+    expect(results.errors).toEqual([expect.objectContaining({ courseId: '42' })]);
+    expect([...results.pageIds.keys()]).toEqual(['43']);
+  });
+});
+
+describe('CourseCacheManager', () => {
+  beforeEach(() => {
+    mockStorage.data = {};
+  });
+
+  test('getPageIdMap() returns the known course pages', async () => {
+    const cache = new CourseCacheManager();
+    await cache.cacheCourse('42', course, 'page-42');
+    await cache.cacheCourse('43', course, null);
+
+    expect(await cache.getPageIdMap()).toEqual(new Map([['42', 'page-42']]));
+  });
+});
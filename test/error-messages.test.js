@@ -86,6 +86,22 @@ describe('getUserFriendlyNotionError', () => {
     expect(result.title).toBe('Invalid Request');
   });
 
+  test('names the property in a 400 for a missing or retyped property', () => {
+    const missing = getUserFriendlyNotionError({
+      status: 400,
+      message: 'Notion API error: 400 - {"object":"error","status":400,"code":"validation_error","message":"Due Date is not a property that exists."}'
+    });
+    expect(missing.title).toBe('Notion Property Mismatch');
+    expect(missing.message).toContain('no "Due Date" property');
+    expect(missing.action).toContain('Test Notion');
+
+    const wrongType = getUserFriendlyNotionError({
+      status: 400,
+      message: 'Notion API error: 400 - {"object":"error","status":400,"code":"validation_error","message":"Points is expected to be rich_text."}'
+    });
+    expect(wrongType.message).toContain('"Points" property');
+  });
+
   test('maps 401 to invalid token', () => {
     const error = { status: 401, message: 'Unauthorized' };
     const result = getUserFriendlyNotionError(error);
@@ -1,4 +1,5 @@
 import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { readFileSync } from 'fs';
 
 // ---------------------------------------------------------------------------
 // Chrome API mock — must be set up before any src/ imports
@@ -28,7 +29,10 @@ const mockStorage = {
 const messageListeners = [];
 
 globalThis.chrome = {
-  storage: { local: mockStorage },
+  storage: {
+    local: mockStorage,
+    onChanged: { addListener: jest.fn() }
+  },
   runtime: {
     onMessage: {
       addListener: jest.fn((fn) => messageListeners.push(fn))
@@ -37,7 +41,8 @@ globalThis.chrome = {
   },
   tabs: {
     query: jest.fn(async () => [{ id: 1, url: 'https://school.instructure.com' }]),
-    sendMessage: jest.fn(async () => ({ success: true, assignments: [], activeCourseIds: [] }))
+    sendMessage: jest.fn(async () => ({ success: true, assignments: [], activeCourseIds: [] })),
+    onUpdated: { addListener: jest.fn() }
   },
   notifications: {
     create: jest.fn()
@@ -47,7 +52,13 @@ globalThis.chrome = {
     onAlarm: { addListener: jest.fn() }
   },
   scripting: {
-    executeScript: jest.fn(async () => {})
+    executeScript: jest.fn(async () => {}),
+    getRegisteredContentScripts: jest.fn(async () => []),
+    registerContentScripts: jest.fn(async () => {}),
+    unregisterContentScripts: jest.fn(async () => {})
+  },
+  permissions: {
+    contains: jest.fn(async () => true)
   }
 };
 
@@ -58,7 +69,8 @@ await import('../src/utils/error-messages.js');
 // Import handlers under test
 // ---------------------------------------------------------------------------
 
-const { showNotification, testNotionConnection } = await import('../src/handlers/background-handlers.js');
+const { showNotification, setupNavigationHandlers, testNotionConnection, testCanvasConnection, handleAutoSync, handleBackgroundSync, handleSyncPlan, handleUndoLastSync, handleConfirmRemovals, handleCourseSync, getCourseCache, checkPropertyMapping, createNotionDatabase, searchNotionPages, searchNotionDatabases, listDataSources, inspectNotionSchema, CUSTOM_CANVAS_SCRIPT_ID } = await import('../src/handlers/background-handlers.js');
+const { CredentialManager } = await import('../src/credentials/credential-manager.js');
 const { setupMessageHandlers } = await import('../src/handlers/message-handlers.js');
 
 // ---------------------------------------------------------------------------
@@ -126,6 +138,21 @@ describe('testNotionConnection', () => {
     expect(result.message).toMatch(/Connection successful/i);
   });
 
+  test('reports missing properties found in the data source schema', async () => {
+    globalThis.fetch = jest.fn(async (url) => {
+      if (url.includes('/query')) return makeResponse({ results: [], has_more: false });
+      if (url.includes('/data_sources/')) return makeResponse({ id: 'ds1', properties: { 'Assignment Name': { type: 'title' } } });
+      return makeResponse({ id: 'db1', title: [{ text: { content: 'My DB' } }], data_sources: [{ id: 'ds1' }] });
+    });
+
+    const result = await testNotionConnection('test-token', 'db1');
+
+    expect(result.success).toBe(true);
+    expect(result.schema.ok).toBe(false);
+    expect(result.schema.missing.map(property => property.name)).toContain('Due Date');
+    expect(result.message).toMatch(/Property problems: Missing: .*"Due Date" \(date\)/);
+  });
+
   test('returns failure when database has no data sources', async () => {
     globalThis.fetch = jest.fn().mockResolvedValueOnce(makeResponse({
       id: 'db1',
@@ -148,6 +175,625 @@ describe('testNotionConnection', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// testCanvasConnection
+// ---------------------------------------------------------------------------
+
+describe('testCanvasConnection', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage._data = { canvasOrigin: 'https://school.instructure.com' };
+  });
+
+  test('reports the Canvas user the token belongs to', async () => {
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      json: async () => ({ id: 1, name: 'Ada Lovelace' }),
+      text: async () => ''
+    }));
+
+    const result = await testCanvasConnection('canvas-token');
+
+    expect(result.success).toBe(true);
+    expect(result.message).toMatch(/school\.instructure\.com as Ada Lovelace/);
+    expect(globalThis.fetch.mock.calls[0][0]).toBe('https://school.instructure.com/api/v1/users/self');
+  });
+
+  test('returns a friendly error for a rejected token', async () => {
+    globalThis.fetch = jest.fn(async () => ({
+      ok: false,
+      status: 401,
+      statusText: 'Unauthorized',
+      headers: { get: () => null },
+      json: async () => ({}),
+      text: async () => ''
+    }));
+
+    const result = await testCanvasConnection('bad-token');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Invalid Canvas Token/);
+  });
+
+  test('checks /api/v1/users/self on a custom Canvas URL', async () => {
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      json: async () => ({ id: 1, name: 'Ada Lovelace' }),
+      text: async () => ''
+    }));
+
+    const result = await testCanvasConnection('canvas-token', 'canvas.university.edu/courses');
+
+    expect(result.success).toBe(true);
+    expect(result.canvasBaseUrl).toBe('https://canvas.university.edu');
+    expect(chrome.permissions.contains).toHaveBeenCalledWith({ origins: ['https://canvas.university.edu/*'] });
+    expect(globalThis.fetch.mock.calls[0][0]).toBe('https://canvas.university.edu/api/v1/users/self');
+  });
+
+  test('rejects a non-https Canvas URL without calling Canvas', async () => {
+    globalThis.fetch = jest.fn();
+
+    const result = await testCanvasConnection('canvas-token', 'http://canvas.university.edu');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/https/);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  test('fails when access to a custom host was not granted', async () => {
+    globalThis.fetch = jest.fn();
+    chrome.permissions.contains.mockResolvedValueOnce(false);
+
+    const result = await testCanvasConnection('canvas-token', 'https://canvas.university.edu');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/canvas\.university\.edu was not granted/);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// handleAutoSync
+// ---------------------------------------------------------------------------
+
+describe('handleAutoSync', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockStorage._data = {};
+    await globalThis.SyncLogger.clear();
+  });
+
+  function storeLegacyCredentials() {
+    mockStorage._data.canvasToken = 'canvas-token';
+    mockStorage._data.notionToken = 'ntn_token';
+    mockStorage._data.notionDatabaseId = 'db1';
+  }
+
+  test('skips and logs when credentials are not configured', async () => {
+    const result = await handleAutoSync({ trigger: 'alarm' });
+
+    expect(result).toMatchObject({ success: true, skipped: true });
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+    const [entry] = globalThis.SyncLogger.getLogs(1);
+    expect(entry.level).toBe('warning');
+    expect(entry.message).toMatch(/not fully configured/);
+  });
+
+  test('skips when the last sync is more recent than minIntervalMs', async () => {
+    storeLegacyCredentials();
+    mockStorage._data.lastSync = Date.now() - 60 * 1000;
+
+    const result = await handleAutoSync({ trigger: 'navigation', minIntervalMs: 10 * 60 * 1000 });
+
+    expect(result).toMatchObject({ skipped: true, reason: 'last sync is recent' });
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('runs the extraction from the service worker with the stored Canvas token', async () => {
+    storeLegacyCredentials();
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      json: async () => [],
+      text: async () => '[]'
+    }));
+
+    const result = await handleAutoSync({ trigger: 'alarm' });
+
+    expect(result.success).toBe(true);
+    expect(result.skipped).toBeUndefined();
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+    const [url, init] = globalThis.fetch.mock.calls[0];
+    expect(url).toMatch(/^https:\/\/school\.instructure\.com\/api\/v1\/courses/);
+    expect(init.headers.Authorization).toBe('Bearer canvas-token');
+    expect(mockStorage._data.canvasOrigin).toBe('https://school.instructure.com');
+    expect(mockStorage._data.lastSync).toEqual(expect.any(Number));
+    const [entry] = globalThis.SyncLogger.getLogs(1);
+    expect(entry.message).toBe('Auto sync (alarm): no changes');
+  });
+
+  test('uses the configured Canvas URL instead of detecting a tab', async () => {
+    await CredentialManager.storeCredentials('canvas-token', 'ntn_token', 'db1', 'https://canvas.university.edu');
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      json: async () => [],
+      text: async () => '[]'
+    }));
+
+    const result = await handleAutoSync({ trigger: 'alarm' });
+
+    expect(result.success).toBe(true);
+    expect(chrome.tabs.query).not.toHaveBeenCalled();
+    expect(globalThis.fetch.mock.calls[0][0]).toMatch(/^https:\/\/canvas\.university\.edu\/api\/v1\/courses/);
+  });
+
+  test('skips when no Canvas host is known and no Canvas tab is open', async () => {
+    storeLegacyCredentials();
+    chrome.tabs.query.mockResolvedValueOnce([]);
+
+    const result = await handleAutoSync({ trigger: 'alarm' });
+
+    expect(result).toMatchObject({ skipped: true, reason: 'Canvas instance not detected yet' });
+  });
+
+  test('skips without logging a sync when a manual sync starts while it gets ready', async () => {
+    await CredentialManager.storeCredentials('canvas-token', 'ntn_token', 'db1', 'https://school.instructure.com');
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      json: async () => [],
+      text: async () => '[]'
+    }));
+
+    const auto = handleAutoSync({ trigger: 'alarm' });
+    const manual = handleBackgroundSync(null);
+
+    expect(await auto).toMatchObject({ success: true, skipped: true, reason: 'a sync is already running' });
+    expect((await manual).success).toBe(true);
+    expect(globalThis.SyncLogger.getLogs(10).map(entry => entry.message)).not.toContain('Auto sync (alarm): no changes');
+  });
+
+  test('records failures in SyncLogger instead of throwing', async () => {
+    storeLegacyCredentials();
+    mockStorage._data.canvasOrigin = 'https://school.instructure.com';
+    globalThis.fetch = jest.fn(async () => ({
+      ok: false,
+      status: 401,
+      statusText: 'Unauthorized',
+      headers: { get: () => null },
+      json: async () => ({}),
+      text: async () => 'Invalid access token'
+    }));
+
+    const result = await handleAutoSync({ trigger: 'alarm' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Invalid Canvas Token/);
+    expect(mockStorage._data.sync_progress).toMatchObject({ active: false, phase: 'error' });
+    const [entry] = globalThis.SyncLogger.getLogs(1);
+    expect(entry.level).toBe('error');
+    expect(entry.message).toMatch(/Invalid Canvas Token/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// setupNavigationHandlers
+// ---------------------------------------------------------------------------
+
+describe('setupNavigationHandlers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage._data = {};
+  });
+
+  test('reads the Canvas URL from the credentials once, and again after they change', async () => {
+    await CredentialManager.storeCredentials('canvas-token', 'ntn_token', 'db1', 'https://canvas.university.edu');
+    const getCredentials = jest.spyOn(CredentialManager, 'getCredentials');
+    setupNavigationHandlers();
+    const [onTabUpdated] = chrome.tabs.onUpdated.addListener.mock.calls[0];
+    const [onStorageChanged] = chrome.storage.onChanged.addListener.mock.calls.at(-1);
+
+    try {
+      await onTabUpdated(1, { status: 'complete' }, { url: 'https://example.com/' });
+      await onTabUpdated(1, { status: 'complete' }, { url: 'https://example.org/' });
+      expect(getCredentials).toHaveBeenCalledTimes(1);
+
+      onStorageChanged({ encryptedCredentials: { newValue: 'changed' } }, 'local');
+      await onTabUpdated(1, { status: 'complete' }, { url: 'https://example.com/' });
+      expect(getCredentials).toHaveBeenCalledTimes(2);
+    } finally {
+      getCredentials.mockRestore();
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// handleSyncPlan
+// ---------------------------------------------------------------------------
+
+describe('handleSyncPlan', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage._data = {};
+  });
+
+  test('extracts from Canvas without recording a sync', async () => {
+    mockStorage._data.canvasToken = 'canvas-token';
+    mockStorage._data.notionToken = 'ntn_token';
+    mockStorage._data.notionDatabaseId = 'db1';
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      json: async () => [],
+      text: async () => '[]'
+    }));
+
+    const result = await handleSyncPlan();
+
+    expect(result).toEqual({ success: true, plan: { items: [], unchanged: 0 }, assignmentCount: 0 });
+    expect(globalThis.fetch.mock.calls.every(([url]) => url.startsWith('https://school.instructure.com/'))).toBe(true);
+    expect(mockStorage._data.lastSync).toBeUndefined();
+    expect(mockStorage._data.sync_progress).toBeUndefined();
+  });
+
+  test('requires Notion credentials', async () => {
+    await expect(handleSyncPlan('canvas-token')).rejects.toThrow('Notion credentials not configured');
+  });
+
+  test('is refused while a sync is running', async () => {
+    await CredentialManager.storeCredentials('canvas-token', 'ntn_token', 'db1', 'https://school.instructure.com');
+    globalThis.fetch = jest.fn(async () => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => [], text: async () => '[]' }));
+
+    const sync = handleBackgroundSync(null);
+    expect(await handleSyncPlan()).toEqual({ success: false, error: 'Sync already in progress' });
+    expect((await sync).success).toBe(true);
+
+    expect((await handleSyncPlan()).success).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// handleBackgroundSync
+// ---------------------------------------------------------------------------
+
+describe('handleBackgroundSync', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage._data = {};
+  });
+
+  test('applying a reviewed plan leaves the course grade pages alone', async () => {
+    await CredentialManager.storeCredentials('canvas-token', 'ntn_token', 'db1', 'https://school.instructure.com', 'course-db');
+    globalThis.fetch = jest.fn(async (url) => {
+      const body = /\/api\/v1\/courses\?/.test(url) ? [{ id: 42, name: 'Software Engineering', course_code: 'CSC-413' }] : [];
+      return { ok: true, status: 200, headers: { get: () => null }, json: async () => body, text: async () => JSON.stringify(body) };
+    });
+    const notionCalls = () => globalThis.fetch.mock.calls.filter(([url]) => url.startsWith('https://api.notion.com/'));
+
+    await handleBackgroundSync(null, { selectedIds: ['7'] });
+    expect(notionCalls()).toEqual([]);
+
+    await handleBackgroundSync(null);
+    expect(notionCalls().length).toBeGreaterThan(0);
+  });
+
+  test('finishes the progress state when Canvas has no assignments', async () => {
+    await CredentialManager.storeCredentials('canvas-token', 'ntn_token', 'db1', 'https://school.instructure.com');
+    globalThis.fetch = jest.fn(async () => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => [], text: async () => '[]' }));
+
+    const result = await handleBackgroundSync(null);
+
+    expect(result).toMatchObject({ success: true, assignmentCount: 0 });
+    expect(mockStorage._data.sync_progress).toMatchObject({ active: false, phase: 'complete', current: 0, total: 0, errorCount: 0 });
+  });
+
+  test('runs one sync when a second starts before the first finishes', async () => {
+    await CredentialManager.storeCredentials('canvas-token', 'ntn_token', 'db1', 'https://school.instructure.com');
+    globalThis.fetch = jest.fn(async (url) => {
+      const body = /\/api\/v1\/courses\?/.test(url) ? [{ id: 42, name: 'Software Engineering', course_code: 'CSC-413' }] : [];
+      return { ok: true, status: 200, headers: { get: () => null }, json: async () => body, text: async () => JSON.stringify(body) };
+    });
+
+    const [first, second] = await Promise.all([handleBackgroundSync(null), handleBackgroundSync(null)]);
+
+    expect(first.success).toBe(true);
+    expect(second).toEqual({ success: false, error: 'Sync already in progress' });
+    expect(globalThis.fetch.mock.calls.filter(([url]) => /\/api\/v1\/courses\?/.test(url))).toHaveLength(1);
+
+    // The first sync released the flag when it finished
+    expect((await handleBackgroundSync(null)).success).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Custom Canvas host
+// ---------------------------------------------------------------------------
+
+describe('custom Canvas host', () => {
+  // The manifest's extension page policy also applies to the service worker, which makes every Canvas call
+  const manifest = JSON.parse(readFileSync('manifest.json', 'utf8'));
+  const connectSources = manifest.content_security_policy.extension_pages
+    .split(';').map(directive => directive.trim().split(/\s+/))
+    .find(([name]) => name === 'connect-src').slice(1);
+
+  // CSP source matching for the scheme and host sources the manifest uses
+  function connectAllowed(url) {
+    const { protocol, host } = new URL(url);
+    return connectSources.some(source => {
+      if (source === protocol) return true;
+      const match = source.match(/^(https:)\/\/(\*\.)?([^/]+)$/);
+      if (!match || match[1] !== protocol) return false;
+      return match[2] ? host.endsWith(`.${match[3]}`) : host === match[3];
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage._data = {};
+  });
+
+  test('syncs from a Canvas URL outside the hosted Canvas domains', async () => {
+    await CredentialManager.storeCredentials('canvas-token', 'ntn_token', 'db1', 'https://canvas.university.edu');
+    globalThis.fetch = jest.fn(async (url) => {
+      const body = /\/api\/v1\/courses\?/.test(url) ? [{ id: 42, name: 'Software Engineering', course_code: 'CSC-413' }] : [];
+      return { ok: true, status: 200, headers: { get: () => null }, json: async () => body, text: async () => JSON.stringify(body) };
+    });
+
+    expect((await testCanvasConnection('canvas-token')).success).toBe(true);
+    expect((await handleBackgroundSync(null)).success).toBe(true);
+
+    const urls = globalThis.fetch.mock.calls.map(([url]) => url);
+    expect(urls.some(url => url.startsWith('https://canvas.university.edu/api/v1/courses'))).toBe(true);
+    expect(urls.filter(url => !connectAllowed(url))).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// handleUndoLastSync
+// ---------------------------------------------------------------------------
+
+describe('handleUndoLastSync', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage._data = {};
+  });
+
+  test('archives the pages the last sync created and clears their cache entries', async () => {
+    mockStorage._data.notionToken = 'ntn_token';
+    mockStorage._data.notionDatabaseId = 'db1';
+    mockStorage._data.sync_journal = [{
+      id: 'run-1',
+      startedAt: 1000,
+      finishedAt: 2000,
+      entries: [{ type: 'create', canvasId: '7', title: 'Essay', pageId: 'page-7', cacheEntry: null }]
+    }];
+    globalThis.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      json: async () => ({ id: 'page-7' }),
+      text: async () => '{}'
+    }));
+
+    const result = await handleUndoLastSync();
+
+    expect(result).toEqual({ success: true, undone: 1, errors: [], startedAt: 1000 });
+    const [url, opts] = globalThis.fetch.mock.calls[0];
+    expect(url).toMatch(/\/pages\/page-7$/);
+    expect(JSON.parse(opts.body)).toEqual({ properties: {}, archived: true });
+    expect(mockStorage._data.sync_journal).toEqual([]);
+  });
+
+  test('reports nothing to undo without a journaled sync', async () => {
+    mockStorage._data.notionToken = 'ntn_token';
+
+    expect(await handleUndoLastSync()).toEqual({ success: true, undone: 0, errors: [], startedAt: null });
+  });
+
+  test('requires Notion credentials', async () => {
+    await expect(handleUndoLastSync()).rejects.toThrow('Notion credentials not configured');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// handleConfirmRemovals
+// ---------------------------------------------------------------------------
+
+describe('handleConfirmRemovals', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage._data = {};
+  });
+
+  test('reports nothing removed when no removals are waiting', async () => {
+    expect(await handleConfirmRemovals()).toEqual({ success: true, removed: 0, errors: [] });
+  });
+
+  test('requires Notion credentials', async () => {
+    mockStorage._data.pending_removals = { count: 1, items: [{ canvasId: '7', notionPageId: 'page-7', courseId: '42' }] };
+
+    await expect(handleConfirmRemovals()).rejects.toThrow('Notion credentials not configured');
+    expect(mockStorage._data.pending_removals).toBeDefined();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// handleCourseSync
+// ---------------------------------------------------------------------------
+
+describe('handleCourseSync', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockStorage._data = {};
+    await getCourseCache().clearAll();
+  });
+
+  test('falls back to the cached course pages when the course database fails', async () => {
+    await getCourseCache().cacheCourse('42', { name: 'Software Engineering' }, 'course-page-42');
+    globalThis.fetch = jest.fn(async () => ({
+      ok: false,
+      status: 404,
+      headers: { get: () => null },
+      text: async () => 'object_not_found'
+    }));
+
+    const pageIds = await handleCourseSync([{ courseId: '42', name: 'Software Engineering' }], {
+      notionToken: 'ntn_token',
+      notionCourseDatabaseId: 'course-db'
+    });
+
+    expect(pageIds).toEqual(new Map([['42', 'course-page-42']]));
+  });
+});
+
+describe('checkPropertyMapping', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage._data = {};
+    jest.spyOn(CredentialManager, 'getCredentials').mockResolvedValueOnce({ notionToken: 'ntn_token', notionDatabaseId: 'db1' });
+  });
+
+  test('reports missing properties and adopted types from the live schema', async () => {
+    globalThis.fetch = jest.fn(async (url) => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      json: async () => (url.includes('/databases/')
+        ? { id: 'db1', data_sources: [{ id: 'ds1' }] }
+        : { id: 'ds1', properties: { 'Task': { type: 'title' }, 'Status': { type: 'status' } } })
+    }));
+
+    const result = await checkPropertyMapping({ title: { name: 'Task' } });
+
+    expect(result.success).toBe(true);
+    expect(result.errors).toContainEqual(expect.stringContaining('"Canvas ID"'));
+    expect(result.errors).not.toContainEqual(expect.stringContaining('"Task"'));
+    expect(result.warnings).toEqual([expect.stringContaining('"Status" is a status property')]);
+  });
+
+  test('rejects an invalid mapping without calling Notion', async () => {
+    globalThis.fetch = jest.fn();
+
+    const result = await checkPropertyMapping({ grade: { name: 'Assignment Name' } });
+
+    expect(result.errors).toEqual([expect.stringMatching(/"Assignment Name"/)]);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('inspectNotionSchema', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage._data = {};
+  });
+
+  test('adds the missing properties and checks again', async () => {
+    jest.spyOn(CredentialManager, 'getCredentials').mockResolvedValueOnce({ notionToken: 'ntn_token', notionDatabaseId: 'db1' });
+    let properties = { 'Assignment Name': { type: 'title' } };
+    globalThis.fetch = jest.fn(async (url, opts) => {
+      if (url.includes('/databases/')) return makeOk({ id: 'db1', data_sources: [{ id: 'ds1' }] });
+      if (opts?.method === 'PATCH') {
+        const added = JSON.parse(opts.body).properties;
+        properties = { ...properties, ...Object.fromEntries(Object.entries(added).map(([name, definition]) => [name, { type: Object.keys(definition)[0] }])) };
+        return makeOk({ id: 'ds1' });
+      }
+      return makeOk({ id: 'ds1', properties });
+    });
+
+    const result = await inspectNotionSchema({ repair: true });
+
+    expect(result.success).toBe(true);
+    expect(result.ok).toBe(true);
+    expect(result.added).toEqual(expect.arrayContaining(['Due Date', 'Canvas ID', 'Status']));
+    expect(result.added).not.toContain('Assignment Name');
+  });
+
+  function makeOk(body) {
+    return { ok: true, status: 200, headers: { get: () => null }, json: async () => body };
+  }
+});
+
+describe('database setup', () => {
+  function ok(body) {
+    return { ok: true, status: 200, headers: { get: () => null }, json: async () => body };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage._data = {};
+  });
+
+  test('searchNotionPages lists pages with their titles', async () => {
+    globalThis.fetch = jest.fn(async () => ok({
+      results: [
+        { id: 'page-1', properties: { title: { type: 'title', title: [{ plain_text: 'School' }] } } },
+        { id: 'page-2', archived: true, properties: {} }
+      ]
+    }));
+
+    const result = await searchNotionPages('ntn_token', 'Sch');
+
+    expect(result).toEqual({ success: true, pages: [{ id: 'page-1', title: 'School' }] });
+  });
+
+  test('searchNotionDatabases groups data sources under their database', async () => {
+    globalThis.fetch = jest.fn(async () => ok({
+      results: [
+        { id: 'ds-1', title: [{ plain_text: 'Fall' }], icon: { type: 'emoji', emoji: '📚' }, parent: { type: 'database_id', database_id: 'db-1' } },
+        { id: 'ds-2', title: [{ plain_text: 'Spring' }], parent: { type: 'database_id', database_id: 'db-1' } },
+        { id: 'ds-3', title: [], icon: { type: 'external', external: { url: 'https://example.com/i.png' } }, parent: { type: 'database_id', database_id: 'db-2' } },
+        { id: 'ds-4', in_trash: true, title: [{ plain_text: 'Old' }], parent: { type: 'database_id', database_id: 'db-3' } }
+      ]
+    }));
+
+    const result = await searchNotionDatabases('ntn_token', '');
+
+    expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body).filter).toEqual({ property: 'object', value: 'data_source' });
+    expect(result).toEqual({
+      success: true,
+      databases: [
+        { id: 'db1', title: 'Fall', icon: { emoji: '📚' }, dataSources: [{ id: 'ds-1', name: 'Fall' }, { id: 'ds-2', name: 'Spring' }] },
+        { id: 'db2', title: 'Untitled', icon: { url: 'https://example.com/i.png' }, dataSources: [{ id: 'ds-3', name: 'Untitled' }] }
+      ]
+    });
+  });
+
+  test('listDataSources lists the data sources of a database', async () => {
+    globalThis.fetch = jest.fn(async () => ok({ id: 'db-1', data_sources: [{ id: 'ds-1', name: 'Fall' }, { id: 'ds-2' }] }));
+
+    const result = await listDataSources('ntn_token', 'db1');
+
+    expect(result).toEqual({ success: true, dataSources: [{ id: 'ds-1', name: 'Fall' }, { id: 'ds-2', name: 'Untitled' }] });
+  });
+
+  test('searchNotionDatabases needs a token', async () => {
+    expect(await searchNotionDatabases(null, '')).toEqual({ success: false, error: 'Enter your Notion integration token first' });
+  });
+
+  test('createNotionDatabase creates the full schema and stores the new ID', async () => {
+    jest.spyOn(CredentialManager, 'getCredentials').mockResolvedValueOnce({ canvasToken: 'canvas', notionToken: 'ntn_token' });
+    const storeSpy = jest.spyOn(CredentialManager, 'storeCredentials').mockResolvedValueOnce({ success: true });
+    globalThis.fetch = jest.fn(async () => ok({ id: 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee', url: 'https://notion.so/db' }));
+
+    const result = await createNotionDatabase('page-1');
+
+    expect(result).toEqual({ success: true, databaseId: 'aaaaaaaabbbbccccddddeeeeeeeeeeee', url: 'https://notion.so/db' });
+    const { parent, initial_data_source } = JSON.parse(globalThis.fetch.mock.calls[0][1].body);
+    expect(parent).toEqual({ type: 'page_id', page_id: 'page-1' });
+    expect(Object.keys(initial_data_source.properties)).toEqual(expect.arrayContaining(['Assignment Name', 'Canvas ID', 'Status', 'Type']));
+    expect(storeSpy).toHaveBeenCalledWith('canvas', 'ntn_token', 'aaaaaaaabbbbccccddddeeeeeeeeeeee', undefined, undefined, null);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Message handler routing
 // ---------------------------------------------------------------------------
@@ -223,4 +869,61 @@ describe('setupMessageHandlers — message routing', () => {
     // Shape: { success: true } or { success: false, error: ... }
     expect(typeof response.success).toBe('boolean');
   });
+
+  test('GET_SETTINGS returns settings with defaults', async () => {
+    const response = await sendMessage({ action: 'GET_SETTINGS' });
+    expect(response.success).toBe(true);
+    expect(response.settings.calendarEvents).toEqual({ enabled: false, daysBack: 7, daysAhead: 60 });
+  });
+
+  test('UPDATE_SETTINGS stores valid settings and rejects invalid ones', async () => {
+    const saved = await sendMessage({ action: 'UPDATE_SETTINGS', settings: { calendarEvents: { daysAhead: 30 } } });
+    expect(saved).toMatchObject({ success: true, settings: { calendarEvents: { daysAhead: 30 } } });
+
+    const rejected = await sendMessage({ action: 'UPDATE_SETTINGS', settings: { calendarEvents: { daysBack: -3 } } });
+    expect(rejected.success).toBe(false);
+  });
+
+  test('STORE_CREDENTIALS registers the content script for a custom Canvas URL', async () => {
+    const response = await sendMessage({
+      action: 'STORE_CREDENTIALS',
+      canvasToken: 'ct',
+      notionToken: 'nt',
+      notionDatabaseId: 'db1',
+      canvasBaseUrl: 'https://canvas.university.edu/'
+    });
+
+    expect(response.success).toBe(true);
+    expect(chrome.scripting.registerContentScripts).toHaveBeenCalledWith([
+      expect.objectContaining({ id: CUSTOM_CANVAS_SCRIPT_ID, matches: ['https://canvas.university.edu/*'] })
+    ]);
+  });
+
+  test('STORE_CREDENTIALS rejects a non-https Canvas URL', async () => {
+    const response = await sendMessage({
+      action: 'STORE_CREDENTIALS',
+      canvasToken: 'ct',
+      notionToken: 'nt',
+      notionDatabaseId: 'db1',
+      canvasBaseUrl: 'http://canvas.university.edu'
+    });
+
+    expect(response.success).toBe(false);
+    expect(response.error).toMatch(/https/);
+    expect(chrome.scripting.registerContentScripts).not.toHaveBeenCalled();
+  });
+
+  test('UNDO_LAST_SYNC answers with the error when it cannot undo', async () => {
+    const response = await sendMessage({ action: 'UNDO_LAST_SYNC' });
+
+    expect(response).toEqual({ success: false, error: 'Notion credentials not configured' });
+  });
+
+  test('CONFIRM_REMOVALS and DISMISS_REMOVALS act on the waiting removals', async () => {
+    expect(await sendMessage({ action: 'CONFIRM_REMOVALS' })).toEqual({ success: true, removed: 0, errors: [] });
+
+    mockStorage._data.pending_removals = { count: 12, items: [] };
+    expect(await sendMessage({ action: 'DISMISS_REMOVALS' })).toEqual({ success: true });
+    expect(mockStorage._data.pending_removals).toBeUndefined();
+  });
 });
@@ -0,0 +1,123 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  DEFAULT_FIELD_OWNERSHIP,
+  FieldOwnershipPolicy,
+  comparableValue,
+  mergeFieldOwnership,
+  readPropertyValue,
+  validateFieldOwnership,
+  writtenValues
+} from '../src/sync/field-ownership.js';
+import { formatPropertyValue } from '../src/sync/property-mapping.js';
+
+const fields = {
+  title: { name: 'Assignment Name', type: 'title' },
+  dueDate: { name: 'Due Date', type: 'date' },
+  status: { name: 'Status', type: 'select' },
+  points: { name: 'Points', type: 'number' },
+  category: { name: 'Category', type: 'select' }
+};
+
+// Properties as the sync builds them from Canvas
+function canvasProperties({ title = 'Essay', due = '2025-09-01T23:59:00Z', status = 'Not Started', points = 10, category = 'Homework' } = {}) {
+  return {
+    'Assignment Name': formatPropertyValue('title', title),
+    'Due Date': formatPropertyValue('date', { start: due }),
+    Status: formatPropertyValue('select', status),
+    Points: formatPropertyValue('number', points),
+    Category: formatPropertyValue('select', category)
+  };
+}
+
+// The page as Notion returns it
+function page({ title = 'Essay', due = '2025-09-01T23:59:00.000+00:00', status = 'Not Started', points = 10, category = 'Homework' } = {}) {
+  return {
+    properties: {
+      'Assignment Name': { type: 'title', title: [{ plain_text: title }] },
+      'Due Date': { type: 'date', date: { start: due, end: null } },
+      Status: { type: 'select', select: { name: status } },
+      Points: { type: 'number', number: points },
+      Category: { type: 'select', select: { name: category } }
+    }
+  };
+}
+
+const written = writtenValues(canvasProperties(), fields);
+
+describe('field ownership settings', () => {
+  test('merges over the defaults and rejects unknown owners or fields', () => {
+    expect(mergeFieldOwnership({ points: 'notion', unknown: 'canvas' })).toEqual({ ...DEFAULT_FIELD_OWNERSHIP, points: 'notion' });
+    expect(DEFAULT_FIELD_OWNERSHIP).not.toHaveProperty('canvasId');
+    expect(validateFieldOwnership(DEFAULT_FIELD_OWNERSHIP)).toBeNull();
+    expect(validateFieldOwnership({ points: 'student' })).toMatch(/Points must be owned by canvas, notion, merge/);
+    expect(validateFieldOwnership({ canvasId: 'notion' })).toMatch(/can't be given an owner/);
+  });
+});
+
+describe('comparable values', () => {
+  test('match what Notion returns for what the sync wrote', () => {
+    expect(written).toEqual({ title: 'Essay', dueDate: '2025-09-01T23:59:00.000Z', status: 'Not Started', points: 10, category: 'Homework' });
+    expect(comparableValue('date', readPropertyValue('date', page().properties['Due Date']))).toBe(written.dueDate);
+    expect(comparableValue('relation', 'ABCD-12')).toBe('abcd12');
+    expect(comparableValue('multi_select', ['A', 'B'])).toBe('A, B');
+  });
+});
+
+describe('FieldOwnershipPolicy', () => {
+  test('writes Canvas values over fields the student did not edit', () => {
+    const properties = canvasProperties({ title: 'Essay v2', points: 12 });
+    const conflicts = new FieldOwnershipPolicy().apply(properties, page(), written, fields);
+
+    expect(conflicts).toEqual([]);
+    expect(Object.keys(properties)).toEqual(['Assignment Name', 'Due Date', 'Status', 'Points', 'Category']);
+  });
+
+  test('keeps a merged field edited in Notion, and reports a conflict when Canvas changed it too', () => {
+    const policy = new FieldOwnershipPolicy();
+
+    const unchangedInCanvas = canvasProperties();
+    expect(policy.apply(unchangedInCanvas, page({ title: 'My essay' }), written, fields)).toEqual([]);
+    expect(unchangedInCanvas).not.toHaveProperty('Assignment Name');
+
+    const changedInCanvas = canvasProperties({ due: '2025-09-03T23:59:00Z' });
+    const conflicts = policy.apply(changedInCanvas, page({ due: '2025-09-02' }), written, fields);
+    expect(conflicts).toEqual([{ field: 'dueDate', label: 'Due date', notionValue: '2025-09-02', canvasValue: '2025-09-03T23:59:00.000Z' }]);
+    expect(changedInCanvas).not.toHaveProperty('Due Date');
+  });
+
+  test('lets Canvas win a merged field when nothing was recorded as written', () => {
+    const properties = canvasProperties({ title: 'Essay v2' });
+    expect(new FieldOwnershipPolicy().apply(properties, page({ title: 'My essay' }), {}, fields)).toEqual([]);
+    expect(properties['Assignment Name']).toEqual(formatPropertyValue('title', 'Essay v2'));
+  });
+
+  test('never overwrites Notion-owned fields and always overwrites Canvas-owned ones', () => {
+    const properties = canvasProperties({ points: 12, category: 'Labs' });
+    const policy = new FieldOwnershipPolicy({ points: 'notion', title: 'canvas' });
+
+    expect(policy.apply(properties, page({ title: 'My essay', category: 'Essays' }), written, fields)).toEqual([]);
+    expect(properties).not.toHaveProperty('Points');
+    expect(properties.Category).toEqual(formatPropertyValue('select', 'Labs'));
+    expect(properties['Assignment Name']).toEqual(formatPropertyValue('title', 'Essay'));
+  });
+
+  test('keeps a status the student moved ahead until Canvas catches up', () => {
+    const policy = new FieldOwnershipPolicy();
+
+    const notSubmitted = canvasProperties({ status: 'Not Started' });
+    policy.apply(notSubmitted, page({ status: 'In Progress' }), written, fields);
+    expect(notSubmitted).not.toHaveProperty('Status');
+
+    const graded = canvasProperties({ status: 'Graded' });
+    policy.apply(graded, page({ status: 'Submitted' }), written, fields);
+    expect(graded.Status).toEqual(formatPropertyValue('select', 'Graded'));
+  });
+
+  test('copies kept values for a page that replaces the old one', () => {
+    const properties = canvasProperties({ title: 'Essay' });
+    new FieldOwnershipPolicy().apply(properties, page({ title: 'My essay', status: 'In Progress' }), written, fields, { copyKept: true });
+
+    expect(properties['Assignment Name']).toEqual(formatPropertyValue('title', 'My essay'));
+    expect(properties.Status).toEqual(formatPropertyValue('select', 'In Progress'));
+  });
+});
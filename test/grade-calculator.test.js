@@ -0,0 +1,48 @@
+import { describe, test, expect } from '@jest/globals';
+import { calculateProjectedGrade } from '../src/utils/grade-calculator.js';
+
+describe('calculateProjectedGrade', () => {
+  test('uses total points when the course is not weighted', () => {
+    const records = [
+      { points: 10, gradePercent: 100 },
+      { points: 30, gradePercent: 50 },
+      { points: 50, gradePercent: null }
+    ];
+
+    expect(calculateProjectedGrade(records)).toBe(62.5);
+  });
+
+  test('renormalizes group weights over groups with graded work', () => {
+    const groups = [
+      { id: '1', weight: 20 },
+      { id: '2', weight: 30 },
+      { id: '3', weight: 50 }
+    ];
+    const records = [
+      { assignmentGroupId: '1', points: 10, gradePercent: 90 },
+      { assignmentGroupId: '2', points: 100, gradePercent: 80 },
+      { assignmentGroupId: '3', points: 100, gradePercent: null }
+    ];
+
+    // (20 * 0.9 + 30 * 0.8) / 50
+    expect(calculateProjectedGrade(records, groups, true)).toBe(84);
+  });
+
+  test('counts a score of 0 and uses the raw score over the rounded percent', () => {
+    const records = [
+      { points: 10, score: 10, gradePercent: 100 },
+      { points: 90, score: 0, gradePercent: 0 }
+    ];
+    expect(calculateProjectedGrade(records)).toBe(10);
+
+    // 2/3 rounds to 67%
+    expect(calculateProjectedGrade([{ points: 3, score: 2, gradePercent: 67 }])).toBe(66.7);
+  });
+
+  test('is null without graded work with points', () => {
+    expect(calculateProjectedGrade([])).toBeNull();
+    expect(calculateProjectedGrade([{ points: 10, gradePercent: null }])).toBeNull();
+    expect(calculateProjectedGrade([{ points: 0, gradePercent: 100 }])).toBeNull();
+    expect(calculateProjectedGrade([{ assignmentGroupId: '1', points: 10, gradePercent: 100 }], [{ id: '1', weight: 0 }], true)).toBeNull();
+  });
+});
@@ -42,6 +42,10 @@ await jest.unstable_mockModule('../../src/api/notion-rate-limiter.js', () => ({
 const { NotionAPI } = await import('../../src/api/notion-api.js');
 const { AssignmentSyncer } = await import('../../src/sync/assignment-syncer.js');
 const { AssignmentCacheManager } = await import('../../src/cache/assignment-cache-manager.js');
+const { PlannerCompletionSyncer } = await import('../../src/sync/planner-completion.js');
+const { PlannerNoteSyncer } = await import('../../src/sync/planner-notes.js');
+const { PlannerNoteCacheManager } = await import('../../src/cache/planner-note-cache-manager.js');
+const { SyncJournal, undoLastSync } = await import('../../src/sync/sync-journal.js');
 
 // ---------------------------------------------------------------------------
 // Test fixtures
@@ -76,10 +80,14 @@ function makeAssignment(id, title, courseId = COURSE_A, overrides = {}) {
 // The created pages map is kept in sync so reconciliation sees them.
 // ---------------------------------------------------------------------------
 
-function makeStatefulFetch({ onUpdate = null } = {}) {
+function makeStatefulFetch({ onUpdate = null, schemaProperties = [], schemaTypes = {}, schemaOptions = {} } = {}) {
   // canvasId → { pageId, properties } — tracks "Notion" state
   const pages = new Map();
+  const createBodies = [];
+  // Block appends and deletes, in call order
+  const blockCalls = [];
   let pageCounter = 0;
+  let blockCounter = 0;
 
   const fetchMock = jest.fn(async (url, opts) => {
     const ok = (body) => ({
@@ -94,15 +102,25 @@ function makeStatefulFetch({ onUpdate = null } = {}) {
       return ok({ id: DB_ID, data_sources: [{ id: DS_ID }] });
     }
 
-    // Data source query — return pages that have been created (reconciliation)
+    // Data source schema (GET /data_sources/:id)
+    if (url.match(/\/data_sources\/[^/]+$/)) {
+      return ok({ id: DS_ID, properties: Object.fromEntries(schemaProperties.map(name => [name, { type: schemaTypes[name], ...schemaOptions[name] }])) });
+    }
+
+    // Data source query — return pages that have been created in it (reconciliation)
     if (url.match(/\/data_sources\//)) {
-      const results = Array.from(pages.values()).map(p => ({
+      const dataSourceId = url.split('/data_sources/')[1].split('/')[0];
+      const results = Array.from(pages.values()).filter(p => p.dataSourceId === dataSourceId).map(p => ({
         id: p.pageId,
         archived: p.archived || false,
         properties: {
           'Canvas ID': {
             rich_text: [{ plain_text: p.canvasId, text: { content: p.canvasId } }]
-          }
+          },
+          // Status as changed by the student in Notion
+          ...(p.status ? { Status: { type: 'select', select: { name: p.status } } } : {}),
+          // Properties of pages the student added to the database
+          ...(p.properties || {})
         }
       }));
       return ok({ results, has_more: false });
@@ -111,39 +129,67 @@ function makeStatefulFetch({ onUpdate = null } = {}) {
     // Page creation (POST /pages)
     if (url.endsWith('/pages') && opts?.method === 'POST') {
       const body = JSON.parse(opts.body || '{}');
+      createBodies.push(body);
       const pageId = `page-${++pageCounter}`;
       // Extract canvasId from properties to track in our "Notion"
       const canvasIdProp = body.properties?.['Canvas ID']?.rich_text?.[0]?.text?.content;
       if (canvasIdProp) {
-        pages.set(canvasIdProp, { pageId, canvasId: canvasIdProp, archived: false });
+        pages.set(canvasIdProp, { pageId, canvasId: canvasIdProp, archived: false, dataSourceId: body.parent?.data_source_id });
       }
       return ok({ id: pageId });
     }
 
-    // Page get (GET /pages/:id)
+    // Page move (POST /pages/:id/move)
+    if (url.match(/\/pages\/[^/]+\/move$/) && opts?.method === 'POST') {
+      const pageId = url.split('/').slice(-2)[0];
+      const page = Array.from(pages.values()).find(p => p.pageId === pageId);
+      if (page) page.dataSourceId = JSON.parse(opts.body).parent.data_source_id;
+      return ok({ id: pageId });
+    }
+
+    // Page get (GET /pages/:id), with the properties the student edited
     if (url.match(/\/pages\/[^/]+$/) && (!opts?.method || opts.method === 'GET')) {
       const pageId = url.split('/').pop();
-      return ok({ id: pageId, properties: {} });
+      const page = Array.from(pages.values()).find(p => p.pageId === pageId);
+      return ok({ id: pageId, properties: page?.properties || {} });
     }
 
     // Page update (PATCH /pages/:id)
     if (url.match(/\/pages\/[^/]+$/) && opts?.method === 'PATCH') {
       const pageId = url.split('/').pop();
       const body = JSON.parse(opts.body || '{}');
-      // Track archive status
+      // Track archive status and Canvas IDs written to existing pages
+      const canvasIdProp = body.properties?.['Canvas ID']?.rich_text?.[0]?.text?.content;
       for (const [, v] of pages.entries()) {
-        if (v.pageId === pageId && body.archived === true) {
-          v.archived = true;
+        if (v.pageId === pageId && typeof body.archived === 'boolean') {
+          v.archived = body.archived;
+        }
+        if (v.pageId === pageId && canvasIdProp) {
+          v.canvasId = canvasIdProp;
         }
       }
       if (onUpdate) onUpdate(pageId, opts);
       return ok({ id: pageId });
     }
 
+    // Page body blocks
+    if (url.match(/\/blocks\/[^/]+\/children/)) {
+      if (opts?.method === 'PATCH') {
+        const { children } = JSON.parse(opts.body);
+        blockCalls.push({ type: 'append', parentId: url.split('/').slice(-2)[0], children });
+        return ok({ results: children.map(child => ({ id: `block-${++blockCounter}`, type: child.type })) });
+      }
+      return ok({ results: [], has_more: false });
+    }
+    if (url.match(/\/blocks\/[^/]+$/) && opts?.method === 'DELETE') {
+      blockCalls.push({ type: 'delete', blockId: url.split('/').pop() });
+      return ok({});
+    }
+
     return ok({});
   });
 
-  return { fetchMock, pages };
+  return { fetchMock, pages, createBodies, blockCalls };
 }
 
 // ---------------------------------------------------------------------------
@@ -165,6 +211,358 @@ describe('Integration — full sync creates new pages', () => {
   });
 });
 
+describe('Integration — quiz properties', () => {
+  const quiz = makeAssignment('quiz:301', 'Practice Quiz', COURSE_A, {
+    itemType: 'Quiz', timeLimit: 30, allowedAttempts: 2, questionCount: 12
+  });
+
+  test('writes quiz properties the data source has', async () => {
+    const { fetchMock, createBodies } = makeStatefulFetch({ schemaProperties: ['Canvas ID', 'Type', 'Time Limit'] });
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    await syncer.syncAssignments([quiz], [COURSE_A]);
+
+    const { properties } = createBodies[0];
+    expect(properties['Canvas ID'].rich_text[0].text.content).toBe('quiz:301');
+    expect(properties['Type']).toEqual({ select: { name: 'Quiz' } });
+    expect(properties['Time Limit']).toEqual({ number: 30 });
+    expect(properties['Allowed Attempts']).toBeUndefined();
+    expect(properties['Question Count']).toBeUndefined();
+  });
+
+  test('leaves quiz properties out when the data source lacks them', async () => {
+    const { fetchMock, createBodies } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    const results = await syncer.syncAssignments([quiz], [COURSE_A]);
+
+    expect(results.errors).toHaveLength(0);
+    expect(Object.keys(createBodies[0].properties)).not.toContain('Type');
+    expect(Object.keys(createBodies[0].properties)).not.toContain('Time Limit');
+  });
+});
+
+describe('Integration — assignment category', () => {
+  test('writes the assignment group as the Category select and updates it when it moves', async () => {
+    const { fetchMock, createBodies, pages } = makeStatefulFetch({ schemaProperties: ['Canvas ID', 'Category'] });
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    await syncer.syncAssignments([makeAssignment(40, 'Lab 4', COURSE_A, { category: 'Labs' })], [COURSE_A]);
+    const results = await syncer.syncAssignments([makeAssignment(40, 'Lab 4', COURSE_A, { category: 'Homework' })], [COURSE_A]);
+
+    expect(createBodies[0].properties['Category']).toEqual({ select: { name: 'Labs' } });
+    expect(results.updated).toEqual([expect.objectContaining({ changedFields: ['category'] })]);
+    expect(pages.size).toBe(1);
+  });
+});
+
+describe('Integration — availability window', () => {
+  test('writes the Available range when the data source has it', async () => {
+    const { fetchMock, createBodies } = makeStatefulFetch({ schemaProperties: ['Canvas ID', 'Available'] });
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+    const assignment = makeAssignment(30, 'Lab 3', COURSE_A, {
+      unlockDate: '2025-09-01T00:00:00Z', lockDate: '2025-09-10T23:59:00Z'
+    });
+
+    await syncer.syncAssignments([assignment], [COURSE_A]);
+
+    expect(createBodies[0].properties['Available']).toEqual({
+      date: { start: '2025-09-01T00:00:00Z', end: '2025-09-10T23:59:00Z' }
+    });
+  });
+});
+
+describe('Integration — rubrics', () => {
+  const rubric = {
+    title: 'Lab Rubric',
+    pointsPossible: 10,
+    hidePoints: false,
+    criteria: [{ description: 'Analysis', longDescription: '', points: 10, ratings: [{ description: 'Full', longDescription: '', points: 10 }] }]
+  };
+
+  test('renders the rubric once and re-renders it only when it changes', async () => {
+    const { fetchMock, blockCalls } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+    const assignment = makeAssignment(40, 'Lab 4', COURSE_A, { rubric });
+
+    await syncer.syncAssignments([assignment], [COURSE_A]);
+    expect(blockCalls).toEqual([expect.objectContaining({ type: 'append', parentId: 'page-1' })]);
+    expect(blockCalls[0].children.map(block => block.type)).toEqual(['heading_3', 'table']);
+
+    await syncer.syncAssignments([assignment], [COURSE_A]);
+    expect(blockCalls).toHaveLength(1);
+
+    const edited = { ...rubric, criteria: [{ ...rubric.criteria[0], points: 12 }] };
+    await syncer.syncAssignments([{ ...assignment, rubric: edited }], [COURSE_A]);
+    expect(blockCalls.slice(1).map(call => call.type)).toEqual(['delete', 'delete', 'append']);
+    expect(blockCalls.slice(1, 3).map(call => call.blockId)).toEqual(['block-1', 'block-2']);
+  });
+
+  test('does not touch the page body for assignments without a rubric', async () => {
+    const { fetchMock, blockCalls } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    await syncer.syncAssignments([makeAssignment(41, 'Reading')], [COURSE_A]);
+
+    expect(blockCalls).toHaveLength(0);
+  });
+});
+
+describe('Integration — course relation', () => {
+  test('relates assignments to their course page when Course is a relation', async () => {
+    const { fetchMock, createBodies } = makeStatefulFetch({
+      schemaProperties: ['Canvas ID', 'Course'],
+      schemaTypes: { Course: 'relation' }
+    });
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    await syncer.syncAssignments([makeAssignment(50, 'Essay')], [COURSE_A], {
+      coursePageIds: new Map([[COURSE_A, 'course-page-1']])
+    });
+
+    expect(createBodies[0].properties['Course']).toEqual({ relation: [{ id: 'course-page-1' }] });
+  });
+
+  test('links an existing assignment once its course page exists', async () => {
+    let patchBody = null;
+    const { fetchMock } = makeStatefulFetch({
+      schemaProperties: ['Canvas ID', 'Course'],
+      schemaTypes: { Course: 'relation' },
+      onUpdate: (pageId, opts) => { patchBody = JSON.parse(opts.body); }
+    });
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+    const assignment = makeAssignment(51, 'Lab');
+
+    await syncer.syncAssignments([assignment], [COURSE_A], { coursePageIds: new Map() });
+    const results = await syncer.syncAssignments([assignment], [COURSE_A], {
+      coursePageIds: new Map([[COURSE_A, 'course-page-1']])
+    });
+
+    expect(results.updated[0].changedFields).toEqual(['coursePageId']);
+    expect(patchBody.properties['Course']).toEqual({ relation: [{ id: 'course-page-1' }] });
+  });
+
+  test('keeps the Course select when Course is not a relation', async () => {
+    const { fetchMock, createBodies } = makeStatefulFetch({ schemaProperties: ['Canvas ID', 'Course'], schemaTypes: { Course: 'select' } });
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    await syncer.syncAssignments([makeAssignment(52, 'Quiz Prep')], [COURSE_A], {
+      coursePageIds: new Map([[COURSE_A, 'course-page-1']])
+    });
+
+    expect(createBodies[0].properties['Course']).toEqual({ select: { name: 'ENG101' } });
+  });
+});
+
+describe('Integration — course routing', () => {
+  const ROUTED_DS = 'aaaaaaaabbbbccccddddeeeeeeeeeeee';
+
+  test('creates pages in the data source a course routes to', async () => {
+    const { fetchMock, pages } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const routes = [{ match: 'courseCode', value: 'eng*', dataSourceId: ROUTED_DS }];
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager(), undefined, null, routes);
+
+    await syncer.syncAssignments([
+      makeAssignment(70, 'Routed essay'),
+      makeAssignment(71, 'Unrouted lab', 'course-11', { courseCode: 'BIO' })
+    ], [COURSE_A, 'course-11']);
+
+    expect(pages.get('70').dataSourceId).toBe(ROUTED_DS);
+    expect(pages.get('71').dataSourceId).toBe(DS_ID);
+  });
+
+  test('moves pages out of a data source when its route is removed', async () => {
+    const archived = [];
+    const { fetchMock, pages } = makeStatefulFetch({
+      onUpdate: (pageId, opts) => {
+        if (JSON.parse(opts?.body || '{}').archived === true) archived.push(pageId);
+      }
+    });
+    globalThis.fetch = fetchMock;
+    const cache = new AssignmentCacheManager();
+    const assignment = makeAssignment(76, 'Essay');
+    const routes = [{ match: 'courseId', value: COURSE_A, dataSourceId: ROUTED_DS }];
+    await new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, cache, undefined, null, routes).syncAssignments([assignment], [COURSE_A]);
+    const routedPageId = pages.get('76').pageId;
+
+    const results = await new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, cache).syncAssignments([assignment], [COURSE_A]);
+
+    expect(results.created).toEqual([]);
+    expect(results.updated).toEqual([expect.objectContaining({ canvasId: '76', changedFields: ['data source'] })]);
+    expect(pages.get('76').dataSourceId).toBe(DS_ID);
+    expect(archived).toEqual([routedPageId]);
+    expect((await cache.getCachedAssignment('76')).dataSourceId).toBe(DS_ID);
+  });
+
+  test('reads routed pages with the property names resolved for their data source', async () => {
+    const { fetchMock, pages } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    pages.set('routed', {
+      pageId: 'page-routed',
+      canvasId: '',
+      dataSourceId: ROUTED_DS,
+      properties: {
+        'Canvas Item': { type: 'rich_text', rich_text: [{ plain_text: '75' }] },
+        State: { type: 'select', select: { name: 'Done' } }
+      }
+    });
+    const routes = [{ match: 'courseId', value: COURSE_A, dataSourceId: ROUTED_DS }];
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager(), undefined, null, routes);
+    await syncer.initialize();
+    syncer.routedProperties.set(ROUTED_DS, {
+      ...syncer.properties,
+      canvasId: { name: 'Canvas Item', type: 'rich_text' },
+      status: { name: 'State', type: 'select' }
+    });
+
+    const results = await syncer.syncAssignments([makeAssignment(75, 'Routed essay')], [COURSE_A]);
+
+    expect(results.created).toEqual([]);
+    expect(syncer.notionStatuses.get('75')).toBe('Done');
+  });
+
+  test('moves pages when a course is routed somewhere else', async () => {
+    const archived = [];
+    const { fetchMock, pages } = makeStatefulFetch({
+      onUpdate: (pageId, opts) => {
+        if (JSON.parse(opts?.body || '{}').archived === true) archived.push(pageId);
+      }
+    });
+    globalThis.fetch = fetchMock;
+    const cache = new AssignmentCacheManager();
+    const assignment = makeAssignment(72, 'Moving essay');
+
+    await new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, cache).syncAssignments([assignment], [COURSE_A]);
+    const firstPageId = pages.get('72').pageId;
+
+    const routes = [{ match: 'courseId', value: COURSE_A, dataSourceId: ROUTED_DS }];
+    const results = await new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, cache, undefined, null, routes)
+      .syncAssignments([assignment], [COURSE_A]);
+
+    expect(results.updated).toEqual([expect.objectContaining({ canvasId: '72', changedFields: ['data source'] })]);
+    expect(pages.get('72').dataSourceId).toBe(ROUTED_DS);
+    expect(archived).toEqual([firstPageId]);
+    expect((await cache.getCachedAssignment('72')).notionPageId).toBe(pages.get('72').pageId);
+  });
+});
+
+describe('Integration — Canvas planner completion', () => {
+  test('pushes a status changed in Notion to the Canvas planner once', async () => {
+    const { fetchMock, pages } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const cache = new AssignmentCacheManager();
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, cache);
+    const canvasAPI = {
+      listPlannerOverrides: jest.fn(async () => []),
+      setPlannerOverride: jest.fn(async () => ({ id: 1 }))
+    };
+    const assignment = makeAssignment(80, 'Problem set');
+
+    await syncer.syncAssignments([assignment], [COURSE_A]);
+    pages.get('80').status = 'Done';
+
+    const first = await syncer.syncAssignments([assignment], [COURSE_A], {
+      plannerCompletion: new PlannerCompletionSyncer(canvasAPI, cache, { Done: 'complete' })
+    });
+    const second = await syncer.syncAssignments([assignment], [COURSE_A], {
+      plannerCompletion: new PlannerCompletionSyncer(canvasAPI, cache, { Done: 'complete' })
+    });
+
+    expect(first.plannerUpdated).toEqual([{ canvasId: '80', title: 'Problem set', status: 'Done', action: 'complete' }]);
+    expect(second.plannerUpdated).toEqual([]);
+    expect(canvasAPI.setPlannerOverride).toHaveBeenCalledTimes(1);
+    expect(canvasAPI.setPlannerOverride).toHaveBeenCalledWith('assignment', '80', { marked_complete: true }, null);
+  });
+});
+
+describe('Integration — Canvas planner notes', () => {
+  test('adds a Notion task to the Canvas planner and keeps Canvas from overwriting it', async () => {
+    const updatedPageIds = [];
+    const { fetchMock, pages } = makeStatefulFetch({
+      onUpdate: pageId => updatedPageIds.push(pageId),
+      schemaProperties: ['Canvas ID', 'Push to Canvas'],
+      schemaTypes: { 'Canvas ID': 'rich_text', 'Push to Canvas': 'checkbox' }
+    });
+    globalThis.fetch = fetchMock;
+    pages.set('task', {
+      pageId: 'page-task',
+      canvasId: '',
+      dataSourceId: DS_ID,
+      properties: {
+        'Assignment Name': { type: 'title', title: [{ plain_text: 'Buy lab goggles' }] },
+        'Course': { type: 'select', select: { name: 'ENG101' } },
+        'Due Date': { type: 'date', date: { start: '2025-09-03' } },
+        'Push to Canvas': { type: 'checkbox', checkbox: true }
+      }
+    });
+    const canvasAPI = {
+      createPlannerNote: jest.fn(async () => ({ id: 900 })),
+      updatePlannerNote: jest.fn(async () => ({ id: 900 }))
+    };
+    const plannerNotes = new PlannerNoteSyncer(canvasAPI, new PlannerNoteCacheManager());
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    const first = await syncer.syncAssignments([makeAssignment(81, 'Essay')], [COURSE_A], { plannerNotes });
+
+    expect(canvasAPI.createPlannerNote).toHaveBeenCalledWith({ title: 'Buy lab goggles', details: '', todo_date: '2025-09-03', course_id: COURSE_A });
+    expect(first.plannerNotesCreated).toEqual([{ pageId: 'page-task', canvasId: 'note:900', title: 'Buy lab goggles' }]);
+    expect(pages.get('task').canvasId).toBe('note:900');
+
+    // The note comes back from the Canvas planner on the next sync
+    updatedPageIds.length = 0;
+    const note = makeAssignment('note:900', 'Buy lab goggles', COURSE_A, { type: 'note' });
+    const second = await syncer.syncAssignments([makeAssignment(81, 'Essay'), note], [COURSE_A], { plannerNotes });
+
+    expect(second.skipped.map(item => item.canvasId)).toContain('note:900');
+    expect(second.created).toEqual([]);
+    expect(updatedPageIds).not.toContain('page-task');
+    expect(canvasAPI.createPlannerNote).toHaveBeenCalledTimes(1);
+    expect(canvasAPI.updatePlannerNote).not.toHaveBeenCalled();
+  });
+});
+
+describe('Integration — field ownership', () => {
+  test('keeps a title edited in Notion and reports a conflict when Canvas renames it', async () => {
+    const patchBodies = [];
+    const { fetchMock, pages } = makeStatefulFetch({
+      onUpdate: (pageId, opts) => patchBodies.push(JSON.parse(opts.body))
+    });
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    await syncer.syncAssignments([makeAssignment(90, 'Essay')], [COURSE_A]);
+    pages.get('90').properties = {
+      'Assignment Name': { type: 'title', title: [{ plain_text: 'Essay (outline first)' }] }
+    };
+
+    const pointsChanged = await syncer.syncAssignments([makeAssignment(90, 'Essay', COURSE_A, { points: 90 })], [COURSE_A]);
+    expect(pointsChanged.conflicts).toEqual([]);
+    expect(patchBodies[0].properties).not.toHaveProperty('Assignment Name');
+    expect(patchBodies[0].properties.Points).toEqual({ number: 90 });
+
+    const renamed = await syncer.syncAssignments([makeAssignment(90, 'Final essay', COURSE_A, { points: 90 })], [COURSE_A]);
+    expect(renamed.conflicts).toEqual([{
+      canvasId: '90',
+      title: 'Final essay',
+      field: 'title',
+      label: 'Title',
+      notionValue: 'Essay (outline first)',
+      canvasValue: 'Final essay'
+    }]);
+    expect(patchBodies[1].properties).not.toHaveProperty('Assignment Name');
+  });
+});
+
 describe('Integration — cache hit skips API call', () => {
   test('skips API update when assignment fields are unchanged', async () => {
     let updateCount = 0;
@@ -211,6 +609,22 @@ describe('Integration — update when assignment name changes', () => {
     expect(results.updated.length).toBeGreaterThanOrEqual(1);
     expect(patchCount).toBeGreaterThanOrEqual(1);
   });
+
+  test('costs one Notion request per update: the page is read from the reconciliation pass', async () => {
+    const { fetchMock } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+    const assignments = [makeAssignment(21, 'Lab 1'), makeAssignment(22, 'Lab 2')];
+
+    await syncer.syncAssignments(assignments, [COURSE_A]);
+    fetchMock.mockClear();
+
+    const results = await syncer.syncAssignments(assignments.map(a => ({ ...a, points: 50 })), [COURSE_A]);
+
+    const pageRequests = fetchMock.mock.calls.filter(([url]) => /\/pages\/[^/]+$/.test(url));
+    expect(results.updated).toHaveLength(2);
+    expect(pageRequests.map(([, opts]) => opts.method)).toEqual(['PATCH', 'PATCH']);
+  });
 });
 
 describe('Integration — deletion of removed Canvas assignments', () => {
@@ -239,6 +653,398 @@ describe('Integration — deletion of removed Canvas assignments', () => {
   });
 });
 
+describe('Integration — deletion safeguards', () => {
+  const COURSE_B = 'course-20';
+
+  test('does not archive the items of a course that failed to load', async () => {
+    const { fetchMock, pages } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+    await syncer.syncAssignments([makeAssignment(600, 'Essay'), makeAssignment(601, 'Lab', COURSE_B)], [COURSE_A, COURSE_B]);
+
+    const results = await syncer.syncAssignments([makeAssignment(600, 'Essay')], [COURSE_A, COURSE_B], {
+      extractionErrors: [{ courseId: COURSE_B, courseCode: 'LAB200', error: 'Canvas API error: 500' }]
+    });
+
+    expect(results.deleted).toEqual([]);
+    expect(pages.get('601').archived).toBe(false);
+    const plan = await syncer.planSync([makeAssignment(600, 'Essay')], [COURSE_A, COURSE_B], {
+      extractionErrors: [{ courseId: COURSE_B, courseCode: 'LAB200', error: 'Canvas API error: 500' }]
+    });
+    expect(plan.items).toEqual([]);
+  });
+
+  test('archives nothing when a sync would archive more pages than the limit, unless they were reviewed', async () => {
+    const { fetchMock, pages } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager(), undefined, null, [], undefined, { maxFraction: 0.5 });
+    const assignments = Array.from({ length: 20 }, (_, i) => makeAssignment(610 + i, `Reading ${i}`));
+    await syncer.syncAssignments(assignments, [COURSE_A]);
+
+    const held = await syncer.syncAssignments(assignments.slice(0, 3), [COURSE_A]);
+
+    expect(held.deleted).toEqual([]);
+    expect(held.deletionsHeld).toMatchObject({ count: 17, tracked: 20, reason: 'limit' });
+    expect(Array.from(pages.values()).filter(page => page.archived)).toEqual([]);
+
+    // A smaller share goes through
+    const allowed = await syncer.syncAssignments(assignments.slice(0, 12), [COURSE_A]);
+    expect(allowed.deleted).toHaveLength(8);
+    expect(allowed.deletionsHeld).toBeNull();
+
+    // Archives kept in a reviewed plan aren't limited
+    const reviewed = await syncer.syncAssignments([], [COURSE_A], { selectedIds: assignments.slice(0, 12).map(a => a.canvasId) });
+    expect(reviewed.deleted).toHaveLength(12);
+  });
+
+  test('holds back more removals than the confirmation threshold until they are confirmed', async () => {
+    const { fetchMock, pages } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const deletion = { confirmThreshold: 2, maxFraction: 1 };
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager(), undefined, null, [], undefined, deletion);
+    const assignments = Array.from({ length: 4 }, (_, i) => makeAssignment(640 + i, `Quiz ${i}`));
+    await syncer.syncAssignments(assignments, [COURSE_A]);
+
+    const results = await syncer.syncAssignments([assignments[0]], [COURSE_A]);
+
+    expect(results.deleted).toEqual([]);
+    expect(results.deletionsHeld).toMatchObject({ count: 3, reason: 'threshold', policy: 'archive' });
+    expect(results.deletionsHeld.items.map(item => item.canvasId).sort()).toEqual(['641', '642', '643']);
+
+    const journal = new SyncJournal();
+    const confirmed = await syncer.confirmDeletions(results.deletionsHeld.items, { journal });
+
+    expect(confirmed.deleted).toHaveLength(3);
+    expect(['641', '642', '643'].map(id => pages.get(id).archived)).toEqual([true, true, true]);
+    expect(journal.entries.map(entry => entry.type)).toEqual(['archive', 'archive', 'archive']);
+  });
+});
+
+describe('Integration — deletion policies', () => {
+  const ARCHIVE_DS = 'abcdef0123456789abcdef0123456789';
+
+  async function syncThenRemove(deletion, schema = {}) {
+    const state = makeStatefulFetch(schema);
+    globalThis.fetch = state.fetchMock;
+    const cache = new AssignmentCacheManager();
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, cache, undefined, null, [], undefined, deletion);
+    await syncer.syncAssignments([makeAssignment(650, 'Essay'), makeAssignment(651, 'Lab notes')], [COURSE_A]);
+    state.fetchMock.mockClear();
+
+    const journal = new SyncJournal();
+    const results = await syncer.syncAssignments([makeAssignment(650, 'Essay')], [COURSE_A], { journal });
+    const patches = state.fetchMock.mock.calls
+      .filter(([url, opts]) => /\/pages\//.test(url) && opts?.method === 'PATCH')
+      .map(([url, opts]) => [url.split('/').pop(), JSON.parse(opts.body)]);
+    return { ...state, syncer, cache, journal, results, patches };
+  }
+
+  test('marks the page "Removed from Canvas" and keeps it', async () => {
+    const { pages, cache, journal, results, patches } = await syncThenRemove({ policy: 'status' });
+
+    expect(results.deleted).toEqual([expect.objectContaining({ canvasId: '651', policy: 'status' })]);
+    expect(patches).toEqual([[pages.get('651').pageId, { properties: { Status: { select: { name: 'Removed from Canvas' } } } }]]);
+    expect(pages.get('651').archived).toBe(false);
+    expect(await cache.getCachedAssignment('651')).toBeNull();
+    expect(journal.entries).toEqual([expect.objectContaining({ type: 'update', canvasId: '651' })]);
+  });
+
+  test('archives the page when the Status property has no "Removed from Canvas" option', async () => {
+    const schema = {
+      schemaProperties: ['Canvas ID', 'Status'],
+      schemaTypes: { 'Canvas ID': 'rich_text', Status: 'status' },
+      schemaOptions: { Status: { status: { options: [{ name: 'Not started' }, { name: 'Done' }] } } }
+    };
+    const { pages, journal, results, patches } = await syncThenRemove({ policy: 'status' }, schema);
+
+    expect(results.errors).toEqual([]);
+    expect(results.deleted).toEqual([expect.objectContaining({ canvasId: '651', policy: 'archive' })]);
+    expect(patches).toEqual([[pages.get('651').pageId, { properties: {}, archived: true }]]);
+    expect(journal.entries).toEqual([expect.objectContaining({ type: 'archive', canvasId: '651' })]);
+  });
+
+  test('moves the page to the archive data source, and undo moves it back', async () => {
+    const { pages, fetchMock, journal, results, patches } = await syncThenRemove({ policy: 'move', archiveDataSourceId: ARCHIVE_DS });
+
+    expect(results.deleted).toEqual([expect.objectContaining({ canvasId: '651', policy: 'move' })]);
+    expect(patches).toEqual([]);
+    expect(pages.get('651').dataSourceId).toBe(ARCHIVE_DS);
+
+    await journal.save();
+    await undoLastSync(new NotionAPI('test-token'));
+    expect(fetchMock).toHaveBeenLastCalledWith(expect.stringMatching(/\/move$/), expect.anything());
+    expect(pages.get('651').dataSourceId).toBe(DS_ID);
+  });
+
+  test('leaves the page alone and stops tracking it', async () => {
+    const { pages, cache, syncer, results, patches } = await syncThenRemove({ policy: 'keep' });
+
+    expect(results.deleted).toEqual([expect.objectContaining({ canvasId: '651', policy: 'keep' })]);
+    expect(patches).toEqual([]);
+    expect(pages.get('651').archived).toBe(false);
+    expect(await cache.getCachedAssignment('651')).toBeNull();
+
+    // The page isn't picked up again
+    const next = await syncer.syncAssignments([makeAssignment(650, 'Essay')], [COURSE_A]);
+    expect(next.deleted).toEqual([]);
+  });
+
+  test('plans status and move removals as page updates and leaves kept pages out', async () => {
+    const { fetchMock } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const cache = new AssignmentCacheManager();
+    const assignments = [makeAssignment(660, 'Essay'), makeAssignment(661, 'Lab notes')];
+    await new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, cache).syncAssignments(assignments, [COURSE_A]);
+
+    const planFor = deletion => new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, cache, undefined, null, [], undefined, deletion)
+      .planSync([assignments[0]], [COURSE_A]);
+
+    expect((await planFor({ policy: 'status' })).items).toEqual([
+      expect.objectContaining({ action: 'update', canvasId: '661', changes: [{ field: 'status', label: 'Status', before: null, after: 'Removed from Canvas' }] })
+    ]);
+    expect((await planFor({ policy: 'move', archiveDataSourceId: ARCHIVE_DS })).items).toEqual([
+      expect.objectContaining({ action: 'update', canvasId: '661', changes: [{ field: 'dataSource', label: 'Data source', before: DS_ID, after: ARCHIVE_DS }] })
+    ]);
+    expect((await planFor({ policy: 'keep' })).items).toEqual([]);
+  });
+
+  test('plans an archive for the status policy when the Status property has no "Removed from Canvas" option', async () => {
+    const { fetchMock } = makeStatefulFetch({
+      schemaProperties: ['Canvas ID', 'Status'],
+      schemaTypes: { 'Canvas ID': 'rich_text', Status: 'status' },
+      schemaOptions: { Status: { status: { options: [{ name: 'Done' }] } } }
+    });
+    globalThis.fetch = fetchMock;
+    const cache = new AssignmentCacheManager();
+    const assignments = [makeAssignment(662, 'Essay'), makeAssignment(663, 'Lab notes')];
+    await new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, cache).syncAssignments(assignments, [COURSE_A]);
+
+    const plan = await new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, cache, undefined, null, [], undefined, { policy: 'status' })
+      .planSync([assignments[0]], [COURSE_A]);
+
+    expect(plan.items).toEqual([expect.objectContaining({ action: 'archive', canvasId: '663' })]);
+  });
+});
+
+describe('Integration — sync plan', () => {
+  test('lists creates, field changes and archives without writing, then applies only the kept changes', async () => {
+    const { fetchMock, pages } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const api = new NotionAPI('test-token');
+    const cache = new AssignmentCacheManager();
+    const syncer = new AssignmentSyncer(api, DB_ID, cache);
+    const essay = makeAssignment(400, 'Essay');
+    const lab = makeAssignment(401, 'Lab report');
+    const quiz = makeAssignment(402, 'Quiz 1');
+    await syncer.syncAssignments([essay, lab, quiz], [COURSE_A]);
+    fetchMock.mockClear();
+
+    const canvasNow = [
+      { ...essay, dueDate: '2025-09-05T23:59:00Z' },
+      quiz,
+      makeAssignment(403, 'Reading')
+    ];
+    const plan = await syncer.planSync(canvasNow, [COURSE_A]);
+
+    const writes = fetchMock.mock.calls.filter(([url, opts]) => /\/pages/.test(url) && ['POST', 'PATCH'].includes(opts?.method));
+    expect(writes).toEqual([]);
+    expect(plan.unchanged).toBe(1);
+    expect(plan.items).toEqual([
+      expect.objectContaining({
+        action: 'update',
+        canvasId: '400',
+        notionPageId: pages.get('400').pageId,
+        changes: [{ field: 'dueDate', label: 'Due date', before: '2025-09-01T23:59:00Z', after: '2025-09-05T23:59:00Z' }]
+      }),
+      expect.objectContaining({ action: 'create', canvasId: '403', title: 'Reading' }),
+      expect.objectContaining({ action: 'archive', canvasId: '401', title: 'Lab report', notionPageId: pages.get('401').pageId })
+    ]);
+
+    // The archive is deselected
+    const results = await syncer.syncAssignments(canvasNow, [COURSE_A], { selectedIds: ['400', '403'] });
+
+    expect(results.updated.map(item => item.canvasId)).toEqual(['400']);
+    expect(results.created.map(item => item.canvasId)).toEqual(['403']);
+    expect(results.deleted).toEqual([]);
+    expect(pages.get('401').archived).toBe(false);
+
+    const next = await syncer.planSync(canvasNow, [COURSE_A]);
+    expect(next.items.map(item => [item.action, item.canvasId])).toEqual([['archive', '401']]);
+  });
+
+  test('makes no Canvas planner writes when applying a plan', async () => {
+    const updatedPageIds = [];
+    const { fetchMock, pages } = makeStatefulFetch({
+      onUpdate: pageId => updatedPageIds.push(pageId),
+      schemaProperties: ['Canvas ID', 'Push to Canvas'],
+      schemaTypes: { 'Canvas ID': 'rich_text', 'Push to Canvas': 'checkbox' }
+    });
+    globalThis.fetch = fetchMock;
+    const cache = new AssignmentCacheManager();
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, cache);
+    const essay = makeAssignment(420, 'Essay');
+    await syncer.syncAssignments([essay], [COURSE_A]);
+    pages.get('420').status = 'Done';
+    pages.set('task', {
+      pageId: 'page-task',
+      canvasId: '',
+      dataSourceId: DS_ID,
+      properties: {
+        'Assignment Name': { type: 'title', title: [{ plain_text: 'Buy lab goggles' }] },
+        'Due Date': { type: 'date', date: { start: '2025-09-03' } },
+        'Push to Canvas': { type: 'checkbox', checkbox: true }
+      }
+    });
+    const canvasAPI = {
+      listPlannerOverrides: jest.fn(async () => []),
+      setPlannerOverride: jest.fn(async () => ({ id: 1 })),
+      createPlannerNote: jest.fn(async () => ({ id: 900 })),
+      updatePlannerNote: jest.fn(async () => ({ id: 900 }))
+    };
+    updatedPageIds.length = 0;
+
+    const results = await syncer.syncAssignments([essay, makeAssignment(421, 'Lab')], [COURSE_A], {
+      selectedIds: ['421'],
+      plannerCompletion: new PlannerCompletionSyncer(canvasAPI, cache, { Done: 'complete' }),
+      plannerNotes: new PlannerNoteSyncer(canvasAPI, new PlannerNoteCacheManager())
+    });
+
+    expect(results.created.map(item => item.canvasId)).toEqual(['421']);
+    expect(results.plannerUpdated).toEqual([]);
+    expect(canvasAPI.setPlannerOverride).not.toHaveBeenCalled();
+    expect(canvasAPI.createPlannerNote).not.toHaveBeenCalled();
+    expect(updatedPageIds).toEqual([]);
+  });
+
+  test('skips changes left out of the plan, including new items found since', async () => {
+    const { fetchMock } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    const results = await syncer.syncAssignments([makeAssignment(410, 'Planned'), makeAssignment(411, 'Not planned')], [COURSE_A], { selectedIds: ['410'] });
+
+    expect(results.created.map(item => item.canvasId)).toEqual(['410']);
+    expect(results.skipped).toEqual([{ canvasId: '411', title: 'Not planned' }]);
+  });
+});
+
+describe('Integration — undo last sync', () => {
+  test('puts back the values, pages and cache entries the last sync changed', async () => {
+    const { fetchMock, pages } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const api = new NotionAPI('test-token');
+    const cache = new AssignmentCacheManager();
+    const syncer = new AssignmentSyncer(api, DB_ID, cache);
+    const essay = makeAssignment(500, 'Essay');
+    const lab = makeAssignment(501, 'Lab report');
+
+    const first = new SyncJournal();
+    await syncer.syncAssignments([essay, lab], [COURSE_A], { journal: first });
+    await first.save();
+    // The page as the first sync left it in Notion
+    pages.get('500').properties = { Points: { type: 'number', number: 100 } };
+    const essayEntry = await cache.getCachedAssignment('500');
+
+    const second = new SyncJournal();
+    await syncer.syncAssignments([{ ...essay, points: 50 }, makeAssignment(502, 'Reading')], [COURSE_A], { journal: second });
+    await second.save();
+    expect(second.entries.map(entry => [entry.type, entry.canvasId]).sort()).toEqual([['archive', '501'], ['create', '502'], ['update', '500']]);
+    fetchMock.mockClear();
+
+    const result = await undoLastSync(api, cache);
+
+    expect(result).toEqual({ undone: 3, errors: [], startedAt: second.startedAt });
+    const patches = fetchMock.mock.calls
+      .filter(([url, opts]) => /\/pages\//.test(url) && opts?.method === 'PATCH')
+      .map(([url, opts]) => [url.split('/').pop(), JSON.parse(opts.body)]);
+    expect(patches).toContainEqual([pages.get('500').pageId, { properties: expect.objectContaining({ Points: { number: 100 } }) }]);
+    expect(pages.get('501').archived).toBe(false);
+    expect(pages.get('502').archived).toBe(true);
+    expect(await cache.getCachedAssignment('500')).toEqual(essayEntry);
+    expect((await cache.getCachedAssignment('501')).canvasData.title).toBe('Lab report');
+    expect(await cache.getCachedAssignment('502')).toBeNull();
+
+    // The first sync is next
+    expect((await undoLastSync(api, cache)).startedAt).toBe(first.startedAt);
+  });
+});
+
+describe('Integration — calendar events', () => {
+  const eventWindow = { start: '2025-09-01T00:00:00Z', end: '2025-10-01T00:00:00Z' };
+
+  function makeEvent(id, start, overrides = {}) {
+    return makeAssignment(`event:${id}`, `Event ${id}`, COURSE_A, {
+      dueDate: start, endDate: null, points: null, status: null, itemType: 'Event', ...overrides
+    });
+  }
+
+  test('writes the start-end range to Due Date', async () => {
+    const { fetchMock, createBodies } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    await syncer.syncAssignments(
+      [makeEvent(1, '2025-09-10T17:00:00Z', { endDate: '2025-09-10T18:00:00Z' })],
+      [COURSE_A],
+      { coverageWindows: { event: eventWindow } }
+    );
+
+    expect(createBodies[0].properties['Due Date']).toEqual({
+      date: { start: '2025-09-10T17:00:00Z', end: '2025-09-10T18:00:00Z' }
+    });
+  });
+
+  test('archives a missing event inside the window but keeps one that fell outside it', async () => {
+    const archived = [];
+    const { fetchMock, pages } = makeStatefulFetch({
+      onUpdate: (pageId, opts) => {
+        if (JSON.parse(opts?.body || '{}').archived === true) archived.push(pageId);
+      }
+    });
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    await syncer.syncAssignments(
+      [makeEvent(2, '2025-09-15T17:00:00Z'), makeEvent(3, '2025-08-20T17:00:00Z')],
+      [COURSE_A],
+      { coverageWindows: { event: { start: '2025-08-01T00:00:00Z', end: '2025-10-01T00:00:00Z' } } }
+    );
+
+    // The window moved forward: event 3 is now before it, event 2 was deleted in Canvas
+    const results = await syncer.syncAssignments([], [COURSE_A], { coverageWindows: { event: eventWindow } });
+
+    expect(results.deleted.map(d => d.canvasId)).toEqual(['event:2']);
+    expect(archived).toEqual([pages.get('event:2').pageId]);
+  });
+
+  test('never archives events when they were not fetched', async () => {
+    const { fetchMock } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+
+    await syncer.syncAssignments([makeEvent(4, '2025-09-15T17:00:00Z')], [COURSE_A], { coverageWindows: { event: eventWindow } });
+    const results = await syncer.syncAssignments([], [COURSE_A]);
+
+    expect(results.deleted).toHaveLength(0);
+  });
+});
+
+describe('Integration — planner items', () => {
+  test('archives a missing planner page only inside the planner window', async () => {
+    const { fetchMock } = makeStatefulFetch();
+    globalThis.fetch = fetchMock;
+    const syncer = new AssignmentSyncer(new NotionAPI('test-token'), DB_ID, new AssignmentCacheManager());
+    const page = (id, date) => makeAssignment(`page:${id}`, `Reading ${id}`, COURSE_A, { dueDate: date, itemType: 'Page' });
+
+    await syncer.syncAssignments([page(1, '2025-09-10T05:59:59Z'), page(2, '2025-11-10T05:59:59Z')], [COURSE_A]);
+    const results = await syncer.syncAssignments([], [COURSE_A], {
+      coverageWindows: { page: { start: '2025-09-01T00:00:00Z', end: '2025-10-01T00:00:00Z' } }
+    });
+
+    expect(results.deleted.map(d => d.canvasId)).toEqual(['page:1']);
+  });
+});
+
 describe('Integration — 429 retry succeeds', () => {
   test('does not throw on 429 during page create', async () => {
     let createAttempts = 0;
@@ -273,6 +1079,46 @@ describe('Integration — 429 retry succeeds', () => {
   });
 });
 
+describe('Integration — concurrent writes', () => {
+  test('syncs several items at once and keeps progress, errors and the cache per item', async () => {
+    const { fetchMock, pages } = makeStatefulFetch();
+    let creating = 0;
+    let maxCreating = 0;
+    globalThis.fetch = jest.fn(async (url, opts) => {
+      if (!(url.endsWith('/pages') && opts?.method === 'POST')) return fetchMock(url, opts);
+      creating++;
+      maxCreating = Math.max(maxCreating, creating);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      creating--;
+      if (opts.body.includes('Broken')) {
+        return { ok: false, status: 400, headers: { get: () => null }, json: async () => ({}), text: async () => 'validation_error' };
+      }
+      return fetchMock(url, opts);
+    });
+
+    const api = new NotionAPI('test-token');
+    const cache = new AssignmentCacheManager();
+    const syncer = new AssignmentSyncer(api, DB_ID, cache);
+    const assignments = Array.from({ length: 8 }, (_, i) => makeAssignment(300 + i, i === 2 ? 'Broken' : `Essay ${i}`));
+    const progress = [];
+
+    const results = await syncer.syncAssignments(assignments, [COURSE_A], {
+      onProgress: state => state.phase === 'syncing' && progress.push(state)
+    });
+
+    expect(maxCreating).toBeGreaterThan(1);
+    expect(maxCreating).toBeLessThanOrEqual(4);
+    expect(results.created).toHaveLength(7);
+    expect(results.errors).toEqual([expect.objectContaining({ canvasId: '302', title: 'Broken' })]);
+    expect(progress.map(state => state.current)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(progress.at(-1).errorCount).toBe(1);
+    for (const { canvasId } of assignments.filter(a => a.title !== 'Broken')) {
+      expect((await cache.getCachedAssignment(canvasId)).notionPageId).toBe(pages.get(canvasId).pageId);
+    }
+    expect(await cache.getCachedAssignment('302')).toBeNull();
+  });
+});
+
 describe('Integration — onProgress callback', () => {
   test('calls onProgress with correct phases during sync', async () => {
     const { fetchMock } = makeStatefulFetch();
@@ -9,7 +9,7 @@ await jest.unstable_mockModule('../src/api/notion-rate-limiter.js', () => ({
   }))
 }));
 
-const { NotionAPI } = await import('../src/api/notion-api.js');
+const { NotionAPI, chooseDataSource } = await import('../src/api/notion-api.js');
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -197,6 +197,33 @@ describe('NotionAPI.updatePage', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// movePage
+// ---------------------------------------------------------------------------
+
+describe('NotionAPI.movePage', () => {
+  let api;
+
+  beforeEach(() => {
+    api = new NotionAPI('test-token');
+    globalThis.fetch = jest.fn();
+  });
+
+  test('posts the new data source parent to the move endpoint', async () => {
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ id: 'page1' }));
+    await api.movePage('page1', 'ds-archive');
+    const [url, opts] = globalThis.fetch.mock.calls[0];
+    expect(url).toMatch(/\/pages\/page1\/move$/);
+    expect(opts.method).toBe('POST');
+    expect(JSON.parse(opts.body)).toEqual({ parent: { type: 'data_source_id', data_source_id: 'ds-archive' } });
+  });
+
+  test('throws with the status when the move is refused', async () => {
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ message: 'forbidden' }, 403));
+    await expect(api.movePage('page1', 'ds-archive')).rejects.toMatchObject({ status: 403 });
+  });
+});
+
 // ---------------------------------------------------------------------------
 // getPage
 // ---------------------------------------------------------------------------
@@ -222,6 +249,170 @@ describe('NotionAPI.getPage', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// getDataSource
+// ---------------------------------------------------------------------------
+
+describe('NotionAPI.getDataSource', () => {
+  let api;
+
+  beforeEach(() => {
+    api = new NotionAPI('test-token');
+    globalThis.fetch = jest.fn();
+  });
+
+  test('returns the data source schema on 200', async () => {
+    const payload = { id: 'ds1', properties: { 'Canvas ID': { type: 'rich_text' } } };
+    globalThis.fetch.mockResolvedValueOnce(makeResponse(payload));
+    const result = await api.getDataSource('ds1');
+    expect(result.properties['Canvas ID'].type).toBe('rich_text');
+    expect(globalThis.fetch.mock.calls[0][0]).toBe('https://api.notion.com/v1/data_sources/ds1');
+  });
+
+  test('throws on 404', async () => {
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ message: 'not found' }, 404));
+    await expect(api.getDataSource('bad-id')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('updateDataSource patches the properties', async () => {
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ id: 'ds1', properties: {} }));
+    const properties = { 'Due Date': { date: {} } };
+
+    await api.updateDataSource('ds1', properties);
+
+    const [url, opts] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://api.notion.com/v1/data_sources/ds1');
+    expect(opts.method).toBe('PATCH');
+    expect(JSON.parse(opts.body)).toEqual({ properties });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Page body blocks
+// ---------------------------------------------------------------------------
+
+describe('NotionAPI block children', () => {
+  let api;
+
+  beforeEach(() => {
+    api = new NotionAPI('test-token');
+    globalThis.fetch = jest.fn();
+  });
+
+  test('getBlockChildren passes the cursor and page size', async () => {
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ results: [], has_more: false }));
+    await api.getBlockChildren('page1', { start_cursor: 'abc', page_size: 100 });
+    expect(globalThis.fetch.mock.calls[0][0])
+      .toBe('https://api.notion.com/v1/blocks/page1/children?start_cursor=abc&page_size=100');
+  });
+
+  test('appendBlockChildren sends the children with PATCH', async () => {
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ results: [{ id: 'b1' }] }));
+    const children = [{ object: 'block', type: 'paragraph', paragraph: { rich_text: [] } }];
+    const result = await api.appendBlockChildren('page1', children);
+    const [url, opts] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://api.notion.com/v1/blocks/page1/children');
+    expect(opts.method).toBe('PATCH');
+    expect(JSON.parse(opts.body)).toEqual({ children });
+    expect(result.results[0].id).toBe('b1');
+  });
+
+  test('replaceBlocks deletes the old blocks, skipping ones already gone, then appends', async () => {
+    globalThis.fetch
+      .mockResolvedValueOnce(makeResponse({ message: 'not found' }, 404))
+      .mockResolvedValueOnce(makeResponse({ id: 'old2' }))
+      .mockResolvedValueOnce(makeResponse({ results: [{ id: 'new1' }] }));
+
+    const blocks = await api.replaceBlocks('page1', ['old1', 'old2'], [{ type: 'paragraph' }]);
+
+    expect(globalThis.fetch.mock.calls.map(([url, opts]) => `${opts.method} ${url}`)).toEqual([
+      'DELETE https://api.notion.com/v1/blocks/old1',
+      'DELETE https://api.notion.com/v1/blocks/old2',
+      'PATCH https://api.notion.com/v1/blocks/page1/children'
+    ]);
+    expect(blocks).toEqual([{ id: 'new1' }]);
+  });
+
+  test('replaceBlocks with no new blocks only deletes', async () => {
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ id: 'old1' }));
+    expect(await api.replaceBlocks('page1', ['old1'], [])).toEqual([]);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('replaceBlocks stops on other delete errors', async () => {
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ message: 'forbidden' }, 403));
+    await expect(api.replaceBlocks('page1', ['old1'], [{ type: 'paragraph' }])).rejects.toMatchObject({ status: 403 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Search and database creation
+// ---------------------------------------------------------------------------
+
+describe('NotionAPI search and createDatabase', () => {
+  let api;
+
+  beforeEach(() => {
+    api = new NotionAPI('test-token');
+    globalThis.fetch = jest.fn();
+  });
+
+  test('search posts the query and filter', async () => {
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ results: [{ id: 'p1' }], has_more: false }));
+    const filter = { property: 'object', value: 'page' };
+
+    const result = await api.search('School', { filter, page_size: 20 });
+
+    const [url, opts] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://api.notion.com/v1/search');
+    expect(opts.method).toBe('POST');
+    expect(JSON.parse(opts.body)).toEqual({ query: 'School', filter, page_size: 20 });
+    expect(result.results[0].id).toBe('p1');
+  });
+
+  test('createDatabase creates the initial data source under a page', async () => {
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ id: 'db1', data_sources: [{ id: 'ds1' }] }));
+    const properties = { 'Assignment Name': { title: {} } };
+
+    const result = await api.createDatabase('page1', 'Canvas Assignments', properties);
+
+    const [url, opts] = globalThis.fetch.mock.calls[0];
+    expect(url).toBe('https://api.notion.com/v1/databases');
+    expect(JSON.parse(opts.body)).toEqual({
+      parent: { type: 'page_id', page_id: 'page1' },
+      title: [{ type: 'text', text: { content: 'Canvas Assignments' } }],
+      initial_data_source: { properties }
+    });
+    expect(result.id).toBe('db1');
+  });
+
+  test('createDatabase throws on 404 for a page not shared with the integration', async () => {
+    globalThis.fetch.mockResolvedValueOnce(makeResponse({ message: 'not found' }, 404));
+    await expect(api.createDatabase('page1', 'Canvas Assignments', {})).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// chooseDataSource
+// ---------------------------------------------------------------------------
+
+describe('chooseDataSource', () => {
+  const database = { data_sources: [{ id: 'aaaa-1', name: 'Fall' }, { id: 'bbbb-2', name: 'Spring' }] };
+
+  test('uses the data source chosen in settings, ignoring dashes', () => {
+    expect(chooseDataSource(database, 'bbbb2')).toBe('bbbb-2');
+  });
+
+  test('falls back to the first data source when none is chosen', () => {
+    expect(chooseDataSource(database)).toBe('aaaa-1');
+  });
+
+  test('throws when the chosen data source is gone or there are none', () => {
+    expect(() => chooseDataSource(database, 'cccc3')).toThrow('no longer in this database');
+    expect(() => chooseDataSource({ data_sources: [] })).toThrow('No data sources found in database');
+  });
+});
+
 // ---------------------------------------------------------------------------
 // executeWithRetry — internal retry logic
 // ---------------------------------------------------------------------------
@@ -0,0 +1,32 @@
+import { describe, test, expect } from '@jest/globals';
+import '../src/utils/notion-id.js';
+const { parseNotionId } = globalThis;
+
+const ID = '0123456789abcdef0123456789abcdef';
+
+describe('parseNotionId', () => {
+  test('accepts a bare ID and lowercases it', () => {
+    expect(parseNotionId(ID.toUpperCase())).toBe(ID);
+  });
+
+  test('accepts a dashed UUID', () => {
+    expect(parseNotionId('01234567-89ab-cdef-0123-456789abcdef')).toBe(ID);
+  });
+
+  test('takes the database ID from a URL, not the view ID', () => {
+    expect(parseNotionId(`https://www.notion.so/workspace/${ID}?v=fedcba9876543210fedcba9876543210`)).toBe(ID);
+  });
+
+  test('takes the ID from a titled page slug', () => {
+    expect(parseNotionId(`notion.so/My-Assignments-${ID}`)).toBe(ID);
+    expect(parseNotionId(`https://team.notion.site/Homework-${ID}?pvs=4`)).toBe(ID);
+  });
+
+  test('rejects URLs from other hosts and inputs without an ID', () => {
+    expect(parseNotionId(`https://example.com/${ID}`)).toBeNull();
+    expect(parseNotionId('https://www.notion.so/workspace/Assignments')).toBeNull();
+    expect(parseNotionId('not an id')).toBeNull();
+    expect(parseNotionId('')).toBeNull();
+    expect(parseNotionId(null)).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { NotionRateLimiter } from '../src/api/notion-rate-limiter.js';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+describe('NotionRateLimiter', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('keeps up to maxConcurrent requests in flight without waiting for each to finish', async () => {
+    const limiter = new NotionRateLimiter();
+    const gates = Array.from({ length: 5 }, deferred);
+    let running = 0;
+    let maxRunning = 0;
+
+    const requests = gates.map((gate, index) => limiter.execute(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await gate.promise;
+      running--;
+      return index;
+    }));
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(running).toBe(3);
+
+    gates.forEach(gate => gate.resolve());
+    expect(await Promise.all(requests)).toEqual([0, 1, 2, 3, 4]);
+    expect(maxRunning).toBe(3);
+    expect(limiter.inFlight).toBe(0);
+  });
+
+  test('pauses every queued request after a 429 and retries the limited one', async () => {
+    jest.useFakeTimers();
+    const limiter = new NotionRateLimiter();
+    const calls = [];
+    let limited = true;
+
+    const first = limiter.execute(async () => {
+      calls.push('first');
+      if (limited) {
+        limited = false;
+        throw Object.assign(new Error('rate_limited'), { status: 429, retryAfter: 1000 });
+      }
+      return 'first';
+    });
+    await jest.advanceTimersByTimeAsync(10);
+    const second = limiter.execute(async () => {
+      calls.push('second');
+      return 'second';
+    });
+
+    await jest.advanceTimersByTimeAsync(1500);
+    expect(calls).toEqual(['first']);
+
+    await jest.advanceTimersByTimeAsync(600);
+    expect(await Promise.all([first, second])).toEqual(['first', 'second']);
+    expect(calls).toEqual(['first', 'first', 'second']);
+  });
+
+  test('rejects other errors without retrying', async () => {
+    const limiter = new NotionRateLimiter();
+    const requestFunction = jest.fn(async () => { throw Object.assign(new Error('Notion API error: 400'), { status: 400 }); });
+
+    await expect(limiter.execute(requestFunction)).rejects.toThrow('400');
+    expect(requestFunction).toHaveBeenCalledTimes(1);
+  });
+});
@@ -56,6 +56,42 @@ describe('NotionValidator', () => {
     });
   });
 
+  describe('validateDateProperty with a range', () => {
+    test('accepts a start and end', () => {
+      const result = NotionValidator.validateDateProperty({ start: '2024-03-01', end: '2024-03-20T23:59:00Z' });
+      expect(result).toEqual({ valid: true, sanitized: { start: '2024-03-01', end: '2024-03-20T23:59:00Z' }, warning: null });
+    });
+
+    test('accepts a start without an end', () => {
+      const result = NotionValidator.validateDateProperty({ start: '2024-03-01', end: null });
+      expect(result.sanitized).toEqual({ start: '2024-03-01' });
+    });
+
+    test('drops an end before the start', () => {
+      const result = NotionValidator.validateDateProperty({ start: '2024-03-20', end: '2024-03-01' });
+      expect(result.valid).toBe(true);
+      expect(result.sanitized).toEqual({ start: '2024-03-20' });
+      expect(result.warning).toContain('before start');
+    });
+
+    test('drops an invalid end and keeps the start', () => {
+      const result = NotionValidator.validateDateProperty({ start: '2024-03-01', end: 'soon' });
+      expect(result.sanitized).toEqual({ start: '2024-03-01' });
+      expect(result.warning).toContain('Invalid date format');
+    });
+
+    test('rejects an end without a start', () => {
+      const result = NotionValidator.validateDateProperty({ start: null, end: '2024-03-20' });
+      expect(result.valid).toBe(false);
+      expect(result.sanitized).toBeNull();
+    });
+
+    test('treats an empty range as no date', () => {
+      expect(NotionValidator.validateDateProperty({ start: null, end: null }))
+        .toEqual({ valid: true, sanitized: null, warning: null });
+    });
+  });
+
   describe('validateSelectOption', () => {
     test('accepts null/undefined/empty as valid', () => {
       expect(NotionValidator.validateSelectOption(null)).toEqual({ valid: true, sanitized: null, warning: null });
@@ -323,6 +359,20 @@ describe('NotionValidator', () => {
       expect(warnings.some(w => w.includes('gradePercent'))).toBe(true);
     });
 
+    test('builds the availability range from unlock and lock dates', () => {
+      const assignment = { ...validAssignment, unlockDate: '2024-03-01T00:00:00Z', lockDate: '2024-03-20T23:59:00Z' };
+      const { validated, warnings } = NotionValidator.validateAssignmentForNotion(assignment);
+      expect(validated.available).toEqual({ start: '2024-03-01T00:00:00Z', end: '2024-03-20T23:59:00Z' });
+      expect(warnings).toHaveLength(0);
+    });
+
+    test('leaves the availability range empty without an unlock date', () => {
+      const assignment = { ...validAssignment, lockDate: '2024-03-20T23:59:00Z' };
+      const { validated, warnings } = NotionValidator.validateAssignmentForNotion(assignment);
+      expect(validated.available).toBeNull();
+      expect(warnings).toHaveLength(0);
+    });
+
     test('reformats non-standard date and warns', () => {
       const assignment = { ...validAssignment, dueDate: 'March 15, 2024' };
       const { validated, warnings } = NotionValidator.validateAssignmentForNotion(assignment);
@@ -330,4 +380,18 @@ describe('NotionValidator', () => {
       expect(warnings.some(w => w.includes('reformatted'))).toBe(true);
     });
   });
+
+  describe('validateCourseForNotion', () => {
+    test('falls back to the course code for a missing name and drops bad values', () => {
+      const { validated, warnings } = NotionValidator.validateCourseForNotion({
+        courseId: 42,
+        courseCode: 'CSC-413',
+        currentScore: 'n/a',
+        link: 'not a url'
+      });
+      expect(validated).toMatchObject({ name: 'CSC-413', courseId: '42', currentScore: null, link: null });
+      expect(warnings.some(w => w.includes('currentScore'))).toBe(true);
+      expect(warnings.some(w => w.includes('link'))).toBe(true);
+    });
+  });
 });
@@ -0,0 +1,99 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async () => ({})),
+      set: jest.fn(async () => {})
+    }
+  }
+};
+
+const { PlannerCompletionSyncer, validatePlannerCompletion, DEFAULT_PLANNER_COMPLETION } = await import('../src/sync/planner-completion.js');
+
+function makeCache(entries) {
+  return {
+    getCachedAssignment: jest.fn(async canvasId => entries[canvasId] || null),
+    updatePlannerOverride: jest.fn(async (canvasId, plannerOverride) => {
+      entries[canvasId].plannerOverride = plannerOverride;
+    })
+  };
+}
+
+function makeCanvasAPI(overrides = []) {
+  return {
+    listPlannerOverrides: jest.fn(async () => overrides),
+    setPlannerOverride: jest.fn(async () => ({ id: 1 }))
+  };
+}
+
+const records = new Map([
+  ['12', { canvasId: '12', title: 'Essay' }],
+  ['discussion:7', { canvasId: 'discussion:7', title: 'Forum post' }]
+]);
+
+describe('validatePlannerCompletion', () => {
+  test('accepts the defaults and rejects unknown actions or empty statuses', () => {
+    expect(validatePlannerCompletion(DEFAULT_PLANNER_COMPLETION)).toBeNull();
+    expect(validatePlannerCompletion({ enabled: 'yes', actions: {} })).toMatch(/on or off/);
+    expect(validatePlannerCompletion({ enabled: true, actions: [] })).toMatch(/map Notion statuses/);
+    expect(validatePlannerCompletion({ enabled: true, actions: { Done: 'delete' } })).toMatch(/"Done" must complete or dismiss/);
+    expect(validatePlannerCompletion({ enabled: true, actions: { ' ': 'complete' } })).toMatch(/1 to 100 characters/);
+  });
+});
+
+describe('PlannerCompletionSyncer', () => {
+  let entries;
+
+  beforeEach(() => {
+    entries = {
+      '12': { canvasData: { status: 'Not Started' } },
+      'discussion:7': { canvasData: { status: 'Not Started' } }
+    };
+  });
+
+  test('marks items complete or dismissed for statuses changed in Notion', async () => {
+    const canvasAPI = makeCanvasAPI([{ id: 55, plannable_type: 'discussion_topic', plannable_id: 7 }]);
+    const syncer = new PlannerCompletionSyncer(canvasAPI, makeCache(entries), { Done: 'complete', Skip: 'dismiss' });
+
+    const result = await syncer.pushCompletions(new Map([['12', 'Done'], ['discussion:7', 'Skip']]), records);
+
+    expect(canvasAPI.setPlannerOverride).toHaveBeenCalledWith('assignment', '12', { marked_complete: true }, null);
+    expect(canvasAPI.setPlannerOverride).toHaveBeenCalledWith('discussion_topic', '7', { dismissed: true }, 55);
+    expect(canvasAPI.listPlannerOverrides).toHaveBeenCalledTimes(1);
+    expect(result.updated).toEqual([
+      { canvasId: '12', title: 'Essay', status: 'Done', action: 'complete' },
+      { canvasId: 'discussion:7', title: 'Forum post', status: 'Skip', action: 'dismiss' }
+    ]);
+    expect(entries['12'].plannerOverride).toEqual({ status: 'Done', action: 'complete' });
+  });
+
+  test('skips statuses that are unconfigured, came from Canvas or were already pushed', async () => {
+    entries['12'].canvasData.status = 'Submitted';
+    entries['discussion:7'].plannerOverride = { status: 'Done', action: 'complete' };
+    const canvasAPI = makeCanvasAPI();
+    const syncer = new PlannerCompletionSyncer(canvasAPI, makeCache(entries), { Done: 'complete', Submitted: 'complete' });
+
+    const result = await syncer.pushCompletions(new Map([
+      ['12', 'Submitted'],
+      ['discussion:7', 'Done'],
+      ['99', 'Done'],
+      ['12b', 'In Progress']
+    ]), records);
+
+    expect(result).toEqual({ updated: [], errors: [] });
+    expect(canvasAPI.setPlannerOverride).not.toHaveBeenCalled();
+  });
+
+  test('reports Canvas failures without stopping', async () => {
+    const canvasAPI = makeCanvasAPI();
+    canvasAPI.setPlannerOverride.mockRejectedValueOnce(new Error('Canvas API error: 401'));
+    const syncer = new PlannerCompletionSyncer(canvasAPI, makeCache(entries), { Done: 'complete' });
+
+    const result = await syncer.pushCompletions(new Map([['12', 'Done'], ['discussion:7', 'Done']]), records);
+
+    expect(result.errors).toEqual([{ canvasId: '12', title: 'Essay', error: 'Canvas planner update failed: Canvas API error: 401' }]);
+    expect(result.updated.map(item => item.canvasId)).toEqual(['discussion:7']);
+    expect(entries['12'].plannerOverride).toBeUndefined();
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async () => ({})),
+      set: jest.fn(async () => {})
+    }
+  }
+};
+
+const { PlannerNoteSyncer, validatePlannerNotes, DEFAULT_PLANNER_NOTES } = await import('../src/sync/planner-notes.js');
+const { PlannerNoteCacheManager } = await import('../src/cache/planner-note-cache-manager.js');
+
+function makeCanvasAPI() {
+  let nextId = 500;
+  return {
+    createPlannerNote: jest.fn(async () => ({ id: nextId++ })),
+    updatePlannerNote: jest.fn(async id => ({ id: Number(id) }))
+  };
+}
+
+const note = { title: 'Buy lab goggles', details: '', todo_date: '2025-09-03', course_id: 42 };
+
+describe('validatePlannerNotes', () => {
+  test('accepts the defaults and rejects a non-boolean switch', () => {
+    expect(validatePlannerNotes(DEFAULT_PLANNER_NOTES)).toBeNull();
+    expect(validatePlannerNotes({ enabled: 'yes' })).toMatch(/on or off/);
+  });
+});
+
+describe('PlannerNoteSyncer', () => {
+  let canvasAPI;
+  let noteCache;
+  let linkPage;
+  let syncer;
+
+  beforeEach(() => {
+    canvasAPI = makeCanvasAPI();
+    noteCache = new PlannerNoteCacheManager();
+    linkPage = jest.fn(async () => {});
+    syncer = new PlannerNoteSyncer(canvasAPI, noteCache);
+  });
+
+  test('creates a note for a new task and links the page to it', async () => {
+    const result = await syncer.syncNotes([{ pageId: 'page-1', canvasId: null, note }], linkPage);
+
+    expect(canvasAPI.createPlannerNote).toHaveBeenCalledWith(note);
+    expect(linkPage).toHaveBeenCalledWith('page-1', 'note:500');
+    expect(result).toEqual({ created: [{ pageId: 'page-1', canvasId: 'note:500', title: 'Buy lab goggles' }], updated: [], errors: [] });
+    expect((await noteCache.getCachedNote('page-1')).noteId).toBe('500');
+  });
+
+  test('updates a linked note only when the page changed', async () => {
+    await noteCache.cacheNote('page-1', '500', note);
+
+    const unchanged = await syncer.syncNotes([{ pageId: 'page-1', canvasId: 'note:500', note }], linkPage);
+    expect(unchanged).toEqual({ created: [], updated: [], errors: [] });
+    expect(canvasAPI.updatePlannerNote).not.toHaveBeenCalled();
+
+    const moved = { ...note, todo_date: '2025-09-05' };
+    const changed = await syncer.syncNotes([{ pageId: 'page-1', canvasId: 'note:500', note: moved }], linkPage);
+    expect(canvasAPI.updatePlannerNote).toHaveBeenCalledWith('500', moved);
+    expect(changed.updated).toEqual([{ pageId: 'page-1', canvasId: 'note:500', title: 'Buy lab goggles' }]);
+    expect(linkPage).not.toHaveBeenCalled();
+  });
+
+  test('links a page from the cache instead of creating a second note', async () => {
+    await noteCache.cacheNote('page-1', '500', note);
+
+    const result = await syncer.syncNotes([{ pageId: 'page-1', canvasId: null, note }], linkPage);
+
+    expect(canvasAPI.createPlannerNote).not.toHaveBeenCalled();
+    expect(linkPage).toHaveBeenCalledWith('page-1', 'note:500');
+    expect(result).toEqual({ created: [], updated: [], errors: [] });
+  });
+
+  test('recreates a note deleted in Canvas', async () => {
+    canvasAPI.updatePlannerNote.mockRejectedValueOnce(Object.assign(new Error('Canvas API error: 404 Not Found'), { status: 404 }));
+
+    const result = await syncer.syncNotes([{ pageId: 'page-1', canvasId: 'note:77', note }], linkPage);
+
+    expect(canvasAPI.createPlannerNote).toHaveBeenCalledWith(note);
+    expect(linkPage).toHaveBeenCalledWith('page-1', 'note:500');
+    expect(result.created.map(item => item.canvasId)).toEqual(['note:500']);
+  });
+
+  test('skips tasks without a due date and reports Canvas failures without stopping', async () => {
+    canvasAPI.createPlannerNote.mockRejectedValueOnce(new Error('Canvas API error: 401'));
+
+    const result = await syncer.syncNotes([
+      { pageId: 'page-1', canvasId: null, note: { ...note, todo_date: null } },
+      { pageId: 'page-2', canvasId: null, note: { ...note, title: 'Print notes' } },
+      { pageId: 'page-3', canvasId: null, note }
+    ], linkPage);
+
+    expect(canvasAPI.createPlannerNote).toHaveBeenCalledTimes(2);
+    expect(result.errors).toEqual([{ pageId: 'page-2', title: 'Print notes', error: 'Canvas planner note failed: Canvas API error: 401' }]);
+    expect(result.created.map(item => item.pageId)).toEqual(['page-3']);
+    expect(await noteCache.getCachedNote('page-2')).toBeNull();
+  });
+});
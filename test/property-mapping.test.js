@@ -0,0 +1,197 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+const mockStorage = {
+  data: {},
+  get: jest.fn(async (key) => ({ [key]: mockStorage.data[key] })),
+  set: jest.fn(async (obj) => { Object.assign(mockStorage.data, obj); }),
+  remove: jest.fn(async (key) => { delete mockStorage.data[key]; })
+};
+
+globalThis.chrome = {
+  storage: { local: mockStorage }
+};
+
+const {
+  DEFAULT_PROPERTY_MAPPING,
+  mergePropertyMapping,
+  validatePropertyMapping,
+  resolvePropertyMapping,
+  formatPropertyValue,
+  readPropertyText,
+  buildDatabaseSchema
+} = await import('../src/sync/property-mapping.js');
+const { AssignmentSyncer } = await import('../src/sync/assignment-syncer.js');
+const { AssignmentCacheManager } = await import('../src/cache/assignment-cache-manager.js');
+
+const customMapping = mergePropertyMapping({
+  title: { name: 'Task' },
+  course: { name: 'Class', type: 'multi_select' },
+  status: { name: 'Progress', type: 'status' },
+  canvasId: { name: 'Source ID' },
+  itemType: { name: 'Tags', type: 'multi_select' }
+});
+
+function schemaFor(mapping, overrides = {}) {
+  const schema = Object.fromEntries(Object.values(mapping).map(({ name, type }) => [name, { type }]));
+  return { ...schema, ...overrides };
+}
+
+describe('property mapping', () => {
+  test('merges partial mappings field by field and drops unknown fields', () => {
+    const mapping = mergePropertyMapping({ status: { type: 'status' }, unknown: { name: 'X', type: 'title' } });
+
+    expect(mapping.status).toEqual({ name: 'Status', type: 'status' });
+    expect(mapping.title).toEqual(DEFAULT_PROPERTY_MAPPING.title);
+    expect(mapping).not.toHaveProperty('unknown');
+  });
+
+  test('rejects empty names, unsupported types and shared property names', () => {
+    expect(validatePropertyMapping(DEFAULT_PROPERTY_MAPPING)).toBeNull();
+    expect(validatePropertyMapping(mergePropertyMapping({ title: { name: ' ' } }))).toMatch(/Title needs/);
+    expect(validatePropertyMapping(mergePropertyMapping({ points: { type: 'rich_text' } }))).toMatch(/Points can be a number/);
+    expect(validatePropertyMapping(mergePropertyMapping({ grade: { name: 'Points' } }))).toMatch(/"Points"/);
+  });
+
+  test('resolves against the schema: compatible types are adopted, others are errors', () => {
+    const schema = schemaFor(DEFAULT_PROPERTY_MAPPING, {
+      'Status': { type: 'status' },
+      'Points': { type: 'rich_text' }
+    });
+    delete schema['Description'];
+    delete schema['Location'];
+
+    const { properties, missing, errors, warnings } = resolvePropertyMapping(DEFAULT_PROPERTY_MAPPING, schema);
+
+    expect(properties.status).toEqual({ name: 'Status', type: 'status' });
+    expect(warnings).toEqual([expect.stringContaining('"Status" is a status property')]);
+    expect(errors).toEqual([expect.stringContaining('"Points" is a rich_text property')]);
+    expect(properties).not.toHaveProperty('points');
+    expect(missing).toEqual([expect.stringContaining('"Description"')]);
+    expect(properties.description).toBeDefined();
+    expect(properties).not.toHaveProperty('location');
+  });
+
+  test('writes only required fields when the schema is unknown', () => {
+    const { properties } = resolvePropertyMapping(DEFAULT_PROPERTY_MAPPING, null);
+
+    expect(properties.canvasId).toEqual({ name: 'Canvas ID', type: 'rich_text' });
+    expect(properties).not.toHaveProperty('itemType');
+  });
+
+  test('builds a database schema that resolves cleanly against its own mapping', () => {
+    const schema = buildDatabaseSchema(customMapping);
+
+    expect(schema.Task).toEqual({ title: {} });
+    expect(schema.Tags.multi_select.options).toContainEqual({ name: 'Quiz', color: 'purple' });
+    // Status properties can't be created through the API
+    expect(schema.Progress.select.options.map(option => option.name)).toEqual(expect.arrayContaining(['Not Started', 'Graded', 'Locked']));
+    expect(Object.keys(schema)).toHaveLength(Object.keys(DEFAULT_PROPERTY_MAPPING).length);
+
+    const liveSchema = Object.fromEntries(Object.entries(schema).map(([name, definition]) => [name, { type: Object.keys(definition)[0] }]));
+    const { properties, missing, errors, warnings } = resolvePropertyMapping(customMapping, liveSchema);
+    expect(missing).toEqual([]);
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([expect.stringContaining('"Progress" is a select property')]);
+    expect(Object.keys(properties)).toHaveLength(Object.keys(DEFAULT_PROPERTY_MAPPING).length);
+  });
+
+  test('creates a course relation only with the course data source', () => {
+    const mapping = mergePropertyMapping({ course: { type: 'relation' } });
+
+    expect(buildDatabaseSchema(mapping).Course).toEqual({ select: { options: [] } });
+    expect(buildDatabaseSchema(mapping, { courseDataSourceId: 'course-ds' }).Course).toEqual({
+      relation: { data_source_id: 'course-ds', type: 'single_property', single_property: {} }
+    });
+  });
+
+  test('formats and reads values by property type', () => {
+    expect(formatPropertyValue('status', 'Graded')).toEqual({ status: { name: 'Graded' } });
+    expect(formatPropertyValue('multi_select', 'Quiz')).toEqual({ multi_select: [{ name: 'Quiz' }] });
+    expect(formatPropertyValue('rich_text', 'https://x.test')).toEqual({ rich_text: [{ text: { content: 'https://x.test' } }] });
+    expect(() => formatPropertyValue('formula', 1)).toThrow(/Unsupported/);
+
+    expect(readPropertyText({ type: 'status', status: { name: 'Submitted' } })).toBe('Submitted');
+    expect(readPropertyText({ select: { name: 'In Progress' } })).toBe('In Progress');
+    expect(readPropertyText({ type: 'title', title: [{ plain_text: 'Lab ' }, { plain_text: '1' }] })).toBe('Lab 1');
+    expect(readPropertyText(undefined)).toBeNull();
+  });
+});
+
+describe('AssignmentSyncer with a custom property mapping', () => {
+  let api;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage.data = {};
+    api = {
+      getDatabase: jest.fn(async () => ({ data_sources: [{ id: 'ds' }] })),
+      getDataSource: jest.fn(async () => ({ properties: schemaFor(customMapping) })),
+      queryDataSource: jest.fn(async () => ({ results: [], has_more: false })),
+      createPage: jest.fn(async () => ({ id: 'page-1' })),
+      updatePage: jest.fn(async (id) => ({ id })),
+      getPage: jest.fn(async (id) => ({ id, properties: { Progress: { type: 'status', status: { name: 'Submitted' } } } }))
+    };
+  });
+
+  const assignment = {
+    canvasId: '7',
+    title: 'Lab 1',
+    course: 'CSC413',
+    courseId: '42',
+    dueDate: '2025-09-01T23:59:00Z',
+    points: 10,
+    status: 'Not Started',
+    itemType: 'Assignment',
+    link: 'https://school.instructure.com/courses/42/assignments/7'
+  };
+
+  test('writes every field under the mapped name and type', async () => {
+    const syncer = new AssignmentSyncer(api, 'db', new AssignmentCacheManager(), customMapping);
+
+    await syncer.syncAssignments([assignment], ['42']);
+
+    const [, properties] = api.createPage.mock.calls[0];
+    expect(properties).toMatchObject({
+      Task: { title: [{ text: { content: 'Lab 1' } }] },
+      Class: { multi_select: [{ name: 'CSC413' }] },
+      Progress: { status: { name: 'Not Started' } },
+      'Source ID': { rich_text: [{ text: { content: '7' } }] },
+      Tags: { multi_select: [{ name: 'Assignment' }] }
+    });
+    expect(properties).not.toHaveProperty('Assignment Name');
+    expect(properties).not.toHaveProperty('Canvas ID');
+  });
+
+  test('finds existing pages and preserves manual status through the mapped properties', async () => {
+    api.queryDataSource.mockResolvedValue({
+      results: [{
+        id: 'existing',
+        properties: {
+          'Source ID': { type: 'rich_text', rich_text: [{ plain_text: '7' }] },
+          Progress: { type: 'status', status: { name: 'Submitted' } }
+        }
+      }],
+      has_more: false
+    });
+    const syncer = new AssignmentSyncer(api, 'db', new AssignmentCacheManager(), customMapping);
+
+    await syncer.syncAssignments([assignment], ['42']);
+
+    expect(api.createPage).not.toHaveBeenCalled();
+    // The status is read from the reconciliation pass, not fetched again
+    expect(api.getPage).not.toHaveBeenCalled();
+    const [pageId, properties] = api.updatePage.mock.calls[0];
+    expect(pageId).toBe('existing');
+    // The manual status is left as it is rather than written again
+    expect(properties).not.toHaveProperty('Progress');
+    expect(properties.Task).toEqual({ title: [{ text: { content: 'Lab 1' } }] });
+  });
+
+  test('fails before writing when a mapped property has an incompatible type', async () => {
+    api.getDataSource.mockResolvedValue({ properties: schemaFor(customMapping, { 'Source ID': { type: 'number' } }) });
+    const syncer = new AssignmentSyncer(api, 'db', new AssignmentCacheManager(), customMapping);
+
+    await expect(syncer.initialize()).rejects.toThrow(/"Source ID" is a number property/);
+    expect(api.createPage).not.toHaveBeenCalled();
+  });
+});
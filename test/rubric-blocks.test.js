@@ -0,0 +1,80 @@
+import { describe, test, expect } from '@jest/globals';
+import { buildRubricBlocks, findRubricBlockIds } from '../src/sync/rubric-blocks.js';
+
+const rubric = {
+  title: 'Essay Rubric',
+  pointsPossible: 20,
+  hidePoints: false,
+  criteria: [
+    {
+      description: 'Thesis',
+      longDescription: 'Clear and arguable',
+      points: 10,
+      ratings: [
+        { description: 'Full Marks', longDescription: '', points: 10 },
+        { description: 'No Marks', longDescription: 'Missing thesis', points: 0 }
+      ]
+    },
+    { description: 'Citations', longDescription: '', points: 10, ratings: [] }
+  ]
+};
+
+function cellText(cell) {
+  return cell.map(part => part.text.content).join('');
+}
+
+describe('buildRubricBlocks', () => {
+  test('renders a heading and a criteria table', () => {
+    const [heading, table] = buildRubricBlocks(rubric);
+
+    expect(cellText(heading.heading_3.rich_text)).toBe('Rubric: Essay Rubric (20 pts)');
+    expect(table.table).toMatchObject({ table_width: 3, has_column_header: true });
+
+    const rows = table.table.children.map(row => row.table_row.cells.map(cellText));
+    expect(rows).toEqual([
+      ['Criterion', 'Ratings', 'Points'],
+      ['Thesis\nClear and arguable', '10 pts — Full Marks\n0 pts — No Marks: Missing thesis', '10 pts'],
+      ['Citations', '', '10 pts']
+    ]);
+    expect(table.table.children[1].table_row.cells[0][0].annotations).toEqual({ bold: true });
+  });
+
+  test('leaves points out when the rubric hides them', () => {
+    const [heading, table] = buildRubricBlocks({ ...rubric, title: null, hidePoints: true });
+
+    expect(cellText(heading.heading_3.rich_text)).toBe('Rubric');
+    expect(table.table.children[1].table_row.cells.map(cellText)).toEqual([
+      'Thesis\nClear and arguable',
+      'Full Marks\nNo Marks: Missing thesis',
+      ''
+    ]);
+  });
+
+  test('returns no blocks without criteria', () => {
+    expect(buildRubricBlocks(null)).toEqual([]);
+    expect(buildRubricBlocks({ ...rubric, criteria: [] })).toEqual([]);
+  });
+});
+
+describe('findRubricBlockIds', () => {
+  test('finds a rubric heading followed by a table', () => {
+    const blocks = [
+      { id: 'p1', type: 'paragraph', paragraph: { rich_text: [] } },
+      { id: 'h1', type: 'heading_3', heading_3: { rich_text: [{ plain_text: 'Rubric: Essay Rubric' }] } },
+      { id: 't1', type: 'table', table: {} }
+    ];
+
+    expect(findRubricBlockIds(blocks)).toEqual(['h1', 't1']);
+  });
+
+  test('ignores other headings and headings without a table', () => {
+    const blocks = [
+      { id: 'h1', type: 'heading_3', heading_3: { rich_text: [{ plain_text: 'Notes' }] } },
+      { id: 't1', type: 'table', table: {} },
+      { id: 'h2', type: 'heading_3', heading_3: { rich_text: [{ plain_text: 'Rubric' }] } },
+      { id: 'p1', type: 'paragraph', paragraph: { rich_text: [] } }
+    ];
+
+    expect(findRubricBlockIds(blocks)).toEqual([]);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async () => ({})),
+      set: jest.fn(async () => {})
+    }
+  }
+};
+
+const { SchemaInspector, describeSchemaReport } = await import('../src/sync/schema-inspector.js');
+const { DEFAULT_PROPERTY_MAPPING, mergePropertyMapping } = await import('../src/sync/property-mapping.js');
+
+function fullSchema() {
+  return Object.fromEntries(Object.values(DEFAULT_PROPERTY_MAPPING).map(({ name, type }) => [name, { type }]));
+}
+
+function makeNotionAPI(properties) {
+  return {
+    getDatabase: jest.fn(async () => ({ data_sources: [{ id: 'ds1' }] })),
+    getDataSource: jest.fn(async () => ({ properties })),
+    updateDataSource: jest.fn(async () => ({}))
+  };
+}
+
+describe('SchemaInspector', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('reports a matching database as ok', async () => {
+    const report = await new SchemaInspector(makeNotionAPI(fullSchema()), 'db1').inspect();
+
+    expect(report).toMatchObject({ dataSourceId: 'ds1', ok: true, missing: [], wrongType: [] });
+    expect(describeSchemaReport(report)).toBe('');
+  });
+
+  test('inspects the data source chosen in settings', async () => {
+    const notionAPI = makeNotionAPI(fullSchema());
+    notionAPI.getDatabase.mockResolvedValueOnce({ data_sources: [{ id: 'ds1' }, { id: 'ds2' }] });
+
+    const report = await new SchemaInspector(notionAPI, 'db1', DEFAULT_PROPERTY_MAPPING, 'ds2').inspect();
+
+    expect(report.dataSourceId).toBe('ds2');
+    expect(notionAPI.getDataSource).toHaveBeenCalledWith('ds2');
+  });
+
+  test('reports missing required properties and wrong types, ignoring optional ones', async () => {
+    const schema = fullSchema();
+    delete schema['Due Date'];
+    delete schema['Location'];
+    schema['Points'] = { type: 'rich_text' };
+
+    const report = await new SchemaInspector(makeNotionAPI(schema), 'db1').inspect();
+
+    expect(report.ok).toBe(false);
+    expect(report.missing).toEqual([{ field: 'dueDate', label: 'Due date', name: 'Due Date', type: 'date' }]);
+    expect(report.wrongType).toEqual([{ field: 'points', label: 'Points', name: 'Points', actual: 'rich_text', expected: ['number'] }]);
+    expect(describeSchemaReport(report)).toBe('Missing: "Due Date" (date). "Points" is rich text but needs to be number.');
+  });
+
+  test('uses the property mapping and accepts types the field supports', async () => {
+    const mapping = mergePropertyMapping({ status: { name: 'Progress' } });
+    const schema = fullSchema();
+    delete schema['Status'];
+    schema['Progress'] = { type: 'status' };
+
+    const report = await new SchemaInspector(makeNotionAPI(schema), 'db1', mapping).inspect();
+
+    expect(report.ok).toBe(true);
+    expect(report.adopted).toEqual([{ field: 'status', name: 'Progress', mapped: 'select', type: 'status' }]);
+  });
+
+  test('warns when the status policy cannot mark pages with the Status property', async () => {
+    const schema = fullSchema();
+    schema['Status'] = { type: 'status', status: { options: [{ name: 'Not started' }, { name: 'Done' }] } };
+
+    const report = await new SchemaInspector(makeNotionAPI(schema), 'db1', DEFAULT_PROPERTY_MAPPING, null, { policy: 'status' }).inspect();
+
+    expect(report.ok).toBe(true);
+    expect(report.warnings).toEqual([
+      '"Status" has no "Removed from Canvas" option, so items removed from Canvas will be archived instead. Add the option in Notion to mark them.'
+    ]);
+    expect(describeSchemaReport(report)).toBe(report.warnings[0]);
+
+    // With the option, or under another policy, there is nothing to warn about
+    schema['Status'].status.options.push({ name: 'Removed from Canvas' });
+    expect((await new SchemaInspector(makeNotionAPI(schema), 'db1', DEFAULT_PROPERTY_MAPPING, null, { policy: 'status' }).inspect()).warnings).toEqual([]);
+    delete schema['Status'].status;
+    expect((await new SchemaInspector(makeNotionAPI(schema), 'db1', DEFAULT_PROPERTY_MAPPING, null, { policy: 'archive' }).inspect()).warnings).toEqual([]);
+  });
+
+  test('adds missing properties in one data source update', async () => {
+    const schema = fullSchema();
+    delete schema['Due Date'];
+    delete schema['Status'];
+    const api = makeNotionAPI(schema);
+    const inspector = new SchemaInspector(api, 'db1');
+
+    const { added } = await inspector.addMissingProperties(await inspector.inspect());
+
+    expect(added).toEqual(['Due Date', 'Status']);
+    const [dataSourceId, properties] = api.updateDataSource.mock.calls[0];
+    expect(dataSourceId).toBe('ds1');
+    expect(properties['Due Date']).toEqual({ date: {} });
+    expect(properties['Status'].select.options).toContainEqual({ name: 'Not Started', color: 'gray' });
+  });
+
+  test('does not call Notion when nothing is missing', async () => {
+    const api = makeNotionAPI(fullSchema());
+    const inspector = new SchemaInspector(api, 'db1');
+
+    expect(await inspector.addMissingProperties(await inspector.inspect())).toEqual({ added: [] });
+    expect(api.updateDataSource).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+const mockStorage = {
+  _data: {},
+  get: jest.fn(async (key) => ({ [key]: mockStorage._data[key] })),
+  set: jest.fn(async (obj) => { Object.assign(mockStorage._data, obj); })
+};
+
+globalThis.chrome = {
+  storage: { local: mockStorage }
+};
+
+const { SettingsManager, DEFAULT_SETTINGS } = await import('../src/settings/settings-manager.js');
+
+describe('SettingsManager', () => {
+  beforeEach(() => {
+    mockStorage._data = {};
+    jest.clearAllMocks();
+  });
+
+  test('getSettings() returns the defaults when nothing is stored', async () => {
+    expect(await SettingsManager.getSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('getSettings() fills keys missing from stored settings', async () => {
+    mockStorage._data.syncSettings = { calendarEvents: { daysAhead: 14 } };
+    const settings = await SettingsManager.getSettings();
+    expect(settings.calendarEvents).toEqual({ enabled: false, daysBack: 7, daysAhead: 14 });
+  });
+
+  test('updateSettings() merges a partial update and stores it', async () => {
+    const result = await SettingsManager.updateSettings({ calendarEvents: { enabled: true } });
+    expect(result.success).toBe(true);
+    expect(result.settings.calendarEvents).toEqual({ enabled: true, daysBack: 7, daysAhead: 60 });
+    expect(mockStorage._data.syncSettings.calendarEvents.enabled).toBe(true);
+  });
+
+  test('updateSettings() rejects windows outside 0-365 days', async () => {
+    expect((await SettingsManager.updateSettings({ calendarEvents: { daysBack: -1 } })).success).toBe(false);
+    expect((await SettingsManager.updateSettings({ calendarEvents: { daysAhead: 0 } })).success).toBe(false);
+    expect((await SettingsManager.updateSettings({ calendarEvents: { daysAhead: 2.5 } })).success).toBe(false);
+    expect((await SettingsManager.updateSettings({ calendarEvents: { daysAhead: 400 } })).error).toMatch(/1 to 365/);
+    expect(mockStorage.set).not.toHaveBeenCalled();
+  });
+
+  test('updateSettings() rejects a non-boolean enabled flag', async () => {
+    const result = await SettingsManager.updateSettings({ calendarEvents: { enabled: 'yes' } });
+    expect(result.success).toBe(false);
+  });
+
+  test('updateSettings() switches the planner mode and rejects unknown modes', async () => {
+    const result = await SettingsManager.updateSettings({ planner: { mode: 'planner' } });
+    expect(result.settings.planner).toEqual({ mode: 'planner', daysBack: 14, daysAhead: 120 });
+    expect(result.settings.calendarEvents).toEqual(DEFAULT_SETTINGS.calendarEvents);
+
+    const rejected = await SettingsManager.updateSettings({ planner: { mode: 'everything' } });
+    expect(rejected.success).toBe(false);
+    expect(rejected.error).toMatch(/assignments, planner/);
+  });
+
+  test('updateSettings() stores a property mapping and rejects invalid ones', async () => {
+    const result = await SettingsManager.updateSettings({ propertyMapping: { status: { name: 'Progress', type: 'status' } } });
+    expect(result.success).toBe(true);
+    expect(result.settings.propertyMapping.status).toEqual({ name: 'Progress', type: 'status' });
+    expect(result.settings.propertyMapping.title).toEqual(DEFAULT_SETTINGS.propertyMapping.title);
+
+    const rejected = await SettingsManager.updateSettings({ propertyMapping: { grade: { type: 'date' } } });
+    expect(rejected.success).toBe(false);
+    expect((await SettingsManager.getSettings()).propertyMapping.grade.type).toBe('number');
+  });
+
+  test('updateSettings() replaces the course routing rules and rejects invalid ones', async () => {
+    const routes = [{ match: 'courseCode', value: 'CS*', dataSourceId: 'aaaaaaaabbbbccccddddeeeeeeeeeeee' }];
+    const result = await SettingsManager.updateSettings({ courseRoutes: routes });
+    expect(result.settings.courseRoutes).toEqual(routes);
+    expect((await SettingsManager.updateSettings({ calendarEvents: { daysAhead: 30 } })).settings.courseRoutes).toEqual(routes);
+
+    const rejected = await SettingsManager.updateSettings({ courseRoutes: [{ match: 'courseCode', value: 'CS*', dataSourceId: 'nope' }] });
+    expect(rejected.success).toBe(false);
+    expect(rejected.error).toMatch(/Routing rule 1/);
+    expect((await SettingsManager.updateSettings({ courseRoutes: [] })).settings.courseRoutes).toEqual([]);
+  });
+
+  test('updateSettings() replaces the Canvas planner actions and rejects unknown actions', async () => {
+    const result = await SettingsManager.updateSettings({ plannerCompletion: { enabled: true, actions: { Done: 'dismiss' } } });
+    expect(result.settings.plannerCompletion).toEqual({ enabled: true, actions: { Done: 'dismiss' } });
+
+    const rejected = await SettingsManager.updateSettings({ plannerCompletion: { actions: { Done: 'delete' } } });
+    expect(rejected.success).toBe(false);
+    expect(rejected.error).toMatch(/complete or dismiss/);
+  });
+
+  test('Canvas to-do notes from Notion are off by default and must be a boolean', async () => {
+    expect((await SettingsManager.getSettings()).plannerNotes).toEqual({ enabled: false });
+    expect((await SettingsManager.updateSettings({ plannerNotes: { enabled: true } })).settings.plannerNotes).toEqual({ enabled: true });
+
+    const rejected = await SettingsManager.updateSettings({ plannerNotes: { enabled: 'yes' } });
+    expect(rejected.success).toBe(false);
+    expect(rejected.error).toMatch(/on or off/);
+  });
+
+  test('updateSettings() merges field ownership field by field and rejects unknown owners', async () => {
+    const result = await SettingsManager.updateSettings({ fieldOwnership: { points: 'notion' } });
+    expect(result.settings.fieldOwnership).toMatchObject({ points: 'notion', title: 'merge', status: 'merge', grade: 'canvas' });
+
+    const rejected = await SettingsManager.updateSettings({ fieldOwnership: { title: 'student' } });
+    expect(rejected.success).toBe(false);
+    expect(rejected.error).toMatch(/Title must be owned by/);
+  });
+
+  test('the archive limit defaults to a quarter of the pages and must be from 1% to 100%', async () => {
+    expect((await SettingsManager.getSettings()).deletion.maxFraction).toBe(0.25);
+    expect((await SettingsManager.updateSettings({ deletion: { maxFraction: 1 } })).settings.deletion.maxFraction).toBe(1);
+
+    for (const maxFraction of [0, 1.5, '0.5']) {
+      const rejected = await SettingsManager.updateSettings({ deletion: { maxFraction } });
+      expect(rejected.success).toBe(false);
+      expect(rejected.error).toMatch(/archive limit/);
+    }
+  });
+
+  test('removed items are archived by default; moving them needs an archive data source', async () => {
+    expect((await SettingsManager.getSettings()).deletion).toEqual({ policy: 'archive', archiveDataSourceId: null, maxFraction: 0.25, confirmThreshold: 10 });
+
+    const noTarget = await SettingsManager.updateSettings({ deletion: { policy: 'move' } });
+    expect(noTarget.success).toBe(false);
+    expect(noTarget.error).toMatch(/archive data source ID/);
+
+    const moved = await SettingsManager.updateSettings({ deletion: { policy: 'move', archiveDataSourceId: 'abcdef0123456789abcdef0123456789' } });
+    expect(moved.settings.deletion).toMatchObject({ policy: 'move', archiveDataSourceId: 'abcdef0123456789abcdef0123456789' });
+
+    expect((await SettingsManager.updateSettings({ deletion: { policy: 'delete' } })).error).toMatch(/one of: archive, status, move, keep/);
+    expect((await SettingsManager.updateSettings({ deletion: { confirmThreshold: -1 } })).error).toMatch(/confirmation threshold/);
+  });
+});
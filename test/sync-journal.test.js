@@ -0,0 +1,139 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+const stored = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async key => (key in stored ? { [key]: stored[key] } : {})),
+      set: jest.fn(async items => { Object.assign(stored, items); })
+    }
+  }
+};
+
+const { SyncJournal, SYNC_JOURNAL_KEY, MAX_JOURNALED_SYNCS, loadJournal, priorPropertyValues, undoLastSync } = await import('../src/sync/sync-journal.js');
+const { formatPropertyValue } = await import('../src/sync/property-mapping.js');
+
+const fields = {
+  title: { name: 'Assignment Name', type: 'title' },
+  points: { name: 'Points', type: 'number' },
+  category: { name: 'Category', type: 'select' }
+};
+
+function makeNotionAPI() {
+  return { updatePage: jest.fn(async id => ({ id })), movePage: jest.fn(async id => ({ id })) };
+}
+
+function makeCache() {
+  return { restoreAssignment: jest.fn(async () => {}) };
+}
+
+async function journalRun(entries) {
+  const journal = new SyncJournal();
+  entries.forEach(entry => journal.record(entry));
+  await journal.save();
+}
+
+describe('priorPropertyValues', () => {
+  test('captures the written properties as they were, clearing the ones that were empty', () => {
+    const page = {
+      'Assignment Name': { type: 'title', title: [{ plain_text: 'Essay' }] },
+      Points: { type: 'number', number: null },
+      Category: { type: 'select', select: { name: 'Homework' } }
+    };
+    const properties = {
+      'Assignment Name': formatPropertyValue('title', 'Essay v2'),
+      Points: formatPropertyValue('number', 12)
+    };
+
+    expect(priorPropertyValues(page, properties, fields)).toEqual({
+      'Assignment Name': formatPropertyValue('title', 'Essay'),
+      Points: { number: null }
+    });
+  });
+});
+
+describe('SyncJournal', () => {
+  beforeEach(() => {
+    delete stored[SYNC_JOURNAL_KEY];
+  });
+
+  test('stores runs that wrote something, up to the retention cap', async () => {
+    await journalRun([]);
+    expect(await loadJournal()).toEqual([]);
+
+    for (let i = 0; i < MAX_JOURNALED_SYNCS + 1; i++) {
+      await journalRun([{ type: 'create', canvasId: String(i), pageId: `page-${i}`, cacheEntry: null }]);
+    }
+
+    const runs = await loadJournal();
+    expect(runs).toHaveLength(MAX_JOURNALED_SYNCS);
+    expect(runs.map(run => run.entries[0].canvasId)).toEqual(['1', '2', '3']);
+  });
+
+  test('copies cache entries when they are recorded', async () => {
+    const cacheEntry = { notionPageId: 'page-1', written: { title: 'Essay' } };
+    const journal = new SyncJournal();
+    journal.record({ type: 'update', canvasId: '1', pageId: 'page-1', properties: {}, cacheEntry });
+    cacheEntry.written.title = 'Essay v2';
+
+    expect(journal.entries[0].cacheEntry.written.title).toBe('Essay');
+  });
+});
+
+describe('undoLastSync', () => {
+  beforeEach(() => {
+    delete stored[SYNC_JOURNAL_KEY];
+  });
+
+  test('reverts the newest run in reverse and restores the cache entries', async () => {
+    await journalRun([{ type: 'create', canvasId: 'old', pageId: 'page-old', cacheEntry: null }]);
+    const before = { notionPageId: 'page-2', written: {} };
+    await journalRun([
+      { type: 'create', canvasId: '1', pageId: 'page-1', cacheEntry: null },
+      { type: 'update', canvasId: '2', pageId: 'page-2', properties: { Points: { number: 10 } }, cacheEntry: before },
+      { type: 'move', canvasId: '3', pageId: 'page-3b', fromPageId: 'page-3a', cacheEntry: before },
+      { type: 'archive', canvasId: '4', pageId: 'page-4', cacheEntry: before },
+      { type: 'relocate', canvasId: '5', pageId: 'page-5', dataSourceId: 'ds-1', cacheEntry: before }
+    ]);
+    const notionAPI = makeNotionAPI();
+    const cache = makeCache();
+
+    const result = await undoLastSync(notionAPI, cache);
+
+    expect(result).toEqual({ undone: 5, errors: [], startedAt: expect.any(Number) });
+    expect(notionAPI.movePage).toHaveBeenCalledWith('page-5', 'ds-1');
+    expect(notionAPI.updatePage.mock.calls).toEqual([
+      ['page-4', {}, { archived: false }],
+      ['page-3a', {}, { archived: false }],
+      ['page-3b', {}, { archived: true }],
+      ['page-2', { Points: { number: 10 } }],
+      ['page-1', {}, { archived: true }]
+    ]);
+    expect(cache.restoreAssignment.mock.calls.map(call => call[0])).toEqual(['5', '4', '3', '2', '1']);
+    expect(cache.restoreAssignment).toHaveBeenLastCalledWith('1', null);
+
+    // The run before it is next
+    expect((await loadJournal()).map(run => run.entries[0].canvasId)).toEqual(['old']);
+  });
+
+  test('keeps the writes that could not be undone for a retry', async () => {
+    await journalRun([
+      { type: 'create', canvasId: '1', title: 'Essay', pageId: 'page-1', cacheEntry: null },
+      { type: 'create', canvasId: '2', title: 'Lab', pageId: 'page-2', cacheEntry: null }
+    ]);
+    const notionAPI = makeNotionAPI();
+    notionAPI.updatePage.mockRejectedValueOnce(new Error('Notion API error: 502'));
+    const cache = makeCache();
+
+    const result = await undoLastSync(notionAPI, cache);
+
+    expect(result.undone).toBe(1);
+    expect(result.errors).toEqual([{ canvasId: '2', title: 'Lab', error: 'Notion API error: 502' }]);
+    expect(cache.restoreAssignment).toHaveBeenCalledTimes(1);
+    expect((await loadJournal())[0].entries.map(entry => entry.canvasId)).toEqual(['2']);
+  });
+
+  test('reports when there is nothing to undo', async () => {
+    expect(await undoLastSync(makeNotionAPI())).toEqual({ undone: 0, errors: [], startedAt: null });
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, test, expect } from '@jest/globals';
+import { runWithConcurrency } from '../src/utils/worker-pool.js';
+
+describe('runWithConcurrency', () => {
+  test('starts items in order with at most the given number running', async () => {
+    const started = [];
+    let running = 0;
+    let maxRunning = 0;
+
+    await runWithConcurrency(['a', 'b', 'c', 'd', 'e'], 2, async (item, index) => {
+      started.push([item, index]);
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, item === 'a' ? 20 : 5));
+      running--;
+    });
+
+    expect(started).toEqual([['a', 0], ['b', 1], ['c', 2], ['d', 3], ['e', 4]]);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('lets later items pass a slow one', async () => {
+    const finished = [];
+
+    await runWithConcurrency([30, 1, 1, 1], 2, async delay => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      finished.push(delay);
+    });
+
+    expect(finished).toEqual([1, 1, 1, 30]);
+  });
+
+  test('accepts any iterable and resolves for no items', async () => {
+    const seen = [];
+    await runWithConcurrency(new Map([['x', 1]]).entries(), 4, async ([key, value]) => { seen.push(key, value); });
+    await runWithConcurrency([], 4, async () => { seen.push('never'); });
+
+    expect(seen).toEqual(['x', 1]);
+  });
+});